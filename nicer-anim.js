@@ -1,7 +1,21 @@
 /*
  * Nicer Cinematic Product Story Animations (ES6)
  *
- * Public API (available on window.NicerCinematic):
+ * Mounting:
+ * - NicerCinematic.create(root, options?): Mount an isolated instance on an element (or selector) that
+ *     contains a #cinematic-stage copy; returns its API (below) or null without GSAP / a root. Ids and
+ *     selectors resolve inside the root, theme CSS variables land on it, and destroy() only kills the
+ *     tweens, timelines and ScrollTriggers this instance created.
+ *     options: { config?: partial CONFIG (deep-merged), gsap?, ScrollTrigger?, ScrollToPlugin?, TextPlugin?,
+ *                THREE? (default: the page globals), defer?: boolean (initialize on DOMContentLoaded) }
+ * - <nicer-cinematic template="template-id" theme locale quality story chapters offscreen>: Custom element
+ *     wrapping create(). Stamps the template when it has no children, maps attributes to data-* on its
+ *     stage, exposes the instance as element.cinematic and destroys it when removed (a move keeps it).
+ * - nicer-anim.mjs: ES module entry (export { create, version }, default NicerCinematic); also CommonJS.
+ * The page's own #cinematic-stage (outside any <nicer-cinematic> or other create() root, which are marked
+ * data-nicer-root) is mounted on load as window.NicerCinematic.
+ *
+ * Instance API (window.NicerCinematic for the page demo, or the return value of create()):
  * - play(): Start or restart demo from beginning. No autoplay by default.
  * - pause(): Pause demo and ambient visuals.
  * - reset(): Stop, rewind to t=0, clear ambient visuals.
@@ -9,950 +23,3798 @@
  * - isActive(): Returns boolean if master timeline is currently playing.
  * - destroy(): Fully tear down timelines, listeners, and 3D/canvas contexts.
  * - rebuild(): Re-initialize the system after destroy (for hot reload / dynamic content).
+ * - registerScene(name, factory, opts?): Add or replace a named scene factory.
+ *     opts: { group?: string (SVG group selector, default '#scene-<name>'), title?: string,
+ *             narration?: string (announced via #story-aria on scene start), titleKey?: string,
+ *             narrationKey?: string (locale keys, preferred over the literals), before?: string, after?: string }
+ * - unregisterScene(name): Remove a scene factory and drop it from the play order.
+ * - setSceneOrder(names: string[]): Set the play order (unknown names are ignored).
+ * - getSceneOrder(): Current play order (copy).
+ * - getScenes(): Names of all registered scenes.
+ * - rebuildTimeline(): Rebuild the master timeline from the current order, keeping play state.
+ * - loadStory(storyOrUrl, opts?): Compile a JSON story (object or URL) into the registry; Promise<boolean>.
+ *     opts: { replace?: boolean } (default true: the story becomes the whole cut). Format: see DEFAULT_STORY.
+ *     A data-story="url" attribute on #cinematic-stage loads one at init.
+ * - getStory(): Copy of the active JSON story (a starting point for new cuts).
+ * - registerAction(name, fn(tl, args, ctx)): Add an imperative helper callable from story steps.
+ * - on(type, handler): Subscribe to lifecycle events; returns an unsubscribe function. Use '*' for all.
+ *     types: 'scene:start', 'scene:complete', 'loop', 'play', 'pause', 'visibility-pause',
+ *     'export:start', 'export:done', 'export:error', 'layout:change', 'theme:change', 'quality:change',
+ *     'backend:change'
+ *     payload: { type, scene, index, loop, elapsed, totalElapsed, timestamp, ...extra }
+ * - off(type, handler): Remove a handler added with on().
+ * - addSink(sink): Forward every event to a sink ({ handle(event), flush?(), dispose?() }); returns a remover.
+ * - removeSink(sink): Flush, dispose and detach a sink.
+ * - sinks.console(opts?) / sinks.beacon({ url, batchSize?, flushInterval? }): Built-in sink factories.
+ * - goToScene(name): Jump to a scene's label on the master timeline and play from there.
+ * - next() / prev(): Step to the following / preceding scene (wraps around).
+ * - seek(progress: number): Scrub the current loop to 0..1 without changing play state.
+ * - getCurrentScene(): Name of the scene under the playhead (or null).
+ * - showChapters(show?: boolean): Toggle the chapter dots/scrubber under the stage
+ *     (also enabled by CONFIG.chapters.enabled or data-chapters on #cinematic-stage).
+ * - setMuted(muted: boolean) / isMuted(): The mute preference; cues are muted by default. Unmuted cues
+ *     still stay silent under prefers-reduced-motion (see CONFIG.audio.respectReducedMotion) and while
+ *     the tab is hidden, without changing isMuted().
+ * - setVolume(volume: 0..1) / getVolume(): Master cue volume.
+ * - registerCue(name, synth(ctx, destination, when, opts)): Add or override a procedural cue.
+ * - loadCue(name, url): Fetch + decode an audio file as a cue (Promise<boolean>).
+ * - playCue(name, opts?): Trigger a cue manually ('scene', 'burst', 'send' built in).
+ * - setLocale(code?): Switch story copy ('en', 'de', 'ar', ...); omit to follow navigator.languages.
+ *     Falls back from region to base language to 'en'. Returns the resolved code. Also: data-locale on the stage.
+ * - getLocale(): Active locale code.
+ * - registerLocale(code, bundle): Add or extend a bundle ({ dir?: 'ltr'|'rtl', [key]: string|string[] }).
+ * - setPrompt(text): Live prompt mode — type the visitor's description in the describe scene and let
+ *     its keywords pick the customize card layout and the order of template labels. Returns the analysis.
+ *     A #live-prompt-form containing #live-prompt is wired automatically.
+ * - clearPrompt(): Back to the scripted prompt. getPrompt(): Current live prompt analysis (or null).
+ * - analyzePrompt(text): Run the keyword heuristic without changing the demo. With nicer-spec.js loaded
+ *     the analysis also carries the generated dashboard spec (see NicerSpec.generate).
+ * - exportToNotion({ token, parentPageId, baseUrl? }): Create the current dashboard in Notion via
+ *     nicer-notion-export.js (try it against tools/mock-notion-server.js). Emits export:start/done/error.
+ * - editLayout(enabled = true): Interactive customize scene — pauses on it; drag cards to reorder on a
+ *     12-column grid, drag the corner handle to resize, drag the knob for density, click the palette.
+ *     Keyboard: arrows move the focused card, Shift+arrows resize, Esc finishes. Playback ends editing.
+ * - getLayout(): Serializable layout { version, grid, density, palette, cards: [{ id, col, row, colSpan, rowSpan }] }.
+ * - setLayout(layout | null): Restore a saved layout (null = scripted); an invalid one is refused with a
+ *     warning and the current layout stays. Emits 'layout:change' on edits.
+ *     The layout's palette is a theme name; cycling it switches the stage theme.
+ * - setTheme(name, { duration? }): Switch the colour theme ('emerald', 'midnight', 'pastel', 'high-contrast')
+ *     with a smooth transition across SVG, CSS variables (--nicer-accent, ...), particles, Three.js and
+ *     the dashboard previews. Also: data-theme on the stage. Emits 'theme:change'. Returns the active name.
+ * - getTheme(): Active theme name. getThemes(): Copy of the theme table ({ name: { role: '#hex' } }).
+ * - registerTheme(name, roles): Add or extend a theme; roles missing from it fall back to emerald.
+ * - getPerfStats(): Rolling frame stats and the quality governor's state
+ *     { fps, avgFrameMs, p95FrameMs, worstFrameMs, samples, jankFrames, tier, mode, changes, dpr, threeCards, renderer, particles }.
+ * - setQuality(tier | 'auto'): Pin a CONFIG.quality tier ('low', 'medium', 'high') or return to adaptive mode.
+ *     Also: data-quality on the stage. Emits 'quality:change' ({ tier, reason: 'auto' | 'override' }).
+ * - getQuality(): Active tier name.
+ * - getRenderBackend(): { three: 'webgl' | 'webgl-worker' | 'css' | 'none', particles: 'main' | 'worker' | 'none',
+ *     contextLost }. Without WebGL the background falls back to drifting DOM cards (CONFIG.three.fallback);
+ *     a lost WebGL context pauses the loop and the scene is rebuilt from state on restore. Emits 'backend:change'.
+ * - simulateContextLoss(restoreAfter?: ms): Force a context loss (and restore) to exercise that path.
  * - version: string
  *
+ * Keyboard (when #cinematic-stage has focus): Space/K play-pause, ←/→ previous/next scene,
+ * Home restart from the top, Esc stop. Scene narration is announced through #story-aria.
+ *
+ * Particle bursts (story "burst" steps, ambient sparks) share one pooled engine from nicer-particles.js;
+ * without that script they are skipped. Budget and shapes: CONFIG.particles.
+ * With CONFIG.offscreen.enabled (or data-offscreen on the stage) particles and the Three.js background
+ * render in nicer-fx-worker.js through OffscreenCanvas; unsupported browsers keep the main-thread path.
+ *
  * TODO (intentional extension points for future teams):
- * - Audio engine hooks (sound design cues on scene transitions)
- * - Drag-and-drop widgets in customize scene
  * - Voice cue activation / microphone-driven pacing
- * - Dashboard morphing templates (types → live Notion-like previews)
- * - Advanced analytics hooks for scene onStart/onComplete
  */
 
 /* eslint-disable */
-(() => {
+(function (global) {
   'use strict';
 
-  /**
-   * Global configuration (designer-friendly). Keep values modest for perf.
-   * Designers can tweak these without touching JS logic elsewhere.
-   */
-  const CONFIG = {
-    debug: false,
-    reducedMotionScale: 0.4,
-    maxDevicePixelRatio: 2,
-    particles: {
-      defaultCount: 28,
-      burstCount: 36,
-      minCount: 12, // used in reduced motion
-      gravity: 0.05,
-      maxFrames: 120
-    },
-    three: {
-      fov: 28,
-      ambientIntensity: 0.25,
-      pointLightIntensity: 1.2,
-      pointLightDistance: 50,
-      cardOpacity: 0.35,
-      cardRoughness: 0.6,
-      cardMetalness: 0.2,
-      cards: 7
-    },
-    parallax: {
-      pointerSensitivityX: 12,
-      pointerSensitivityY: 8,
-      cameraSensitivityX: 1.2,
-      cameraSensitivityY: 1.0,
-      tiltSensitivity: 0.6 // mobile tilt multiplier
-    },
-    shimmer: {
-      buttonShadow: '0 0 24px rgba(16,185,129,0.45)'
-    },
-    mobile: {
-      particleScale: 0.6,
-      threeCards: 4,
-      ambientMinDelay: 3,
-      ambientMaxDelay: 5,
-      shimmerEnabled: false,
-      parallaxMultiplier: 0.7
-    }
-  };
-
-  /** Feature detection */
-  const hasGSAP = typeof window.gsap !== 'undefined';
-  const hasScrollTrigger = typeof window.ScrollTrigger !== 'undefined';
-  const hasScrollToPlugin = typeof window.ScrollToPlugin !== 'undefined';
-  const hasTextPlugin = typeof window.TextPlugin !== 'undefined';
-  const hasTHREE = typeof window.THREE !== 'undefined';
-  const hasAnime = typeof window.anime !== 'undefined';
-
-  // Small-screen helper
-  const mqSmall = window.matchMedia && window.matchMedia('(max-width: 640px)');
-  function isSmallScreen() {
-    return mqSmall ? mqSmall.matches : (window.innerWidth || 0) <= 640;
+  const VERSION = '1.1.0';
+  // Marks every root create() mounts, so the page instance can skip markup that belongs to an embed
+  const ROOT_ATTRIBUTE = 'data-nicer-root';
+
+  /** Deep-merge plain objects from `patch` into `target` (arrays and other values replace). */
+  function mergeConfig(target, patch) {
+    Object.keys(patch).forEach(key => {
+      const value = patch[key];
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      if (isObject && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) mergeConfig(target[key], value);
+      else target[key] = value;
+    });
+    return target;
   }
 
-  // Fail-fast guard: if GSAP is not available, exit gracefully.
-  if (!hasGSAP) {
-    console.warn('[NicerCinematic] GSAP not found. Cinematic demo disabled.');
-    // Ensure hero scene (SVG group) is visible so UI never feels broken
-    requestAnimationFrame(() => {
-      const gHero = document.getElementById('scene-hero');
-      if (gHero) gHero.style.opacity = '1';
+  /**
+   * GSAP as one instance sees it. String targets resolve through `resolve` (the instance's scoped
+   * queryAll), also inside timelines it creates, and every tween, timeline and delayed call is remembered
+   * so killOwned() stops exactly those — never the host page's animations. Finished one-shot tweens are
+   * pruned as new ones arrive.
+   */
+  function scopeGsap(lib, resolve) {
+    const owned = new Set();
+    const scope = (targets) => {
+      if (typeof targets === 'string') return resolve(targets);
+      return Array.isArray(targets) ? targets.flatMap(t => (typeof t === 'string' ? resolve(t) : [t])) : targets;
+    };
+    const track = (anim) => {
+      if (owned.size > 200) owned.forEach(a => { if (!a.isActive() && !a.paused() && a.progress() === 1) owned.delete(a); });
+      owned.add(anim);
+      return anim;
+    };
+    const scopeTimeline = (tl) => {
+      ['to', 'from', 'fromTo', 'set'].forEach(method => {
+        const fn = tl[method];
+        tl[method] = (targets, ...rest) => fn.call(tl, scope(targets), ...rest);
+      });
+      return tl;
+    };
+    const scoped = Object.create(lib);
+    ['to', 'from', 'fromTo'].forEach(method => {
+      scoped[method] = (targets, ...rest) => track(lib[method](scope(targets), ...rest));
     });
-    return;
+    scoped.set = (targets, ...rest) => lib.set(scope(targets), ...rest);
+    scoped.timeline = vars => track(scopeTimeline(lib.timeline(vars)));
+    scoped.delayedCall = (...args) => track(lib.delayedCall(...args));
+    scoped.killTweensOf = (targets, ...rest) => lib.killTweensOf(scope(targets), ...rest);
+    scoped.killOwned = () => {
+      owned.forEach(a => { try { a.kill(); } catch (_) {} });
+      owned.clear();
+    };
+    return scoped;
   }
 
-  // Register GSAP plugins (conditionally).
-  try {
-    if (hasScrollTrigger) gsap.registerPlugin(ScrollTrigger);
-    if (hasScrollToPlugin) gsap.registerPlugin(ScrollToPlugin);
-    if (hasTextPlugin) gsap.registerPlugin(TextPlugin);
-  } catch (e) {
-    console.warn('[NicerCinematic] Failed to register GSAP plugins', e);
+  /** ScrollTrigger counterpart of scopeGsap: killOwned() removes only the triggers this instance made. */
+  function scopeScrollTrigger(lib) {
+    const owned = new Set();
+    return {
+      create(vars) {
+        const trigger = lib.create(vars);
+        owned.add(trigger);
+        return trigger;
+      },
+      refresh(...args) { return lib.refresh(...args); },
+      killOwned() {
+        owned.forEach(t => { try { t.kill(); } catch (_) {} });
+        owned.clear();
+      }
+    };
   }
 
   /**
-   * Internal state container. All mutable runtime references live here for easy teardown.
+   * Mount an isolated cinematic instance on `root` (an element containing the stage markup, a selector,
+   * or the document) and return its API. Nothing is shared between instances: config, story, theme,
+   * locale, listeners, timelines and renderers all live in this closure.
+   * @param {Element|Document|string} root
+   * @param {{ config?: object, gsap?: object, ScrollTrigger?: object, ScrollToPlugin?: object,
+   *   TextPlugin?: object, THREE?: object, defer?: boolean }} [options]
    */
-  const state = {
-    initialized: false,
-    prefersReducedMotion: false,
-    stage: null,
-    svg: null,
-    fxCanvas: /** @type {HTMLCanvasElement|null} */ (null),
-    threeRoot: null,
-    // three.js objects
-    renderer: null,
-    scene: null,
-    camera: null,
-    threeCards: /** @type {Array<any>} */ ([]),
-    threeRafId: 0,
-    // timelines
-    masterTL: null,
-    ambientTL: null,
-    ambientBurstDC: null,
-    // listeners to cleanup
-    listeners: [],
-    // additional cleanups (functions)
-    cleanups: [],
-    // performance monitor
-    perf: { lastTime: 0, jankThresholdMs: 42, warnCount: 0 },
-    // parallax
-    pointerHandler: null,
-    tiltHandler: null,
-    hasTiltPermission: false,
-    // scene refs
-    elements: {},
-    // Three.js loop controls
-    startThree: null,
-    stopThree: null,
-    // visibility control state
-    wasPlaying: false,
-    // lock logo center during hero scene
-    lockLogoCenter: true,
-    // track logo float tween
-    logoFloatTween: null
-  };
+  function create(root, options = {}) {
+    if (typeof root === 'string') root = document.querySelector(root);
+    if (!root || !root.querySelectorAll) {
+      console.warn('[NicerCinematic] create: root element not found.');
+      return null;
+    }
+    if (!(options.gsap || window.gsap)) {
+      console.warn('[NicerCinematic] GSAP not found. Cinematic demo disabled.');
+      return null;
+    }
+    if (root !== document && root.setAttribute) root.setAttribute(ROOT_ATTRIBUTE, '');
+
+    /**
+     * Global configuration (designer-friendly). Keep values modest for perf.
+     * Designers can tweak these without touching JS logic elsewhere.
+     */
+    const CONFIG = {
+      debug: false,
+      reducedMotionScale: 0.4,
+      maxDevicePixelRatio: 2,
+      quality: {
+        // Ordered low → high; the governor moves one step at a time (see qualityState)
+        tiers: [
+          { name: 'low', dpr: 1, threeCards: 8, antialias: false, particleScale: 0.4, ambientBlobs: false },
+          { name: 'medium', dpr: 1.5, threeCards: 16, antialias: false, particleScale: 0.7, ambientBlobs: true },
+          { name: 'high', dpr: 2, threeCards: 24, antialias: true, particleScale: 1, ambientBlobs: true }
+        ],
+        window: 120, // frames in the rolling stats
+        evaluateEvery: 30, // frames between decisions
+        downshiftAvgMs: 25, // step down when the average frame is slower (~40fps) ...
+        downshiftP95Ms: 42, // ... or one frame in twenty misses by this much
+        upshiftAvgMs: 18, // step up only when comfortably above ~55fps
+        upshiftP95Ms: 25, // and without regular slow frames
+        downshiftCooldownMs: 2000,
+        upshiftCooldownMs: 8000,
+        stallMs: 250 // longer gaps are hidden tabs, not frames
+      },
+      particles: {
+        defaultCount: 28,
+        burstCount: 36,
+        gravity: 0.05,
+        shape: 'dots', // default preset for bursts without one: dots | sparks | confetti | glyphs | blocks
+        poolSize: 1200, // particles preallocated by nicer-particles.js
+        budget: 600, // live particles at full quality; shrinks under jank (see CONFIG.mobile.particleBudget)
+        minQuality: 0.25 // lowest budget fraction the jank governor may drop to
+      },
+      offscreen: {
+        enabled: false, // also data-offscreen on #cinematic-stage; falls back to the main thread when unsupported
+        workerUrl: 'nicer-fx-worker.js',
+        threeUrl: 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r152/three.min.js' // loaded inside the worker
+      },
+      three: {
+        fov: 28,
+        ambientIntensity: 0.25,
+        pointLightIntensity: 1.2,
+        pointLightDistance: 50,
+        cardOpacity: 0.35,
+        cardRoughness: 0.6,
+        cardMetalness: 0.2,
+        cards: 24, // instanced, so counts are cheap; quality tiers draw fewer
+        sceneModes: { customize: 'grid', notion: 'notion' }, // scene → 'drift' | 'grid' | 'notion' (others drift)
+        fallback: 'css', // without WebGL (or three.js): 'css' drifts a few DOM cards, 'none' leaves the layer empty
+        cssCards: 8 // DOM cards are not instanced; keep the fallback light
+      },
+      parallax: {
+        pointerSensitivityX: 12,
+        pointerSensitivityY: 8,
+        cameraSensitivityX: 1.2,
+        cameraSensitivityY: 1.0,
+        tiltSensitivity: 0.6 // mobile tilt multiplier
+      },
+      shimmer: {
+        buttonShadow: '0 0 24px theme:accent/0.45' // "theme:role/alpha" tokens follow the active theme
+      },
+      theme: {
+        name: 'emerald', // emerald | midnight | pastel | high-contrast (or registerTheme); data-theme on the stage overrides
+        transition: 0.6 // seconds for setTheme() colour tweens
+      },
+      audio: {
+        enabled: false, // cues start muted; setMuted(false) opts in
+        volume: 0.5,
+        respectReducedMotion: true
+      },
+      livePrompt: {
+        maxLength: 64 // characters that fit the describe box at its font size
+      },
+      layoutEditor: {
+        columns: 12, // snapping grid inside the customize panel
+        rows: 4,
+        minColSpan: 2,
+        defaultDensity: 0.8 // 0..1, knob position; higher = tighter gutters
+      },
+      chapters: {
+        enabled: false, // chapter dots + scrubber under the stage
+        prevRestartThreshold: 1 // seconds into a scene after which prev() restarts it instead
+      },
+      mobile: {
+        particleScale: 0.6,
+        particleBudget: 220,
+        threeCards: 10,
+        ambientMinDelay: 3,
+        ambientMaxDelay: 5,
+        shimmerEnabled: false,
+        parallaxMultiplier: 0.7
+      }
+    };
 
-  /**
-   * Utility: add event listener and track for cleanup.
-   * @param {Element|Window|Document} target
-   * @param {string} type
-   * @param {EventListenerOrEventListenerObject} handler
-   * @param {AddEventListenerOptions|boolean} [opts]
-   */
-  function on(target, type, handler, opts) {
-    if (!target || !target.addEventListener) return;
-    target.addEventListener(type, handler, opts);
-    state.listeners.push({ target, type, handler, opts });
-  }
+    if (options.config) mergeConfig(CONFIG, options.config);
+
+    /** Feature detection — libraries come from create() options, otherwise from the page globals */
+    const gsapLib = options.gsap || window.gsap;
+    const ScrollTriggerLib = options.ScrollTrigger || window.ScrollTrigger;
+    const ScrollToPlugin = options.ScrollToPlugin || window.ScrollToPlugin;
+    const TextPlugin = options.TextPlugin || window.TextPlugin;
+    const THREE = options.THREE || window.THREE;
+    const hasScrollTrigger = !!ScrollTriggerLib;
+    const hasScrollToPlugin = !!ScrollToPlugin;
+    const hasTextPlugin = !!TextPlugin;
+    const hasTHREE = !!THREE;
+    const hasAnime = typeof window.anime !== 'undefined';
+
+    // Small-screen helper
+    const mqSmall = window.matchMedia && window.matchMedia('(max-width: 640px)');
+    function isSmallScreen() {
+      return mqSmall ? mqSmall.matches : (window.innerWidth || 0) <= 640;
+    }
 
-  /** Track a custom cleanup function (for observers, timers, etc.). */
-  function trackCleanup(fn) {
-    if (typeof fn === 'function') state.cleanups.push(fn);
-  }
+    // Register GSAP plugins (conditionally).
+    try {
+      if (hasScrollTrigger) gsapLib.registerPlugin(ScrollTriggerLib);
+      if (hasScrollToPlugin) gsapLib.registerPlugin(ScrollToPlugin);
+      if (hasTextPlugin) gsapLib.registerPlugin(TextPlugin);
+    } catch (e) {
+      console.warn('[NicerCinematic] Failed to register GSAP plugins', e);
+    }
 
-  /** Remove and clear all tracked listeners. */
-  function removeAllListeners() {
-    state.listeners.forEach(({ target, type, handler, opts }) => {
-      try { target.removeEventListener(type, handler, opts); } catch (_) {}
-    });
-    state.listeners = [];
-    state.cleanups.forEach(fn => { try { fn(); } catch (_) {} });
-    state.cleanups = [];
-  }
+    // Everything below animates through these: selectors resolve inside `root` and teardown() kills only
+    // what this instance created (see scopeGsap)
+    const gsap = scopeGsap(gsapLib, queryAll);
+    const ScrollTrigger = hasScrollTrigger ? scopeScrollTrigger(ScrollTriggerLib) : null;
+
+    /**
+     * DOM lookups scoped to this instance's root. The page instance (root = document) skips markup that
+     * belongs to embeds: <nicer-cinematic> elements and any other root mounted with create().
+     */
+    function queryAll(selector) {
+      const found = Array.from(root.querySelectorAll(selector));
+      return root === document ? found.filter(el => !el.closest(`nicer-cinematic, [${ROOT_ATTRIBUTE}]`)) : found;
+    }
 
-  /**
-   * Accessibility: ensure stage, svg, and canvas are keyboard-friendly and properly labeled.
-   */
-  function applyAccessibilityAttributes() {
-    const stage = document.getElementById('cinematic-stage');
-    if (stage) {
-      stage.setAttribute('role', 'region');
-      stage.setAttribute('aria-label', 'Nicer cinematic animated demo stage');
-      stage.setAttribute('tabindex', '0');
-    }
-    const svg = document.getElementById('story-svg');
-    if (svg) {
-      svg.setAttribute('role', 'img');
-      svg.setAttribute('aria-label', 'Animated product story visuals');
-      // Keep non-focusable for keyboard nav
-      svg.setAttribute('focusable', 'false');
-    }
-    const fxCanvas = document.getElementById('fx-canvas');
-    if (fxCanvas) {
-      fxCanvas.setAttribute('role', 'img');
-      fxCanvas.setAttribute('aria-label', 'Particle effects canvas');
-      fxCanvas.setAttribute('tabindex', '-1');
-    }
-    const threeRoot = document.getElementById('three-root');
-    if (threeRoot) {
-      threeRoot.setAttribute('aria-hidden', 'true');
-      threeRoot.setAttribute('tabindex', '-1');
+    function query(selector) {
+      return queryAll(selector)[0] || null;
     }
-  }
 
-  /**
-   * Performance instrumentation: log jank if frames exceed threshold.
-   */
-  function startPerfMonitor() {
-    if (!CONFIG.debug) return;
-    const tick = (time) => {
-      if (state.perf.lastTime) {
-        const delta = time - state.perf.lastTime;
-        if (delta > state.perf.jankThresholdMs) {
-          state.perf.warnCount += 1;
-          console.warn(`[NicerCinematic] Frame jank detected: ${Math.round(delta)}ms`);
-        }
-      }
-      state.perf.lastTime = time;
-      state.perf.rafId = requestAnimationFrame(tick);
+    function byId(id) {
+      return query(`[id="${id}"]`);
+    }
+
+    /**
+     * Internal state container. All mutable runtime references live here for easy teardown.
+     */
+    const state = {
+      initialized: false,
+      prefersReducedMotion: false,
+      stage: null,
+      svg: null,
+      fxCanvas: /** @type {HTMLCanvasElement|null} */ (null),
+      // shared particle engine (nicer-particles.js) drawing into fxCanvas
+      particles: null,
+      // off-main-thread rendering ({ worker, three, threeCanvas, ready }) — see initFxWorker
+      fxWorker: null,
+      threeRoot: null,
+      // three.js background (nicer-three-bg.js) and the antialias setting it was built with
+      threeBg: null,
+      threeAntialias: true,
+      threeBackend: 'none', // 'webgl' | 'webgl-worker' | 'css' | 'none'
+      threeContextLost: false,
+      threeCamera: { x: 0, y: 0 }, // last parallax offset, reapplied when the background is rebuilt
+      reportedBackend: '',
+      // timelines
+      masterTL: null,
+      ambientTL: null,
+      ambientBurstDC: null,
+      // listeners to cleanup
+      listeners: [],
+      // additional cleanups (functions)
+      cleanups: [],
+      // performance monitor
+      perf: { lastTime: 0, jankThresholdMs: 42, warnCount: 0 },
+      // parallax
+      pointerHandler: null,
+      tiltHandler: null,
+      hasTiltPermission: false,
+      // scene refs
+      elements: {},
+      // Three.js loop controls
+      startThree: null,
+      stopThree: null,
+      // visibility control state
+      wasPlaying: false,
+      // lifecycle tracking for events
+      currentScene: null,
+      currentSceneIndex: -1,
+      loopIndex: 0,
+      // chapter dots/scrubber UI
+      chapterNav: null,
+      // Web Audio graph ({ ctx, master, noise }) — created lazily on first audible cue
+      audio: null,
+      // lock logo center during hero scene
+      lockLogoCenter: true,
+      // track logo float tween
+      logoFloatTween: null,
+      // ambient background blob drift (paused on low quality tiers)
+      ambientBlobTween: null
     };
-    state.perf.rafId = requestAnimationFrame(tick);
-  }
 
-  function stopPerfMonitor() {
-    if (state.perf.rafId) cancelAnimationFrame(state.perf.rafId);
-    state.perf.rafId = 0;
-    state.perf.lastTime = 0;
-  }
+    /**
+     * Utility: add event listener and track for cleanup.
+     * @param {Element|Window|Document} target
+     * @param {string} type
+     * @param {EventListenerOrEventListenerObject} handler
+     * @param {AddEventListenerOptions|boolean} [opts]
+     */
+    function on(target, type, handler, opts) {
+      if (!target || !target.addEventListener) return;
+      target.addEventListener(type, handler, opts);
+      state.listeners.push({ target, type, handler, opts });
+    }
 
-  /**
-   * Immediately reveal hero group at minimal viable opacity so UI feels responsive.
-   */
-  function ensureImmediateVisibility() {
-    requestAnimationFrame(() => {
-      const gHero = document.getElementById('scene-hero');
-      if (gHero) gHero.style.opacity = '1';
-    });
-  }
+    /** Track a custom cleanup function (for observers, timers, etc.). */
+    function trackCleanup(fn) {
+      if (typeof fn === 'function') state.cleanups.push(fn);
+    }
 
-  /**
-   * Particle burst via Canvas
-   * @param {{ x:number, y:number, color?:string, count?:number }} opts
-   */
-  function particlesBurst(opts) {
-    const { x, y } = opts;
-    const color = opts.color || '#10B981';
-    const baseCount = opts.count || CONFIG.particles.defaultCount;
-    if (!state.fxCanvas || state.prefersReducedMotion) return;
-
-    const dpr = Math.min(window.devicePixelRatio || 1, CONFIG.maxDevicePixelRatio);
-    const scale = isSmallScreen() ? CONFIG.mobile.particleScale : 1;
-    const count = Math.max(1, Math.round(baseCount * scale * (dpr > 1.5 ? 0.9 : 1)));
-
-    const ctx = state.fxCanvas.getContext('2d');
-    const particles = new Array(Math.max(1, count)).fill(0).map(() => ({
-      x, y,
-      vx: (Math.random() - 0.5) * 6,
-      vy: (Math.random() - 0.5) * 6,
-      life: 60 + Math.random() * 40,
-      r: 2 + Math.random() * 2,
-      c: color,
-    }));
-    let frame = 0;
-
-    const draw = () => {
-      frame += 1;
-      ctx.clearRect(0, 0, state.fxCanvas.width, state.fxCanvas.height);
-      particles.forEach(p => {
-        p.x += p.vx; p.y += p.vy; p.vy += CONFIG.particles.gravity; p.life -= 1;
-        ctx.globalAlpha = Math.max(0, p.life / 100);
-        ctx.fillStyle = p.c;
-        ctx.beginPath();
-        ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
-        ctx.fill();
-      });
-      if (frame < CONFIG.particles.maxFrames) {
-        requestAnimationFrame(draw);
-      } else {
-        ctx.clearRect(0, 0, state.fxCanvas.width, state.fxCanvas.height);
-      }
-    };
+    /** Remove and clear all tracked listeners. */
+    function removeAllListeners() {
+      state.listeners.forEach(({ target, type, handler, opts }) => {
+        try { target.removeEventListener(type, handler, opts); } catch (_) {}
+      });
+      state.listeners = [];
+      state.cleanups.forEach(fn => { try { fn(); } catch (_) {} });
+      state.cleanups = [];
+    }
 
-    const rect = state.stage.getBoundingClientRect();
-    state.fxCanvas.width = rect.width;
-    state.fxCanvas.height = rect.height;
-    draw();
-  }
+    /**
+     * Scene registry. Lives outside `state` so registrations survive destroy()/rebuild().
+     * Entries: name -> { name, factory, group, title, narration, titleKey, narrationKey }. `group` is the SVG group the scene reveals,
+     * used by neighbouring scenes to hide it on transition.
+     */
+    const sceneRegistry = new Map();
+    let sceneOrder = [];
+
+    /**
+     * Register (or replace) a scene factory. New scenes are appended to the play order unless
+     * `before`/`after` names an existing scene; replacing keeps the current position.
+     * @param {string} name
+     * @param {(ctx: SceneContext) => any} factory must return a GSAP timeline
+     * @param {{ group?: string, before?: string, after?: string }} [opts]
+     * @returns {boolean}
+     */
+    function registerScene(name, factory, opts = {}) {
+      if (typeof name !== 'string' || !name) {
+        console.warn('[NicerCinematic] registerScene: name must be a non-empty string');
+        return false;
+      }
+      if (typeof factory !== 'function') {
+        console.warn(`[NicerCinematic] registerScene: factory for "${name}" must be a function`);
+        return false;
+      }
+      sceneRegistry.set(name, {
+        name,
+        factory,
+        group: opts.group || `#scene-${name}`,
+        title: opts.title || name.charAt(0).toUpperCase() + name.slice(1),
+        narration: opts.narration || '',
+        titleKey: opts.titleKey || null,
+        narrationKey: opts.narrationKey || null
+      });
+      if (sceneOrder.includes(name)) return true;
 
-  /**
-   * Initialize Three.js background scene (floating cards) with gentle sway.
-   */
-  function initThree() {
-    if (!hasTHREE) return; // graceful if not present
-    if (!state.threeRoot || state.prefersReducedMotion) return; // reduce intensity
-
-    const width = state.stage.clientWidth;
-    const height = state.stage.clientHeight;
-    const dpr = Math.min(window.devicePixelRatio || 1, CONFIG.maxDevicePixelRatio);
-
-    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-    renderer.setPixelRatio(dpr);
-    renderer.setSize(width, height);
-    state.threeRoot.appendChild(renderer.domElement);
-
-    const scene = new THREE.Scene();
-    const camera = new THREE.PerspectiveCamera(CONFIG.three.fov, width / height, 0.1, 100);
-    camera.position.set(0, 0, 10);
-
-    const light = new THREE.PointLight(0x10b981, CONFIG.three.pointLightIntensity, CONFIG.three.pointLightDistance);
-    light.position.set(2, 3, 6);
-    scene.add(light);
-    scene.add(new THREE.AmbientLight(0xffffff, CONFIG.three.ambientIntensity));
-
-    const geom = new THREE.PlaneGeometry(1.4, 0.9, 1, 1);
-    const mats = [0x16353a, 0x102a2d, 0x0a1f22].map(c => new THREE.MeshStandardMaterial({
-      color: c,
-      transparent: true,
-      opacity: CONFIG.three.cardOpacity,
-      roughness: CONFIG.three.cardRoughness,
-      metalness: CONFIG.three.cardMetalness
-    }));
-
-    const cards = [];
-    const totalCards = isSmallScreen() ? Math.min(CONFIG.three.cards, CONFIG.mobile.threeCards) : CONFIG.three.cards;
-    for (let i = 0; i < totalCards; i++) {
-      const mesh = new THREE.Mesh(geom, mats[i % mats.length]);
-      mesh.position.set((Math.random() - 0.5) * 6, (Math.random() - 0.5) * 4, (Math.random() - 0.5) * 3);
-      mesh.rotation.set(0, Math.random() * 0.6, 0);
-      scene.add(mesh);
-      cards.push(mesh);
-    }
-
-    const render = () => {
-      state.threeRafId = requestAnimationFrame(render);
-      const now = performance.now();
-      cards.forEach((m, idx) => {
-        m.position.y += Math.sin(now / 1000 + idx) * 0.0005;
-        m.rotation.z += 0.0004;
-      });
-      renderer.render(scene, camera);
-    };
+      const anchorName = opts.before || opts.after;
+      const anchorIdx = anchorName ? sceneOrder.indexOf(anchorName) : -1;
+      if (anchorIdx === -1) sceneOrder.push(name);
+      else sceneOrder.splice(opts.before ? anchorIdx : anchorIdx + 1, 0, name);
+      return true;
+    }
 
-    const onResize = () => {
-      if (!renderer) return;
-      const w = state.threeRoot.clientWidth;
-      const h = state.threeRoot.clientHeight;
-      renderer.setSize(w, h);
-      camera.aspect = w / h;
-      camera.updateProjectionMatrix();
-    };
-    on(window, 'resize', onResize, { passive: true });
-
-    // Do not start loop yet (mobile optimization) — render a single frame
-    renderer.render(scene, camera);
-
-    // store and expose loop controls
-    state.renderer = renderer;
-    state.scene = scene;
-    state.camera = camera;
-    state.threeCards = cards;
-    state.startThree = () => { if (!state.threeRafId) render(); };
-    state.stopThree = () => { if (state.threeRafId) { cancelAnimationFrame(state.threeRafId); state.threeRafId = 0; } };
-  }
+    /** Remove a scene factory and drop it from the play order. */
+    function unregisterScene(name) {
+      sceneOrder = sceneOrder.filter(n => n !== name);
+      return sceneRegistry.delete(name);
+    }
 
-  /** Kill/cleanup Three.js resources */
-  function destroyThree() {
-    if (state.threeRafId) cancelAnimationFrame(state.threeRafId);
-    state.threeRafId = 0;
-    if (state.renderer) {
-      try { state.renderer.dispose(); } catch (_) {}
-      if (state.renderer.domElement && state.renderer.domElement.parentNode) {
-        state.renderer.domElement.parentNode.removeChild(state.renderer.domElement);
-      }
-    }
-    state.renderer = null;
-    state.scene = null;
-    state.camera = null;
-    state.threeCards = [];
-    state.startThree = null;
-    state.stopThree = null;
-  }
+    /** Replace the play order. Unknown and duplicate names are skipped with a warning. */
+    function setSceneOrder(names) {
+      if (!Array.isArray(names)) return;
+      const next = [];
+      names.forEach(n => {
+        if (!sceneRegistry.has(n)) { console.warn(`[NicerCinematic] setSceneOrder: unknown scene "${n}"`); return; }
+        if (!next.includes(n)) next.push(n);
+      });
+      sceneOrder = next;
+    }
 
-  /**
-   * Magnetic hover & shimmer for buttons.
-   */
-  function initButtonInteractions() {
-    // Avoid duplicating existing hover logic from inline scripts; scope to Launch Demo only
-    const btn = document.getElementById('launch-demo');
-    if (!btn) return;
+    /**
+     * Lifecycle event bus. Like the registry it outlives destroy()/rebuild(), so analytics
+     * subscribers and sinks only need to attach once per page.
+     */
+    const eventHandlers = new Map(); // type -> Set<handler>
+    const sinks = new Set();
+
+    /** Subscribe to a lifecycle event ('*' receives everything). Returns an unsubscribe function. */
+    function addEventHandler(type, handler) {
+      if (typeof handler !== 'function') return () => {};
+      if (!eventHandlers.has(type)) eventHandlers.set(type, new Set());
+      eventHandlers.get(type).add(handler);
+      return () => removeEventHandler(type, handler);
+    }
 
-    if (!isSmallScreen() && CONFIG.mobile.shimmerEnabled === false) {
-      // On desktop we still allow shimmer
-      gsap.to(btn, { boxShadow: CONFIG.shimmer.buttonShadow, duration: 1.6, yoyo: true, repeat: -1, ease: 'sine.inOut' });
+    function removeEventHandler(type, handler) {
+      const set = eventHandlers.get(type);
+      if (set) set.delete(handler);
     }
 
-    const mouseMove = (e) => {
-      const r = btn.getBoundingClientRect();
-      const x = e.clientX - r.left - r.width / 2;
-      const y = e.clientY - r.top - r.height / 2;
-      gsap.to(btn, { x: x * 0.08, y: y * 0.1, duration: 0.25, ease: 'power2.out' });
-    };
-    const mouseLeave = () => gsap.to(btn, { x: 0, y: 0, duration: 0.35, ease: 'power2.out' });
-    on(btn, 'mousemove', mouseMove, { passive: true });
-    on(btn, 'mouseleave', mouseLeave, { passive: true });
-  }
+    /**
+     * Emit a lifecycle event to handlers and sinks. Handler/sink errors are contained so
+     * instrumentation can never break playback.
+     * @param {string} type
+     * @param {Object} [extra]
+     */
+    function emit(type, extra = {}) {
+      const tl = state.masterTL;
+      const payload = {
+        type,
+        scene: state.currentScene,
+        index: state.currentSceneIndex,
+        loop: state.loopIndex,
+        elapsed: tl ? Number(tl.time().toFixed(3)) : 0,
+        totalElapsed: tl ? Number(tl.totalTime().toFixed(3)) : 0,
+        timestamp: Date.now(),
+        ...extra
+      };
+      [eventHandlers.get(type), eventHandlers.get('*')].forEach(set => {
+        if (set) set.forEach(fn => { try { fn(payload); } catch (e) { console.warn(`[NicerCinematic] "${type}" handler failed`, e); } });
+      });
+      sinks.forEach(sink => { try { sink.handle(payload); } catch (e) { console.warn('[NicerCinematic] Sink failed', e); } });
+    }
 
-  /**
-   * Pointer parallax (desktop) and tilt parallax (mobile/device orientation)
-   */
-  function initParallax() {
-    // Pointer parallax with rAF throttle
-    let pointerRAF = 0;
-    let nxPending = 0, nyPending = 0;
-    state.pointerHandler = (e) => {
-      if (state.lockLogoCenter) return; // keep logo centered during hero
-      const rect = state.stage.getBoundingClientRect();
-      nxPending = (e.clientX - rect.left) / rect.width - 0.5;
-      nyPending = (e.clientY - rect.top) / rect.height - 0.5;
-      if (!pointerRAF) {
-        pointerRAF = requestAnimationFrame(() => {
-          pointerRAF = 0;
-          const mult = isSmallScreen() ? CONFIG.mobile.parallaxMultiplier : 1;
-          gsap.to('#notion-logo', { x: nxPending * CONFIG.parallax.pointerSensitivityX * mult, y: nyPending * CONFIG.parallax.pointerSensitivityY * mult, duration: 0.4, ease: 'power2.out' });
-          if (state.camera) {
-            state.camera.position.x = nxPending * CONFIG.parallax.cameraSensitivityX * mult;
-            state.camera.position.y = -nyPending * CONFIG.parallax.cameraSensitivityY * mult;
-          }
-        });
+    function addSink(sink) {
+      if (!sink || typeof sink.handle !== 'function') {
+        console.warn('[NicerCinematic] addSink: sink must implement handle(event)');
+        return () => {};
       }
-    };
-    on(state.stage, 'pointermove', state.pointerHandler, { passive: true });
-
-    // Tilt parallax (opt-in on iOS due to permission) with throttle
-    const requestTiltPermissionIfNeeded = () => {
-      const DeviceOrientationEvent = window.DeviceOrientationEvent;
-      if (!DeviceOrientationEvent) return;
-      const hasRequest = typeof DeviceOrientationEvent.requestPermission === 'function';
-      if (hasRequest && !state.hasTiltPermission) {
-        DeviceOrientationEvent.requestPermission().then(result => {
-          if (result === 'granted') {
-            state.hasTiltPermission = true; wireTilt();
-          }
-        }).catch(() => {});
-      } else {
-        wireTilt();
+      sinks.add(sink);
+      return () => removeSink(sink);
+    }
+
+    function removeSink(sink) {
+      if (!sinks.delete(sink)) return;
+      try { if (sink.flush) sink.flush(); } catch (_) {}
+      try { if (sink.dispose) sink.dispose(); } catch (_) {}
+    }
+
+    /** Sink that logs every event (handy while wiring analytics). */
+    function createConsoleSink({ prefix = '[NicerCinematic]', logger = console } = {}) {
+      return {
+        handle(event) { logger.log(`${prefix} ${event.type}`, event); }
+      };
+    }
+
+    /**
+     * Sink that batches events and ships them as JSON to `url` via navigator.sendBeacon
+     * (falling back to fetch keepalive). Flushes when the batch fills, on a timer, and when the page is hidden.
+     * @param {{ url: string, batchSize?: number, flushInterval?: number, events?: string[], meta?: Object }} opts
+     */
+    function createBeaconSink({ url, batchSize = 20, flushInterval = 5000, events = null, meta = {} } = {}) {
+      if (!url) {
+        console.warn('[NicerCinematic] sinks.beacon: url is required');
+        return { handle() {} };
       }
-    };
-    const launchBtn = document.getElementById('launch-demo');
-    if (launchBtn) on(launchBtn, 'click', requestTiltPermissionIfNeeded, { once: true, passive: true });
+      let queue = [];
+      let timer = 0;
 
-    function wireTilt() {
-      if (state.tiltHandler) return;
-      let tiltRAF = 0, nx = 0, ny = 0;
-      state.tiltHandler = (ev) => {
-        if (state.lockLogoCenter) return; // keep logo centered during hero
-        if (ev.beta == null || ev.gamma == null) return;
-        nx = (ev.gamma || 0) / 45; // -45 to 45 approx
-        ny = (ev.beta || 0) / 45;  // -45 to 45 approx
-        if (!tiltRAF) {
-          tiltRAF = requestAnimationFrame(() => {
-            tiltRAF = 0;
-            const mult = isSmallScreen() ? CONFIG.mobile.parallaxMultiplier : 1;
-            gsap.to('#notion-logo', { x: nx * CONFIG.parallax.pointerSensitivityX * CONFIG.parallax.tiltSensitivity * mult, y: ny * CONFIG.parallax.pointerSensitivityY * CONFIG.parallax.tiltSensitivity * mult, duration: 0.4 });
-          });
+      const send = (body) => {
+        try {
+          if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) return;
+        } catch (_) {}
+        try { fetch(url, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } }).catch(() => {}); } catch (_) {}
+      };
+      const flush = () => {
+        if (timer) { clearTimeout(timer); timer = 0; }
+        if (!queue.length) return;
+        const batch = queue;
+        queue = [];
+        send(JSON.stringify({ ...meta, events: batch }));
+      };
+      const onHidden = () => { if (document.visibilityState === 'hidden') flush(); };
+      document.addEventListener('visibilitychange', onHidden);
+      window.addEventListener('pagehide', flush);
+
+      return {
+        handle(event) {
+          if (events && !events.includes(event.type)) return;
+          queue.push(event);
+          if (queue.length >= batchSize) flush();
+          else if (!timer) timer = setTimeout(flush, flushInterval);
+        },
+        flush,
+        dispose() {
+          if (timer) { clearTimeout(timer); timer = 0; }
+          document.removeEventListener('visibilitychange', onHidden);
+          window.removeEventListener('pagehide', flush);
         }
       };
-      on(window, 'deviceorientation', state.tiltHandler);
     }
-  }
 
-  /**
-   * Scene factories — each returns a GSAP timeline and accepts config & lifecycle hooks.
-   * All DOM refs are null-checked to avoid runtime errors.
-   */
-  function heroScene({ onStart, onComplete } = {}) {
-    const gHero = document.getElementById('scene-hero');
-    const tl = gsap.timeline({ onStart, onComplete });
-    if (!gHero) return tl;
-    // Ensure logo starts perfectly centered and lock parallax influence
-    tl.add(() => {
-      state.lockLogoCenter = true;
-      try { gsap.killTweensOf('#notion-logo'); } catch (_) {}
-      gsap.set('#notion-logo', { x: 0, y: 0 });
-    }, 0);
-    tl.set(['#scene-describe', '#scene-ai', '#scene-customize', '#scene-nocode', '#scene-notion', '#scene-security', '#scene-types', '#scene-signup'], { opacity: 0 })
-      .fromTo(gHero, { opacity: 0, y: 10 }, { opacity: 1, y: 0, duration: 0.9, ease: 'power2.out' })
-      .from('#notion-logo', { y: -8, opacity: 0, duration: 0.6 }, '-=0.4')
-      .to('#notion-logo', { filter: 'url(#soft-glow)', duration: 0.2 }, '+=0.1')
-      .to('#notion-logo', { scale: 1.25, duration: 0.35, transformOrigin: '50% 50%', ease: 'power2.out' })
-      .to('#notion-logo', { scale: 0.8, opacity: 0.2, duration: 0.35, ease: 'power2.in' })
-      .to('#notion-logo', { opacity: 0, duration: 0.2 })
-      // Unlock after hero completes; resume ambient float if active
-      .add(() => {
-        state.lockLogoCenter = false;
-        if (state.ambientTL && !state.logoFloatTween && document.getElementById('notion-logo')) {
-          state.logoFloatTween = gsap.to('#notion-logo', { y: '+=6', duration: 2.2, yoyo: true, repeat: -1, ease: 'sine.inOut' });
-        }
-      });
-    return tl;
-  }
+    /**
+     * Context handed to every scene factory.
+     * @typedef {{ onStart?: Function, onComplete?: Function, name: string, index: number, group: string,
+     *   previousGroup: string|null, otherGroups: string[] }} SceneContext
+     */
+
+    /**
+     * Accessibility: ensure stage, svg, and canvas are keyboard-friendly and properly labeled.
+     */
+    function applyAccessibilityAttributes() {
+      const stage = byId('cinematic-stage');
+      if (stage) {
+        stage.setAttribute('role', 'region');
+        stage.setAttribute('aria-label', t('stage.label'));
+        stage.setAttribute('aria-keyshortcuts', 'Space K ArrowLeft ArrowRight Home Escape');
+        stage.setAttribute('tabindex', '0');
+      }
+      const svg = byId('story-svg');
+      if (svg) {
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', 'Animated product story visuals');
+        // Keep non-focusable for keyboard nav
+        svg.setAttribute('focusable', 'false');
+      }
+      const fxCanvas = byId('fx-canvas');
+      if (fxCanvas) {
+        fxCanvas.setAttribute('role', 'img');
+        fxCanvas.setAttribute('aria-label', 'Particle effects canvas');
+        fxCanvas.setAttribute('tabindex', '-1');
+      }
+      const threeRoot = byId('three-root');
+      if (threeRoot) {
+        threeRoot.setAttribute('aria-hidden', 'true');
+        threeRoot.setAttribute('tabindex', '-1');
+      }
+    }
+
+    /**
+     * Adaptive quality. While the demo plays, a rAF monitor keeps the last CONFIG.quality.window frame
+     * times in a ring buffer and, every CONFIG.quality.evaluateEvery frames, steps one tier down when the
+     * average or p95 frame time is too slow, or one tier up after a longer run of smooth frames. A tier caps the device
+     * pixel ratio, the visible Three.js cards, antialiasing, particle counts and the ambient blob drift.
+     * setQuality(tier) pins a tier; setQuality('auto') hands control back to the governor.
+     */
+    const qualityState = {
+      tier: 2, // index into CONFIG.quality.tiers
+      override: null, // tier name pinned by setQuality() or data-quality
+      frames: new Float32Array(120),
+      count: 0, // frames recorded (capped at the buffer size)
+      head: 0,
+      sinceEval: 0,
+      lastChange: 0,
+      changes: 0,
+      jankFrames: 0,
+      workerParticles: null // last stats reply from nicer-fx-worker.js
+    };
 
-  function describeScene({ onStart, onComplete } = {}) {
-    const gHero = document.getElementById('scene-hero');
-    const gDescribe = document.getElementById('scene-describe');
-    const overlay = document.getElementById('epic-headline');
-    const hl1 = document.getElementById('hl-1');
-    const hl2 = document.getElementById('hl-2');
-    const hl3 = document.getElementById('hl-3');
-    const describeText = document.getElementById('describe-text');
+    const currentTier = () => CONFIG.quality.tiers[qualityState.tier];
 
-    const tl = gsap.timeline({ onStart, onComplete });
-    if (!gDescribe) return tl;
+    /** devicePixelRatio capped by CONFIG and the active quality tier. */
+    function deviceDpr() {
+      return Math.min(window.devicePixelRatio || 1, CONFIG.maxDevicePixelRatio, currentTier().dpr);
+    }
 
-    tl.add(() => { if (gHero) gsap.to(gHero, { opacity: 0, duration: 0.4 }); });
-    if (overlay && hl1 && hl2 && hl3) {
-      if (hasTextPlugin) {
-        tl.set([hl1, hl2, hl3], { text: '' })
-          .set(overlay, { opacity: 0 })
-          .to(overlay, { opacity: 1, duration: 0.4 })
-          .to(hl1, { text: 'AI for Notion Dashboards.', duration: 0.8, ease: 'none' }, '<')
-          .to(hl2, { text: 'Instantly. Beautifully.', duration: 0.8, ease: 'none' }, '+=0.1')
-          .to(hl3, { text: 'Smartly.', duration: 0.6, ease: 'none' }, '+=0.05')
-          .to(overlay, { opacity: 0, duration: 0.5, delay: 0.2 });
-      } else {
-        // Fallback if TextPlugin is unavailable
-        tl.set(overlay, { opacity: 1 })
-          .add(() => { hl1.textContent = 'AI for Notion Dashboards.'; })
-          .to({}, { duration: 0.8 })
-          .add(() => { hl2.textContent = 'Instantly. Beautifully.'; })
-          .to({}, { duration: 0.8 })
-          .add(() => { hl3.textContent = 'Smartly.'; })
-          .to({}, { duration: 0.6 })
-          .to(overlay, { opacity: 0, duration: 0.5 });
-      }
-    }
-
-    tl.to(gDescribe, { opacity: 1, duration: 0.6, ease: 'power1.out' });
-
-    if (describeText) {
-      // Simulated typing with caret
-      const caretId = 'describe-caret';
-      let caret = document.getElementById(caretId);
-      if (!caret) {
-        caret = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        caret.setAttribute('id', caretId);
-        caret.setAttribute('x', String(Number(describeText.getAttribute('x')) + 2 || 292));
-        caret.setAttribute('y', '322');
-        caret.setAttribute('width', '2');
-        caret.setAttribute('height', '24');
-        caret.setAttribute('fill', '#d1fae5');
-        gDescribe.appendChild(caret);
-      }
-      const fullText = "Team Project Tracker, with progress charts, to-do lists, deadlines";
-      if (hasTextPlugin) {
-        tl.set(describeText, { text: '' })
-          .to(describeText, { text: fullText, duration: 1.8, ease: 'none' }, '<')
-          .to(caret, { opacity: 0, duration: 0.4, repeat: 4, yoyo: true }, '<');
-      } else {
-        // Minimal fallback typing without plugin
-        tl.add(() => {
-          describeText.textContent = '';
-          let i = 0;
-          const step = Math.max(1, Math.floor(fullText.length / 28));
-          const typer = () => {
-            i = Math.min(fullText.length, i + step);
-            describeText.textContent = fullText.slice(0, i);
-            if (i < fullText.length) requestAnimationFrame(typer);
-          };
-          typer();
-        }, '<');
-        tl.to(caret, { opacity: 0, duration: 0.4, repeat: 4, yoyo: true }, '<');
+    function tierIndex(name) {
+      return CONFIG.quality.tiers.findIndex(t => t.name === name);
+    }
+
+    /** Starting tier: weaker devices (few cores, little memory, small screens) start one step down. */
+    function initialTier() {
+      const top = CONFIG.quality.tiers.length - 1;
+      const cores = navigator.hardwareConcurrency || 8;
+      const memory = navigator.deviceMemory || 8;
+      return cores <= 4 || memory <= 4 || isSmallScreen() ? Math.max(0, top - 1) : top;
+    }
+
+    function frameStats() {
+      const n = qualityState.count;
+      if (!n) return { avg: 0, p95: 0, worst: 0 };
+      const sorted = Array.prototype.slice.call(qualityState.frames, 0, n).sort((a, b) => a - b);
+      let sum = 0;
+      for (let i = 0; i < n; i++) sum += sorted[i];
+      return { avg: sum / n, p95: sorted[Math.min(n - 1, Math.floor(n * 0.95))], worst: sorted[n - 1] };
+    }
+
+    /** Push the active tier into every subsystem it governs. */
+    function applyQuality() {
+      const tier = currentTier();
+      const cardCount = Math.min(threeCardCount(), tier.threeCards);
+      if (state.threeBg) {
+        if (state.threeBackend === 'webgl' && state.threeAntialias !== tier.antialias) {
+          // Antialiasing is fixed per WebGL context: rebuild the scene, keeping the loop running
+          const running = state.threeBg.isRunning();
+          destroyThree();
+          initThree();
+          if (running && state.startThree) state.startThree();
+        } else {
+          state.threeBg.resize(state.threeRoot.clientWidth, state.threeRoot.clientHeight, deviceDpr());
+          state.threeBg.setVisible(cardCount);
+        }
+      } else if (state.fxWorker && state.fxWorker.three) {
+        // The worker's context keeps the antialias setting it was created with
+        state.fxWorker.worker.postMessage({ type: 'cards', count: cardCount });
+      }
+      if (state.fxWorker) state.fxWorker.worker.postMessage({ type: 'budget', count: particleBudget() });
+      else if (state.particles) state.particles.setBudget(particleBudget());
+      resizeParticles();
+      if (state.ambientBlobTween) {
+        if (tier.ambientBlobs && state.ambientTL) state.ambientBlobTween.resume();
+        else state.ambientBlobTween.pause();
       }
     }
 
-    return tl;
-  }
+    function setQualityTier(index, reason) {
+      const next = Math.max(0, Math.min(CONFIG.quality.tiers.length - 1, index));
+      if (next === qualityState.tier) return;
+      qualityState.tier = next;
+      qualityState.lastChange = performance.now();
+      qualityState.changes += 1;
+      qualityState.count = 0;
+      qualityState.head = 0;
+      if (state.initialized) applyQuality();
+      if (CONFIG.debug) console.info(`[NicerCinematic] Quality → ${currentTier().name} (${reason})`);
+      emit('quality:change', { tier: currentTier().name, reason });
+    }
 
-  function aiScene({ onStart, onComplete } = {}) {
-    const gAI = document.getElementById('scene-ai');
-    const tl = gsap.timeline({ onStart, onComplete });
-    if (!gAI) return tl;
-
-    tl.to(['#scene-describe'], { opacity: 0, duration: 0.3 })
-      .to(gAI, { opacity: 1, duration: 0.6, ease: 'power1.out' })
-      .add(() => {
-        // Stroke reveal without external plugins
-        const paths = state.svg ? state.svg.querySelectorAll('#ai-circuits path') : [];
-        paths.forEach((p, i) => {
-          const len = p.getTotalLength();
-          p.style.strokeDasharray = String(len);
-          p.style.strokeDashoffset = String(len);
-          gsap.to(p, { strokeDashoffset: 0, duration: 1.0, ease: 'power1.inOut', delay: i * 0.08 });
-        });
-      })
-      .to('#scene-ai circle', { scale: 1.05, transformOrigin: '50% 50%', yoyo: true, repeat: 3, duration: 0.35 }, '<')
-      .add(() => {
-        const rect = state.stage.getBoundingClientRect();
-        particlesBurst({ x: rect.width / 2, y: rect.height / 2, color: '#10B981', count: state.prefersReducedMotion ? CONFIG.particles.minCount : 40 });
-      }, '-=0.3');
+    function evaluateQuality(now) {
+      const q = CONFIG.quality;
+      if (qualityState.override || qualityState.count < q.window / 2) return;
+      const { avg, p95 } = frameStats();
+      const since = now - qualityState.lastChange;
+      if ((avg > q.downshiftAvgMs || p95 > q.downshiftP95Ms) && since > q.downshiftCooldownMs) {
+        setQualityTier(qualityState.tier - 1, 'auto');
+      } else if (avg < q.upshiftAvgMs && p95 < q.upshiftP95Ms && since > q.upshiftCooldownMs && qualityState.count >= q.window) {
+        setQualityTier(qualityState.tier + 1, 'auto');
+      }
+    }
 
-    return tl;
-  }
+    /**
+     * Frame monitor feeding the quality governor (and, with CONFIG.debug, jank warnings). It runs with the
+     * ambient loops — only while the demo plays on screen — so scrolling and other page work around an
+     * idle or hidden demo never count against its tier. Gaps longer than CONFIG.quality.stallMs (hidden
+     * tab, breakpoints) are not frames and are skipped.
+     */
+    function startPerfMonitor() {
+      if (state.perf.rafId) return;
+      const q = CONFIG.quality;
+      if (qualityState.frames.length !== q.window) qualityState.frames = new Float32Array(q.window);
+      const tick = (time) => {
+        state.perf.rafId = requestAnimationFrame(tick);
+        const last = state.perf.lastTime;
+        state.perf.lastTime = time;
+        if (!last) return;
+        const delta = time - last;
+        if (delta > q.stallMs) return;
+        if (delta > state.perf.jankThresholdMs) {
+          qualityState.jankFrames += 1;
+          if (CONFIG.debug) {
+            state.perf.warnCount += 1;
+            console.warn(`[NicerCinematic] Frame jank detected: ${Math.round(delta)}ms`);
+          }
+        }
+        qualityState.frames[qualityState.head] = delta;
+        qualityState.head = (qualityState.head + 1) % q.window;
+        qualityState.count = Math.min(qualityState.count + 1, q.window);
+        if (++qualityState.sinceEval >= q.evaluateEvery) {
+          qualityState.sinceEval = 0;
+          evaluateQuality(time);
+          if (state.fxWorker) state.fxWorker.worker.postMessage({ type: 'stats' });
+        }
+      };
+      state.perf.rafId = requestAnimationFrame(tick);
+    }
 
-  function customizeScene({ onStart, onComplete } = {}) {
-    const gCustomize = document.getElementById('scene-customize');
-    const sliderKnob = document.getElementById('slider-knob');
-    const tl = gsap.timeline({ onStart, onComplete });
-    if (!gCustomize) return tl;
-
-    tl.to('#scene-ai', { opacity: 0, duration: 0.3 })
-      .to(gCustomize, { opacity: 1, duration: 0.6 })
-      .from(['#custom-card-1', '#custom-card-2', '#custom-card-3'], { y: 14, opacity: 0, duration: 0.6, stagger: 0.1, ease: 'power2.out' })
-      .to('#custom-card-1, #custom-card-2, #custom-card-3', { fill: 'rgba(16,185,129,0.18)', duration: 0.8, stagger: 0.1 }, '<')
-      .to('#palette', { attr: { width: 160 }, duration: 0.6 }, '<');
-    if (sliderKnob) tl.to(sliderKnob, { attr: { cx: 440 }, duration: 0.8, ease: 'power1.inOut' }, '<');
-    return tl;
-  }
+    function stopPerfMonitor() {
+      if (state.perf.rafId) cancelAnimationFrame(state.perf.rafId);
+      state.perf.rafId = 0;
+      state.perf.lastTime = 0;
+    }
 
-  function noCodeScene({ onStart, onComplete } = {}) {
-    const gNoCode = document.getElementById('scene-nocode');
-    const tl = gsap.timeline({ onStart, onComplete });
-    if (!gNoCode) return tl;
+    /** Pin a tier by name, or 'auto' (or null) to let the governor decide. Returns the active tier name. */
+    function setQuality(name) {
+      if (name == null || name === 'auto') {
+        qualityState.override = null;
+        qualityState.lastChange = performance.now();
+        return currentTier().name;
+      }
+      const index = tierIndex(name);
+      if (index === -1) {
+        console.warn(`[NicerCinematic] setQuality: unknown tier "${name}"`);
+        return currentTier().name;
+      }
+      qualityState.override = name;
+      setQualityTier(index, 'override');
+      return name;
+    }
 
-    tl.to('#scene-customize', { opacity: 0, duration: 0.3 })
-      .to(gNoCode, { opacity: 1, duration: 0.4 })
-      .from(gNoCode, { rotation: -1, transformOrigin: '50% 50%', duration: 0.4 })
-      .to(gNoCode, { x: 280, rotation: -18, duration: 0.6, ease: 'power2.in' })
-      .add(() => {
-        const rect = state.stage.getBoundingClientRect();
-        particlesBurst({ x: rect.width - 120, y: rect.height / 2 - 40, color: '#22d3ee', count: state.prefersReducedMotion ? CONFIG.particles.minCount : 24 });
+    function getPerfStats() {
+      const { avg, p95, worst } = frameStats();
+      const particles = state.fxWorker ? qualityState.workerParticles : (state.particles ? state.particles.stats() : null);
+      return {
+        fps: avg ? Math.round(1000 / avg) : 0,
+        avgFrameMs: +avg.toFixed(2),
+        p95FrameMs: +p95.toFixed(2),
+        worstFrameMs: +worst.toFixed(2),
+        samples: qualityState.count,
+        jankFrames: qualityState.jankFrames,
+        tier: currentTier().name,
+        mode: qualityState.override ? 'override' : 'auto',
+        changes: qualityState.changes,
+        dpr: deviceDpr(),
+        threeCards: state.threeBg || (state.fxWorker && state.fxWorker.three) ? Math.min(threeCardCount(), currentTier().threeCards) : 0,
+        renderer: state.fxWorker ? 'worker' : 'main',
+        backend: state.threeBackend,
+        particles
+      };
+    }
+
+    /**
+     * Immediately reveal hero group at minimal viable opacity so UI feels responsive.
+     */
+    function ensureImmediateVisibility() {
+      const id = requestAnimationFrame(() => {
+        const gHero = byId('scene-hero');
+        if (gHero) gHero.style.opacity = '1';
       });
-    return tl;
-  }
+      trackCleanup(() => cancelAnimationFrame(id));
+    }
 
-  function notionScene({ onStart, onComplete } = {}) {
-    const gNotion = document.getElementById('scene-notion');
-    const tl = gsap.timeline({ onStart, onComplete });
-    if (!gNotion) return tl;
-
-    tl.to('#scene-nocode', { opacity: 0, duration: 0.3 })
-      .to(gNotion, { opacity: 1, duration: 0.5 })
-      .from('#import-panel', { x: -40, opacity: 0, duration: 0.6 })
-      .to('#import-panel', { x: 260, duration: 0.9, ease: 'power2.inOut' })
-      .to('#target-notion', { scale: 1.08, transformOrigin: '50% 50%', yoyo: true, repeat: 1, duration: 0.45 });
-    return tl;
-  }
+    function stageMetrics() {
+      const rect = state.stage.getBoundingClientRect();
+      return { width: rect.width, height: rect.height, dpr: deviceDpr() };
+    }
 
-  function securityScene({ onStart, onComplete } = {}) {
-    const gSecurity = document.getElementById('scene-security');
-    const tl = gsap.timeline({ onStart, onComplete });
-    if (!gSecurity) return tl;
+    /** Size the particle canvas (and the worker's Three.js canvas) to the stage — init and resize only. */
+    function resizeParticles() {
+      if (!state.stage) return;
+      if (state.fxWorker) {
+        state.fxWorker.worker.postMessage({ type: 'resize', ...stageMetrics() });
+        return;
+      }
+      if (!state.particles) return;
+      const { width, height, dpr } = stageMetrics();
+      state.particles.resize(width, height, dpr);
+    }
 
-    tl.to('#scene-notion', { opacity: 0, duration: 0.3 })
-      .to(gSecurity, { opacity: 1, duration: 0.5 })
-      .from('#shield', { scale: 0.6, transformOrigin: '50% 50%', opacity: 0, duration: 0.6, ease: 'back.out(1.6)' })
-      .to('#shield', { rotation: 360, transformOrigin: '50% 50%', duration: 1.2, ease: 'power1.inOut' });
-    return tl;
-  }
+    /** Live-particle budget for the screen size and quality tier. */
+    function particleBudget() {
+      return Math.max(1, Math.round((isSmallScreen() ? CONFIG.mobile.particleBudget : CONFIG.particles.budget) * currentTier().particleScale));
+    }
 
-  function typesScene({ onStart, onComplete } = {}) {
-    const gTypes = document.getElementById('scene-types');
-    const typeLabel = document.getElementById('type-label');
-    const tl = gsap.timeline({ onStart, onComplete });
-    if (!gTypes || !typeLabel) return tl;
-
-    const titles = ['Project Tracker', 'Sales CRM', 'Analytics Board', 'Content Calendar', 'Team Dashboard'];
-    tl.to('#scene-security', { opacity: 0, duration: 0.3 })
-      .to(gTypes, { opacity: 1, duration: 0.5 })
-      .from('#scene-types rect', { y: 10, opacity: 0, duration: 0.6, stagger: 0.08 });
-    titles.forEach((t, i) => {
-      tl.to(typeLabel, { text: t, duration: 0.4, ease: 'none' });
-      tl.to('#scene-types rect', { scale: (i % 3) + 1.0, transformOrigin: '50% 50%', duration: 0.4, yoyo: true }, '<');
-      tl.to({}, { duration: 0.6 });
-    });
-    return tl;
-  }
+    function particleEngineOptions() {
+      return {
+        poolSize: CONFIG.particles.poolSize,
+        budget: particleBudget(),
+        jankMs: state.perf.jankThresholdMs,
+        minQuality: CONFIG.particles.minQuality,
+        gravity: CONFIG.particles.gravity
+      };
+    }
 
-  function signupScene({ onStart, onComplete } = {}) {
-    const gSignup = document.getElementById('scene-signup');
-    const mail = document.getElementById('mail');
-    const sendBtn = document.getElementById('send-btn');
-    const tl = gsap.timeline({ onStart, onComplete });
-    if (!gSignup || !mail || !sendBtn) return tl;
-
-    tl.to('#scene-types', { opacity: 0, duration: 0.3 })
-      .to(gSignup, { opacity: 1, duration: 0.5 })
-      .from(sendBtn, { scale: 0.9, opacity: 0, duration: 0.4 })
-      .to(mail, { x: 140, y: 46, rotation: 10, duration: 0.8, ease: 'power2.inOut' })
-      .add(() => {
-        const rect = state.stage.getBoundingClientRect();
-        particlesBurst({ x: rect.width * 0.62, y: rect.height * 0.46, color: '#10B981', count: state.prefersReducedMotion ? CONFIG.particles.minCount : CONFIG.particles.burstCount });
-      })
-      .to({}, { duration: 0.4 });
-    return tl;
-  }
+    /** The shared particle engine, created on first use; null without nicer-particles.js or a canvas. */
+    function getParticleEngine() {
+      if (state.particles) return state.particles;
+      if (!state.fxCanvas || state.fxWorker) return null; // a transferred canvas belongs to the worker
+      if (!window.NicerParticles) {
+        if (!state.particlesMissingWarned) console.warn('[NicerCinematic] nicer-particles.js not loaded; particle bursts disabled.');
+        state.particlesMissingWarned = true;
+        return null;
+      }
+      state.particles = window.NicerParticles.createEngine({ canvas: state.fxCanvas, ...particleEngineOptions() });
+      resizeParticles();
+      return state.particles;
+    }
 
-  /**
-   * Build master timeline in a reusable way.
-   */
-  function buildMasterTimeline() {
-    const tl = gsap.timeline({ repeat: -1, repeatDelay: 0.6 });
-    tl.add(heroScene({}))
-      .add(describeScene({}))
-      .add(aiScene({}))
-      .add(customizeScene({}))
-      .add(noCodeScene({}))
-      .add(notionScene({}))
-      .add(securityScene({}))
-      .add(typesScene({}))
-      .add(signupScene({}));
-    return tl;
-  }
+    /**
+     * Particle burst on the shared engine; overlapping bursts share one loop and one canvas clear.
+     * @param {{ x:number, y:number, color?:string, colors?:string[], count?:number, shape?:string, trail?:number }} opts
+     */
+    function particlesBurst(opts) {
+      const { x, y } = opts;
+      const color = opts.color || themeColor('accent');
+      const baseCount = opts.count || CONFIG.particles.defaultCount;
+      if (state.prefersReducedMotion) return;
+      if (!state.fxWorker && !getParticleEngine()) return;
+
+      const dpr = deviceDpr();
+      const scale = (isSmallScreen() ? CONFIG.mobile.particleScale : 1) * currentTier().particleScale;
+      const count = Math.max(1, Math.round(baseCount * scale * (dpr > 1.5 ? 0.9 : 1)));
+
+      playCue('burst', { count });
+      const burst = { ...opts, x, y, color, count, shape: opts.shape || CONFIG.particles.shape };
+      if (state.fxWorker) state.fxWorker.worker.postMessage({ type: 'burst', opts: burst });
+      else state.particles.burst(burst);
+    }
 
-  /**
-   * Ambient infinite promo loops — non-blocking, active only while demo is playing.
-   */
-  function startAmbientLoops() {
-    if (state.ambientTL) return;
-    const stage = state.stage;
+    /**
+     * Off-main-thread rendering (nicer-fx-worker.js, opt-in via CONFIG.offscreen or data-offscreen).
+     * #fx-canvas — and a WebGL canvas for the Three.js background where OffscreenCanvas supports WebGL —
+     * are transferred to a worker; the main thread only posts spawns, sizes, parallax and theme colours.
+     * Without OffscreenCanvas, or when the worker fails, everything renders on the main thread as before.
+     */
+    function offscreenSupport() {
+      const canTransfer = typeof window.Worker === 'function' && typeof window.OffscreenCanvas === 'function'
+        && !!window.HTMLCanvasElement && 'transferControlToOffscreen' in window.HTMLCanvasElement.prototype;
+      if (!canTransfer) return { particles: false, three: false };
+      let webgl = false;
+      try {
+        const probe = new window.OffscreenCanvas(1, 1);
+        webgl = !!(probe.getContext('webgl2') || probe.getContext('webgl'));
+      } catch (_) {}
+      return { particles: true, three: webgl };
+    }
+
+    function initFxWorker() {
+      if (!(CONFIG.offscreen.enabled || state.stage.hasAttribute('data-offscreen'))) return;
+      if (state.prefersReducedMotion || !state.fxCanvas) return; // nothing animates off-thread then
+      const support = offscreenSupport();
+      if (!support.particles) return;
+
+      let worker;
+      try {
+        worker = new Worker(CONFIG.offscreen.workerUrl);
+      } catch (e) {
+        console.warn('[NicerCinematic] FX worker unavailable; rendering on the main thread.', e);
+        return;
+      }
+      const metrics = stageMetrics();
+      const fxOffscreen = state.fxCanvas.transferControlToOffscreen();
+      const msg = { type: 'init', particles: { canvas: fxOffscreen, options: particleEngineOptions() }, three: null };
+      const transfer = [fxOffscreen];
+
+      let threeCanvas = null;
+      if (support.three && hasTHREE && state.threeRoot) {
+        threeCanvas = document.createElement('canvas');
+        threeCanvas.style.cssText = 'display:block;width:100%;height:100%;';
+        state.threeRoot.appendChild(threeCanvas);
+        const threeOffscreen = threeCanvas.transferControlToOffscreen();
+        msg.three = {
+          canvas: threeOffscreen,
+          url: CONFIG.offscreen.threeUrl,
+          ...metrics,
+          antialias: currentTier().antialias,
+          cards: threeCardCount(),
+          visibleCards: Math.min(threeCardCount(), currentTier().threeCards),
+          colors: threeColors(),
+          config: { ...CONFIG.three },
+          scene: state.currentScene,
+          camera: { ...state.threeCamera }
+        };
+        transfer.push(threeOffscreen);
+      }
 
-    // Ensure Three is ready (on-demand init if user clicks very quickly)
-    if (!state.startThree && hasTHREE && state.threeRoot && !state.prefersReducedMotion) {
-      try { initThree(); } catch (_) {}
+      const fx = { worker, three: !!threeCanvas, threeCanvas, ready: false, running: false };
+      state.fxWorker = fx;
+      if (fx.three) {
+        state.startThree = () => { fx.running = true; worker.postMessage({ type: 'three', running: true }); };
+        state.stopThree = () => { fx.running = false; worker.postMessage({ type: 'three', running: false }); };
+        state.threeBackend = 'webgl-worker';
+        reportBackend();
+      }
+      worker.onmessage = (e) => {
+        const data = e.data || {};
+        if (data.type === 'stats') {
+          qualityState.workerParticles = data.particles;
+        } else if (data.type === 'context') {
+          // The worker pauses and rebuilds its own scene; only the reported state changes here
+          state.threeContextLost = !!data.lost;
+          reportBackend();
+        } else if (data.type === 'ready') {
+          fx.ready = true;
+          if (fx.three && !data.three && state.fxWorker === fx) fallbackThree(fx);
+        } else if (data.type === 'error') {
+          if (fx.ready) console.warn(`[NicerCinematic] FX worker: ${data.message}`);
+          else if (state.fxWorker === fx) fallbackToMainThread(data.message);
+        }
+      };
+      worker.onerror = (e) => {
+        if (e && e.preventDefault) e.preventDefault();
+        if (state.fxWorker === fx) fallbackToMainThread(e && e.message ? e.message : 'worker error');
+      };
+      worker.postMessage(msg, transfer);
+      resizeParticles();
     }
 
-    state.ambientTL = gsap.timeline({ repeat: -1, defaults: { ease: 'sine.inOut' } });
-    state.ambientTL.to(stage, { boxShadow: '0 0 60px rgba(16,185,129,0.18)', duration: 3, yoyo: true }, 0);
+    /** A transferred canvas can never be drawn on again; swap in an untouched copy. */
+    function replaceCanvas(el) {
+      if (!el || !el.parentNode) return el;
+      const fresh = el.cloneNode(false);
+      el.parentNode.replaceChild(fresh, el);
+      return fresh;
+    }
 
-    const blobs = document.querySelectorAll('#story .absolute.inset-0.pointer-events-none .absolute');
-    if (blobs.length) {
-      gsap.to(blobs, { xPercent: 8, yPercent: -6, duration: 14, yoyo: true, repeat: -1, ease: 'sine.inOut', stagger: { each: 2, yoyo: true } });
+    /** Stop and forget the worker, handing both canvases back to the main thread. */
+    function releaseFxWorker() {
+      const fx = state.fxWorker;
+      if (!fx) return null;
+      state.fxWorker = null;
+      try { fx.worker.postMessage({ type: 'destroy' }); } catch (_) {}
+      try { fx.worker.terminate(); } catch (_) {}
+      state.fxCanvas = replaceCanvas(state.fxCanvas);
+      if (fx.threeCanvas && fx.threeCanvas.parentNode) fx.threeCanvas.parentNode.removeChild(fx.threeCanvas);
+      if (fx.three) {
+        state.startThree = null;
+        state.stopThree = null;
+        state.threeBackend = 'none';
+        state.threeContextLost = false;
+      }
+      return fx;
     }
 
-    // Start gentle float only after hero unlocks
-    if (!state.lockLogoCenter && document.getElementById('notion-logo') && !state.logoFloatTween) {
-      state.logoFloatTween = gsap.to('#notion-logo', { y: '+=6', duration: 2.2, yoyo: true, repeat: -1, ease: 'sine.inOut' });
+    /** The worker could not render WebGL after all: build the Three.js scene here instead. */
+    function fallbackThree(fx) {
+      fx.three = false;
+      if (fx.threeCanvas && fx.threeCanvas.parentNode) fx.threeCanvas.parentNode.removeChild(fx.threeCanvas);
+      fx.threeCanvas = null;
+      state.startThree = null;
+      state.stopThree = null;
+      state.threeBackend = 'none';
+      initThree();
+      if (fx.running && state.startThree) state.startThree();
     }
 
-    const circuitPaths = state.svg ? state.svg.querySelectorAll('#ai-circuits path') : [];
-    if (circuitPaths.length) {
-      gsap.to(circuitPaths, { opacity: 0.45, duration: 1.2, yoyo: true, repeat: -1, stagger: 0.1 });
+    function fallbackToMainThread(reason) {
+      console.warn(`[NicerCinematic] FX worker failed (${reason}); rendering on the main thread.`);
+      const fx = releaseFxWorker();
+      if (fx && fx.three) {
+        initThree();
+        if (fx.running && state.startThree) state.startThree();
+      }
     }
 
-    const schedule = () => {
-      const baseMin = 2, baseMax = 3.5;
-      const min = isSmallScreen() ? CONFIG.mobile.ambientMinDelay : baseMin;
-      const max = isSmallScreen() ? CONFIG.mobile.ambientMaxDelay : baseMax;
-      const delay = min + Math.random() * (max - min);
-      state.ambientBurstDC = gsap.delayedCall(delay, () => {
-        const rect = stage.getBoundingClientRect();
-        const x = rect.width * (0.4 + Math.random() * 0.2);
-        const y = rect.height * (0.35 + Math.random() * 0.3);
-        particlesBurst({ x, y, color: Math.random() > 0.5 ? '#10B981' : '#34d399', count: state.prefersReducedMotion ? CONFIG.particles.minCount : (20 + Math.floor(Math.random() * 20)) });
-        schedule();
-      });
-    };
-    schedule();
+    function threeCardCount() {
+      return isSmallScreen() ? Math.min(CONFIG.three.cards, CONFIG.mobile.threeCards) : CONFIG.three.cards;
+    }
 
-    // Start Three.js loop only when ambient begins (i.e., when demo is active)
-    if (state.startThree) state.startThree(); else requestAnimationFrame(() => { if (state.startThree) state.startThree(); });
-  }
+    /** Theme colours the Three.js background paints its cards and light with. */
+    function threeColors() {
+      const theme = THEMES[themeState.current] || THEMES.emerald;
+      return { light: theme.threeLight, cards: theme.threeCards.slice(), accent: theme.accent, text: theme.text };
+    }
 
-  function stopAmbientLoops() {
-    if (state.ambientTL) { try { state.ambientTL.kill(); } catch (_) {} state.ambientTL = null; }
-    if (state.ambientBurstDC) { try { state.ambientBurstDC.kill(); } catch (_) {} state.ambientBurstDC = null; }
-    if (state.stopThree) state.stopThree();
-    if (state.logoFloatTween) { try { state.logoFloatTween.kill(); } catch (_) {} state.logoFloatTween = null; }
-  }
+    /** Tell the background which story scene is on stage (cards regroup for some scenes). */
+    function syncThreeScene(name) {
+      if (state.threeBg) state.threeBg.setScene(name);
+      else if (state.fxWorker && state.fxWorker.three) state.fxWorker.worker.postMessage({ type: 'scene', name });
+    }
 
-  /** Pause/resume control by scroll/visibility */
-  function initVisibilityControls() {
-    if (hasScrollTrigger) {
-      ScrollTrigger.create({
-        trigger: state.stage,
-        start: 'top 80%',
-        end: 'bottom top',
-        onEnter: () => { /* only start ambient when playing */ },
-        onLeave: () => {
-          if (state.masterTL) {
-            state.wasPlaying = !state.masterTL.paused();
-            state.masterTL.pause();
-            stopAmbientLoops();
-          }
-        },
-        onEnterBack: () => {
-          if (state.masterTL && state.wasPlaying) {
-            startAmbientLoops();
-            state.masterTL.play();
-          }
-        },
-        onLeaveBack: () => {
-          if (state.masterTL) {
-            state.wasPlaying = !state.masterTL.paused();
-            state.masterTL.pause();
-            stopAmbientLoops();
-          }
-        },
-      });
-    } else {
-      // Fallback: IntersectionObserver
-      const io = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-          if (!entry.isIntersecting && state.masterTL) {
-            state.wasPlaying = !state.masterTL.paused();
-            state.masterTL.pause();
-            stopAmbientLoops();
-          } else if (entry.isIntersecting && state.masterTL && state.wasPlaying) {
-            startAmbientLoops();
-            state.masterTL.play();
-          }
-        });
-      }, { threshold: 0.1 });
-      io.observe(state.stage);
-      // Track cleanup properly
-      trackCleanup(() => { try { io.disconnect(); } catch (_) {} });
+    /**
+     * WebGL available at all? Probed once on a throwaway canvas; three.js would otherwise throw mid-init.
+     */
+    let webglSupport = null;
+    function detectWebGL() {
+      if (webglSupport !== null) return webglSupport;
+      webglSupport = false;
+      if (!window.WebGLRenderingContext) return webglSupport;
+      try {
+        const probe = document.createElement('canvas');
+        webglSupport = !!(probe.getContext('webgl2') || probe.getContext('webgl') || probe.getContext('experimental-webgl'));
+      } catch (_) {}
+      return webglSupport;
     }
 
-    const onVisibility = () => {
-      if (document.hidden && state.masterTL) { state.wasPlaying = !state.masterTL.paused(); state.masterTL.pause(); stopAmbientLoops(); }
-      else if (!document.hidden && state.masterTL && state.wasPlaying) { startAmbientLoops(); state.masterTL.play(); }
-    };
-    on(document, 'visibilitychange', onVisibility);
+    /** Which backend draws the background layer and whether its context is lost. */
+    function getRenderBackend() {
+      return {
+        three: state.threeBackend,
+        particles: state.fxWorker ? 'worker' : (state.particles || window.NicerParticles ? 'main' : 'none'),
+        contextLost: state.threeContextLost
+      };
+    }
 
-    // Orientation handling
-    on(window, 'orientationchange', () => { if (hasScrollTrigger) requestAnimationFrame(() => ScrollTrigger.refresh()); }, { passive: true });
+    /** Emit 'backend:change' when the background backend or its context state changed since the last report. */
+    function reportBackend() {
+      const info = getRenderBackend();
+      const key = `${info.three}:${info.contextLost}`;
+      if (key === state.reportedBackend) return;
+      state.reportedBackend = key;
+      emit('backend:change', { backend: info.three, contextLost: info.contextLost, particles: info.particles });
+    }
 
-    // Resize observer to react to stage size changes
-    if (window.ResizeObserver) {
-      const ro = new ResizeObserver(() => {
-        try {
-          // Resize canvas to stage
-          const rect = state.stage.getBoundingClientRect();
-          if (state.fxCanvas) { state.fxCanvas.width = rect.width; state.fxCanvas.height = rect.height; }
-          // Update three renderer size
-          if (state.renderer && state.threeRoot) {
-            const w = state.threeRoot.clientWidth;
-            const h = state.threeRoot.clientHeight;
-            state.renderer.setSize(w, h);
-            if (state.camera) { state.camera.aspect = w / h; state.camera.updateProjectionMatrix(); }
+    /**
+     * Initialize the background layer: instanced Three.js dashboard cards (nicer-three-bg.js) that drift and
+     * regroup with the story, or — without WebGL — a handful of drifting DOM cards (CONFIG.three.fallback).
+     * Renders one frame; the loop starts with the ambient visuals.
+     */
+    function initThree() {
+      if (!state.threeRoot || state.prefersReducedMotion) return; // reduce intensity
+      if (state.fxWorker && state.fxWorker.three) return; // rendered by nicer-fx-worker.js
+      if (state.threeBg) return;
+
+      let bg = null;
+      if (hasTHREE && detectWebGL()) {
+        if (!window.NicerThreeBackground) {
+          console.warn('[NicerCinematic] nicer-three-bg.js not loaded; 3D background disabled.');
+        } else {
+          try {
+            bg = createWebGLBackground();
+          } catch (e) {
+            console.warn('[NicerCinematic] WebGL background failed; using the fallback.', e);
           }
-          if (hasScrollTrigger) ScrollTrigger.refresh();
-        } catch (_) {}
-      });
-      ro.observe(state.stage);
-      trackCleanup(() => { try { ro.disconnect(); } catch (_) {} });
+        }
+      }
+      if (!bg && CONFIG.three.fallback === 'css') bg = createCssBackground();
+      state.threeContextLost = false;
+      if (!bg) {
+        state.threeBackend = 'none';
+        reportBackend();
+        return;
+      }
+
+      state.threeRoot.appendChild(bg.domElement);
+      bg.setScene(state.currentScene);
+      bg.setCamera(state.threeCamera.x, state.threeCamera.y);
+
+      state.threeBg = bg;
+      state.threeBackend = bg.backend;
+      state.threeAntialias = currentTier().antialias;
+      state.startThree = () => bg.start();
+      state.stopThree = () => bg.stop();
+      reportBackend();
     }
-  }
 
-  /** Build and wire master controls (no autoplay) */
-  function wireControls() {
-    // Build but do not autoplay
-    if (!state.masterTL) {
-      state.masterTL = buildMasterTimeline();
-      state.masterTL.pause(0);
-      if (state.prefersReducedMotion) state.masterTL.timeScale(CONFIG.reducedMotionScale);
+    function createWebGLBackground() {
+      const bg = window.NicerThreeBackground.create(THREE, {
+        width: state.stage.clientWidth,
+        height: state.stage.clientHeight,
+        dpr: deviceDpr(),
+        antialias: currentTier().antialias,
+        count: threeCardCount(), // built once; the quality tier only changes how many are drawn
+        visible: Math.min(threeCardCount(), currentTier().threeCards),
+        colors: threeColors(),
+        config: CONFIG.three,
+        sceneModes: CONFIG.three.sceneModes,
+        onContextLost: () => {
+          // The loop is already paused; keep the dead canvas in place until the context comes back
+          if (state.threeBg !== bg) return;
+          state.threeContextLost = true;
+          reportBackend();
+        },
+        onContextRestored: ({ resume }) => {
+          // GPU resources did not survive: rebuild from state (scene, theme, tier, camera)
+          if (state.threeBg !== bg) return;
+          destroyThree();
+          initThree();
+          if (resume && state.startThree) state.startThree();
+        }
+      });
+      bg.backend = 'webgl';
+      return bg;
     }
 
-    const playBtn = document.getElementById('launch-demo');
-    if (playBtn) {
-      const onPlay = () => {
-        if (!state.masterTL) return;
-        startAmbientLoops();
-        state.masterTL.play(0);
+    /**
+     * Fallback without WebGL: a few translucent DOM cards that drift with GSAP. Same surface as the
+     * nicer-three-bg.js background so the rest of the engine does not care which one it drives.
+     */
+    function createCssBackground() {
+      const layer = document.createElement('div');
+      layer.className = 'nicer-css-bg';
+      layer.setAttribute('aria-hidden', 'true');
+      layer.style.cssText = 'position:absolute;inset:0;overflow:hidden;pointer-events:none;';
+      const colors = threeColors();
+      const count = Math.min(threeCardCount(), CONFIG.three.cssCards);
+      const cards = [];
+      const tweens = [];
+      for (let i = 0; i < count; i++) {
+        const card = document.createElement('div');
+        const w = gsap.utils.random(8, 16);
+        card.style.cssText = `position:absolute;left:${gsap.utils.random(0, 100 - w)}%;top:${gsap.utils.random(5, 80)}%;`
+          + `width:${w}%;aspect-ratio:4/3;border-radius:10px;opacity:${CONFIG.three.cardOpacity};`
+          + `background:${colors.cards[i % colors.cards.length]};border:1px solid ${themeColor('accent', 0.25)};`;
+        layer.appendChild(card);
+        cards.push(card);
+        tweens.push(gsap.to(card, {
+          x: gsap.utils.random(-40, 40), y: gsap.utils.random(-30, 30), rotation: gsap.utils.random(-6, 6),
+          duration: gsap.utils.random(8, 14), yoyo: true, repeat: -1, ease: 'sine.inOut', paused: true
+        }));
+      }
+      let running = false;
+      const bg = {
+        backend: 'css',
+        domElement: layer,
+        resize() {}, // laid out in percentages
+        setCamera(x, y) { gsap.to(layer, { x: -x * 8, y: y * 8, duration: 0.6, ease: 'power2.out', overwrite: 'auto' }); },
+        setScene() {},
+        setVisible(n) { cards.forEach((card, i) => { card.style.display = i < n ? '' : 'none'; }); },
+        setColors(next, duration = 0) {
+          cards.forEach((card, i) => gsap.to(card, { backgroundColor: next.cards[i % next.cards.length], duration }));
+        },
+        start() { running = true; tweens.forEach(t => t.play()); },
+        stop() { running = false; tweens.forEach(t => t.pause()); },
+        isRunning() { return running; },
+        isContextLost() { return false; },
+        render() {},
+        dispose() {
+          tweens.forEach(t => t.kill());
+          gsap.killTweensOf(layer);
+          cards.forEach(card => gsap.killTweensOf(card));
+        }
       };
-      on(playBtn, 'click', onPlay, { passive: true });
+      bg.setVisible(Math.min(count, currentTier().threeCards));
+      return bg;
     }
-  }
 
-  /** Public API */
-  function exposeAPI() {
-    window.NicerCinematic = {
-      play() { if (state.masterTL) { startAmbientLoops(); state.masterTL.play(0); } },
-      pause() { if (state.masterTL) { state.masterTL.pause(); stopAmbientLoops(); } },
-      reset() { if (state.masterTL) { state.masterTL.pause(0); stopAmbientLoops(); } },
-      setTimeScale(scale) { if (state.masterTL && typeof scale === 'number') state.masterTL.timeScale(scale); },
-      isActive() { return !!(state.masterTL && state.masterTL.isActive()); },
-      destroy() { teardown(); },
-      rebuild() { teardown(); initialize(); },
-      version: '1.1.0'
-    };
-  }
+    /**
+     * Simulate a WebGL context loss (for testing the recovery path without a GPU). Uses WEBGL_lose_context
+     * when the context offers it, otherwise dispatches the DOM events; restores after `restoreAfter` ms
+     * when given. Returns false when no WebGL background is active.
+     */
+    function simulateContextLoss(restoreAfter) {
+      if (state.threeBackend === 'webgl-worker' && state.fxWorker) {
+        const worker = state.fxWorker.worker;
+        worker.postMessage({ type: 'context', lost: true });
+        if (typeof restoreAfter === 'number') setTimeout(() => worker.postMessage({ type: 'context', lost: false }), restoreAfter);
+        return true;
+      }
+      const bg = state.threeBg;
+      if (state.threeBackend !== 'webgl' || !bg) {
+        console.warn('[NicerCinematic] simulateContextLoss: no WebGL background active.');
+        return false;
+      }
+      let ext = null;
+      try { ext = bg.renderer.getContext().getExtension('WEBGL_lose_context'); } catch (_) {}
+      const el = bg.domElement;
+      if (ext) ext.loseContext();
+      else el.dispatchEvent(new Event('webglcontextlost', { cancelable: true }));
+      if (typeof restoreAfter === 'number') {
+        setTimeout(() => {
+          if (ext) ext.restoreContext();
+          else el.dispatchEvent(new Event('webglcontextrestored'));
+        }, restoreAfter);
+      }
+      return true;
+    }
 
-  /** Cleanup all resources */
-  function teardown() {
-    try { stopPerfMonitor(); } catch (_) {}
-    try { stopAmbientLoops(); } catch (_) {}
+    /** Kill/cleanup the background layer (geometry, textures, materials, renderer or DOM cards) */
+    function destroyThree() {
+      if (state.threeBg) {
+        try { state.threeBg.dispose(); } catch (_) {}
+        const el = state.threeBg.domElement;
+        if (el && el.parentNode) el.parentNode.removeChild(el);
+      }
+      state.threeBg = null;
+      if (!(state.fxWorker && state.fxWorker.three)) {
+        state.startThree = null;
+        state.stopThree = null;
+        state.threeBackend = 'none';
+        state.threeContextLost = false;
+      }
+    }
 
-    if (state.masterTL) { try { state.masterTL.kill(); } catch (_) {} state.masterTL = null; }
-    if (hasScrollTrigger) {
-      try { ScrollTrigger.getAll().forEach(t => t.kill()); } catch (_) {}
+    /**
+     * Audio cues — synthesized procedurally with Web Audio so nothing is downloaded.
+     * Preferences live outside `state` so mute/volume survive destroy()/rebuild().
+     */
+    const audioPrefs = { muted: !CONFIG.audio.enabled, volume: CONFIG.audio.volume };
+    const customCues = new Map(); // name -> synth function | AudioBuffer
+
+    function audioSuppressed() {
+      return audioPrefs.muted
+        || (CONFIG.audio.respectReducedMotion && state.prefersReducedMotion)
+        || document.hidden;
     }
-    try { gsap.killTweensOf('*'); } catch (_) {}
 
-    destroyThree();
-    removeAllListeners();
-    state.initialized = false;
-  }
+    function ensureAudio() {
+      if (state.audio) return state.audio;
+      const AC = window.AudioContext || window.webkitAudioContext;
+      if (!AC) return null;
+      try {
+        const ctx = new AC();
+        const master = ctx.createGain();
+        master.gain.value = audioPrefs.volume;
+        master.connect(ctx.destination);
+        state.audio = { ctx, master, noise: null };
+      } catch (e) {
+        console.warn('[NicerCinematic] Web Audio unavailable', e);
+        return null;
+      }
+      return state.audio;
+    }
 
-  /** Initialize the full system */
-  function initialize() {
-    if (state.initialized) return;
-    state.initialized = true;
+    /** resume()/suspend()/close() return promises (rejected e.g. without a user gesture); sound is decoration. */
+    const settleAudio = (result) => { if (result && typeof result.catch === 'function') result.catch(() => {}); };
+
+    /** Suspend the context while muted/hidden so no tails keep playing; resume when audible again. */
+    function syncAudioSuspension() {
+      const audio = state.audio;
+      if (!audio) return;
+      try {
+        if (audioSuppressed()) { if (audio.ctx.state === 'running') settleAudio(audio.ctx.suspend()); }
+        else if (audio.ctx.state === 'suspended') settleAudio(audio.ctx.resume());
+      } catch (_) {}
+    }
 
-    state.prefersReducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    function destroyAudio() {
+      if (!state.audio) return;
+      try { settleAudio(state.audio.ctx.close()); } catch (_) {}
+      state.audio = null;
+    }
 
-    // Get refs
-    state.stage = document.getElementById('cinematic-stage');
-    state.svg = document.getElementById('story-svg');
-    state.fxCanvas = /** @type {HTMLCanvasElement} */ (document.getElementById('fx-canvas'));
-    state.threeRoot = document.getElementById('three-root');
+    /** Short enveloped oscillator note. */
+    function synthTone(ctx, out, when, { freq, duration = 0.25, type = 'sine', gain = 0.2, glideTo = 0 }) {
+      const osc = ctx.createOscillator();
+      const env = ctx.createGain();
+      osc.type = type;
+      osc.frequency.setValueAtTime(freq, when);
+      if (glideTo) osc.frequency.exponentialRampToValueAtTime(glideTo, when + duration);
+      env.gain.setValueAtTime(0.0001, when);
+      env.gain.exponentialRampToValueAtTime(gain, when + 0.015);
+      env.gain.exponentialRampToValueAtTime(0.0001, when + duration);
+      osc.connect(env).connect(out);
+      osc.start(when);
+      osc.stop(when + duration + 0.05);
+    }
 
-    if (!state.stage) {
-      console.warn('[NicerCinematic] Stage not found. Aborting init.');
-      return;
+    /** Band-passed white noise swept between two frequencies (whooshes, sparkles). */
+    function synthNoise(ctx, out, when, { duration = 0.4, from = 400, to = 4000, gain = 0.15, q = 1.2 }) {
+      const audio = state.audio;
+      if (!audio.noise) {
+        const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        audio.noise = buffer;
+      }
+      const src = ctx.createBufferSource();
+      const filter = ctx.createBiquadFilter();
+      const env = ctx.createGain();
+      src.buffer = audio.noise;
+      filter.type = 'bandpass';
+      filter.Q.value = q;
+      filter.frequency.setValueAtTime(from, when);
+      filter.frequency.exponentialRampToValueAtTime(to, when + duration);
+      env.gain.setValueAtTime(0.0001, when);
+      env.gain.exponentialRampToValueAtTime(gain, when + duration * 0.3);
+      env.gain.exponentialRampToValueAtTime(0.0001, when + duration);
+      src.connect(filter).connect(env).connect(out);
+      src.start(when);
+      src.stop(when + duration + 0.05);
     }
 
-    // Rendering hints scoped to the cinematic stage only (avoid global side-effects)
-    gsap.set('#cinematic-stage *', { force3D: true, backfaceVisibility: 'hidden' });
+    /** Built-in cue designs. Each receives (ctx, destination, when, opts). */
+    const CUE_SYNTHS = {
+      // Soft two-note chime; pitch walks up a pentatonic scale with the scene index
+      scene(ctx, out, when, { index = 0 } = {}) {
+        const scale = [0, 2, 4, 7, 9];
+        const semis = scale[Math.max(0, index) % scale.length] + 12 * Math.floor(Math.max(0, index) / scale.length);
+        const base = 392 * Math.pow(2, semis / 12);
+        synthTone(ctx, out, when, { freq: base, duration: 0.5, gain: 0.12, type: 'triangle' });
+        synthTone(ctx, out, when + 0.09, { freq: base * 1.5, duration: 0.6, gain: 0.07 });
+      },
+      // Glittery noise burst + a few high blips, louder for bigger bursts
+      burst(ctx, out, when, { count = CONFIG.particles.defaultCount } = {}) {
+        const level = Math.min(1, count / CONFIG.particles.burstCount);
+        synthNoise(ctx, out, when, { duration: 0.35, from: 3000, to: 9000, gain: 0.06 + 0.08 * level, q: 4 });
+        for (let i = 0; i < 3; i++) {
+          synthTone(ctx, out, when + i * 0.05, { freq: 1800 + Math.random() * 1600, duration: 0.12, gain: 0.03 + 0.03 * level });
+        }
+      },
+      // Paper-plane whoosh with an upward chirp
+      send(ctx, out, when) {
+        synthNoise(ctx, out, when, { duration: 0.7, from: 300, to: 2400, gain: 0.16, q: 0.9 });
+        synthTone(ctx, out, when + 0.35, { freq: 660, glideTo: 1320, duration: 0.3, gain: 0.08, type: 'sine' });
+      }
+    };
 
-    // Accessibility & immediate visibility
-    applyAccessibilityAttributes();
-    ensureImmediateVisibility();
+    /**
+     * Play a cue if audio is currently allowed. Never throws — sound is decoration.
+     * @param {string} name
+     * @param {Object} [opts] forwarded to the synth (e.g. { index } for 'scene', { count } for 'burst')
+     */
+    function playCue(name, opts = {}) {
+      if (audioSuppressed()) return;
+      const custom = customCues.get(name);
+      const synth = typeof custom === 'function' ? custom : CUE_SYNTHS[name];
+      if (!custom && !synth) return;
+      const audio = ensureAudio();
+      if (!audio) return;
+      try {
+        if (audio.ctx.state === 'suspended') settleAudio(audio.ctx.resume());
+        const when = audio.ctx.currentTime + 0.01;
+        if (custom && typeof custom !== 'function') {
+          const src = audio.ctx.createBufferSource();
+          src.buffer = custom;
+          src.connect(audio.master);
+          src.start(when);
+        } else {
+          synth(audio.ctx, audio.master, when, opts);
+        }
+      } catch (e) {
+        if (CONFIG.debug) console.warn(`[NicerCinematic] Cue "${name}" failed`, e);
+      }
+    }
 
-    // Perf monitor (dev only)
-    startPerfMonitor();
+    function setMuted(muted) {
+      audioPrefs.muted = !!muted;
+      syncAudioSuspension();
+    }
 
-    // 3D background
-    requestAnimationFrame(initThree);
+    function setVolume(volume) {
+      if (typeof volume !== 'number' || isNaN(volume)) return;
+      audioPrefs.volume = Math.min(1, Math.max(0, volume));
+      const audio = state.audio;
+      if (audio) {
+        try { audio.master.gain.setTargetAtTime(audioPrefs.volume, audio.ctx.currentTime, 0.05); } catch (_) {}
+      }
+    }
 
-    // Interactions & parallax
-    initButtonInteractions();
-    initParallax();
+    function registerCue(name, synth) {
+      if (typeof synth !== 'function') {
+        console.warn(`[NicerCinematic] registerCue: synth for "${name}" must be a function`);
+        return false;
+      }
+      customCues.set(name, synth);
+      return true;
+    }
 
-    // Build controls and visibility management (no autoplay)
-    wireControls();
-    initVisibilityControls();
+    /** Fetch and decode an audio file as a named cue. Decoding needs a context, so one is created here. */
+    function loadCue(name, url) {
+      const audio = ensureAudio();
+      if (!audio) return Promise.resolve(false);
+      return fetch(url)
+        .then(res => { if (!res.ok) throw new Error(`HTTP ${res.status}`); return res.arrayBuffer(); })
+        .then(buf => new Promise((resolve, reject) => audio.ctx.decodeAudioData(buf, resolve, reject)))
+        .then(buffer => { customCues.set(name, buffer); return true; })
+        .catch(e => { console.warn(`[NicerCinematic] loadCue: could not load "${url}"`, e); return false; });
+    }
 
-    // Safety kill on unload
-    on(window, 'beforeunload', () => {
-      try { gsap.killTweensOf('*'); } catch (_) {}
-      try { if (hasScrollTrigger) ScrollTrigger.getAll().forEach(t => t.kill()); } catch (_) {}
-    });
+    /**
+     * Magnetic hover & shimmer for buttons.
+     */
+    function initButtonInteractions() {
+      // Avoid duplicating existing hover logic from inline scripts; scope to Launch Demo only
+      const btn = byId('launch-demo');
+      if (!btn) return;
+
+      if (!isSmallScreen() && CONFIG.mobile.shimmerEnabled === false) {
+        // On desktop we still allow shimmer
+        gsap.to(btn, { boxShadow: resolveThemeTokens(CONFIG.shimmer.buttonShadow), duration: 1.6, yoyo: true, repeat: -1, ease: 'sine.inOut' });
+      }
 
-    // Global error guard (do not break UX)
-    on(window, 'error', (e) => console.warn('Animation error caught:', e.error || e.message));
-  }
+      const mouseMove = (e) => {
+        const r = btn.getBoundingClientRect();
+        const x = e.clientX - r.left - r.width / 2;
+        const y = e.clientY - r.top - r.height / 2;
+        gsap.to(btn, { x: x * 0.08, y: y * 0.1, duration: 0.25, ease: 'power2.out' });
+      };
+      const mouseLeave = () => gsap.to(btn, { x: 0, y: 0, duration: 0.35, ease: 'power2.out' });
+      on(btn, 'mousemove', mouseMove, { passive: true });
+      on(btn, 'mouseleave', mouseLeave, { passive: true });
+    }
+
+    /**
+     * Pointer parallax (desktop) and tilt parallax (mobile/device orientation)
+     */
+    function initParallax() {
+      // Pointer parallax with rAF throttle
+      let pointerRAF = 0;
+      let nxPending = 0, nyPending = 0;
+      state.pointerHandler = (e) => {
+        if (state.lockLogoCenter) return; // keep logo centered during hero
+        const rect = state.stage.getBoundingClientRect();
+        nxPending = (e.clientX - rect.left) / rect.width - 0.5;
+        nyPending = (e.clientY - rect.top) / rect.height - 0.5;
+        if (!pointerRAF) {
+          pointerRAF = requestAnimationFrame(() => {
+            pointerRAF = 0;
+            const mult = isSmallScreen() ? CONFIG.mobile.parallaxMultiplier : 1;
+            gsap.to('#notion-logo', { x: nxPending * CONFIG.parallax.pointerSensitivityX * mult, y: nyPending * CONFIG.parallax.pointerSensitivityY * mult, duration: 0.4, ease: 'power2.out' });
+            const camX = nxPending * CONFIG.parallax.cameraSensitivityX * mult;
+            const camY = -nyPending * CONFIG.parallax.cameraSensitivityY * mult;
+            state.threeCamera = { x: camX, y: camY };
+            if (state.threeBg) {
+              state.threeBg.setCamera(camX, camY);
+            } else if (state.fxWorker && state.fxWorker.three) {
+              state.fxWorker.worker.postMessage({ type: 'camera', x: camX, y: camY });
+            }
+          });
+        }
+      };
+      on(state.stage, 'pointermove', state.pointerHandler, { passive: true });
+
+      // Tilt parallax (opt-in on iOS due to permission) with throttle
+      const requestTiltPermissionIfNeeded = () => {
+        const DeviceOrientationEvent = window.DeviceOrientationEvent;
+        if (!DeviceOrientationEvent) return;
+        const hasRequest = typeof DeviceOrientationEvent.requestPermission === 'function';
+        if (hasRequest && !state.hasTiltPermission) {
+          DeviceOrientationEvent.requestPermission().then(result => {
+            if (result === 'granted') {
+              state.hasTiltPermission = true; wireTilt();
+            }
+          }).catch(() => {});
+        } else {
+          wireTilt();
+        }
+      };
+      const launchBtn = byId('launch-demo');
+      if (launchBtn) on(launchBtn, 'click', requestTiltPermissionIfNeeded, { once: true, passive: true });
+
+      function wireTilt() {
+        if (state.tiltHandler) return;
+        let tiltRAF = 0, nx = 0, ny = 0;
+        state.tiltHandler = (ev) => {
+          if (state.lockLogoCenter) return; // keep logo centered during hero
+          if (ev.beta == null || ev.gamma == null) return;
+          nx = (ev.gamma || 0) / 45; // -45 to 45 approx
+          ny = (ev.beta || 0) / 45;  // -45 to 45 approx
+          if (!tiltRAF) {
+            tiltRAF = requestAnimationFrame(() => {
+              tiltRAF = 0;
+              const mult = isSmallScreen() ? CONFIG.mobile.parallaxMultiplier : 1;
+              gsap.to('#notion-logo', { x: nx * CONFIG.parallax.pointerSensitivityX * CONFIG.parallax.tiltSensitivity * mult, y: ny * CONFIG.parallax.pointerSensitivityY * CONFIG.parallax.tiltSensitivity * mult, duration: 0.4 });
+            });
+          }
+        };
+        on(window, 'deviceorientation', state.tiltHandler);
+      }
+    }
+
+    /**
+     * Localization. Bundles hold every user-facing string of the story; story steps reference them
+     * by key (textKey/itemsKey/titleKey/narrationKey). `dir: 'rtl'` flips SVG text and the headline overlay.
+     */
+    const LOCALES = {
+      en: {
+        dir: 'ltr',
+        'stage.label': 'Nicer cinematic animated demo stage. Space or K plays and pauses, arrow keys change scene, Home restarts, Escape stops.',
+        'headline.1': 'AI for Notion Dashboards.',
+        'headline.2': 'Instantly. Beautifully.',
+        'headline.3': 'Smartly.',
+        'describe.prompt': 'Team Project Tracker, with progress charts, to-do lists, deadlines',
+        'types.titles': ['Project Tracker', 'Sales CRM', 'Analytics Board', 'Content Calendar', 'Team Dashboard'],
+        'signup.send': 'Send',
+        'scene.hero.title': 'Hero',
+        'scene.hero.narration': 'Nicer, the AI dashboard generator for Notion.',
+        'scene.describe.title': 'Describe',
+        'scene.describe.narration': 'You describe the dashboard you want in plain words: a team project tracker with progress charts, to-do lists and deadlines.',
+        'scene.ai.title': 'AI',
+        'scene.ai.narration': 'Nicer\'s AI reads the description and plans the dashboard.',
+        'scene.customize.title': 'Customize',
+        'scene.customize.narration': 'Cards, layout density and colors are adjusted in real time.',
+        'scene.nocode.title': 'No code',
+        'scene.nocode.narration': 'No code needed. The boilerplate gets tossed away.',
+        'scene.notion.title': 'Notion',
+        'scene.notion.narration': 'The finished dashboard is imported straight into Notion.',
+        'scene.security.title': 'Security',
+        'scene.security.narration': 'Your workspace data stays secure and private.',
+        'scene.types.title': 'Templates',
+        'scene.types.narration': 'Templates include project trackers, sales CRMs, analytics boards, content calendars and team dashboards.',
+        'scene.signup.title': 'Sign up',
+        'scene.signup.narration': 'Join the waitlist to get early access.',
+        'scene.fallback': '{title} scene',
+        'announce.playing': 'Playing',
+        'announce.paused': 'Paused',
+        'announce.reset': 'Demo reset to the beginning',
+        'announce.stopped': 'Demo stopped',
+        'chapters.label': 'Demo chapters',
+        'chapters.goTo': 'Go to {title} scene',
+        'chapters.position': 'Demo position',
+        'layout.card': 'Widget {n}: {cols} columns by {rows} rows, position {pos} of {total}. Arrow keys move, Shift and arrows resize.',
+        'layout.moved': 'Widget {n} moved to position {pos} of {total}',
+        'layout.resized': 'Widget {n} is {cols} columns by {rows} rows',
+        'layout.density': 'Density',
+        'layout.palette': 'Colour palette: {name}. Press Enter to change.',
+        'layout.editing': 'Layout editing on. Drag or use arrow keys to move widgets, Shift and arrows to resize, Escape to finish.',
+        'layout.done': 'Layout editing off',
+        'prompt.label': 'Describe your dashboard',
+        'prompt.placeholder': 'Try it: a sales pipeline with a deals calendar',
+        'prompt.submit': 'Try it'
+      },
+      de: {
+        dir: 'ltr',
+        'stage.label': 'Animierte Nicer-Demo. Leertaste oder K startet und pausiert, Pfeiltasten wechseln die Szene, Pos1 startet neu, Esc stoppt.',
+        'headline.1': 'KI für Notion-Dashboards.',
+        'headline.2': 'Sofort. Wunderschön.',
+        'headline.3': 'Clever.',
+        'describe.prompt': 'Team-Projekttracker mit Fortschrittsdiagrammen, To-do-Listen, Fristen',
+        'types.titles': ['Projekttracker', 'Vertriebs-CRM', 'Analyse-Board', 'Content-Kalender', 'Team-Dashboard'],
+        'signup.send': 'Senden',
+        'scene.hero.title': 'Start',
+        'scene.hero.narration': 'Nicer, der KI-Dashboard-Generator für Notion.',
+        'scene.describe.title': 'Beschreiben',
+        'scene.describe.narration': 'Du beschreibst dein Wunsch-Dashboard in eigenen Worten: einen Team-Projekttracker mit Fortschrittsdiagrammen, To-do-Listen und Fristen.',
+        'scene.ai.title': 'KI',
+        'scene.ai.narration': 'Die KI von Nicer liest die Beschreibung und plant das Dashboard.',
+        'scene.customize.title': 'Anpassen',
+        'scene.customize.narration': 'Karten, Layoutdichte und Farben werden in Echtzeit angepasst.',
+        'scene.nocode.title': 'Ohne Code',
+        'scene.nocode.narration': 'Kein Code nötig. Der Boilerplate fliegt raus.',
+        'scene.notion.title': 'Notion',
+        'scene.notion.narration': 'Das fertige Dashboard wird direkt in Notion importiert.',
+        'scene.security.title': 'Sicherheit',
+        'scene.security.narration': 'Die Daten deines Workspaces bleiben sicher und privat.',
+        'scene.types.title': 'Vorlagen',
+        'scene.types.narration': 'Vorlagen gibt es für Projekttracker, Vertriebs-CRMs, Analyse-Boards, Content-Kalender und Team-Dashboards.',
+        'scene.signup.title': 'Anmelden',
+        'scene.signup.narration': 'Trag dich in die Warteliste ein und erhalte frühen Zugang.',
+        'scene.fallback': 'Szene {title}',
+        'announce.playing': 'Wiedergabe',
+        'announce.paused': 'Pausiert',
+        'announce.reset': 'Demo auf den Anfang zurückgesetzt',
+        'announce.stopped': 'Demo gestoppt',
+        'chapters.label': 'Demo-Kapitel',
+        'chapters.goTo': 'Zur Szene {title}',
+        'chapters.position': 'Demo-Position',
+        'layout.card': 'Widget {n}: {cols} Spalten mal {rows} Zeilen, Position {pos} von {total}. Pfeiltasten verschieben, Umschalt und Pfeiltasten ändern die Größe.',
+        'layout.moved': 'Widget {n} an Position {pos} von {total} verschoben',
+        'layout.resized': 'Widget {n} ist {cols} Spalten mal {rows} Zeilen groß',
+        'layout.density': 'Dichte',
+        'layout.palette': 'Farbpalette: {name}. Eingabetaste zum Wechseln.',
+        'layout.editing': 'Layout-Bearbeitung an. Widgets ziehen oder mit den Pfeiltasten verschieben, Umschalt und Pfeiltasten ändern die Größe, Escape beendet.',
+        'layout.done': 'Layout-Bearbeitung aus',
+        'prompt.label': 'Beschreibe dein Dashboard',
+        'prompt.placeholder': 'Probier es aus: eine Vertriebspipeline mit Deal-Kalender',
+        'prompt.submit': 'Ausprobieren'
+      },
+      ar: {
+        dir: 'rtl',
+        'stage.label': 'عرض Nicer التوضيحي المتحرك. المسافة أو K للتشغيل والإيقاف المؤقت، والأسهم لتغيير المشهد، وHome لإعادة البدء، وEsc للإيقاف.',
+        'headline.1': 'ذكاء اصطناعي للوحات Notion.',
+        'headline.2': 'فوراً. وبجمال.',
+        'headline.3': 'وبذكاء.',
+        'describe.prompt': 'متتبع مشاريع الفريق، مع مخططات التقدم وقوائم المهام والمواعيد النهائية',
+        'types.titles': ['متتبع المشاريع', 'إدارة علاقات العملاء', 'لوحة التحليلات', 'تقويم المحتوى', 'لوحة الفريق'],
+        'signup.send': 'إرسال',
+        'scene.hero.title': 'البداية',
+        'scene.hero.narration': 'Nicer، مولّد لوحات Notion بالذكاء الاصطناعي.',
+        'scene.describe.title': 'الوصف',
+        'scene.describe.narration': 'تصف اللوحة التي تريدها بكلماتك: متتبع مشاريع للفريق مع مخططات التقدم وقوائم المهام والمواعيد النهائية.',
+        'scene.ai.title': 'الذكاء الاصطناعي',
+        'scene.ai.narration': 'يقرأ الذكاء الاصطناعي في Nicer الوصف ويخطط للوحة.',
+        'scene.customize.title': 'التخصيص',
+        'scene.customize.narration': 'يتم ضبط البطاقات وكثافة التخطيط والألوان في الوقت الفعلي.',
+        'scene.nocode.title': 'بدون برمجة',
+        'scene.nocode.narration': 'لا حاجة إلى البرمجة. نتخلص من الشيفرات المتكررة.',
+        'scene.notion.title': 'Notion',
+        'scene.notion.narration': 'تُستورد اللوحة الجاهزة مباشرة إلى Notion.',
+        'scene.security.title': 'الأمان',
+        'scene.security.narration': 'تبقى بيانات مساحة عملك آمنة وخاصة.',
+        'scene.types.title': 'القوالب',
+        'scene.types.narration': 'تشمل القوالب متتبعات المشاريع وأنظمة إدارة علاقات العملاء ولوحات التحليلات وتقويمات المحتوى ولوحات الفرق.',
+        'scene.signup.title': 'التسجيل',
+        'scene.signup.narration': 'انضم إلى قائمة الانتظار للحصول على وصول مبكر.',
+        'scene.fallback': 'مشهد {title}',
+        'announce.playing': 'قيد التشغيل',
+        'announce.paused': 'متوقف مؤقتاً',
+        'announce.reset': 'أُعيد العرض إلى البداية',
+        'announce.stopped': 'توقف العرض',
+        'chapters.label': 'فصول العرض',
+        'chapters.goTo': 'الانتقال إلى مشهد {title}',
+        'chapters.position': 'موضع العرض',
+        'layout.card': 'الأداة {n}: {cols} أعمدة × {rows} صفوف، الموضع {pos} من {total}. الأسهم للتحريك، وShift مع الأسهم لتغيير الحجم.',
+        'layout.moved': 'نُقلت الأداة {n} إلى الموضع {pos} من {total}',
+        'layout.resized': 'حجم الأداة {n} الآن {cols} أعمدة × {rows} صفوف',
+        'layout.density': 'الكثافة',
+        'layout.palette': 'لوحة الألوان: {name}. اضغط Enter للتغيير.',
+        'layout.editing': 'تحرير التخطيط مفعّل. اسحب الأدوات أو استخدم الأسهم لتحريكها، وShift مع الأسهم لتغيير الحجم، وEscape للإنهاء.',
+        'layout.done': 'تحرير التخطيط متوقف',
+        'prompt.label': 'صف لوحة المعلومات الخاصة بك',
+        'prompt.placeholder': 'جرّبها: مسار مبيعات مع تقويم للصفقات',
+        'prompt.submit': 'جرّبها'
+      }
+    };
+
+    /** Locale choice outlives destroy()/rebuild(); `requested` null means follow the browser. */
+    const localeState = { requested: null, current: 'en' };
+
+    /** Pick the best bundle: exact tag, then base language, for each preference in turn; else 'en'. */
+    function resolveLocale(requested) {
+      const prefs = requested ? [requested] : (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language]);
+      const codes = Object.keys(LOCALES);
+      for (const pref of prefs) {
+        if (!pref) continue;
+        const lower = String(pref).toLowerCase();
+        const exact = codes.find(c => c.toLowerCase() === lower);
+        if (exact) return exact;
+        const base = codes.find(c => c.toLowerCase() === lower.split(/[-_]/)[0]);
+        if (base) return base;
+      }
+      return 'en';
+    }
+
+    /**
+     * Translate a key with `{name}` interpolation. Looks in the active bundle, its base language, then 'en';
+     * a trailing numeric segment indexes into array values ('types.titles.0').
+     */
+    function t(key, params) {
+      const current = localeState.current;
+      const chain = [current, current.split('-')[0], 'en'];
+      let value;
+      for (const code of chain) {
+        const bundle = LOCALES[code];
+        if (!bundle) continue;
+        if (key in bundle) { value = bundle[key]; break; }
+        const m = /^(.*)\.(\d+)$/.exec(key);
+        if (m && Array.isArray(bundle[m[1]])) { value = bundle[m[1]][Number(m[2])]; break; }
+      }
+      if (value === undefined) return key;
+      if (typeof value === 'string' && params) {
+        return value.replace(/\{(\w+)\}/g, (_, p) => (p in params ? String(params[p]) : `{${p}}`));
+      }
+      return value;
+    }
+
+    function isRTL() {
+      const bundle = LOCALES[localeState.current];
+      return !!(bundle && bundle.dir === 'rtl');
+    }
+
+    /**
+     * Push locale into the DOM: lang/dir attributes, [data-i18n] text inside the stage, the live prompt
+     * form (it sits outside the stage), and RTL layout of SVG <text> (SVG ignores CSS direction for
+     * anchoring, so each node gets the `direction` attribute and, where markup provides one, its
+     * mirrored `data-rtl-x`).
+     */
+    function applyLocaleToDOM() {
+      if (!state.stage) return;
+      const rtl = isRTL();
+      const dir = rtl ? 'rtl' : 'ltr';
+      state.stage.setAttribute('lang', localeState.current);
+      const overlay = byId('epic-headline');
+      if (overlay) overlay.setAttribute('dir', dir);
+      const region = byId('story-aria');
+      if (region) { region.setAttribute('lang', localeState.current); region.setAttribute('dir', dir); }
+      state.stage.querySelectorAll('[data-i18n]').forEach(el => {
+        const value = t(el.getAttribute('data-i18n'));
+        if (typeof value === 'string') el.textContent = value;
+      });
+      const promptForm = byId('live-prompt-form');
+      if (promptForm) {
+        promptForm.setAttribute('lang', localeState.current);
+        promptForm.setAttribute('dir', dir);
+        const label = promptForm.querySelector('label[for="live-prompt"]');
+        const input = byId('live-prompt');
+        const submit = promptForm.querySelector('[type="submit"]');
+        if (label) label.textContent = t('prompt.label');
+        if (input) input.setAttribute('placeholder', t('prompt.placeholder'));
+        if (submit) submit.textContent = t('prompt.submit');
+      }
+      if (state.svg) {
+        state.svg.querySelectorAll('text').forEach(el => {
+          el.setAttribute('direction', dir);
+          const rtlX = el.getAttribute('data-rtl-x');
+          if (rtlX === null) return;
+          if (!el.hasAttribute('data-ltr-x')) el.setAttribute('data-ltr-x', el.getAttribute('x') || '0');
+          el.setAttribute('x', rtl ? rtlX : el.getAttribute('data-ltr-x'));
+        });
+      }
+    }
+
+    /** Switch locale at runtime; copy is baked into tweens, so the master timeline is rebuilt. */
+    function setLocale(code) {
+      localeState.requested = code || null;
+      localeState.current = resolveLocale(localeState.requested);
+      if (state.initialized && state.stage) {
+        applyLocaleToDOM();
+        applyAccessibilityAttributes();
+        rebuildMasterTimeline();
+      }
+      return localeState.current;
+    }
+
+    function registerLocale(code, bundle) {
+      if (!code || !bundle || typeof bundle !== 'object') return false;
+      LOCALES[code] = { ...(LOCALES[code] || {}), ...bundle };
+      return true;
+    }
+
+    /** Localized scene title / narration for a registry entry (keys win over literals). */
+    function sceneTitle(entry) {
+      return entry.titleKey ? t(entry.titleKey) : entry.title;
+    }
+
+    function sceneNarration(entry) {
+      return entry.narrationKey ? t(entry.narrationKey) : entry.narration;
+    }
+
+    /**
+     * Themes. A theme is a set of colour roles shared by the stage SVG, CSS variables, particles, the
+     * Three.js background and the types-scene previews. Markup opts in with
+     * data-theme-roles="attr:role[/alpha];…"; story JSON and CONFIG strings use "theme:role[/alpha]" tokens.
+     * Like locale, the active theme outlives destroy()/rebuild().
+     */
+    const THEMES = {
+      emerald: {
+        accent: '#10B981', accentAlt: '#34d399', highlight: '#22d3ee', accentLight: '#a7f3d0',
+        text: '#d1fae5', onAccent: '#052e1f', paper: '#e5fff7',
+        threeLight: '#10b981', threeCards: ['#16353a', '#102a2d', '#0a1f22']
+      },
+      midnight: {
+        accent: '#6366f1', accentAlt: '#818cf8', highlight: '#38bdf8', accentLight: '#c7d2fe',
+        text: '#e0e7ff', onAccent: '#eef2ff', paper: '#eef2ff',
+        threeLight: '#6366f1', threeCards: ['#1e1b4b', '#181640', '#110f30']
+      },
+      pastel: {
+        accent: '#f472b6', accentAlt: '#f9a8d4', highlight: '#7dd3fc', accentLight: '#fbcfe8',
+        text: '#fdf2f8', onAccent: '#500724', paper: '#fff1f7',
+        threeLight: '#f9a8d4', threeCards: ['#3b2a3f', '#2f2436', '#251c2b']
+      },
+      'high-contrast': {
+        accent: '#facc15', accentAlt: '#ffffff', highlight: '#22d3ee', accentLight: '#fef08a',
+        text: '#ffffff', onAccent: '#000000', paper: '#ffffff',
+        threeLight: '#ffffff', threeCards: ['#262626', '#1a1a1a', '#0d0d0d']
+      }
+    };
+
+    const themeState = { current: 'emerald', requested: null };
+
+    /** Roles exposed as CSS custom properties (--nicer-accent, --nicer-accent-alt, ...). */
+    const THEME_CSS_ROLES = ['accent', 'accentAlt', 'highlight', 'accentLight', 'text', 'onAccent', 'paper'];
+
+    function hexToRgb(hex) {
+      let h = String(hex || '').replace('#', '');
+      if (h.length === 3) h = h.split('').map(c => c + c).join('');
+      const n = parseInt(h, 16);
+      return Number.isNaN(n) || h.length !== 6 ? [0, 0, 0] : [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+    }
+
+    /** A role of the active (or given) theme as rgba(), optionally with alpha. */
+    function themeColor(role, alpha = 1, name = themeState.current) {
+      const theme = THEMES[name] || THEMES.emerald;
+      const [r, g, b] = hexToRgb(theme[role] || THEMES.emerald[role]);
+      return `rgba(${r},${g},${b},${alpha})`;
+    }
+
+    /** Replace "theme:role[/alpha]" tokens in strings, arrays and plain objects. */
+    function resolveThemeTokens(value) {
+      if (typeof value === 'string') {
+        return value.indexOf('theme:') === -1 ? value
+          : value.replace(/theme:([A-Za-z]+)(?:\/([\d.]+))?/g, (m, role, alpha) => themeColor(role, alpha === undefined ? 1 : Number(alpha)));
+      }
+      if (Array.isArray(value)) return value.map(resolveThemeTokens);
+      if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const out = {};
+        Object.keys(value).forEach(k => { out[k] = resolveThemeTokens(value[k]); });
+        return out;
+      }
+      return value;
+    }
+
+    /**
+     * Push the active theme into the DOM and the Three.js scene; tweened when `duration` > 0.
+     * SVG colours are normalised to rgba() on the first (instant) pass so later tweens interpolate.
+     */
+    function applyThemeToDOM(duration = 0) {
+      const d = state.prefersReducedMotion ? 0 : duration;
+      const paint = (target, vars) => {
+        if (d) gsap.to(target, { ...vars, duration: d, ease: 'power1.inOut', overwrite: 'auto' });
+        else gsap.set(target, vars);
+      };
+
+      const varsRoot = root === document ? document.documentElement : root; // embeds keep their theme to themselves
+      const cssVars = {};
+      THEME_CSS_ROLES.forEach(role => {
+        cssVars[`--nicer-${role.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`] = themeColor(role);
+      });
+      if (d) paint(varsRoot, cssVars);
+      else Object.keys(cssVars).forEach(k => varsRoot.style.setProperty(k, cssVars[k]));
+
+      if (state.stage) state.stage.setAttribute('data-theme', themeState.current);
+      if (state.svg) {
+        state.svg.querySelectorAll('[data-theme-roles]').forEach(el => {
+          const attr = {};
+          el.getAttribute('data-theme-roles').split(';').forEach(pair => {
+            const [name, token] = pair.split(':').map(s => s && s.trim());
+            if (name && token) attr[name] = resolveThemeTokens(`theme:${token}`);
+          });
+          paint(el, { attr });
+        });
+      }
+
+      if (state.threeBg) state.threeBg.setColors(threeColors(), d);
+      else if (state.fxWorker && state.fxWorker.three) state.fxWorker.worker.postMessage({ type: 'theme', colors: threeColors(), duration: d });
+      syncChapterNav();
+    }
+
+    /**
+     * Switch theme at runtime with a smooth transition. Story colours are baked into tweens, so the
+     * master timeline is rebuilt in place. Returns the active theme name.
+     */
+    function setTheme(name, { duration = CONFIG.theme.transition } = {}) {
+      if (!THEMES[name]) {
+        console.warn(`[NicerCinematic] setTheme: unknown theme "${name}"`);
+        return themeState.current;
+      }
+      themeState.requested = name;
+      if (name === themeState.current) return name;
+      themeState.current = name;
+      if (state.initialized && state.stage) {
+        applyThemeToDOM(duration);
+        // While editing, the timeline is rebuilt once editing stops
+        if (!layoutEditor.active) rebuildMasterTimeline({ keepPlayhead: true });
+        if (state.ambientTL) ambientGlow(state.ambientTL.clear());
+      }
+      emit('theme:change', { theme: name });
+      return name;
+    }
+
+    /** Add or extend a theme; missing roles fall back to emerald. */
+    function registerTheme(name, roles) {
+      if (!name || !roles || typeof roles !== 'object') {
+        console.warn('[NicerCinematic] registerTheme: expected (name, roles)');
+        return false;
+      }
+      THEMES[name] = { ...THEMES.emerald, ...(THEMES[name] || {}), ...roles };
+      if (name === themeState.current && state.initialized) applyThemeToDOM(CONFIG.theme.transition);
+      return true;
+    }
+
+    /**
+     * Declarative story. Scenes are plain JSON so designers can author beats without touching JS;
+     * compileScene() turns each definition into a scene factory for the registry.
+     *
+     * Scene: { name, group?, title?, titleKey?, narration?, narrationKey?, requires?: string[], steps: Step[] }
+     * Step (one op per step, optional "at" = GSAP position parameter):
+     * - { "set" | "to" | "from": targets, "vars": {...} }
+     * - { "fromTo": targets, "from": {...}, "vars": {...} }
+     * - { "type": targets, "text" | "textKey": string, "duration"?, "ease"?, "source"?: "prompt" }
+     *                                                               typed text (TextPlugin or fallback); textKey is looked up
+     *                                                               in the locale bundle; source "prompt" prefers the live prompt
+     * - { "burst": { x, y, dx?, dy?, color?, colors?, count?, shape?, trail? } }
+     *                                                               x/y are stage fractions, dx/dy px offsets;
+     *                                                               count: number | "burst" | "default";
+     *                                                               shape: dots | sparks | confetti | glyphs | blocks
+     * - { "label": string } / { "wait": seconds } / { "cue": string }
+     * - { "action": string, "args"?: {...} }                        named imperative helper (see storyActions)
+     * Targets: selector or array of selectors; "@group" is the scene's group, "@previous" the one before it.
+     * Steps whose targets are missing from the DOM are skipped, as are scenes missing a `requires` selector
+     * (default: the scene's own group).
+     */
+    const DEFAULT_STORY = {
+      "version": 1,
+      "scenes": [
+        {
+          "name": "hero",
+          "titleKey": "scene.hero.title",
+          "narrationKey": "scene.hero.narration",
+          "steps": [
+            { "action": "lockLogo", "at": 0 },
+            { "fromTo": "@group", "from": { "opacity": 0, "y": 10 }, "vars": { "opacity": 1, "y": 0, "duration": 0.9, "ease": "power2.out" } },
+            { "from": "#notion-logo", "vars": { "y": -8, "opacity": 0, "duration": 0.6 }, "at": "-=0.4" },
+            { "to": "#notion-logo", "vars": { "filter": "url(#soft-glow)", "duration": 0.2 }, "at": "+=0.1" },
+            { "to": "#notion-logo", "vars": { "scale": 1.25, "duration": 0.35, "transformOrigin": "50% 50%", "ease": "power2.out" } },
+            { "to": "#notion-logo", "vars": { "scale": 0.8, "opacity": 0.2, "duration": 0.35, "ease": "power2.in" } },
+            { "to": "#notion-logo", "vars": { "opacity": 0, "duration": 0.2 } },
+            { "action": "unlockLogo" }
+          ]
+        },
+        {
+          "name": "describe",
+          "titleKey": "scene.describe.title",
+          "narrationKey": "scene.describe.narration",
+          "steps": [
+            { "to": "@previous", "vars": { "opacity": 0, "duration": 0.4 } },
+            { "type": ["#hl-1", "#hl-2", "#hl-3"], "text": "", "duration": 0, "at": "<" },
+            { "set": "#epic-headline", "vars": { "opacity": 0 } },
+            { "to": "#epic-headline", "vars": { "opacity": 1, "duration": 0.4 } },
+            { "type": "#hl-1", "textKey": "headline.1", "duration": 0.8, "at": "<" },
+            { "type": "#hl-2", "textKey": "headline.2", "duration": 0.8, "at": "+=0.1" },
+            { "type": "#hl-3", "textKey": "headline.3", "duration": 0.6, "at": "+=0.05" },
+            { "to": "#epic-headline", "vars": { "opacity": 0, "duration": 0.5, "delay": 0.2 } },
+            { "to": "@group", "vars": { "opacity": 1, "duration": 0.6, "ease": "power1.out" } },
+            { "action": "caret", "args": { "id": "describe-caret", "after": "#describe-text" } },
+            { "type": "#describe-text", "textKey": "describe.prompt", "source": "prompt", "duration": 1.8, "at": "<" },
+            { "to": "#describe-caret", "vars": { "opacity": 0, "duration": 0.4, "repeat": 4, "yoyo": true }, "at": "<" }
+          ]
+        },
+        {
+          "name": "ai",
+          "titleKey": "scene.ai.title",
+          "narrationKey": "scene.ai.narration",
+          "steps": [
+            { "to": "@previous", "vars": { "opacity": 0, "duration": 0.3 } },
+            { "to": "@group", "vars": { "opacity": 1, "duration": 0.6, "ease": "power1.out" } },
+            { "action": "strokeReveal", "args": { "target": "#ai-circuits path", "duration": 1.0, "stagger": 0.08, "ease": "power1.inOut" } },
+            { "to": "#scene-ai circle", "vars": { "scale": 1.05, "transformOrigin": "50% 50%", "yoyo": true, "repeat": 3, "duration": 0.35 }, "at": "<" },
+            { "burst": { "x": 0.5, "y": 0.5, "colors": ["theme:accent", "theme:highlight"], "count": 40, "shape": "sparks", "trail": 5 }, "at": "-=0.3" }
+          ]
+        },
+        {
+          "name": "customize",
+          "titleKey": "scene.customize.title",
+          "narrationKey": "scene.customize.narration",
+          "steps": [
+            { "to": "@previous", "vars": { "opacity": 0, "duration": 0.3 } },
+            { "to": "@group", "vars": { "opacity": 1, "duration": 0.6 } },
+            { "from": ["#custom-card-1", "#custom-card-2", "#custom-card-3"], "vars": { "y": 14, "opacity": 0, "duration": 0.6, "stagger": 0.1, "ease": "power2.out" } },
+            { "action": "cardLayout", "args": { "cards": ["#custom-card-1", "#custom-card-2", "#custom-card-3"], "knob": "#slider-knob", "track": "#slider-track" }, "at": "<" },
+            { "to": ["#custom-card-1", "#custom-card-2", "#custom-card-3"], "vars": { "fill": "theme:accent/0.18", "duration": 0.8, "stagger": 0.1 }, "at": "<" },
+            { "to": "#palette", "vars": { "attr": { "width": 160 }, "duration": 0.6 }, "at": "<" }
+          ]
+        },
+        {
+          "name": "nocode",
+          "titleKey": "scene.nocode.title",
+          "narrationKey": "scene.nocode.narration",
+          "steps": [
+            { "to": "@previous", "vars": { "opacity": 0, "duration": 0.3 } },
+            { "to": "@group", "vars": { "opacity": 1, "duration": 0.4 } },
+            { "from": "@group", "vars": { "rotation": -1, "transformOrigin": "50% 50%", "duration": 0.4 } },
+            { "to": "@group", "vars": { "x": 280, "rotation": -18, "duration": 0.6, "ease": "power2.in" } },
+            { "burst": { "x": 1, "dx": -120, "y": 0.5, "dy": -40, "color": "theme:highlight", "count": 24, "shape": "blocks" } }
+          ]
+        },
+        {
+          "name": "notion",
+          "titleKey": "scene.notion.title",
+          "narrationKey": "scene.notion.narration",
+          "steps": [
+            { "to": "@previous", "vars": { "opacity": 0, "duration": 0.3 } },
+            { "to": "@group", "vars": { "opacity": 1, "duration": 0.5 } },
+            { "from": "#import-panel", "vars": { "x": -40, "opacity": 0, "duration": 0.6 } },
+            { "to": "#import-panel", "vars": { "x": 260, "duration": 0.9, "ease": "power2.inOut" } },
+            { "to": "#target-notion", "vars": { "scale": 1.08, "transformOrigin": "50% 50%", "yoyo": true, "repeat": 1, "duration": 0.45 } }
+          ]
+        },
+        {
+          "name": "security",
+          "titleKey": "scene.security.title",
+          "narrationKey": "scene.security.narration",
+          "steps": [
+            { "to": "@previous", "vars": { "opacity": 0, "duration": 0.3 } },
+            { "to": "@group", "vars": { "opacity": 1, "duration": 0.5 } },
+            { "from": "#shield", "vars": { "scale": 0.6, "transformOrigin": "50% 50%", "opacity": 0, "duration": 0.6, "ease": "back.out(1.6)" } },
+            { "to": "#shield", "vars": { "rotation": 360, "transformOrigin": "50% 50%", "duration": 1.2, "ease": "power1.inOut" } },
+            { "burst": { "x": 0.5, "y": 0.48, "color": "theme:accentLight", "count": 14, "shape": "glyphs" } }
+          ]
+        },
+        {
+          "name": "types",
+          "titleKey": "scene.types.title",
+          "narrationKey": "scene.types.narration",
+          "requires": ["@group", "#type-label"],
+          "steps": [
+            { "to": "@previous", "vars": { "opacity": 0, "duration": 0.3 } },
+            { "to": "@group", "vars": { "opacity": 1, "duration": 0.5 } },
+            { "from": "#scene-types > rect", "vars": { "y": 10, "opacity": 0, "duration": 0.6, "stagger": 0.08 } },
+            { "action": "morphPreviews", "args": { "label": "#type-label", "preview": "#types-preview", "cards": "#scene-types > rect", "itemsKey": "types.titles", "rankBy": "prompt" } }
+          ]
+        },
+        {
+          "name": "signup",
+          "titleKey": "scene.signup.title",
+          "narrationKey": "scene.signup.narration",
+          "requires": ["@group", "#mail", "#send-btn"],
+          "steps": [
+            { "to": "@previous", "vars": { "opacity": 0, "duration": 0.3 } },
+            { "to": "@group", "vars": { "opacity": 1, "duration": 0.5 } },
+            { "from": "#send-btn", "vars": { "scale": 0.9, "opacity": 0, "duration": 0.4 } },
+            { "cue": "send" },
+            { "to": "#mail", "vars": { "x": 140, "y": 46, "rotation": 10, "duration": 0.8, "ease": "power2.inOut" }, "at": "<" },
+            { "burst": { "x": 0.62, "y": 0.46, "colors": ["theme:accent", "theme:accentAlt", "theme:highlight", "theme:paper"], "count": "burst", "shape": "confetti" } },
+            { "wait": 0.4 }
+          ]
+        }
+      ]
+    };
+
+    /** Story currently compiled into the registry (kept for getStory()). */
+    let activeStory = DEFAULT_STORY;
+
+    /**
+     * Named imperative helpers callable from story steps: (tl, args, ctx) => void.
+     * They run at compile time and add whatever they need to the scene timeline.
+     */
+    const storyActions = new Map([
+      // Center the logo and keep parallax off it for the hero beat
+      ['lockLogo', (tl) => {
+        tl.add(() => {
+          state.lockLogoCenter = true;
+          try { gsap.killTweensOf('#notion-logo'); } catch (_) {}
+          gsap.set('#notion-logo', { x: 0, y: 0 });
+        });
+      }],
+      // Release the logo; resume ambient float if ambient visuals are active
+      ['unlockLogo', (tl) => {
+        tl.add(() => {
+          state.lockLogoCenter = false;
+          if (state.ambientTL && !state.logoFloatTween && byId('notion-logo')) {
+            state.logoFloatTween = gsap.to('#notion-logo', { y: '+=6', duration: 2.2, yoyo: true, repeat: -1, ease: 'sine.inOut' });
+          }
+        });
+      }],
+      // Blinking caret next to a text node; created once so later steps can target it by id
+      // (repositioned on every compile so it follows RTL/LTR text placement)
+      ['caret', (tl, { id = 'story-caret', after, fill = 'theme:text' } = {}) => {
+        const textEl = after ? query(after) : null;
+        if (!textEl) return;
+        let caret = byId(id);
+        if (!caret) {
+          caret = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+          caret.setAttribute('id', id);
+          caret.setAttribute('width', '2');
+          caret.setAttribute('height', '24');
+          caret.setAttribute('fill', fill);
+          textEl.parentNode.appendChild(caret);
+        }
+        const offset = isRTL() ? -4 : 2;
+        caret.setAttribute('x', String(Number(textEl.getAttribute('x')) + offset || 292));
+        caret.setAttribute('y', String(Number(textEl.getAttribute('y')) - 18 || 322));
+      }],
+      // Stroke reveal without external plugins
+      ['strokeReveal', (tl, { target, duration = 1, stagger = 0.08, ease = 'power1.inOut' } = {}) => {
+        tl.add(() => {
+          const paths = target ? queryAll(target) : [];
+          paths.forEach((p, i) => {
+            const len = p.getTotalLength();
+            p.style.strokeDasharray = String(len);
+            p.style.strokeDashoffset = String(len);
+            gsap.to(p, { strokeDashoffset: 0, duration, ease, delay: i * stagger });
+          });
+        });
+      }],
+      // Type each item into a label while pulsing the cards
+      // (rankBy "prompt": items the live prompt matched come first)
+      ['cycleLabels', (tl, { label, cards, items = [], itemsKey, rankBy, typeDuration = 0.4, hold = 0.6 } = {}, ctx) => {
+        let list = itemsKey ? t(itemsKey) : items;
+        list = Array.isArray(list) ? list : [];
+        if (rankBy === 'prompt' && livePrompt.analysis) list = rankByPrompt(list);
+        list.forEach((text, i) => {
+          addTypedText(tl, resolveTargets(label, ctx), text, { duration: typeDuration });
+          const cardTargets = resolveTargets(cards, ctx);
+          if (cardTargets) tl.to(cardTargets, { scale: (i % 3) + 1.0, transformOrigin: '50% 50%', duration: typeDuration, yoyo: true }, '<');
+          tl.to({}, { duration: hold });
+        });
+      }]
+    ]);
+
+    /**
+     * Tween cards into the layout saved by the layout editor, else the live prompt's layout, else back to
+     * their markup geometry.
+     * Markup geometry is captured once in data-base-* attributes.
+     */
+    storyActions.set('cardLayout', (tl, { cards = [], knob, track, duration = 0.8, ease = 'power2.inOut' } = {}) => {
+      const saved = layoutEditor.layout ? layoutRects(layoutEditor.layout) : null;
+      const layout = !saved && livePrompt.analysis ? LIVE_LAYOUTS[livePrompt.analysis.layout] : null;
+      cards.forEach((sel, i) => {
+        const el = query(sel);
+        if (!el) return;
+        ['x', 'y', 'width', 'height'].forEach(a => {
+          if (!el.hasAttribute(`data-base-${a}`)) el.setAttribute(`data-base-${a}`, el.getAttribute(a) || '0');
+        });
+        const rect = saved && saved[el.id] ? saved[el.id]
+          : layout && layout[i]
+          ? { x: layout[i][0], y: layout[i][1], width: layout[i][2], height: layout[i][3] }
+          : {
+            x: Number(el.getAttribute('data-base-x')),
+            y: Number(el.getAttribute('data-base-y')),
+            width: Number(el.getAttribute('data-base-width')),
+            height: Number(el.getAttribute('data-base-height'))
+          };
+        tl.to(el, { attr: rect, duration, ease }, i === 0 ? '<' : '<0.05');
+      });
+      // Density knob slides to the saved density (or the default)
+      const knobEl = knob ? query(knob) : null;
+      const trackEl = track ? query(track) : null;
+      if (knobEl && trackEl) {
+        const density = layoutEditor.layout ? layoutEditor.layout.density : CONFIG.layoutEditor.defaultDensity;
+        tl.to(knobEl, { attr: { cx: knobX(trackEl, density) }, duration, ease: 'power1.inOut' }, '<');
+      }
+    });
+
+    /**
+     * Dashboard previews for the types scene. Each template is drawn as a Notion-like skeleton page
+     * (title, widget headings, tables, progress bars, checklists, calendars, boards) from a pool of SVG
+     * rects; moving from one template to the next tweens every pooled rect to its new geometry and role
+     * colour, so shapes morph instead of cutting. The pool starts stacked on the placeholder cards.
+     */
+    const PREVIEW_COLORS = {
+      page: 'rgba(255,255,255,0.06)',
+      surface: 'rgba(255,255,255,0.07)',
+      text: 'rgba(229,231,235,0.85)',
+      muted: 'rgba(255,255,255,0.28)',
+      faint: 'rgba(255,255,255,0.14)',
+      accent: 'theme:accent',
+      accentSoft: 'theme:accent/0.2'
+    };
+
+    /** Fallback rows ([widget type, span]) per 'types.titles' index, used when nicer-spec.js is absent. */
+    const PREVIEW_ROWS = [
+      [[['progress-chart', 12]], [['todo-list', 6], ['calendar', 6]], [['database', 12]]],
+      [[['stat', 4], ['stat', 4], ['stat', 4]], [['board', 12]], [['database', 12]]],
+      [[['stat', 4], ['progress-chart', 8]], [['database', 12]]],
+      [[['board', 12]], [['calendar', 6], ['database', 6]]],
+      [[['callout', 12]], [['calendar', 6], ['notes', 6]], [['database', 12]]]
+    ];
+
+    /** Skeleton primitives for one widget inside its cell: { x, y, width, height, rx, role }. */
+    function previewWidget(type, { x, y, w, h }) {
+      const out = [];
+      const p = (px, py, pw, ph, role, rx = 2) => out.push({ x: px, y: py, width: Math.max(0, pw), height: Math.max(0, ph), rx, role });
+      p(x, y, w * 0.32, 5, 'text'); // widget heading
+      const top = y + 11;
+      const body = h - 11;
+      const lines = (n) => Array.from({ length: n }, (_, i) => top + (body / n) * i);
+      switch (type) {
+        case 'database':
+          p(x, top, w, 8, 'muted', 1);
+          lines(Math.min(4, Math.max(2, Math.floor((body - 10) / 10)))).forEach(ly => {
+            [[0, 0.34], [0.42, 0.22], [0.72, 0.18]].forEach(([at, size]) => p(x + w * at, ly + 12, w * size, 4, 'faint'));
+          });
+          break;
+        case 'progress-chart':
+          lines(3).forEach((ly, i) => {
+            p(x, ly + 2, w, 6, 'faint', 3);
+            p(x, ly + 2, w * [0.8, 0.55, 0.3][i], 6, 'accent', 3);
+          });
+          break;
+        case 'todo-list':
+          lines(3).forEach((ly, i) => {
+            p(x, ly + 1, 8, 8, i === 0 ? 'accent' : 'muted', 2);
+            p(x + 13, ly + 3, w * [0.6, 0.45, 0.52][i], 4, 'faint');
+          });
+          break;
+        case 'calendar': {
+          const gap = 2;
+          const cw = (w - gap * 6) / 7;
+          const ch = Math.min(cw, (body - gap * 2) / 3);
+          for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 7; c++) p(x + c * (cw + gap), top + r * (ch + gap), cw, ch, r === 1 && c === 3 ? 'accent' : 'faint', 1.5);
+          }
+          break;
+        }
+        case 'board': {
+          const cw = (w - 16) / 3;
+          for (let c = 0; c < 3; c++) {
+            const cx = x + c * (cw + 8);
+            p(cx, top, cw * 0.5, 4, 'muted');
+            p(cx, top + 8, cw, Math.min(16, body / 2 - 8), c === 0 ? 'accentSoft' : 'surface', 3);
+            p(cx, top + 12 + Math.min(16, body / 2 - 8), cw, Math.min(16, body / 2 - 8), 'surface', 3);
+          }
+          break;
+        }
+        case 'stat':
+          p(x, top, w, body, 'surface', 4);
+          p(x + 8, top + 8, w * 0.4, 10, 'text', 2);
+          p(x + 8, top + 24, w * 0.6, 4, 'faint');
+          break;
+        case 'callout':
+          p(x, top, w, Math.min(body, 26), 'accentSoft', 4);
+          p(x + 8, top + 7, 12, 12, 'accent', 3);
+          p(x + 28, top + 11, w * 0.5, 4, 'text');
+          break;
+        default: // notes
+          lines(3).forEach((ly, i) => p(x, ly + 2, w * [0.9, 0.8, 0.55][i], 4, 'faint'));
+      }
+      return out;
+    }
+
+    /** Rows for template `index`: the live prompt's spec when it picked this template, else NicerSpec, else the fallback. */
+    function previewRows(index) {
+      const toRows = (spec) => spec.layout.rows.map(row => row.cells.map(cell => {
+        const widget = spec.widgets.find(w => w.id === cell.widget);
+        return [widget ? widget.type : 'notes', cell.span];
+      }));
+      const key = SPEC_TEMPLATES[index];
+      const live = livePrompt.analysis && livePrompt.analysis.spec;
+      if (live && live.template === key) return toRows(live);
+      if (key && window.NicerSpec && window.NicerSpec.TEMPLATES[key]) {
+        try { return toRows(window.NicerSpec.generate(window.NicerSpec.TEMPLATES[key].title)); } catch (e) { /* fall through */ }
+      }
+      return PREVIEW_ROWS[index] || PREVIEW_ROWS[0];
+    }
+
+    /** Full frame for a template: page rect first, then widget primitives in reading order. */
+    function previewFrame(index, page) {
+      const pad = 16;
+      const bodyTop = page.y + 44;
+      const bodyH = page.y + page.height - 12 - bodyTop;
+      const rows = previewRows(index).slice(0, 3);
+      const rowH = bodyH / Math.max(1, rows.length);
+      const innerW = page.width - pad * 2;
+      const prims = [];
+      rows.forEach((row, r) => {
+        let col = 0;
+        row.forEach(([type, span]) => {
+          const cell = { x: page.x + pad + (col / 12) * innerW, y: bodyTop + r * rowH, w: (span / 12) * innerW - 10, h: rowH - 10 };
+          col += span;
+          prims.push(...previewWidget(type, cell));
+        });
+      });
+      prims.sort((a, b) => (a.y - b.y) || (a.x - b.x));
+      const mirror = (pr) => (isRTL() ? { ...pr, x: page.x + page.width - (pr.x - page.x) - pr.width } : pr);
+      return [
+        { x: page.x, y: page.y, width: page.width, height: page.height, rx: 14, role: 'page' },
+        mirror({ x: page.x + pad, y: page.y + 14, width: 16, height: 16, rx: 4, role: 'accent' })
+      ].concat(prims.map(mirror));
+    }
+
+    /** Pool of preview rects inside `container`, grown on demand and reused across rebuilds. */
+    function previewPool(container, size) {
+      const pool = Array.from(container.querySelectorAll('rect[data-preview]'));
+      while (pool.length < size) {
+        const r = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        r.setAttribute('data-preview', String(pool.length));
+        ['x', 'y', 'width', 'height'].forEach(a => r.setAttribute(a, '0'));
+        r.style.fill = PREVIEW_COLORS.surface;
+        r.style.opacity = '0';
+        container.appendChild(r);
+        pool.push(r);
+      }
+      return pool;
+    }
+
+    // Type each template title and morph the preview page into that template. The preview container's
+    // data-page="x y width height" sets the page box; rankBy "prompt": templates the live prompt matched come first
+    storyActions.set('morphPreviews', (tl, { label, preview, cards, itemsKey, rankBy, duration = 0.7, typeDuration = 0.4, hold = 0.8, ease = 'power2.inOut' } = {}, ctx) => {
+      const container = preview ? query(preview) : null;
+      if (!container) return;
+      const list = itemsKey ? t(itemsKey) : [];
+      if (!Array.isArray(list) || !list.length) return;
+      const box = (container.getAttribute('data-page') || '280 200 640 225').split(/\s+/).map(Number);
+      const page = { x: box[0], y: box[1], width: box[2], height: box[3] };
+      let order = list.map((_, i) => i);
+      if (rankBy === 'prompt' && livePrompt.analysis) order = rankByPrompt(order);
+
+      const frames = order.map(i => previewFrame(i, page));
+      const pool = previewPool(container, Math.max(...frames.map(f => f.length)));
+
+      let title = container.querySelector('text[data-preview-title]');
+      if (!title) {
+        title = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        title.setAttribute('data-preview-title', '');
+        title.setAttribute('id', 'types-preview-title');
+        title.setAttribute('font-size', '14');
+        title.setAttribute('font-weight', '600');
+        title.setAttribute('font-family', 'Inter, system-ui, sans-serif');
+        title.setAttribute('fill', '#e5e7eb');
+        container.appendChild(title);
+      }
+      title.setAttribute('x', String(isRTL() ? page.x + page.width - 44 : page.x + 44));
+      title.setAttribute('y', String(page.y + 27));
+      title.setAttribute('direction', isRTL() ? 'rtl' : 'ltr');
+      title.textContent = '';
+
+      // Start stacked on the placeholder cards (cycled), invisible
+      const cardEls = (resolveTargets(cards, ctx) || []).flatMap(sel => Array.from(queryAll(sel)));
+      const cardRect = (i) => {
+        const el = cardEls[i % Math.max(1, cardEls.length)];
+        return el
+          ? { x: +el.getAttribute('x'), y: +el.getAttribute('y'), width: +el.getAttribute('width'), height: +el.getAttribute('height'), rx: +el.getAttribute('rx') || 0 }
+          : { x: page.x + page.width / 2, y: page.y + page.height / 2, width: 0, height: 0, rx: 0 };
+      };
+      pool.forEach((el, i) => tl.set(el, { attr: cardRect(i), fill: PREVIEW_COLORS.surface, opacity: 0 }, i === 0 ? undefined : '<'));
+      tl.set(title, { opacity: 1 }, '<');
+
+      frames.forEach((frame, f) => {
+        addTypedText(tl, resolveTargets(label, ctx), list[order[f]], { duration: typeDuration });
+        addTypedText(tl, ['#types-preview-title'], list[order[f]], { duration: typeDuration, at: '<' });
+        if (f === 0 && cardEls.length) tl.to(cardEls, { opacity: 0, duration: duration * 0.6 }, '<');
+        pool.forEach((el, i) => {
+          const pr = frame[i];
+          tl.to(el, pr
+            ? { attr: { x: pr.x, y: pr.y, width: pr.width, height: pr.height, rx: pr.rx }, fill: resolveThemeTokens(PREVIEW_COLORS[pr.role]), opacity: 1, duration, ease }
+            : { opacity: 0, duration: duration * 0.5, ease }, '<');
+        });
+        tl.to({}, { duration: hold });
+      });
+    });
+
+    /** Expand story target tokens and drop selectors that match nothing. Returns null when empty. */
+    function resolveTargets(spec, ctx) {
+      const list = (Array.isArray(spec) ? spec : [spec]).map(sel => {
+        if (sel === '@group') return ctx.group;
+        if (sel === '@previous') return ctx.previousGroup;
+        return sel;
+      }).filter(sel => typeof sel === 'string' && sel && query(sel));
+      return list.length ? list : null;
+    }
+
+    /** Typed text: TextPlugin when present, otherwise a scrubbable character counter. */
+    function addTypedText(tl, targets, text, { duration = 0.8, ease = 'none', at } = {}) {
+      if (!targets) return;
+      if (hasTextPlugin) {
+        tl.to(targets, { text, duration, ease }, at);
+        return;
+      }
+      const els = targets.flatMap(sel => Array.from(queryAll(sel)));
+      const counter = { n: 0 };
+      tl.fromTo(counter, { n: 0 }, {
+        n: text.length,
+        duration,
+        ease,
+        onUpdate: () => { const shown = text.slice(0, Math.round(counter.n)); els.forEach(el => { el.textContent = shown; }); }
+      }, at);
+    }
+
+    /** Particle burst positioned relative to the stage at playback time. */
+    function addBurst(tl, { x = 0.5, y = 0.5, dx = 0, dy = 0, count = 'default', ...style } = {}, at) {
+      tl.add(() => {
+        if (!state.stage) return;
+        const rect = state.stage.getBoundingClientRect();
+        const n = count === 'burst' ? CONFIG.particles.burstCount
+          : count === 'default' ? CONFIG.particles.defaultCount
+          : Number(count) || CONFIG.particles.defaultCount;
+        particlesBurst({ ...style, x: rect.width * x + dx, y: rect.height * y + dy, count: n });
+      }, at);
+    }
+
+    /** Append one story step to a scene timeline. */
+    function compileStep(tl, rawStep, ctx) {
+      const step = resolveThemeTokens(rawStep);
+      const at = step.at;
+      if ('set' in step || 'to' in step || 'from' in step || 'fromTo' in step) {
+        const method = 'fromTo' in step ? 'fromTo' : 'set' in step ? 'set' : 'to' in step ? 'to' : 'from';
+        const targets = resolveTargets(step[method], ctx);
+        if (!targets) return;
+        const vars = { ...(step.vars || {}) };
+        if (method === 'fromTo') tl.fromTo(targets, { ...(step.from || {}) }, vars, at);
+        else tl[method](targets, vars, at);
+      } else if ('type' in step) {
+        const text = step.source === 'prompt' && livePrompt.analysis ? livePrompt.analysis.text
+          : step.textKey ? t(step.textKey) : step.text;
+        addTypedText(tl, resolveTargets(step.type, ctx), String(text == null ? '' : text), { duration: step.duration, ease: step.ease, at });
+      } else if ('burst' in step) {
+        addBurst(tl, step.burst, at);
+      } else if ('label' in step) {
+        tl.addLabel(String(step.label), at);
+      } else if ('wait' in step) {
+        tl.to({}, { duration: Number(step.wait) || 0 }, at);
+      } else if ('cue' in step) {
+        tl.add(() => playCue(step.cue), at);
+      } else if ('action' in step) {
+        const action = storyActions.get(step.action);
+        if (!action) { console.warn(`[NicerCinematic] Story: unknown action "${step.action}"`); return; }
+        action(tl, step.args || {}, ctx);
+      } else {
+        console.warn('[NicerCinematic] Story: unrecognised step', step);
+      }
+    }
+
+    /**
+     * Compile a scene definition into a registry factory.
+     * @param {Object} def
+     * @returns {(ctx: SceneContext) => any}
+     */
+    function compileScene(def) {
+      return (ctx) => {
+        const tl = gsap.timeline({ onStart: ctx.onStart, onComplete: ctx.onComplete });
+        const required = def.requires || ['@group'];
+        if (required.some(sel => !resolveTargets(sel, ctx))) return tl;
+        (def.steps || []).forEach(step => {
+          try { compileStep(tl, step, ctx); } catch (e) { console.warn(`[NicerCinematic] Story: step failed in "${def.name}"`, step, e); }
+        });
+        return tl;
+      };
+    }
+
+    /** Structure plus one scene at least and a group on the stage for each; returns the problems (empty when valid). */
+    function validateStory(story) {
+      const errors = [];
+      if (!story || !Array.isArray(story.scenes)) return ['story.scenes must be an array'];
+      if (!story.scenes.length) return ['story.scenes must contain at least one scene'];
+      const names = new Set();
+      story.scenes.forEach((scene, i) => {
+        if (!scene || typeof scene.name !== 'string' || !scene.name) { errors.push(`scenes[${i}].name is required`); return; }
+        if (names.has(scene.name)) errors.push(`duplicate scene "${scene.name}"`);
+        names.add(scene.name);
+        if (!Array.isArray(scene.steps)) errors.push(`scenes[${i}] ("${scene.name}") steps must be an array`);
+        const group = scene.group || `#scene-${scene.name}`;
+        let found = null;
+        try { found = query(group); } catch (e) { /* not a valid selector */ }
+        if (!found) errors.push(`scenes[${i}] ("${scene.name}") group "${group}" matches nothing on the stage`);
+      });
+      return errors;
+    }
+
+    /**
+     * Compile a story into the registry. By default the story replaces the current cut entirely;
+     * `{ replace: false }` merges its scenes into the existing order instead.
+     * @param {Object} story
+     * @param {{ replace?: boolean }} [opts]
+     * @returns {boolean}
+     */
+    function applyStory(story, { replace = true } = {}) {
+      const errors = validateStory(story);
+      if (errors.length) {
+        console.warn('[NicerCinematic] Invalid story:', errors);
+        return false;
+      }
+      if (replace) Array.from(sceneRegistry.keys()).forEach(n => { if (!story.scenes.some(s => s.name === n)) unregisterScene(n); });
+      story.scenes.forEach(def => {
+        registerScene(def.name, compileScene(def), {
+          group: def.group,
+          title: def.title,
+          narration: def.narration,
+          titleKey: def.titleKey,
+          narrationKey: def.narrationKey
+        });
+      });
+      if (replace) setSceneOrder(story.scenes.map(s => s.name));
+      activeStory = story;
+      rebuildMasterTimeline();
+      return true;
+    }
+
+    /** Load a story object or fetch one from a JSON URL. Resolves to true when applied. */
+    function loadStory(source, opts) {
+      if (typeof source !== 'string') return Promise.resolve(applyStory(source, opts));
+      return fetch(source)
+        .then(res => { if (!res.ok) throw new Error(`HTTP ${res.status}`); return res.json(); })
+        .then(story => applyStory(story, opts))
+        .catch(e => { console.warn(`[NicerCinematic] loadStory: could not load "${source}"`, e); return false; });
+    }
+
+    /**
+     * Build master timeline from the registry's current play order.
+     */
+    function buildMasterTimeline() {
+      const tl = gsap.timeline({
+        repeat: -1,
+        repeatDelay: 0.6,
+        onRepeat: () => {
+          state.loopIndex = tl.iteration() - 1; // iteration() is 1-based
+          emit('loop');
+        },
+        onUpdate: () => syncChapterNav()
+      });
+      const entries = sceneOrder.map(n => sceneRegistry.get(n)).filter(Boolean);
+      const groups = entries.map(e => e.group);
+      // Hide every group but the opener so loops and reordered cuts always start from a clean stage
+      const hidden = groups.slice(1).filter(sel => query(sel));
+      if (hidden.length) tl.set(hidden, { opacity: 0 }, 0);
+      entries.forEach((entry, index) => {
+        const ctx = {
+          name: entry.name,
+          index,
+          group: entry.group,
+          previousGroup: index > 0 ? entries[index - 1].group : null,
+          otherGroups: groups.filter(g => g !== entry.group),
+          onStart: () => {
+            state.currentScene = entry.name;
+            state.currentSceneIndex = index;
+            emit('scene:start');
+          },
+          onComplete: () => emit('scene:complete', { scene: entry.name, index })
+        };
+        try {
+          const sceneTL = entry.factory(ctx);
+          // Label every scene so chapter navigation can address it by name
+          tl.addLabel(entry.name);
+          if (sceneTL) tl.add(sceneTL, entry.name);
+        } catch (e) {
+          console.warn(`[NicerCinematic] Scene "${entry.name}" failed to build`, e);
+        }
+      });
+      return tl;
+    }
+
+    /**
+     * Replace the master timeline with a fresh build, preserving play state and time scale.
+     * Restarts from the top unless `keepPlayhead` (for changes that do not alter scene timing).
+     */
+    function rebuildMasterTimeline({ keepPlayhead = false } = {}) {
+      if (!state.initialized || !state.stage) return;
+      let wasPlaying = false;
+      let at = 0;
+      let timeScale = state.prefersReducedMotion ? CONFIG.reducedMotionScale : 1;
+      if (state.masterTL) {
+        wasPlaying = !state.masterTL.paused();
+        timeScale = state.masterTL.timeScale();
+        if (keepPlayhead) at = state.masterTL.time();
+        try { state.masterTL.kill(); } catch (_) {}
+      }
+      resetProgress();
+      state.masterTL = buildMasterTimeline();
+      state.masterTL.timeScale(timeScale);
+      if (wasPlaying) state.masterTL.play(at); else state.masterTL.pause(at);
+      if (keepPlayhead) syncCurrentScene();
+      if (state.chapterNav) renderChapterNav();
+    }
+
+    /**
+     * Live prompt mode. A small keyword heuristic maps the visitor's description onto widgets (which pick
+     * the customize layout) and onto the built-in template types (which reorder the types scene).
+     * Like locale, the prompt outlives destroy()/rebuild().
+     */
+    const livePrompt = { analysis: null };
+
+    /**
+     * `words` match whole words (plus a plural "s"/"es"), so "date" does not fire on "update" nor "stat" on
+     * "status". `stems` (German) match inside words, so compounds ("Projektkalender") still hit.
+     */
+    const PROMPT_WIDGETS = [
+      { id: 'chart', words: ['chart', 'graph', 'progress', 'metric', 'kpi', 'stat', 'statistic'], stems: ['diagramm', 'fortschritt'] },
+      { id: 'todo', words: ['to-do', 'todo', 'task', 'checklist', 'action item'], stems: ['aufgabe'] },
+      { id: 'calendar', words: ['calendar', 'deadline', 'schedule', 'due', 'date', 'timeline'], stems: ['kalender', 'frist', 'termin'] },
+      { id: 'database', words: ['database', 'table', 'crm', 'contact', 'pipeline', 'inventory', 'list'], stems: ['datenbank', 'tabelle'] },
+      { id: 'notes', words: ['note', 'doc', 'document', 'wiki', 'journal', 'meeting'], stems: ['notiz'] }
+    ];
+
+    /** Indexes match the order of the 'types.titles' locale array. */
+    const PROMPT_TYPES = [
+      { index: 0, words: ['project', 'task', 'sprint', 'roadmap', 'milestone', 'deadline'], stems: ['projekt'] },
+      { index: 1, words: ['sales', 'crm', 'lead', 'deal', 'client', 'customer', 'pipeline'], stems: ['vertrieb', 'kunde'] },
+      { index: 2, words: ['analytics', 'metric', 'kpi', 'report', 'chart', 'revenue'], stems: ['analyse', 'bericht'] },
+      { index: 3, words: ['content', 'calendar', 'post', 'social', 'editorial', 'blog', 'newsletter'], stems: ['inhalt', 'kalender'] },
+      { index: 4, words: ['team', 'meeting', 'okr', 'wiki', 'onboarding', 'people'], stems: [] }
+    ];
+
+    const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    /** Positions of every keyword of a PROMPT_WIDGETS / PROMPT_TYPES entry in `lower` (one per keyword that hits). */
+    function keywordHits(lower, entry) {
+      if (!entry.patterns) {
+        entry.patterns = entry.words.map(w => new RegExp(`(^|[^a-z0-9])${escapeRegExp(w)}(?:e?s)?(?![a-z0-9])`));
+      }
+      const hits = [];
+      entry.patterns.forEach(re => {
+        const m = re.exec(lower);
+        if (m) hits.push(m.index + m[1].length);
+      });
+      entry.stems.forEach(stem => {
+        const i = lower.indexOf(stem);
+        if (i !== -1) hits.push(i);
+      });
+      return hits;
+    }
+
+    /**
+     * Customize-scene card rects [x, y, width, height] per primary widget, inside the
+     * 540..920 × 220..480 panel of #scene-customize.
+     */
+    const LIVE_LAYOUTS = {
+      chart: [[565, 250, 330, 110], [565, 380, 155, 70], [740, 380, 155, 70]],
+      todo: [[565, 250, 100, 200], [680, 250, 100, 200], [795, 250, 100, 200]],
+      calendar: [[565, 250, 200, 200], [785, 250, 110, 95], [785, 355, 110, 95]],
+      database: [[565, 250, 330, 60], [565, 320, 330, 60], [565, 390, 330, 60]],
+      notes: null // markup layout
+    };
+
+    /** NicerSpec widget types and templates, mapped onto the layouts and 'types.titles' indexes above. */
+    const SPEC_WIDGETS = { 'progress-chart': 'chart', 'stat': 'chart', 'todo-list': 'todo', 'calendar': 'calendar', 'board': 'database', 'database': 'database', 'notes': 'notes' };
+    const SPEC_TEMPLATES = ['project-tracker', 'sales-crm', 'analytics-board', 'content-calendar', 'team-dashboard'];
+
+    /** Strip markup-significant characters (TextPlugin writes innerHTML) and clamp to the prompt box. */
+    function sanitizePrompt(text) {
+      const clean = String(text || '').replace(/[<>]/g, '').replace(/&/g, ' and ').replace(/\s+/g, ' ').trim();
+      const max = CONFIG.livePrompt.maxLength;
+      return clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+    }
+
+    /**
+     * Keyword heuristic. Widgets are ordered by where they are first mentioned; the first one is primary
+     * and picks the layout. Types are ranked by hit count (ties keep the default order).
+     * When nicer-spec.js is loaded, its dashboard spec is attached and takes precedence for the widgets
+     * it recognised and for the leading template; the heuristic still covers non-English prompts.
+     * @param {string} text
+     * @returns {{ text: string, widgets: string[], layout: string|null, typeOrder: number[], spec?: Object } | null}
+     */
+    function analyzePrompt(text) {
+      const clean = sanitizePrompt(text);
+      if (!clean) return null;
+      const lower = clean.toLowerCase();
+
+      const widgets = PROMPT_WIDGETS
+        .map(w => ({ id: w.id, hits: keywordHits(lower, w) }))
+        .filter(w => w.hits.length)
+        .map(w => ({ id: w.id, at: Math.min(...w.hits) }))
+        .sort((a, b) => a.at - b.at)
+        .map(w => w.id);
+
+      const typeOrder = PROMPT_TYPES
+        .map(tp => ({ index: tp.index, hits: keywordHits(lower, tp).length }))
+        .sort((a, b) => (b.hits - a.hits) || (a.index - b.index))
+        .map(tp => tp.index);
+
+      const analysis = { text: clean, widgets, layout: widgets[0] || null, typeOrder };
+      if (window.NicerSpec && typeof window.NicerSpec.generate === 'function') {
+        try {
+          const spec = window.NicerSpec.generate(String(text)); // unclamped: the spec never reaches innerHTML
+          const matched = spec.meta.matched.map(type => SPEC_WIDGETS[type]).filter(Boolean);
+          if (matched.length) {
+            analysis.widgets = matched.filter((id, i) => matched.indexOf(id) === i);
+            analysis.layout = analysis.widgets[0];
+          }
+          const lead = SPEC_TEMPLATES.indexOf(spec.template);
+          if (lead !== -1 && spec.meta.templateMatched) analysis.typeOrder = [lead].concat(typeOrder.filter(i => i !== lead));
+          analysis.spec = spec;
+        } catch (e) {
+          console.warn('[NicerCinematic] NicerSpec failed, using keyword heuristic', e);
+        }
+      }
+      return analysis;
+    }
+
+    /** Reorder a localized template list by the live prompt's type ranking. */
+    function rankByPrompt(list) {
+      const order = livePrompt.analysis ? livePrompt.analysis.typeOrder : null;
+      if (!order) return list;
+      const ranked = order.filter(i => i < list.length).map(i => list[i]);
+      return ranked.concat(list.filter((_, i) => !order.includes(i)));
+    }
+
+    function setPrompt(text) {
+      const analysis = analyzePrompt(text);
+      if (!analysis) { clearPrompt(); return null; }
+      livePrompt.analysis = analysis;
+      rebuildMasterTimeline();
+      return { ...analysis };
+    }
+
+    function clearPrompt() {
+      if (!livePrompt.analysis) return;
+      livePrompt.analysis = null;
+      rebuildMasterTimeline();
+    }
+
+    /**
+     * Send the dashboard the demo is showing (the live prompt's spec, else the scripted prompt's) to Notion
+     * through nicer-notion-export.js. Options go to NicerNotionExport.importToNotion.
+     * Emits 'export:start', 'export:done' ({ pageId, url }) and 'export:error' ({ message }).
+     */
+    function exportToNotion(opts = {}) {
+      if (!window.NicerSpec || !window.NicerNotionExport) {
+        return Promise.reject(new Error('[NicerCinematic] exportToNotion needs nicer-spec.js and nicer-notion-export.js'));
+      }
+      const spec = (livePrompt.analysis && livePrompt.analysis.spec) || window.NicerSpec.generate(t('describe.prompt'));
+      emit('export:start', { title: spec.title });
+      return window.NicerNotionExport.importToNotion(spec, opts).then(
+        result => { emit('export:done', { pageId: result.pageId, url: result.url }); return result; },
+        err => { emit('export:error', { message: err.message }); throw err; }
+      );
+    }
+
+    /**
+     * Layout editor for the customize scene. Cards live on a snapping grid inside the customize panel and
+     * are packed in order (first fit, row-major), so dragging a card reorders it and resizing reflows
+     * the rest. The knob sets density (gutter width) and the palette cycles through THEMES.
+     * The saved layout outlives destroy()/rebuild() and is what cardLayout plays back.
+     */
+    const LAYOUT_CARDS = ['custom-card-1', 'custom-card-2', 'custom-card-3'];
+    const LAYOUT_GRID = { x: 565, y: 250, width: 330, height: 200 }; // inner customize panel
+    const layoutEditor = { layout: null, active: false, offs: [], drag: null };
+
+    const clampNum = (v, min, max) => Math.min(max, Math.max(min, v));
+
+    function gridMetrics(density) {
+      const { columns, rows } = CONFIG.layoutEditor;
+      const gutter = Math.round(16 - clampNum(density, 0, 1) * 12);
+      return {
+        gutter,
+        colW: (LAYOUT_GRID.width + gutter) / columns,
+        rowH: (LAYOUT_GRID.height + gutter) / rows
+      };
+    }
+
+    /** Place cards in order at the first free cell that fits, shrinking spans that cannot fit at all. */
+    function packCards(cards) {
+      const { columns, rows } = CONFIG.layoutEditor;
+      const occupied = Array.from({ length: rows }, () => new Array(columns).fill(false));
+      const fits = (row, col, cs, rs) => {
+        if (col + cs > columns || row + rs > rows) return false;
+        for (let r = row; r < row + rs; r++) for (let c = col; c < col + cs; c++) if (occupied[r][c]) return false;
+        return true;
+      };
+      return cards.map(card => {
+        let cs = clampNum(Math.round(card.colSpan), CONFIG.layoutEditor.minColSpan, columns);
+        let rs = clampNum(Math.round(card.rowSpan), 1, rows);
+        for (;;) {
+          for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+              if (!fits(row, col, cs, rs)) continue;
+              for (let r = row; r < row + rs; r++) for (let c = col; c < col + cs; c++) occupied[r][c] = true;
+              return { id: card.id, col, row, colSpan: cs, rowSpan: rs };
+            }
+          }
+          if (rs > 1) rs -= 1;
+          else if (cs > CONFIG.layoutEditor.minColSpan) cs -= 1;
+          else return { id: card.id, col: 0, row: rows - 1, colSpan: cs, rowSpan: 1 }; // grid full: overlap the last row
+        }
+      });
+    }
+
+    /** Problems that make a saved layout unusable (an empty list means setLayout can apply it). */
+    function validateLayout(layout) {
+      if (!layout || typeof layout !== 'object' || Array.isArray(layout)) return ['layout must be an object'];
+      const errors = [];
+      if (layout.density !== undefined && !Number.isFinite(layout.density)) errors.push('density must be a number');
+      if (layout.palette !== undefined && !THEMES[layout.palette]) errors.push(`unknown palette "${layout.palette}"`);
+      if (layout.cards === undefined) return errors;
+      if (!Array.isArray(layout.cards)) return errors.concat('cards must be an array');
+      layout.cards.forEach((card, i) => {
+        if (!card || !LAYOUT_CARDS.includes(card.id)) { errors.push(`cards[${i}].id must be one of ${LAYOUT_CARDS.join(', ')}`); return; }
+        if (!Number.isFinite(card.colSpan) || !Number.isFinite(card.rowSpan)) errors.push(`cards[${i}] ("${card.id}") needs numeric colSpan and rowSpan`);
+      });
+      return errors;
+    }
+
+    function normalizeLayout(layout) {
+      const density = clampNum(Number(layout && layout.density), 0, 1);
+      const palette = layout && THEMES[layout.palette] ? layout.palette : themeState.current;
+      const given = (layout && Array.isArray(layout.cards) ? layout.cards : []).filter(c => c && LAYOUT_CARDS.includes(c.id));
+      const seen = new Set();
+      const cards = given.filter(c => !seen.has(c.id) && seen.add(c.id))
+        .concat(LAYOUT_CARDS.filter(id => !seen.has(id)).map(id => ({ id, colSpan: 4, rowSpan: 2 })));
+      return {
+        version: 1,
+        grid: { columns: CONFIG.layoutEditor.columns, rows: CONFIG.layoutEditor.rows },
+        density: Number.isFinite(density) ? density : CONFIG.layoutEditor.defaultDensity,
+        palette,
+        cards: packCards(cards)
+      };
+    }
+
+    /** SVG rect per card id for a layout. */
+    function layoutRects(layout) {
+      const { gutter, colW, rowH } = gridMetrics(layout.density);
+      const rects = {};
+      layout.cards.forEach(c => {
+        rects[c.id] = {
+          x: +(LAYOUT_GRID.x + c.col * colW).toFixed(2),
+          y: +(LAYOUT_GRID.y + c.row * rowH).toFixed(2),
+          width: +(c.colSpan * colW - gutter).toFixed(2),
+          height: +(c.rowSpan * rowH - gutter).toFixed(2)
+        };
+      });
+      return rects;
+    }
+
+    /** Snap whatever geometry the cards currently show (markup, live prompt or saved layout) onto the grid. */
+    function layoutFromDOM() {
+      if (layoutEditor.layout) return normalizeLayout(layoutEditor.layout);
+      const density = CONFIG.layoutEditor.defaultDensity;
+      const { gutter, colW, rowH } = gridMetrics(density);
+      const cards = LAYOUT_CARDS.map(id => byId(id)).filter(Boolean).map(el => {
+        const x = Number(el.getAttribute('x')); const y = Number(el.getAttribute('y'));
+        const w = Number(el.getAttribute('width')); const h = Number(el.getAttribute('height'));
+        return {
+          id: el.id,
+          colSpan: Math.round((w + gutter) / colW),
+          rowSpan: Math.round((h + gutter) / rowH),
+          key: Math.round((y - LAYOUT_GRID.y) / rowH) * 100 + Math.round((x - LAYOUT_GRID.x) / colW)
+        };
+      }).sort((a, b) => a.key - b.key);
+      return normalizeLayout({ density, cards });
+    }
+
+    function knobX(track, density) {
+      return Number(track.getAttribute('x')) + Number(track.getAttribute('width')) * clampNum(density, 0, 1);
+    }
+
+    /** The layout's palette is the stage theme. */
+    function applyPalette(name) {
+      setTheme(name);
+      const el = byId('palette');
+      if (el && layoutEditor.active) el.setAttribute('aria-label', t('layout.palette', { name: themeState.current }));
+    }
+
+    /** Tween cards (and knob) to a layout; `skip` is the card being dragged. */
+    function renderLayout(layout, { skip, duration = 0.35 } = {}) {
+      const rects = layoutRects(layout);
+      const d = state.prefersReducedMotion ? 0 : duration;
+      layout.cards.forEach((c, i) => {
+        const el = byId(c.id);
+        if (!el || c.id === skip) return;
+        gsap.to(el, { attr: rects[c.id], duration: d, ease: 'power2.out', overwrite: 'auto' });
+        const handle = query(`[data-resize-for="${c.id}"]`);
+        if (handle) gsap.to(handle, { attr: { x: rects[c.id].x + rects[c.id].width - 12, y: rects[c.id].y + rects[c.id].height - 12 }, duration: d, ease: 'power2.out', overwrite: 'auto' });
+        el.setAttribute('aria-label', t('layout.card', { n: LAYOUT_CARDS.indexOf(c.id) + 1, cols: c.colSpan, rows: c.rowSpan, pos: i + 1, total: layout.cards.length }));
+      });
+      const knob = byId('slider-knob');
+      const track = byId('slider-track');
+      if (knob && track) {
+        gsap.set(knob, { attr: { cx: knobX(track, layout.density) } });
+        knob.setAttribute('aria-valuenow', String(Math.round(layout.density * 100)));
+      }
+      applyPalette(layout.palette);
+    }
+
+    /**
+     * Apply an edited layout. Edits that only fit by shrinking a card (packCards' last resort) are refused,
+     * so one resize never silently changes the others. Returns whether the edit was applied.
+     */
+    function commitLayout(layout, opts) {
+      const next = normalizeLayout(layout);
+      const { columns, rows, minColSpan } = CONFIG.layoutEditor;
+      const shrunk = (layout.cards || []).some(req => {
+        const got = next.cards.find(c => c.id === req.id);
+        return got && (got.colSpan < clampNum(Math.round(req.colSpan), minColSpan, columns) || got.rowSpan < clampNum(Math.round(req.rowSpan), 1, rows));
+      });
+      if (shrunk && layoutEditor.layout) return false;
+      layoutEditor.layout = next;
+      renderLayout(layoutEditor.layout, opts);
+      emit('layout:change', { layout: JSON.parse(JSON.stringify(layoutEditor.layout)) });
+      return true;
+    }
+
+    /** Pointer position in SVG user units. */
+    function svgPoint(e) {
+      const svg = byId('story-svg');
+      const ctm = svg && svg.getScreenCTM ? svg.getScreenCTM() : null;
+      if (ctm && svg.createSVGPoint) {
+        const pt = svg.createSVGPoint();
+        pt.x = e.clientX;
+        pt.y = e.clientY;
+        const p = pt.matrixTransform(ctm.inverse());
+        return { x: p.x, y: p.y };
+      }
+      const r = svg ? svg.getBoundingClientRect() : { left: 0, top: 0, width: 1200, height: 700 };
+      return { x: (e.clientX - r.left) * (1200 / (r.width || 1200)), y: (e.clientY - r.top) * (700 / (r.height || 700)) };
+    }
+
+    function moveCard(id, delta) {
+      const cards = layoutEditor.layout.cards.slice();
+      const from = cards.findIndex(c => c.id === id);
+      const to = clampNum(from + delta, 0, cards.length - 1);
+      if (from === to) return;
+      cards.splice(to, 0, cards.splice(from, 1)[0]);
+      const pos = commitLayout({ ...layoutEditor.layout, cards }) ? to : from;
+      announce(t('layout.moved', { n: LAYOUT_CARDS.indexOf(id) + 1, pos: pos + 1, total: cards.length }));
+    }
+
+    function resizeCard(id, dCols, dRows) {
+      const cards = layoutEditor.layout.cards.map(c => (c.id === id ? { ...c, colSpan: c.colSpan + dCols, rowSpan: c.rowSpan + dRows } : c));
+      commitLayout({ ...layoutEditor.layout, cards });
+      const card = layoutEditor.layout.cards.find(c => c.id === id);
+      announce(t('layout.resized', { n: LAYOUT_CARDS.indexOf(id) + 1, cols: card.colSpan, rows: card.rowSpan }));
+    }
+
+    function setDensity(value) {
+      commitLayout({ ...layoutEditor.layout, density: clampNum(value, 0, 1) });
+    }
+
+    function cyclePalette() {
+      const names = Object.keys(THEMES);
+      const i = names.indexOf(layoutEditor.layout.palette);
+      commitLayout({ ...layoutEditor.layout, palette: names[(i + 1) % names.length] });
+      announce(t('layout.palette', { name: layoutEditor.layout.palette }));
+    }
+
+    /** Index in the packed order whose slot centre is nearest to (x, y). */
+    function nearestSlot(x, y) {
+      const rects = layoutRects(layoutEditor.layout);
+      let best = 0;
+      let bestD = Infinity;
+      layoutEditor.layout.cards.forEach((c, i) => {
+        const r = rects[c.id];
+        const d = (r.x + r.width / 2 - x) ** 2 + (r.y + r.height / 2 - y) ** 2;
+        if (d < bestD) { bestD = d; best = i; }
+      });
+      return best;
+    }
+
+    function startLayoutEditing() {
+      if (layoutEditor.active) return true;
+      if (!state.masterTL || !sceneRegistry.has('customize') || typeof state.masterTL.labels.customize !== 'number') return false;
+      const cardEls = LAYOUT_CARDS.map(id => byId(id)).filter(Boolean);
+      if (!cardEls.length) return false;
+
+      // Park the playhead at the end of the customize beat so the panel is fully revealed
+      pauseDemo();
+      const next = sceneLabels().find(l => l.time > state.masterTL.labels.customize);
+      state.masterTL.pause(next ? next.time - 0.001 : state.masterTL.duration());
+      syncCurrentScene();
+      syncChapterNav();
+
+      layoutEditor.active = true;
+      const listen = (target, type, fn, opts) => {
+        if (!target) return;
+        target.addEventListener(type, fn, opts);
+        layoutEditor.offs.push(() => target.removeEventListener(type, fn, opts));
+      };
+      const svg = byId('story-svg');
+      if (svg) {
+        layoutEditor.svgHidden = svg.getAttribute('aria-hidden');
+        svg.removeAttribute('aria-hidden');
+      }
+
+      cardEls.forEach(el => {
+        el.setAttribute('tabindex', '0');
+        el.setAttribute('role', 'button');
+        el.setAttribute('aria-roledescription', 'draggable widget');
+        el.style.cursor = 'grab';
+        el.style.touchAction = 'none';
+        const handle = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        handle.setAttribute('data-resize-for', el.id);
+        handle.setAttribute('width', '10');
+        handle.setAttribute('height', '10');
+        handle.setAttribute('rx', '2');
+        handle.setAttribute('fill', themeColor('accent'));
+        handle.style.cursor = 'nwse-resize';
+        handle.style.touchAction = 'none';
+        el.parentNode.appendChild(handle);
+
+        listen(el, 'focus', () => el.setAttribute('stroke', themeColor('accentLight')));
+        listen(el, 'blur', () => el.removeAttribute('stroke'));
+        listen(el, 'keydown', (e) => {
+          const dir = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[e.key];
+          if (dir === undefined) return;
+          e.preventDefault();
+          e.stopPropagation();
+          if (!e.shiftKey) moveCard(el.id, isRTL() && /Left|Right/.test(e.key) ? -dir : dir);
+          else if (/Left|Right/.test(e.key)) resizeCard(el.id, isRTL() ? -dir : dir, 0);
+          else resizeCard(el.id, 0, dir);
+        });
+
+        // Drag to reorder: the card follows the pointer, the others reflow around the nearest slot
+        listen(el, 'pointerdown', (e) => {
+          if (e.button !== 0) return;
+          const p = svgPoint(e);
+          layoutEditor.drag = { id: el.id, mode: 'move', dx: p.x - Number(el.getAttribute('x')), dy: p.y - Number(el.getAttribute('y')) };
+          if (el.setPointerCapture) el.setPointerCapture(e.pointerId);
+          el.parentNode.insertBefore(el, handle); // paint above the other cards
+          el.style.cursor = 'grabbing';
+          e.preventDefault();
+        });
+        listen(el, 'pointermove', (e) => {
+          const drag = layoutEditor.drag;
+          if (!drag || drag.id !== el.id || drag.mode !== 'move') return;
+          const p = svgPoint(e);
+          gsap.set(el, { attr: { x: p.x - drag.dx, y: p.y - drag.dy } });
+          const w = Number(el.getAttribute('width'));
+          const h = Number(el.getAttribute('height'));
+          const target = nearestSlot(p.x - drag.dx + w / 2, p.y - drag.dy + h / 2);
+          const from = layoutEditor.layout.cards.findIndex(c => c.id === el.id);
+          if (target !== from) {
+            const cards = layoutEditor.layout.cards.slice();
+            cards.splice(target, 0, cards.splice(from, 1)[0]);
+            commitLayout({ ...layoutEditor.layout, cards }, { skip: el.id });
+          }
+        });
+        const endDrag = (e) => {
+          const drag = layoutEditor.drag;
+          if (!drag || drag.id !== el.id) return;
+          layoutEditor.drag = null;
+          if (el.releasePointerCapture && e.pointerId !== undefined) { try { el.releasePointerCapture(e.pointerId); } catch (_) {} }
+          el.style.cursor = 'grab';
+          renderLayout(layoutEditor.layout);
+          const pos = layoutEditor.layout.cards.findIndex(c => c.id === el.id);
+          announce(t('layout.moved', { n: LAYOUT_CARDS.indexOf(el.id) + 1, pos: pos + 1, total: layoutEditor.layout.cards.length }));
+        };
+        listen(el, 'pointerup', endDrag);
+        listen(el, 'pointercancel', endDrag);
+
+        // Drag the corner handle to resize in whole grid cells
+        listen(handle, 'pointerdown', (e) => {
+          if (e.button !== 0) return;
+          layoutEditor.drag = { id: el.id, mode: 'resize' };
+          if (handle.setPointerCapture) handle.setPointerCapture(e.pointerId);
+          e.preventDefault();
+          e.stopPropagation();
+        });
+        listen(handle, 'pointermove', (e) => {
+          const drag = layoutEditor.drag;
+          if (!drag || drag.id !== el.id || drag.mode !== 'resize') return;
+          const p = svgPoint(e);
+          const { gutter, colW, rowH } = gridMetrics(layoutEditor.layout.density);
+          const card = layoutEditor.layout.cards.find(c => c.id === el.id);
+          const colSpan = Math.round((p.x - Number(el.getAttribute('x')) + gutter) / colW);
+          const rowSpan = Math.round((p.y - Number(el.getAttribute('y')) + gutter) / rowH);
+          if (colSpan !== card.colSpan || rowSpan !== card.rowSpan) resizeCard(el.id, colSpan - card.colSpan, rowSpan - card.rowSpan);
+        });
+        const endResize = () => { if (layoutEditor.drag && layoutEditor.drag.mode === 'resize') layoutEditor.drag = null; };
+        listen(handle, 'pointerup', endResize);
+        listen(handle, 'pointercancel', endResize);
+      });
+
+      // Density slider
+      const knob = byId('slider-knob');
+      const track = byId('slider-track');
+      if (knob && track) {
+        knob.setAttribute('tabindex', '0');
+        knob.setAttribute('role', 'slider');
+        knob.setAttribute('aria-label', t('layout.density'));
+        knob.setAttribute('aria-valuemin', '0');
+        knob.setAttribute('aria-valuemax', '100');
+        knob.style.cursor = 'ew-resize';
+        knob.style.touchAction = 'none';
+        const fromPointer = (e) => {
+          const x0 = Number(track.getAttribute('x'));
+          setDensity((svgPoint(e).x - x0) / Number(track.getAttribute('width')));
+        };
+        listen(knob, 'pointerdown', (e) => {
+          if (e.button !== 0) return;
+          layoutEditor.drag = { id: 'slider-knob', mode: 'density' };
+          if (knob.setPointerCapture) knob.setPointerCapture(e.pointerId);
+          e.preventDefault();
+        });
+        listen(knob, 'pointermove', (e) => { if (layoutEditor.drag && layoutEditor.drag.mode === 'density') fromPointer(e); });
+        listen(knob, 'pointerup', () => { layoutEditor.drag = null; });
+        listen(knob, 'keydown', (e) => {
+          const step = { ArrowLeft: -0.05, ArrowDown: -0.05, ArrowRight: 0.05, ArrowUp: 0.05 }[e.key];
+          if (step === undefined && e.key !== 'Home' && e.key !== 'End') return;
+          e.preventDefault();
+          e.stopPropagation();
+          if (e.key === 'Home') setDensity(0);
+          else if (e.key === 'End') setDensity(1);
+          else setDensity(layoutEditor.layout.density + (isRTL() && /Left|Right/.test(e.key) ? -step : step));
+        });
+      }
+
+      // Palette cycles colour presets
+      const palette = byId('palette');
+      if (palette) {
+        palette.setAttribute('tabindex', '0');
+        palette.setAttribute('role', 'button');
+        palette.style.cursor = 'pointer';
+        listen(palette, 'click', cyclePalette);
+        listen(palette, 'keydown', (e) => {
+          if (e.key !== 'Enter' && e.key !== ' ') return;
+          e.preventDefault();
+          e.stopPropagation();
+          cyclePalette();
+        });
+      }
+
+      // Any playback (keyboard, chapters, API) ends editing
+      layoutEditor.offs.push(addEventHandler('play', () => stopLayoutEditing()));
+
+      commitLayout(layoutFromDOM());
+      announce(t('layout.editing'));
+      if (cardEls[0].focus) cardEls[0].focus();
+      return true;
+    }
+
+    /**
+     * Leave edit mode. The timeline is rebuilt so cardLayout plays the saved layout, and the playhead
+     * (and play state) are kept where they were.
+     */
+    function stopLayoutEditing({ silent = false } = {}) {
+      if (!layoutEditor.active) return;
+      layoutEditor.active = false;
+      layoutEditor.drag = null;
+      layoutEditor.offs.splice(0).forEach(off => { try { off(); } catch (_) {} });
+      queryAll('[data-resize-for]').forEach(h => h.remove());
+      LAYOUT_CARDS.concat(['slider-knob', 'palette']).forEach(id => {
+        const el = byId(id);
+        if (!el) return;
+        ['tabindex', 'role', 'aria-roledescription', 'aria-label', 'aria-valuemin', 'aria-valuemax', 'aria-valuenow', 'stroke'].forEach(a => el.removeAttribute(a));
+        el.style.cursor = '';
+        el.style.touchAction = '';
+      });
+      const svg = byId('story-svg');
+      if (svg && layoutEditor.svgHidden !== null && layoutEditor.svgHidden !== undefined) svg.setAttribute('aria-hidden', layoutEditor.svgHidden);
+      if (silent || !state.masterTL) return;
+
+      rebuildMasterTimeline({ keepPlayhead: true });
+      syncChapterNav();
+      announce(t('layout.done'));
+    }
+
+    /**
+     * Replace the saved layout (null returns to the scripted/live prompt layout) and replay it. An invalid
+     * layout is rejected with a warning and the current one is kept.
+     */
+    function setLayout(layout) {
+      const errors = layout ? validateLayout(layout) : [];
+      if (errors.length) {
+        console.warn('[NicerCinematic] Invalid layout, keeping the current one:', errors);
+        return getLayout();
+      }
+      layoutEditor.layout = layout ? normalizeLayout(layout) : null;
+      if (layoutEditor.active) {
+        if (layoutEditor.layout) renderLayout(layoutEditor.layout); else commitLayout(layoutFromDOM());
+      } else if (state.masterTL) {
+        rebuildMasterTimeline({ keepPlayhead: true });
+      }
+      if (layoutEditor.layout) applyPalette(layoutEditor.layout.palette);
+      return getLayout();
+    }
+
+    /** Serializable layout: the saved one, else the default grid layout snapped from the markup. */
+    function getLayout() {
+      const layout = layoutEditor.layout || normalizeLayout({
+        density: CONFIG.layoutEditor.defaultDensity,
+        cards: [
+          { id: 'custom-card-1', colSpan: 5, rowSpan: 2 },
+          { id: 'custom-card-2', colSpan: 7, rowSpan: 2 },
+          { id: 'custom-card-3', colSpan: 12, rowSpan: 2 }
+        ]
+      });
+      return JSON.parse(JSON.stringify(layout));
+    }
+
+    /** Wire an optional #live-prompt-form: submitting replays the story from the describe beat. */
+    function initLivePrompt() {
+      const form = byId('live-prompt-form');
+      const input = byId('live-prompt');
+      if (!form || !input) return;
+      // Analysis only sees what sanitizePrompt keeps, so the field stops where the describe box does
+      input.setAttribute('maxlength', String(CONFIG.livePrompt.maxLength));
+      on(form, 'submit', (e) => {
+        e.preventDefault();
+        const analysis = setPrompt(input.value);
+        if (!state.masterTL) return;
+        if (analysis && sceneRegistry.has('describe')) goToScene('describe');
+        else playFromStart();
+      });
+    }
+
+    /**
+     * Chapter navigation — scenes are addressed by their master timeline labels.
+     */
+    function sceneLabels() {
+      if (!state.masterTL) return [];
+      const labels = state.masterTL.labels;
+      return sceneOrder
+        .filter(n => typeof labels[n] === 'number')
+        .map(n => ({ name: n, time: labels[n] }));
+    }
+
+    /** Index into sceneLabels() of the scene containing `time` (-1 before the first). */
+    function sceneIndexAt(time) {
+      const labels = sceneLabels();
+      let idx = -1;
+      labels.forEach((l, i) => { if (time + 1e-4 >= l.time) idx = i; });
+      return idx;
+    }
+
+    /** Point state.currentScene at whatever sits under the playhead after a jump. */
+    function syncCurrentScene() {
+      if (!state.masterTL) return;
+      const labels = sceneLabels();
+      const idx = sceneIndexAt(state.masterTL.time());
+      state.currentScene = idx >= 0 ? labels[idx].name : null;
+      state.currentSceneIndex = idx;
+      syncThreeScene(state.currentScene);
+    }
+
+    /** Jump to a scene by name and play from its label. */
+    function goToScene(name) {
+      if (!state.masterTL) return false;
+      if (typeof state.masterTL.labels[name] !== 'number') {
+        console.warn(`[NicerCinematic] goToScene: unknown scene "${name}"`);
+        return false;
+      }
+      const wasPaused = state.masterTL.paused();
+      startAmbientLoops();
+      state.masterTL.play(name);
+      syncCurrentScene();
+      syncChapterNav();
+      if (wasPaused) emit('play', { reason: 'chapter' });
+      return true;
+    }
+
+    function stepScene(direction) {
+      const labels = sceneLabels();
+      if (!state.masterTL || !labels.length) return false;
+      const time = state.masterTL.time();
+      const idx = sceneIndexAt(time);
+      let target;
+      if (direction > 0) {
+        target = (idx + 1) % labels.length;
+      } else if (idx >= 0 && time - labels[idx].time > CONFIG.chapters.prevRestartThreshold) {
+        target = idx; // restart the current scene first, like a media player
+      } else {
+        target = (idx - 1 + labels.length) % labels.length;
+      }
+      return goToScene(labels[target].name);
+    }
+
+    /** Scrub to a progress (0..1) of the current loop, keeping play/pause as is. */
+    function seekProgress(progress) {
+      if (!state.masterTL || typeof progress !== 'number' || isNaN(progress)) return;
+      state.masterTL.progress(Math.min(1, Math.max(0, progress)));
+      syncCurrentScene();
+      syncChapterNav();
+    }
+
+    /** Chapter dots + scrubber rendered directly under the stage. Styles are inline so embeds need no CSS. */
+    function renderChapterNav() {
+      removeChapterNav();
+      if (!state.stage || !state.stage.parentNode || !state.masterTL) return;
+
+      const nav = document.createElement('nav');
+      nav.className = 'nicer-chapters';
+      nav.setAttribute('aria-label', t('chapters.label'));
+      nav.style.cssText = 'display:flex;flex-direction:column;align-items:center;gap:10px;margin-top:16px;';
+
+      const list = document.createElement('div');
+      list.style.cssText = 'display:flex;flex-wrap:wrap;justify-content:center;gap:8px;';
+      const dots = new Map();
+      sceneLabels().forEach(({ name }) => {
+        const entry = sceneRegistry.get(name);
+        const dot = document.createElement('button');
+        dot.type = 'button';
+        dot.title = entry ? sceneTitle(entry) : name;
+        dot.setAttribute('aria-label', t('chapters.goTo', { title: dot.title }));
+        dot.dataset.scene = name;
+        dot.style.cssText = 'width:12px;height:12px;border-radius:9999px;border:1px solid rgba(255,255,255,0.5);background:transparent;padding:0;cursor:pointer;transition:background 0.2s,transform 0.2s;';
+        dot.addEventListener('click', () => goToScene(name)); // owned by nav; dropped with it
+        list.appendChild(dot);
+        dots.set(name, dot);
+      });
+
+      const scrubber = document.createElement('input');
+      scrubber.type = 'range';
+      scrubber.min = '0';
+      scrubber.max = '1000';
+      scrubber.step = '1';
+      scrubber.value = '0';
+      scrubber.setAttribute('aria-label', t('chapters.position'));
+      scrubber.style.cssText = 'width:min(480px,90%);accent-color:var(--nicer-accent, #10B981);';
+      scrubber.addEventListener('input', () => seekProgress(Number(scrubber.value) / 1000));
+
+      nav.appendChild(list);
+      nav.appendChild(scrubber);
+      state.stage.parentNode.insertBefore(nav, state.stage.nextSibling);
+      state.chapterNav = { root: nav, dots, scrubber, active: null };
+      syncChapterNav();
+    }
 
-  // Initialize after DOM is ready but keep visual instantly responsive
-  if (document.readyState === 'loading') {
-    on(document, 'DOMContentLoaded', () => requestAnimationFrame(initialize));
-  } else {
-    requestAnimationFrame(initialize);
+    function removeChapterNav() {
+      if (!state.chapterNav) return;
+      const { root } = state.chapterNav;
+      if (root.parentNode) root.parentNode.removeChild(root);
+      state.chapterNav = null;
+    }
+
+    /** Reflect playhead position in the chapter UI (called from the master timeline's onUpdate). */
+    function syncChapterNav() {
+      const nav = state.chapterNav;
+      if (!nav || !state.masterTL) return;
+      if (document.activeElement !== nav.scrubber) {
+        nav.scrubber.value = String(Math.round(state.masterTL.progress() * 1000));
+      }
+      const labels = sceneLabels();
+      const idx = sceneIndexAt(state.masterTL.time());
+      const active = idx >= 0 ? labels[idx].name : null;
+      if (active === nav.active) return;
+      nav.dots.forEach((dot, name) => {
+        const isActive = name === active;
+        dot.style.background = isActive ? themeColor('accent') : 'transparent';
+        dot.style.transform = isActive ? 'scale(1.25)' : 'scale(1)';
+        if (isActive) dot.setAttribute('aria-current', 'step'); else dot.removeAttribute('aria-current');
+      });
+      nav.active = active;
+    }
+
+    /** Stage glow in the active theme's accent. */
+    function ambientGlow(tl) {
+      return tl.to(state.stage, { boxShadow: `0 0 60px ${themeColor('accent', 0.18)}`, duration: 3, yoyo: true }, 0);
+    }
+
+    /**
+     * Ambient infinite promo loops (and the perf monitor) — non-blocking, active only while demo is playing.
+     */
+    function startAmbientLoops() {
+      startPerfMonitor();
+      if (state.ambientTL) return;
+      const stage = state.stage;
+
+      // Ensure Three is ready (on-demand init if user clicks very quickly)
+      if (!state.startThree && state.threeRoot && !state.prefersReducedMotion) {
+        try { initThree(); } catch (_) {}
+      }
+
+      state.ambientTL = ambientGlow(gsap.timeline({ repeat: -1, defaults: { ease: 'sine.inOut' } }));
+
+      const blobs = queryAll('#story .absolute.inset-0.pointer-events-none .absolute');
+      if (blobs.length && !state.ambientBlobTween) {
+        state.ambientBlobTween = gsap.to(blobs, { xPercent: 8, yPercent: -6, duration: 14, yoyo: true, repeat: -1, ease: 'sine.inOut', stagger: { each: 2, yoyo: true } });
+      }
+      if (state.ambientBlobTween) {
+        if (currentTier().ambientBlobs) state.ambientBlobTween.resume(); else state.ambientBlobTween.pause();
+      }
+
+      // Start gentle float only after hero unlocks
+      if (!state.lockLogoCenter && byId('notion-logo') && !state.logoFloatTween) {
+        state.logoFloatTween = gsap.to('#notion-logo', { y: '+=6', duration: 2.2, yoyo: true, repeat: -1, ease: 'sine.inOut' });
+      }
+
+      const circuitPaths = state.svg ? state.svg.querySelectorAll('#ai-circuits path') : [];
+      if (circuitPaths.length) {
+        gsap.to(circuitPaths, { opacity: 0.45, duration: 1.2, yoyo: true, repeat: -1, stagger: 0.1 });
+      }
+
+      const schedule = () => {
+        const baseMin = 2, baseMax = 3.5;
+        const min = isSmallScreen() ? CONFIG.mobile.ambientMinDelay : baseMin;
+        const max = isSmallScreen() ? CONFIG.mobile.ambientMaxDelay : baseMax;
+        const delay = min + Math.random() * (max - min);
+        state.ambientBurstDC = gsap.delayedCall(delay, () => {
+          const rect = stage.getBoundingClientRect();
+          const x = rect.width * (0.4 + Math.random() * 0.2);
+          const y = rect.height * (0.35 + Math.random() * 0.3);
+          particlesBurst({ x, y, color: themeColor(Math.random() > 0.5 ? 'accent' : 'accentAlt'), shape: 'sparks', trail: 3, count: 20 + Math.floor(Math.random() * 20) });
+          schedule();
+        });
+      };
+      schedule();
+
+      // Start Three.js loop only when ambient begins (i.e., when demo is active)
+      if (state.startThree) state.startThree(); else requestAnimationFrame(() => { if (state.startThree) state.startThree(); });
+    }
+
+    function stopAmbientLoops() {
+      stopPerfMonitor();
+      if (state.ambientTL) { try { state.ambientTL.kill(); } catch (_) {} state.ambientTL = null; }
+      if (state.ambientBurstDC) { try { state.ambientBurstDC.kill(); } catch (_) {} state.ambientBurstDC = null; }
+      if (state.stopThree) state.stopThree();
+      if (state.logoFloatTween) { try { state.logoFloatTween.kill(); } catch (_) {} state.logoFloatTween = null; }
+    }
+
+    /** Forget the current scene/loop (timeline rewound or rebuilt). */
+    function resetProgress() {
+      state.currentScene = null;
+      state.currentSceneIndex = -1;
+      state.loopIndex = 0;
+    }
+
+    /** Start the demo from the top (launch button and API). */
+    function playFromStart() {
+      if (!state.masterTL) return;
+      startAmbientLoops();
+      resetProgress();
+      state.masterTL.play(0);
+      emit('play', { scene: null, index: -1, loop: 0 });
+    }
+
+    function pauseDemo() {
+      if (!state.masterTL) return;
+      const wasRunning = !state.masterTL.paused();
+      state.masterTL.pause();
+      stopAmbientLoops();
+      if (wasRunning) emit('pause');
+    }
+
+    /** Continue from the playhead; a rewound timeline starts fresh instead. */
+    function resumeDemo() {
+      if (!state.masterTL) return;
+      if (state.masterTL.time() === 0 && state.masterTL.iteration() <= 1) { playFromStart(); return; }
+      if (!state.masterTL.paused()) return;
+      startAmbientLoops();
+      state.masterTL.play();
+      emit('play', { reason: 'resume' });
+    }
+
+    function resetDemo() {
+      if (!state.masterTL) return;
+      state.masterTL.pause(0);
+      stopAmbientLoops();
+      resetProgress();
+      syncChapterNav();
+    }
+
+    /** Automatic pause when the stage scrolls out of view or the tab is hidden. */
+    function visibilityPause(reason) {
+      if (!state.masterTL) return;
+      state.wasPlaying = !state.masterTL.paused();
+      state.masterTL.pause();
+      stopAmbientLoops();
+      if (state.wasPlaying) emit('visibility-pause', { reason });
+    }
+
+    function visibilityResume(reason) {
+      if (!state.masterTL || !state.wasPlaying) return;
+      startAmbientLoops();
+      state.masterTL.play();
+      emit('play', { reason });
+    }
+
+    /** Pause/resume control by scroll/visibility */
+    function initVisibilityControls() {
+      if (hasScrollTrigger) {
+        ScrollTrigger.create({
+          trigger: state.stage,
+          start: 'top 80%',
+          end: 'bottom top',
+          onEnter: () => { /* only start ambient when playing */ },
+          onLeave: () => visibilityPause('scroll'),
+          onEnterBack: () => visibilityResume('scroll'),
+          onLeaveBack: () => visibilityPause('scroll'),
+        });
+      } else {
+        // Fallback: IntersectionObserver
+        const io = new IntersectionObserver((entries) => {
+          entries.forEach(entry => {
+            if (!entry.isIntersecting) visibilityPause('scroll');
+            else visibilityResume('scroll');
+          });
+        }, { threshold: 0.1 });
+        io.observe(state.stage);
+        // Track cleanup properly
+        trackCleanup(() => { try { io.disconnect(); } catch (_) {} });
+      }
+
+      const onVisibility = () => {
+        if (document.hidden) visibilityPause('hidden');
+        else visibilityResume('visible');
+        syncAudioSuspension();
+      };
+      on(document, 'visibilitychange', onVisibility);
+
+      // Orientation handling
+      on(window, 'orientationchange', () => { if (hasScrollTrigger) requestAnimationFrame(() => ScrollTrigger.refresh()); }, { passive: true });
+
+      // Resize observer to react to stage size changes
+      if (window.ResizeObserver) {
+        const ro = new ResizeObserver(() => {
+          try {
+            // Resize canvas to stage
+            resizeParticles();
+            // Update three renderer size
+            if (state.threeBg && state.threeRoot) state.threeBg.resize(state.threeRoot.clientWidth, state.threeRoot.clientHeight, deviceDpr());
+            if (hasScrollTrigger) ScrollTrigger.refresh();
+          } catch (_) {}
+        });
+        ro.observe(state.stage);
+        trackCleanup(() => { try { ro.disconnect(); } catch (_) {} });
+      }
+    }
+
+    /** Polite screen-reader announcement through the #story-aria live region. */
+    function announce(text) {
+      const region = byId('story-aria');
+      if (!region || !text) return;
+      // Clear first so repeating the same sentence (next loop) is announced again
+      region.textContent = '';
+      requestAnimationFrame(() => { region.textContent = text; });
+    }
+
+    function announceScene({ scene }) {
+      const entry = scene ? sceneRegistry.get(scene) : null;
+      if (entry) announce(sceneNarration(entry) || t('scene.fallback', { title: sceneTitle(entry) }));
+    }
+
+    /** Stage keyboard shortcuts. Ignored while typing in a field or with modifier keys held. */
+    function initKeyboardControls() {
+      const onKeyDown = (e) => {
+        if (e.altKey || e.ctrlKey || e.metaKey || !state.masterTL) return;
+        const target = e.target;
+        if (target && target !== state.stage && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT|BUTTON)$/.test(target.tagName))) return;
+        if (layoutEditor.active) {
+          if (e.key === 'Escape') { stopLayoutEditing(); e.preventDefault(); }
+          return;
+        }
+        switch (e.key) {
+          case ' ':
+          case 'k':
+          case 'K':
+            if (state.masterTL.paused()) { resumeDemo(); announce(t('announce.playing')); } else { pauseDemo(); announce(t('announce.paused')); }
+            break;
+          case 'ArrowRight':
+            stepScene(1);
+            break;
+          case 'ArrowLeft':
+            stepScene(-1);
+            break;
+          case 'Home':
+            resetDemo();
+            announce(t('announce.reset'));
+            break;
+          case 'Escape':
+            if (state.masterTL.paused()) return;
+            pauseDemo();
+            announce(t('announce.stopped'));
+            break;
+          default:
+            return;
+        }
+        e.preventDefault();
+      };
+      on(state.stage, 'keydown', onKeyDown);
+    }
+
+    /** Build and wire master controls (no autoplay) */
+    function wireControls() {
+      // Build but do not autoplay
+      if (!state.masterTL) {
+        state.masterTL = buildMasterTimeline();
+        state.masterTL.pause(0);
+        if (state.prefersReducedMotion) state.masterTL.timeScale(CONFIG.reducedMotionScale);
+      }
+
+      const playBtn = byId('launch-demo');
+      if (playBtn) {
+        on(playBtn, 'click', playFromStart, { passive: true });
+      }
+    }
+
+    /** Public API */
+    function createAPI() {
+      return {
+        play() { playFromStart(); },
+        pause() { pauseDemo(); },
+        reset() { resetDemo(); },
+        setTimeScale(scale) { if (state.masterTL && typeof scale === 'number') state.masterTL.timeScale(scale); },
+        isActive() { return !!(state.masterTL && state.masterTL.isActive()); },
+        destroy() { teardown(); },
+        rebuild() { teardown(); initialize(); },
+        registerScene(name, factory, opts) { return registerScene(name, factory, opts); },
+        unregisterScene(name) { return unregisterScene(name); },
+        setSceneOrder(names) { setSceneOrder(names); },
+        getSceneOrder() { return sceneOrder.slice(); },
+        getScenes() { return Array.from(sceneRegistry.keys()); },
+        rebuildTimeline() { rebuildMasterTimeline(); },
+        loadStory(source, opts) { return loadStory(source, opts); },
+        setLocale(code) { return setLocale(code); },
+        getLocale() { return localeState.current; },
+        registerLocale(code, bundle) { return registerLocale(code, bundle); },
+        setPrompt(text) { return setPrompt(text); },
+        clearPrompt() { clearPrompt(); },
+        getPrompt() { return livePrompt.analysis ? { ...livePrompt.analysis } : null; },
+        analyzePrompt(text) { return analyzePrompt(text); },
+        exportToNotion(opts) { return exportToNotion(opts); },
+        editLayout(enabled = true) { if (enabled) return startLayoutEditing(); stopLayoutEditing(); return false; },
+        isEditingLayout() { return layoutEditor.active; },
+        getLayout() { return getLayout(); },
+        setLayout(layout) { return setLayout(layout); },
+        setTheme(name, opts) { return setTheme(name, opts); },
+        getTheme() { return themeState.current; },
+        getThemes() { return JSON.parse(JSON.stringify(THEMES)); },
+        registerTheme(name, roles) { return registerTheme(name, roles); },
+        getPerfStats() { return getPerfStats(); },
+        setQuality(tier) { return setQuality(tier); },
+        getQuality() { return currentTier().name; },
+        getRenderBackend() { return getRenderBackend(); },
+        simulateContextLoss(restoreAfter) { return simulateContextLoss(restoreAfter); },
+        getStory() { return JSON.parse(JSON.stringify(activeStory)); },
+        registerAction(name, fn) {
+          if (typeof fn !== 'function') { console.warn(`[NicerCinematic] registerAction: "${name}" must be a function`); return false; }
+          storyActions.set(name, fn);
+          return true;
+        },
+        on(type, handler) { return addEventHandler(type, handler); },
+        off(type, handler) { removeEventHandler(type, handler); },
+        addSink(sink) { return addSink(sink); },
+        removeSink(sink) { removeSink(sink); },
+        sinks: { console: createConsoleSink, beacon: createBeaconSink },
+        goToScene(name) { return goToScene(name); },
+        next() { return stepScene(1); },
+        prev() { return stepScene(-1); },
+        seek(progress) { seekProgress(progress); },
+        getCurrentScene() { return state.currentScene; },
+        showChapters(show = true) { if (show) renderChapterNav(); else removeChapterNav(); },
+        setMuted(muted) { setMuted(muted); },
+        isMuted() { return audioPrefs.muted; },
+        setVolume(volume) { setVolume(volume); },
+        getVolume() { return audioPrefs.volume; },
+        registerCue(name, synth) { return registerCue(name, synth); },
+        loadCue(name, url) { return loadCue(name, url); },
+        playCue(name, opts) { playCue(name, opts); },
+        version: VERSION
+      };
+    }
+
+    /** Cleanup all resources */
+    function teardown() {
+      try { stopPerfMonitor(); } catch (_) {}
+      try { stopAmbientLoops(); } catch (_) {}
+      if (state.particles) { state.particles.destroy(); state.particles = null; }
+      if (state.ambientBlobTween) { try { state.ambientBlobTween.kill(); } catch (_) {} state.ambientBlobTween = null; }
+      releaseFxWorker();
+
+      stopLayoutEditing({ silent: true });
+      if (state.masterTL) { try { state.masterTL.kill(); } catch (_) {} state.masterTL = null; }
+      removeChapterNav();
+      // Only this instance's animations: the host page keeps its own tweens and ScrollTriggers
+      if (ScrollTrigger) ScrollTrigger.killOwned();
+      gsap.killOwned();
+
+      destroyThree();
+      state.reportedBackend = '';
+      destroyAudio();
+      removeAllListeners();
+      resetProgress();
+      state.initialized = false;
+    }
+
+    /** Initialize the full system */
+    function initialize() {
+      if (state.initialized) return;
+      state.initialized = true;
+
+      state.prefersReducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+      // Get refs
+      state.stage = byId('cinematic-stage');
+      state.svg = byId('story-svg');
+      state.fxCanvas = /** @type {HTMLCanvasElement} */ (byId('fx-canvas'));
+      state.threeRoot = byId('three-root');
+
+      if (!state.stage) {
+        console.warn('[NicerCinematic] Stage not found. Aborting init.');
+        return;
+      }
+
+      // Rendering hints scoped to the cinematic stage only (avoid global side-effects)
+      gsap.set(state.stage.querySelectorAll('*'), { force3D: true, backfaceVisibility: 'hidden' });
+
+      // Locale before anything reads copy (accessibility labels, story compile)
+      localeState.current = resolveLocale(localeState.requested || state.stage.getAttribute('data-locale'));
+      applyLocaleToDOM();
+
+      // Theme: setTheme() before init, then data-theme, then CONFIG
+      themeState.current = [themeState.requested, state.stage.getAttribute('data-theme'), CONFIG.theme.name].find(n => n && THEMES[n]) || 'emerald';
+      applyThemeToDOM(0);
+
+      // Accessibility & immediate visibility
+      applyAccessibilityAttributes();
+      ensureImmediateVisibility();
+
+      // Quality governor: data-quality pins a tier, otherwise start from the device class and adapt
+      const pinned = state.stage.getAttribute('data-quality');
+      if (pinned && tierIndex(pinned) !== -1) qualityState.override = pinned;
+      qualityState.tier = qualityState.override ? tierIndex(qualityState.override) : initialTier();
+
+      // 3D background (and particles) off the main thread when opted in and supported
+      initFxWorker();
+      const threeFrame = requestAnimationFrame(initThree);
+      trackCleanup(() => cancelAnimationFrame(threeFrame)); // destroy() before that frame must not build it
+      // Registered once: initThree() runs again on antialias tier switches and context restores
+      on(window, 'resize', () => {
+        if (state.threeBg) state.threeBg.resize(state.threeRoot.clientWidth, state.threeRoot.clientHeight, deviceDpr());
+      }, { passive: true });
+
+      // Interactions & parallax
+      initButtonInteractions();
+      initParallax();
+
+      // Build controls and visibility management (no autoplay)
+      wireControls();
+      initKeyboardControls();
+      initLivePrompt();
+      initVisibilityControls();
+
+      // Designer-authored story from markup
+      const storyUrl = state.stage.getAttribute('data-story');
+      if (storyUrl) loadStory(storyUrl);
+
+      // Optional chapter dots/scrubber
+      if (CONFIG.chapters.enabled || state.stage.hasAttribute('data-chapters')) renderChapterNav();
+
+      // Safety kill on unload
+      on(window, 'beforeunload', () => {
+        gsap.killOwned();
+        if (ScrollTrigger) ScrollTrigger.killOwned();
+      });
+
+      // Global error guard (do not break UX)
+      on(window, 'error', (e) => console.warn('Animation error caught:', e.error || e.message));
+    }
+
+    // The API exists immediately (methods no-op until initialized)
+    applyStory(DEFAULT_STORY);
+    addEventHandler('scene:start', announceScene);
+    addEventHandler('scene:start', ({ index }) => playCue('scene', { index }));
+    addEventHandler('scene:start', ({ scene }) => syncThreeScene(scene));
+
+    if (options.defer) {
+      // Page instance: initialize after DOM is ready but keep visual instantly responsive;
+      // pages without the stage markup (e.g. only <nicer-cinematic> embeds) stay idle
+      const start = () => requestAnimationFrame(() => { if (byId('cinematic-stage')) initialize(); });
+      if (document.readyState === 'loading') on(document, 'DOMContentLoaded', start);
+      else start();
+    } else {
+      initialize();
+    }
+    return createAPI();
+  }
+
+  /**
+   * <nicer-cinematic>: an instance mounted on the element's own children — the stage markup, or a copy
+   * of the <template> named by its `template` attribute. theme, locale, quality, story, chapters and
+   * offscreen attributes map onto the stage's data-* options. Removing the element destroys the
+   * instance; `element.cinematic` is its API.
+   */
+  const ELEMENT_ATTRIBUTES = ['theme', 'locale', 'quality', 'story', 'chapters', 'offscreen'];
+
+  function defineElement() {
+    if (!global.customElements || !global.HTMLElement || global.customElements.get('nicer-cinematic')) return;
+    class NicerCinematicElement extends global.HTMLElement {
+      connectedCallback() {
+        if (this.cinematic) return;
+        const templateId = this.getAttribute('template');
+        const template = templateId && !this.children.length ? document.getElementById(templateId) : null;
+        if (template && template.content) this.appendChild(template.content.cloneNode(true));
+        const stage = this.querySelector('[id="cinematic-stage"]');
+        if (stage) {
+          ELEMENT_ATTRIBUTES.forEach(name => {
+            if (this.hasAttribute(name)) stage.setAttribute(`data-${name}`, this.getAttribute(name));
+          });
+        }
+        this.cinematic = create(this);
+      }
+
+      disconnectedCallback() {
+        // Moving the element reconnects it before this runs; only a real removal tears down
+        queueMicrotask(() => {
+          if (this.isConnected || !this.cinematic) return;
+          this.cinematic.destroy();
+          this.cinematic = null;
+        });
+      }
+    }
+    global.customElements.define('nicer-cinematic', NicerCinematicElement);
+  }
+
+  // The page instance (window.NicerCinematic) drives #cinematic-stage as before; create() mounts more.
+  // A second evaluation (nicer-anim.mjs imported on a page that also has the classic script) reuses it
+  // rather than mounting the stage twice.
+  const loaded = global.NicerCinematic;
+  let NicerCinematic = { create, version: VERSION };
+  if (loaded && typeof loaded.create === 'function') {
+    NicerCinematic = loaded;
+  } else if (typeof document !== 'undefined') {
+    if (global.gsap) {
+      NicerCinematic = Object.assign(create(document, { defer: true }), { create });
+    } else if (document.getElementById('cinematic-stage')) {
+      console.warn('[NicerCinematic] GSAP not found. Cinematic demo disabled.');
+      // Ensure hero scene (SVG group) is visible so UI never feels broken
+      requestAnimationFrame(() => {
+        const gHero = document.getElementById('scene-hero');
+        if (gHero) gHero.style.opacity = '1';
+      });
+    }
+    defineElement();
   }
 
-  // Expose API immediately (methods will no-op until initialized)
-  exposeAPI();
-})(); 
+  if (typeof module === 'object' && module.exports) module.exports = NicerCinematic;
+  else global.NicerCinematic = NicerCinematic;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,21 @@
+/*
+ * ES module entry for nicer-anim.js.
+ *
+ *   import NicerCinematic, { create } from './nicer-anim.mjs';
+ *   import { gsap } from 'gsap';
+ *   const demo = create(document.querySelector('#onboarding-demo'), { gsap });
+ *   demo.play(); ... demo.destroy();
+ *
+ * The default export is the same object as window.NicerCinematic (the page instance plus create/version).
+ * On a page that already ran nicer-anim.js as a classic script, the import re-evaluates it but reuses that
+ * instance instead of mounting #cinematic-stage a second time. Importing also registers <nicer-cinematic>. GSAP, ScrollTrigger and THREE are read from the page
+ * globals unless passed to create().
+ */
+import * as loaded from './nicer-anim.js';
+
+// Bundlers hand back module.exports; a native module import leaves the script's global instead
+const NicerCinematic = (loaded && loaded.default) || globalThis.NicerCinematic;
+
+export const create = NicerCinematic.create;
+export const version = NicerCinematic.version;
+export default NicerCinematic;
@@ -0,0 +1,245 @@
+/*
+ * Nicer Attribution (ES6)
+ *
+ * Remembers where a visitor came from and how much of the cinematic demo they watched, so the waitlist
+ * signup and the post-signup redirect can carry it.
+ *
+ * First touch wins: utm_* parameters, ref, the landing path and the external referrer are captured on
+ * the first page view of a browser session and kept in sessionStorage (memory when that is blocked);
+ * later page views in the same session do not overwrite them. The referrer is reduced to origin + path.
+ *
+ * Demo engagement comes from a NicerCinematic instance through its sink interface (addSink): whether it
+ * was played, the furthest scene reached (and its share of the scene order), the furthest playhead
+ * position in seconds and whether it was played to the end.
+ *
+ * Field names (hidden inputs, submission values, webhook JSON):
+ *   utm_source, utm_medium, utm_campaign, utm_term, utm_content, ref, landing_path, referrer,
+ *   demo_watched ('yes' | 'no'), demo_progress (0..100), demo_furthest_scene, demo_seconds, demo_completed ('yes' | 'no')
+ *
+ * Public API (window.NicerAttribution in browsers, module.exports in Node):
+ * - createAttribution({ storage?, location?, referrer?, key?, now? }): {
+ *     get(): { touch, demo }, fields(): flat string map (empty values omitted),
+ *     decorateUrl(url): url with the utm_* and ref parameters it does not already have,
+ *     trackDemo(cinematic): remover — records engagement from a NicerCinematic instance,
+ *     bindForm(form): remover — keeps <input type="hidden" data-attribution> fields in sync,
+ *     on('change', handler): unsubscribe }
+ * - parseTouch({ search, pathname, referrer, origin }): the touch for one page view (pure).
+ * - FIELDS, UTM_PARAMS, version
+ */
+
+/* eslint-disable */
+(function (root) {
+  'use strict';
+
+  const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+  const TOUCH_FIELDS = UTM_PARAMS.concat(['ref', 'landing_path', 'referrer']);
+  const DEMO_FIELDS = ['demo_watched', 'demo_progress', 'demo_furthest_scene', 'demo_seconds', 'demo_completed'];
+  const FIELDS = TOUCH_FIELDS.concat(DEMO_FIELDS);
+  const FORWARDED = UTM_PARAMS.concat(['ref']);
+
+  const MAX_VALUE = 200;
+
+  /** Query values are visitor-controlled: trim, drop control characters, cap the length. */
+  const clean = (value) => String(value == null ? '' : value).replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_VALUE);
+
+  function parseTouch({ search = '', pathname = '/', referrer = '', origin = '' } = {}) {
+    const params = new URLSearchParams(search);
+    const touch = {};
+    FORWARDED.forEach(name => {
+      const value = clean(params.get(name));
+      if (value) touch[name] = value;
+    });
+    touch.landing_path = clean(pathname) || '/';
+    if (referrer) {
+      try {
+        const url = new URL(referrer);
+        // Internal navigation is not a source
+        if (url.origin !== origin) touch.referrer = clean(url.origin + url.pathname);
+      } catch (e) {
+        /* not a URL: ignore */
+      }
+    }
+    return touch;
+  }
+
+  function sessionStore(storage) {
+    let memory = null;
+    return {
+      read(key) {
+        if (storage) {
+          try {
+            const raw = storage.getItem(key);
+            if (raw) return JSON.parse(raw);
+          } catch (e) { /* blocked or corrupt: fall through to memory */ }
+        }
+        return memory;
+      },
+      write(key, value) {
+        memory = value;
+        if (!storage) return;
+        try { storage.setItem(key, JSON.stringify(value)); } catch (e) { /* quota or blocked: memory only */ }
+      }
+    };
+  }
+
+  function defaultStorage() {
+    try {
+      return root.sessionStorage || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function createAttribution(options = {}) {
+    const location = options.location || root.location || {};
+    const referrer = options.referrer != null ? options.referrer : (root.document ? root.document.referrer : '');
+    const key = options.key || 'nicer-attribution';
+    const now = options.now || Date.now;
+    const store = sessionStore(options.storage !== undefined ? options.storage : defaultStorage());
+    const handlers = new Set();
+
+    let data = store.read(key);
+    if (!data || !data.touch) {
+      data = {
+        touch: { ...parseTouch({ search: location.search, pathname: location.pathname, referrer, origin: location.origin }), first_seen: now() },
+        demo: { watched: false, furthestIndex: -1, furthestScene: null, progress: 0, seconds: 0, completed: false }
+      };
+      store.write(key, data);
+    }
+
+    function changed() {
+      store.write(key, data);
+      handlers.forEach(fn => {
+        try {
+          fn(api.get());
+        } catch (e) {
+          console.warn('[NicerAttribution] change handler failed', e);
+        }
+      });
+    }
+
+    function fields() {
+      const { touch, demo } = data;
+      const out = {};
+      TOUCH_FIELDS.forEach(name => { if (touch[name]) out[name] = String(touch[name]); });
+      out.demo_watched = demo.watched ? 'yes' : 'no';
+      out.demo_progress = String(demo.progress);
+      if (demo.furthestScene) out.demo_furthest_scene = demo.furthestScene;
+      out.demo_seconds = String(Math.round(demo.seconds));
+      out.demo_completed = demo.completed ? 'yes' : 'no';
+      return out;
+    }
+
+    function decorateUrl(url) {
+      let target;
+      try {
+        target = new URL(url, location.href || undefined);
+      } catch (e) {
+        console.warn(`[NicerAttribution] decorateUrl: invalid URL "${url}"`);
+        return url;
+      }
+      FORWARDED.forEach(name => {
+        const value = data.touch[name];
+        if (value && !target.searchParams.has(name)) target.searchParams.set(name, value);
+      });
+      return target.toString();
+    }
+
+    /** Engagement only ever grows: replays and seeking back do not lower it. */
+    function trackDemo(cinematic) {
+      if (!cinematic || typeof cinematic.addSink !== 'function') {
+        console.warn('[NicerAttribution] trackDemo: expected a NicerCinematic instance');
+        return () => {};
+      }
+      const demo = data.demo;
+      const sceneCount = () => {
+        const order = typeof cinematic.getSceneOrder === 'function' ? cinematic.getSceneOrder() : [];
+        return Math.max(1, order.length);
+      };
+      return cinematic.addSink({
+        handle(event) {
+          let dirty = false;
+          if (event.type === 'play' && !demo.watched) {
+            demo.watched = true;
+            dirty = true;
+          }
+          if (event.type === 'scene:start' && event.index > demo.furthestIndex) {
+            demo.watched = true;
+            demo.furthestIndex = event.index;
+            demo.furthestScene = event.scene || null;
+            demo.progress = Math.min(100, Math.round(((event.index + 1) / sceneCount()) * 100));
+            dirty = true;
+          }
+          const ended = event.type === 'loop' || (event.type === 'scene:complete' && event.index === sceneCount() - 1);
+          if (ended && !demo.completed) {
+            demo.completed = true;
+            demo.progress = 100;
+            dirty = true;
+          }
+          if (typeof event.totalElapsed === 'number' && event.totalElapsed > demo.seconds) {
+            demo.seconds = event.totalElapsed;
+            dirty = true;
+          }
+          if (dirty) changed();
+        }
+      });
+    }
+
+    /** Mirror fields() into hidden inputs so any form submission carries them. */
+    function bindForm(form) {
+      if (!form) {
+        console.warn('[NicerAttribution] bindForm: form not found');
+        return () => {};
+      }
+      const doc = form.ownerDocument;
+      const sync = () => {
+        const values = fields();
+        form.querySelectorAll('input[data-attribution]').forEach(input => {
+          if (!(input.name in values)) input.remove();
+        });
+        Object.keys(values).forEach(name => {
+          let input = form.querySelector(`input[data-attribution][name="${name}"]`);
+          if (!input) {
+            input = doc.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            input.setAttribute('data-attribution', '');
+            form.appendChild(input);
+          }
+          input.value = values[name];
+        });
+      };
+      sync();
+      handlers.add(sync);
+      return () => {
+        handlers.delete(sync);
+        form.querySelectorAll('input[data-attribution]').forEach(input => input.remove());
+      };
+    }
+
+    const api = {
+      get() { return { touch: { ...data.touch }, demo: { ...data.demo } }; },
+      fields,
+      decorateUrl,
+      trackDemo,
+      bindForm,
+      on(type, handler) {
+        if (type !== 'change' || typeof handler !== 'function') return () => {};
+        handlers.add(handler);
+        return () => handlers.delete(handler);
+      }
+    };
+    return api;
+  }
+
+  const NicerAttribution = {
+    createAttribution,
+    parseTouch,
+    FIELDS,
+    UTM_PARAMS,
+    version: '1.0.0'
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = NicerAttribution;
+  else root.NicerAttribution = NicerAttribution;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,132 @@
+/*
+ * Nicer FX Worker (ES6, classic worker script)
+ *
+ * Off-main-thread rendering for the cinematic stage. nicer-anim.js transfers #fx-canvas (and, where
+ * OffscreenCanvas supports WebGL, a canvas for the Three.js background) with transferControlToOffscreen()
+ * and drives them with small messages, so particles and the floating cards no longer compete with GSAP
+ * and page scrolling on the main thread. Particles run on nicer-particles.js and the background on
+ * nicer-three-bg.js (both loaded with importScripts), exactly as on the main thread.
+ *
+ * Messages in (postMessage({ type, ... })):
+ * - init      { particles?: { canvas, options },
+ *               three?: { canvas, url, width, height, dpr, antialias, cards, visibleCards, colors, config, scene } }
+ * - resize    { width, height, dpr }                   Both canvases follow the stage size.
+ * - burst     { opts }                                 engine.burst() options (colours as strings).
+ * - budget    { count }                                engine.setBudget().
+ * - cards     { count }                                Number of visible Three.js cards (quality tier).
+ * - camera    { x, y }                                 Parallax camera offset.
+ * - scene     { name }                                 Story scene on stage (cards regroup for some scenes).
+ * - theme     { colors, duration }                     Background colours ({ light, cards, accent, text }).
+ * - three     { running }                              Start/stop the Three.js loop (idle renders one frame).
+ * - context   { lost }                                 Simulate WebGL context loss/restore on the background canvas.
+ * - stats                                              Replies { type: 'stats', particles }.
+ * - destroy                                            Stop everything and close the worker.
+ * Messages out: { type: 'ready', particles, three } after init, { type: 'error', message } on failure,
+ *               { type: 'context', lost } when the background loses or regains its WebGL context (it is
+ *               rebuilt here from the last scene/colours/camera, so the main thread only records the state).
+ */
+
+/* eslint-disable */
+/* global importScripts, THREE, NicerParticles */
+(function (self) {
+  'use strict';
+
+  const raf = self.requestAnimationFrame ? cb => self.requestAnimationFrame(cb) : cb => setTimeout(() => cb(performance.now()), 16);
+  const caf = self.cancelAnimationFrame ? id => self.cancelAnimationFrame(id) : id => clearTimeout(id);
+
+  let engine = null;
+  let three = null;
+  let threeArgs = null; // init args plus the latest scene/colours/cards/camera, for rebuilds after context loss
+  let threeRunning = false;
+
+  function fail(err) {
+    self.postMessage({ type: 'error', message: err && err.message ? err.message : String(err) });
+  }
+
+  function initParticles({ canvas, options = {} }) {
+    if (!self.NicerParticles) importScripts('nicer-particles.js');
+    engine = NicerParticles.createEngine({ ...options, canvas, requestFrame: raf, cancelFrame: caf });
+  }
+
+  /** The same background as initThree() on the main thread (nicer-three-bg.js), on an OffscreenCanvas. */
+  function initThree(args) {
+    const { canvas, url, width, height, dpr, antialias, cards, visibleCards, colors, config, scene, camera } = args;
+    if (!self.THREE) importScripts(url);
+    if (!self.NicerThreeBackground) importScripts('nicer-three-bg.js');
+    threeArgs = args;
+    three = NicerThreeBackground.create(THREE, {
+      canvas, width, height, dpr, antialias, colors, config,
+      count: cards,
+      visible: visibleCards,
+      sceneModes: config.sceneModes,
+      requestFrame: raf,
+      cancelFrame: caf,
+      onContextLost: () => self.postMessage({ type: 'context', lost: true }),
+      onContextRestored: ({ resume }) => {
+        try { three.dispose(); } catch (_) {}
+        three = null;
+        try { initThree(threeArgs); } catch (err) { fail(err); return; }
+        if (resume || threeRunning) three.start();
+        self.postMessage({ type: 'context', lost: false });
+      }
+    });
+    three.setScene(scene);
+    if (camera) three.setCamera(camera.x, camera.y);
+  }
+
+  /** Remember the latest background state so a rebuild after context loss matches what was on screen. */
+  function remember(patch) {
+    if (threeArgs) Object.assign(threeArgs, patch);
+  }
+
+  const handlers = {
+    init(msg) {
+      if (msg.particles) initParticles(msg.particles);
+      if (msg.three) {
+        try { initThree(msg.three); } catch (err) { three = null; fail(err); } // particles can still run here
+      }
+      self.postMessage({ type: 'ready', particles: !!engine, three: !!three });
+    },
+    resize({ width, height, dpr }) {
+      if (engine) engine.resize(width, height, dpr);
+      remember({ width, height, dpr });
+      if (three) three.resize(width, height, dpr);
+    },
+    burst({ opts }) { if (engine) engine.burst(opts); },
+    budget({ count }) { if (engine) engine.setBudget(count); },
+    cards({ count }) { remember({ visibleCards: count }); if (three) three.setVisible(count); },
+    scene({ name }) { remember({ scene: name }); if (three) three.setScene(name); },
+    camera({ x, y }) { remember({ camera: { x, y } }); if (three) three.setCamera(x, y); },
+    theme({ colors, duration }) { remember({ colors }); if (three) three.setColors(colors, duration); },
+    three({ running }) {
+      threeRunning = !!running;
+      if (!three) return;
+      if (running) three.start(); else three.stop();
+    },
+    context({ lost }) {
+      if (!three) return;
+      let ext = null;
+      try { ext = three.renderer.getContext().getExtension('WEBGL_lose_context'); } catch (_) {}
+      if (ext) { if (lost) ext.loseContext(); else ext.restoreContext(); return; }
+      three.domElement.dispatchEvent(new Event(lost ? 'webglcontextlost' : 'webglcontextrestored', { cancelable: true }));
+    },
+    stats() {
+      self.postMessage({ type: 'stats', particles: engine ? engine.stats() : null });
+    },
+    destroy() {
+      if (engine) { engine.destroy(); engine = null; }
+      if (three) {
+        try { three.dispose(); } catch (_) {}
+        three = null;
+      }
+      self.close();
+    }
+  };
+
+  self.onmessage = (e) => {
+    const msg = e.data || {};
+    const handler = handlers[msg.type];
+    if (!handler) return;
+    try { handler(msg); } catch (err) { fail(err); }
+  };
+})(self);
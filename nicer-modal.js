@@ -0,0 +1,387 @@
+/*
+ * Nicer Modal Manager (ES6)
+ *
+ * Accessible, stackable dialogs whose content can live in standalone documents: privacy.html and
+ * terms.html stay the single source of the legal text and are fetched into a dialog on first open.
+ * Without JavaScript the same links simply navigate to those pages.
+ *
+ * Behaviour:
+ * - Stacking: opening a dialog from inside another keeps both; Esc, the close button, a backdrop
+ *   click or Back close only the top one.
+ * - Focus: focus moves into the dialog (the [autofocus] element, else the dialog itself), Tab and
+ *   Shift+Tab wrap inside it, and closing returns focus to whatever opened it.
+ * - Background: everything else under <body> (including lower dialogs) gets `inert` and page scroll
+ *   is locked while any dialog is open. Elements that were already inert are left alone.
+ * - History: opening pushes #<id>, so Back closes the dialog and Forward reopens it; a page loaded with
+ *   #<id> opens that dialog. Closing a dialog that pushed its entry goes back through history.
+ * - Links: a[data-modal="<id>"] and any same-origin link to a registered `url` open the dialog;
+ *   modified clicks (new tab, middle button) are left to the browser.
+ *
+ * Public API (window.NicerModal in browsers, module.exports in Node):
+ * - createModalManager({ document?, window?, fetch?, zIndex?, labels? }): {
+ *     register(id, { url?, selector?: 'main', element?, title? }), open(id, { trigger?, history? }): Promise,
+ *     close(id?), closeAll(), isOpen(id), getStack(), start(), destroy() }
+ *   open() resolves once the content is in place; a failed load shows a link to the standalone page.
+ * - version
+ */
+
+/* eslint-disable */
+(function (root) {
+  'use strict';
+
+  const FOCUSABLE = [
+    'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])', 'textarea:not([disabled])', 'iframe', '[contenteditable="true"]', '[tabindex]:not([tabindex="-1"])'
+  ].join(',');
+
+  const LABELS = {
+    close: 'Close',
+    loading: 'Loading…',
+    failed: 'This page could not be loaded here.',
+    openPage: 'Open it on its own page'
+  };
+
+  function createModalManager(options = {}) {
+    const win = options.window || root;
+    const doc = options.document || win.document;
+    const fetchImpl = options.fetch || (typeof win.fetch === 'function' ? win.fetch.bind(win) : null);
+    const baseZ = options.zIndex || 70;
+    const labels = { ...LABELS, ...(options.labels || {}) };
+
+    const registry = new Map(); // id → { id, url, selector, title, layer, dialog, body, loaded }
+    const stack = []; // { id, trigger, inerted: Element[], pushed }
+    const cleanups = [];
+    let savedOverflow = null;
+    let started = false;
+
+    const on = (target, type, handler, opts) => {
+      target.addEventListener(type, handler, opts);
+      cleanups.push(() => target.removeEventListener(type, handler, opts));
+    };
+    const gsapLib = () => win.gsap;
+    const top = () => stack[stack.length - 1] || null;
+    const idFromHash = () => {
+      const id = decodeURIComponent((win.location.hash || '').slice(1));
+      return registry.has(id) ? id : null;
+    };
+    const urlWithoutHash = () => win.location.pathname + win.location.search;
+
+    function register(id, { url = null, selector = 'main', element = null, title = '' } = {}) {
+      if (!id) {
+        console.warn('[NicerModal] register: id is required');
+        return;
+      }
+      const existing = registry.get(id);
+      if (existing && existing.layer) existing.layer.remove();
+      registry.set(id, { id, url, selector, element, title, layer: null, dialog: null, body: null, loaded: null });
+    }
+
+    /** Build (once) the backdrop layer, the dialog and its close button. */
+    function ensureLayer(entry) {
+      if (entry.layer) return entry;
+      const layer = doc.createElement('div');
+      layer.className = 'nicer-modal fixed inset-0 flex items-center justify-center p-4 bg-black/70 backdrop-blur-sm';
+      layer.setAttribute('data-modal-layer', entry.id);
+      layer.hidden = true;
+
+      const dialog = doc.createElement('div');
+      dialog.className = 'nicer-modal-card relative w-full max-w-3xl max-h-[85vh] overflow-y-auto rounded-2xl border border-white/10 bg-neutral-950 text-gray-100 p-6 sm:p-8 shadow-2xl';
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('tabindex', '-1');
+      dialog.id = `modal-${entry.id}`;
+      if (entry.title) dialog.setAttribute('aria-label', entry.title);
+
+      const close = doc.createElement('button');
+      close.type = 'button';
+      close.className = 'absolute top-4 right-4 w-9 h-9 rounded-full text-gray-300 hover:text-white hover:bg-white/10 focus:outline-none focus:ring-2 focus:ring-nicer-green';
+      close.setAttribute('data-modal-close', '');
+      close.setAttribute('aria-label', labels.close);
+      close.textContent = '×';
+
+      const body = doc.createElement('div');
+      body.setAttribute('data-modal-body', '');
+
+      dialog.append(close, body);
+      layer.appendChild(dialog);
+      doc.body.appendChild(layer);
+      Object.assign(entry, { layer, dialog, body });
+
+      const isTop = () => top() && top().id === entry.id;
+      close.addEventListener('click', () => { if (isTop()) closeTop(); });
+      layer.addEventListener('click', (e) => {
+        if (e.target === layer && isTop()) closeTop();
+      });
+      return entry;
+    }
+
+    function labelFromHeading(entry) {
+      const heading = entry.body.querySelector('h1, h2');
+      if (!heading) return;
+      if (!heading.id) heading.id = `modal-${entry.id}-title`;
+      entry.dialog.setAttribute('aria-labelledby', heading.id);
+      entry.dialog.removeAttribute('aria-label');
+    }
+
+    /** Fill the dialog once: an inline element is moved in, a URL is fetched and its `selector` imported. */
+    function load(entry) {
+      if (entry.loaded) return entry.loaded;
+      if (entry.element) {
+        entry.body.appendChild(entry.element);
+        entry.element.hidden = false;
+        labelFromHeading(entry);
+        entry.loaded = Promise.resolve();
+        return entry.loaded;
+      }
+      if (!entry.url) {
+        entry.loaded = Promise.resolve();
+        return entry.loaded;
+      }
+      entry.body.innerHTML = `<p class="text-gray-400" role="status">${labels.loading}</p>`;
+      entry.loaded = Promise.resolve()
+        .then(() => {
+          if (!fetchImpl) throw new Error('fetch is not available');
+          return fetchImpl(entry.url, { headers: { Accept: 'text/html' } });
+        })
+        .then(res => {
+          if (!res.ok) throw new Error(`${entry.url} responded ${res.status}`);
+          return res.text();
+        })
+        .then(html => {
+          const parsed = new win.DOMParser().parseFromString(html, 'text/html');
+          const source = parsed.querySelector(entry.selector) || parsed.body;
+          source.querySelectorAll('script, style, link, iframe').forEach(el => el.remove());
+          entry.body.replaceChildren(...Array.from(source.childNodes, node => doc.importNode(node, true)));
+          labelFromHeading(entry);
+        })
+        .catch(e => {
+          console.warn(`[NicerModal] Could not load "${entry.url}"`, e);
+          entry.loaded = null; // try again next time
+          entry.body.innerHTML = '';
+          const message = doc.createElement('p');
+          message.className = 'text-gray-300 mb-4';
+          message.textContent = labels.failed;
+          const link = doc.createElement('a');
+          link.href = entry.url;
+          link.className = 'text-nicer-green underline underline-offset-4';
+          link.textContent = labels.openPage;
+          link.setAttribute('data-modal-bypass', '');
+          entry.body.append(message, link);
+        });
+      return entry.loaded;
+    }
+
+    /** Inert every <body> child except `keep`; returns what this call changed so close can undo exactly that. */
+    function inertBackground(keep) {
+      return Array.from(doc.body.children).filter(el => el !== keep && !el.hasAttribute('inert')).map(el => {
+        el.setAttribute('inert', '');
+        return el;
+      });
+    }
+
+    function lockScroll(locked) {
+      const html = doc.documentElement;
+      if (locked && savedOverflow === null) {
+        savedOverflow = html.style.overflow;
+        html.style.overflow = 'hidden';
+      } else if (!locked && savedOverflow !== null) {
+        html.style.overflow = savedOverflow;
+        savedOverflow = null;
+      }
+    }
+
+    function focusInto(entry) {
+      const preferred = entry.dialog.querySelector('[autofocus]');
+      (preferred || entry.dialog).focus();
+    }
+
+    function open(id, { trigger = doc.activeElement, history = true } = {}) {
+      const entry = registry.get(id);
+      if (!entry) {
+        console.warn(`[NicerModal] open: unknown modal "${id}"`);
+        return Promise.resolve(false);
+      }
+      if (stack.some(s => s.id === id)) {
+        // Already open: bring focus back to it, do not stack a copy
+        if (top().id === id) focusInto(entry);
+        return Promise.resolve(true);
+      }
+      ensureLayer(entry);
+      const item = { id, trigger, inerted: inertBackground(entry.layer), pushed: false };
+      stack.push(item);
+      entry.layer.style.zIndex = String(baseZ + stack.length);
+      entry.layer.hidden = false;
+      entry.layer.removeAttribute('inert');
+      lockScroll(true);
+      if (history && win.history && win.history.pushState) {
+        win.history.pushState({ nicerModal: id }, '', `#${encodeURIComponent(id)}`);
+        item.pushed = true;
+      } else {
+        // Reopened by Forward: the entry is ours, so closing should go back through it
+        const state = win.history && win.history.state;
+        item.pushed = !!(state && state.nicerModal === id);
+      }
+      const gsap = gsapLib();
+      if (gsap) gsap.fromTo(entry.dialog, { y: 20, opacity: 0 }, { y: 0, opacity: 1, duration: 0.3, ease: 'power2.out' });
+      focusInto(entry);
+      return load(entry).then(() => {
+        if (top() === item && !entry.dialog.contains(doc.activeElement)) focusInto(entry);
+        return true;
+      });
+    }
+
+    /** Pop the top dialog and undo what opening it did. */
+    function dismiss() {
+      const item = stack.pop();
+      if (!item) return;
+      const entry = registry.get(item.id);
+      item.inerted.forEach(el => el.removeAttribute('inert'));
+      if (!stack.length) lockScroll(false);
+      const hide = () => { if (!stack.some(s => s.id === item.id)) entry.layer.hidden = true; };
+      const gsap = gsapLib();
+      if (gsap) gsap.to(entry.dialog, { y: 10, opacity: 0, duration: 0.2, ease: 'power2.in', onComplete: hide });
+      else hide();
+      const trigger = item.trigger;
+      if (trigger && trigger.isConnected && typeof trigger.focus === 'function') trigger.focus();
+    }
+
+    /** Close the top dialog. If it pushed a history entry, Back does the closing so history stays in step. */
+    function closeTop() {
+      const item = top();
+      if (!item) return;
+      const state = win.history && win.history.state;
+      if (item.pushed && state && state.nicerModal === item.id) {
+        win.history.back();
+        return;
+      }
+      dismiss();
+      if (!stack.length && idFromHash() && win.history && win.history.replaceState) {
+        win.history.replaceState(null, doc.title, urlWithoutHash());
+      }
+    }
+
+    function close(id) {
+      if (!id || (top() && top().id === id)) {
+        closeTop();
+        return;
+      }
+      // A dialog under the top one: close everything above it too
+      if (!stack.some(s => s.id === id)) return;
+      while (stack.length && top().id !== id) dismiss();
+      closeTop();
+    }
+
+    function closeAll() {
+      while (stack.length) dismiss();
+      if (idFromHash() && win.history && win.history.replaceState) win.history.replaceState(null, doc.title, urlWithoutHash());
+    }
+
+    /** Bring the stack in line with the URL after Back/Forward. */
+    function syncToHistory() {
+      const id = idFromHash();
+      const index = id ? stack.findIndex(s => s.id === id) : -1;
+      if (id && index === -1) open(id, { history: false }); // Forward
+      else while (stack.length > index + 1) dismiss(); // Back: drop what sits above the named dialog
+    }
+
+    function onKeydown(event) {
+      const item = top();
+      if (!item) return;
+      const entry = registry.get(item.id);
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closeTop();
+        return;
+      }
+      if (event.key !== 'Tab') return;
+      const focusable = Array.from(entry.dialog.querySelectorAll(FOCUSABLE)).filter(el => !el.closest('[hidden], [inert]'));
+      if (!focusable.length) {
+        event.preventDefault();
+        entry.dialog.focus();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = doc.activeElement;
+      if (event.shiftKey && (active === first || active === entry.dialog || !entry.dialog.contains(active))) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (active === last || !entry.dialog.contains(active))) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+
+    // Focus that escapes anyway (browsers without inert, programmatic focus) is pulled back in
+    function onFocusin(event) {
+      const item = top();
+      if (!item) return;
+      const entry = registry.get(item.id);
+      if (!entry.layer.contains(event.target)) focusInto(entry);
+    }
+
+    function modalForLink(link) {
+      if (link.hasAttribute('data-modal-bypass')) return null;
+      const explicit = link.getAttribute('data-modal');
+      if (explicit) return registry.has(explicit) ? explicit : null;
+      const href = link.getAttribute('href');
+      if (!href || href.charAt(0) === '#') return null;
+      let url;
+      try {
+        url = new URL(href, doc.baseURI);
+      } catch (e) {
+        return null;
+      }
+      if (url.origin !== win.location.origin) return null;
+      for (const entry of registry.values()) {
+        if (entry.url && new URL(entry.url, doc.baseURI).pathname === url.pathname) return entry.id;
+      }
+      return null;
+    }
+
+    function onClick(event) {
+      if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+      const link = event.target.closest && event.target.closest('a[href], [data-modal]');
+      if (!link || (link.target && link.target !== '_self')) return;
+      const id = modalForLink(link);
+      if (!id) return;
+      event.preventDefault();
+      open(id, { trigger: link });
+    }
+
+    return {
+      register,
+      open,
+      close,
+      closeAll,
+      isOpen(id) { return stack.some(s => s.id === id); },
+      getStack() { return stack.map(s => s.id); },
+      /** Listen for links, keys and history, and open the dialog named by the current hash. */
+      start() {
+        if (started) return;
+        started = true;
+        on(doc, 'click', onClick);
+        on(doc, 'keydown', onKeydown);
+        on(doc, 'focusin', onFocusin);
+        on(win, 'popstate', syncToHistory);
+        const id = idFromHash();
+        if (id) open(id, { history: false, trigger: null });
+      },
+      destroy() {
+        while (stack.length) dismiss();
+        cleanups.splice(0).forEach(fn => fn());
+        registry.forEach(entry => { if (entry.layer) entry.layer.remove(); });
+        registry.clear();
+        started = false;
+      }
+    };
+  }
+
+  const NicerModal = {
+    createModalManager,
+    version: '1.0.0'
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = NicerModal;
+  else root.NicerModal = NicerModal;
+})(typeof window !== 'undefined' ? window : globalThis);
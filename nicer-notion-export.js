@@ -0,0 +1,310 @@
+/*
+ * Nicer Notion Exporter (ES6)
+ *
+ * Converts a dashboard spec (see nicer-spec.js) into Notion API request bodies and, optionally, runs them.
+ * Output is a request plan: an ordered list of { method, path, body, ref } where later requests refer to
+ * ids created by earlier ones through "{{ref}}" placeholders ("{{page}}", "{{db-tasks}}", ...).
+ *
+ * Page shape:
+ *   intro callout · "Data sources" heading · one child database per spec database
+ *   · divider · a heading per section · layout rows (multi-cell rows become column_list blocks)
+ *   Database-backed widgets become linked databases (link_to_page) with their view described underneath;
+ *   the public API cannot create saved views. Notes become toggles; to-do lists get starter to_do items.
+ *
+ * Limits respected: 100 children per request (appends are chunked), 1000 blocks per payload,
+ * 2 levels of nesting per request, 2000 characters per rich text object.
+ *
+ * Public API (window.NicerNotionExport in browsers, module.exports in Node):
+ * - toNotionRequests(spec, { parentPageId }): Request[] — pure, deterministic.
+ * - importToNotion(spec, { token, parentPageId, baseUrl?, fetch?, notionVersion? }): Promise<{ pageId, url, databases, requests }>
+ *     Browsers cannot call api.notion.com directly (no CORS); point baseUrl at a proxy or the mock server.
+ * - blocksForSpec(spec, databaseIds?), databaseProperties(database), chunkBlocks(blocks, limit?), richText(text)
+ * - NOTION_VERSION, MAX_CHILDREN, version
+ */
+
+/* eslint-disable */
+(function (root) {
+  'use strict';
+
+  const NOTION_VERSION = '2022-06-28';
+  const MAX_CHILDREN = 100;
+  const MAX_PAYLOAD_BLOCKS = 1000;
+  const MAX_TEXT = 2000;
+
+  const STARTER_TODOS = ['Add your first item', 'Invite your team', 'Review this dashboard weekly'];
+
+  /** Notion rich_text array; long strings are split at the 2000-character limit. */
+  function richText(text, annotations) {
+    const content = String(text == null ? '' : text);
+    const parts = [];
+    for (let i = 0; i < content.length; i += MAX_TEXT) parts.push(content.slice(i, i + MAX_TEXT));
+    return (parts.length ? parts : ['']).map(part => {
+      const item = { type: 'text', text: { content: part } };
+      if (annotations) item.annotations = { ...annotations };
+      return item;
+    });
+  }
+
+  const block = (type, value) => ({ object: 'block', type, [type]: value });
+  const paragraph = (text, annotations) => block('paragraph', { rich_text: richText(text, annotations) });
+  const heading = (level, text) => block(`heading_${level}`, { rich_text: richText(text) });
+  const callout = (text, emoji, color = 'default') => block('callout', { rich_text: richText(text), icon: { type: 'emoji', emoji }, color });
+  const linkToDatabase = (databaseId) => block('link_to_page', { type: 'database_id', database_id: databaseId });
+
+  /**
+   * Spec property schema → Notion database property config.
+   * Status columns are created as select: the API cannot create status properties.
+   */
+  function databaseProperties(database) {
+    const props = {};
+    (database.properties || []).forEach(p => {
+      const options = () => ({ options: (p.options || []).map(o => (o.color ? { name: o.name, color: o.color } : { name: o.name })) });
+      switch (p.type) {
+        case 'title': props[p.name] = { title: {} }; break;
+        case 'number': props[p.name] = { number: { format: p.format || 'number' } }; break;
+        case 'status':
+        case 'select': props[p.name] = { select: options() }; break;
+        case 'multi_select': props[p.name] = { multi_select: options() }; break;
+        case 'rich_text':
+        case 'date':
+        case 'checkbox':
+        case 'people':
+        case 'url':
+        case 'email': props[p.name] = { [p.type]: {} }; break;
+        default: console.warn(`[NicerNotionExport] Skipping property "${p.name}" with unknown type "${p.type}".`);
+      }
+    });
+    return props;
+  }
+
+  /** Human description of a widget's view or metric, shown under the linked database. */
+  function describeWidget(widget, database) {
+    const name = database ? database.title : 'the database';
+    const view = widget.view || {};
+    const metric = widget.metric || {};
+    switch (widget.type) {
+      case 'board': return `Board view of ${name}${view.groupBy ? `, grouped by ${view.groupBy}` : ''}.`;
+      case 'calendar': return `Calendar view of ${name}${view.dateProperty ? ` by ${view.dateProperty}` : ''}.`;
+      case 'todo-list': return `List view of ${name}${view.checkbox ? `, checked off with ${view.checkbox}` : ''}.`;
+      case 'database': return `Table view of ${name}.`;
+      case 'progress-chart':
+        if (metric.aggregate === 'percent_checked') return `Share of ${name} with ${metric.property} checked.`;
+        if (metric.aggregate === 'group_count') return `${name} counted by ${metric.property}.`;
+        return `Number of ${name}.`;
+      case 'stat':
+        return metric.aggregate === 'sum' ? `Sum of ${metric.property} across ${name}.` : `Number of ${name}.`;
+      default: return '';
+    }
+  }
+
+  const WIDGET_EMOJI = { 'stat': '🔢', 'progress-chart': '📊', 'board': '🗂️', 'calendar': '📅', 'todo-list': '✅', 'database': '🗃️' };
+
+  /**
+   * Blocks for one widget. `databaseIds` maps spec database ids to Notion ids (or placeholders).
+   * `inColumn` widgets are already two levels deep, so they must not carry children of their own.
+   */
+  function widgetBlocks(widget, spec, databaseIds, inColumn) {
+    if (widget.type === 'callout') return [callout(widget.text || widget.title, spec.icon || '💡', 'green_background')];
+    if (widget.type === 'notes') {
+      if (inColumn) return [heading(3, widget.title), paragraph(widget.text || 'Write notes here.')];
+      return [block('toggle', { rich_text: richText(widget.title), children: [paragraph(widget.text || 'Write notes here.')] })];
+    }
+    const database = (spec.databases || []).find(d => d.id === widget.source);
+    const blocks = [heading(3, widget.title)];
+    if (widget.type === 'stat' || widget.type === 'progress-chart') {
+      blocks.push(callout(describeWidget(widget, database), WIDGET_EMOJI[widget.type], 'gray_background'));
+    } else {
+      blocks.push(paragraph(describeWidget(widget, database), { italic: true, color: 'gray' }));
+    }
+    if (database && databaseIds[database.id]) blocks.push(linkToDatabase(databaseIds[database.id]));
+    if (widget.type === 'todo-list') {
+      STARTER_TODOS.forEach(text => blocks.push(block('to_do', { rich_text: richText(text), checked: false })));
+    }
+    return blocks;
+  }
+
+  /**
+   * Layout blocks for the page body. Rows follow spec.layout; a section heading is emitted whenever
+   * a row starts in a new section. Rows with several cells become a column_list.
+   */
+  function blocksForSpec(spec, databaseIds = {}) {
+    const widgets = new Map((spec.widgets || []).map(w => [w.id, w]));
+    const sectionTitles = new Map((spec.sections || []).map(s => [s.id, s.title]));
+    const blocks = [];
+    let section = null;
+    ((spec.layout && spec.layout.rows) || []).forEach(row => {
+      const cells = (row.cells || []).filter(cell => widgets.has(cell.widget));
+      if (!cells.length) return;
+      const first = widgets.get(cells[0].widget);
+      if (first.section !== section) {
+        section = first.section;
+        blocks.push(heading(2, sectionTitles.get(section) || section));
+      }
+      if (cells.length === 1) {
+        blocks.push(...widgetBlocks(first, spec, databaseIds));
+        return;
+      }
+      blocks.push(block('column_list', {
+        children: cells.map(cell => block('column', { children: widgetBlocks(widgets.get(cell.widget), spec, databaseIds, true) }))
+      }));
+    });
+    return blocks;
+  }
+
+  function countBlocks(list) {
+    return list.reduce((sum, b) => {
+      const children = (b[b.type] && b[b.type].children) || [];
+      return sum + 1 + countBlocks(children);
+    }, 0);
+  }
+
+  /** Split top-level blocks into request-sized chunks: ≤ limit children and ≤ 1000 blocks including nested. */
+  function chunkBlocks(blocks, limit = MAX_CHILDREN) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+    blocks.forEach(b => {
+      const n = countBlocks([b]);
+      if (current.length && (current.length >= limit || size + n > MAX_PAYLOAD_BLOCKS)) {
+        chunks.push(current);
+        current = [];
+        size = 0;
+      }
+      current.push(b);
+      size += n;
+    });
+    if (current.length) chunks.push(current);
+    return chunks;
+  }
+
+  const placeholder = (ref) => `{{${ref}}}`;
+
+  /**
+   * Request plan for a spec. Pure and deterministic.
+   * @param {Object} spec DashboardSpec
+   * @param {{ parentPageId: string }} opts
+   * @returns {{ method: string, path: string, body: Object, ref?: string }[]}
+   */
+  function toNotionRequests(spec, { parentPageId } = {}) {
+    if (!spec || typeof spec !== 'object') throw new TypeError('[NicerNotionExport] spec must be an object');
+    if (!parentPageId) throw new TypeError('[NicerNotionExport] parentPageId is required');
+    const databases = spec.databases || [];
+    const requests = [];
+
+    const intro = [callout(spec.description || spec.title, spec.icon || '📋', 'green_background')];
+    if (databases.length) intro.push(heading(3, 'Data sources'));
+    requests.push({
+      method: 'POST',
+      path: '/v1/pages',
+      ref: 'page',
+      body: {
+        parent: { type: 'page_id', page_id: parentPageId },
+        icon: { type: 'emoji', emoji: spec.icon || '📋' },
+        properties: { title: { title: richText(spec.title || 'Dashboard') } },
+        children: intro
+      }
+    });
+
+    const databaseIds = {};
+    databases.forEach(db => {
+      databaseIds[db.id] = placeholder(db.id);
+      requests.push({
+        method: 'POST',
+        path: '/v1/databases',
+        ref: db.id,
+        body: {
+          parent: { type: 'page_id', page_id: placeholder('page') },
+          title: richText(db.title),
+          is_inline: true,
+          properties: databaseProperties(db)
+        }
+      });
+    });
+
+    const body = [block('divider', {})].concat(blocksForSpec(spec, databaseIds));
+    chunkBlocks(body).forEach(children => {
+      requests.push({ method: 'PATCH', path: `/v1/blocks/${placeholder('page')}/children`, body: { children } });
+    });
+    return requests;
+  }
+
+  /**
+   * Replace "{{ref}}" placeholders with created ids — only where the plan puts them (the path,
+   * parent.page_id and link_to_page.database_id), so text from the spec is sent exactly as written.
+   */
+  function resolveRefs(req, ids) {
+    const swap = (text) => (typeof text === 'string' ? text.replace(/\{\{([^}]+)\}\}/g, (m, ref) => (ref in ids ? ids[ref] : m)) : text);
+    const walk = (value, key) => {
+      if (Array.isArray(value)) return value.map(v => walk(v));
+      if (!value || typeof value !== 'object') return value;
+      const out = {};
+      Object.keys(value).forEach(k => { out[k] = walk(value[k], k); });
+      if (key === 'parent' && 'page_id' in out) out.page_id = swap(out.page_id);
+      if (key === 'link_to_page' && 'database_id' in out) out.database_id = swap(out.database_id);
+      return out;
+    };
+    return { ...req, path: swap(req.path), body: walk(req.body) };
+  }
+
+  /**
+   * Run the request plan against the Notion API (or a compatible proxy/mock), sequentially.
+   * Rejects with the API's error message on the first failed request.
+   */
+  function importToNotion(spec, { token, parentPageId, baseUrl = 'https://api.notion.com', fetch: fetchImpl, notionVersion = NOTION_VERSION } = {}) {
+    const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch : null);
+    if (!doFetch) return Promise.reject(new Error('[NicerNotionExport] fetch is not available'));
+    if (!token) return Promise.reject(new Error('[NicerNotionExport] token is required'));
+    let requests;
+    try {
+      requests = toNotionRequests(spec, { parentPageId });
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    const ids = {};
+    let url = null;
+    const base = baseUrl.replace(/\/+$/, '');
+    const run = (req) => {
+      const resolved = resolveRefs(req, ids);
+      return doFetch(base + resolved.path, {
+        method: resolved.method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Notion-Version': notionVersion,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(resolved.body)
+      })
+        .then(res => res.json().catch(() => ({})).then(data => {
+          if (!res.ok) throw new Error(`Notion ${resolved.method} ${resolved.path} failed (${res.status}): ${data.message || data.code || 'unknown error'}`);
+          return data;
+        }))
+        .then(data => {
+          if (req.ref) ids[req.ref] = data.id;
+          if (req.ref === 'page') url = data.url || null;
+        });
+    };
+
+    return requests.reduce((chain, req) => chain.then(() => run(req)), Promise.resolve())
+      .then(() => {
+        const databases = {};
+        (spec.databases || []).forEach(db => { databases[db.id] = ids[db.id]; });
+        return { pageId: ids.page, url, databases, requests: requests.length };
+      });
+  }
+
+  const NicerNotionExport = {
+    toNotionRequests,
+    importToNotion,
+    blocksForSpec,
+    databaseProperties,
+    chunkBlocks,
+    richText,
+    NOTION_VERSION,
+    MAX_CHILDREN,
+    version: '1.0.0'
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = NicerNotionExport;
+  else root.NicerNotionExport = NicerNotionExport;
+})(typeof window !== 'undefined' ? window : globalThis);
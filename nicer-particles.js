@@ -0,0 +1,376 @@
+/*
+ * Nicer Particle Engine (ES6)
+ *
+ * One shared 2D-canvas particle system for the cinematic stage: a single rAF loop, a fixed object pool
+ * (no per-burst allocation), any number of concurrent emitters, shape presets and short trails.
+ * A live-particle budget caps the work per frame; it starts lower on small screens and shrinks while
+ * frames run long, then recovers once they are smooth again. The loop sleeps when nothing is alive.
+ *
+ * Public API (window.NicerParticles in browsers, module.exports in Node):
+ * - createEngine({ canvas, poolSize?, budget?, jankMs?, minQuality?, gravity? }): ParticleEngine
+ * - registerShape(name, { init?(p, opts, rand), draw(ctx, p, alpha) }): Add or override a shape preset.
+ * - SHAPES: Built-in presets — 'dots', 'sparks', 'confetti', 'glyphs', 'blocks'.
+ * - version
+ *
+ * ParticleEngine:
+ * - burst({ x, y, count?, color?, colors?, shape?, trail?, speed?, spread?, angle?, life?, size?, gravity?, glyphs? }):
+ *     Spawn `count` particles now (clamped to the budget); returns how many were spawned.
+ * - emitter({ ...burst options, rate, duration? }): Continuous emitter (rate per second, duration in seconds,
+ *     omit for "until stopped"). Returns { move(x, y), stop() }; without x, y or a positive rate nothing is
+ *     started (a warning is logged) and the handle does nothing.
+ * - resize(width, height, dpr?): Size the canvas backing store (CSS pixels × dpr). Call on layout changes only.
+ * - setBudget(count): Live-particle budget at full quality.
+ * - stats(): { live, capacity, emitters, budget, quality, dropped, running }
+ * - clear(): Retire every particle and emitter.  destroy(): clear() and release the canvas.
+ */
+
+/* eslint-disable */
+(function (root) {
+  'use strict';
+
+  const TRAIL_MAX = 8; // trail points kept per particle (preallocated)
+  const FRAME_MS = 1000 / 60; // physics constants are expressed per 60 fps frame
+  const STALL_MS = 250; // longer gaps are tab switches, not jank
+
+  const TAU = Math.PI * 2;
+
+  /**
+   * Shape presets. `init` tunes a freshly spawned particle (velocity, size, spin, drag); `draw` renders
+   * it at p.x / p.y (CSS pixels) with the given alpha.
+   */
+  const SHAPES = {
+    dots: {
+      draw(ctx, p, alpha) {
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = p.color;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.size, 0, TAU);
+        ctx.fill();
+      }
+    },
+    sparks: {
+      init(p, opts, rand) {
+        p.vx *= 1.6; p.vy *= 1.6;
+        p.size = 1 + rand() * 1.5;
+        p.drag = 0.96;
+        p.gravity *= 0.4;
+      },
+      draw(ctx, p, alpha) {
+        ctx.globalAlpha = alpha;
+        ctx.strokeStyle = p.color;
+        ctx.lineWidth = p.size;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(p.x - p.vx * 3, p.y - p.vy * 3);
+        ctx.lineTo(p.x, p.y);
+        ctx.stroke();
+      }
+    },
+    confetti: {
+      init(p, opts, rand) {
+        p.vy = -Math.abs(p.vy) - 2 - rand() * 2; // pop upward, then flutter down
+        p.size = 3 + rand() * 3;
+        p.spin = (rand() - 0.5) * 0.3;
+        p.gravity *= 1.4;
+        p.drag = 0.985;
+      },
+      draw(ctx, p, alpha) {
+        const flip = Math.cos(p.age * 0.25 + p.seed * TAU); // paper turning over
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = p.color;
+        ctx.save();
+        ctx.translate(p.x, p.y);
+        ctx.rotate(p.rot);
+        ctx.fillRect(-p.size, -p.size * 0.5 * flip, p.size * 2, p.size * flip);
+        ctx.restore();
+      }
+    },
+    glyphs: {
+      init(p, opts, rand) {
+        const set = opts.glyphs && opts.glyphs.length ? opts.glyphs : ['✦', '+', '•', '✓'];
+        p.glyph = set[Math.floor(rand() * set.length)];
+        p.size = 8 + rand() * 8;
+        p.vy -= 1.5;
+        p.gravity *= 0.5;
+        p.drag = 0.97;
+      },
+      draw(ctx, p, alpha) {
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = p.color;
+        ctx.font = `${Math.round(p.size)}px Inter, system-ui, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(p.glyph, p.x, p.y);
+      }
+    },
+    blocks: {
+      init(p, opts, rand) {
+        p.size = 4 + rand() * 4;
+        p.spin = (rand() - 0.5) * 0.12;
+        p.drag = 0.975;
+      },
+      draw(ctx, p, alpha) {
+        const s = p.size;
+        ctx.globalAlpha = alpha;
+        ctx.save();
+        ctx.translate(p.x, p.y);
+        ctx.rotate(p.rot);
+        ctx.fillStyle = p.color;
+        ctx.fillRect(-s, -s, s * 2, s * 2);
+        // Notion-style block: a lighter text line across the top
+        ctx.globalAlpha = alpha * 0.6;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(-s * 0.6, -s * 0.5, s * 1.2, Math.max(1, s * 0.25));
+        ctx.restore();
+      }
+    }
+  };
+
+  function registerShape(name, def) {
+    if (!name || !def || typeof def.draw !== 'function') {
+      console.warn('[NicerParticles] registerShape: expected (name, { draw(ctx, p, alpha) })');
+      return false;
+    }
+    SHAPES[name] = def;
+    return true;
+  }
+
+  function createParticle() {
+    return {
+      active: false, x: 0, y: 0, vx: 0, vy: 0, age: 0, life: 0, size: 0, rot: 0, spin: 0,
+      drag: 1, gravity: 0, color: '', glyph: '', shape: SHAPES.dots, seed: 0,
+      trail: new Float32Array(TRAIL_MAX * 2), trailLen: 0, trailHead: 0, trailCount: 0
+    };
+  }
+
+  function createEngine(options = {}) {
+    const {
+      canvas,
+      poolSize = 1200,
+      jankMs = 42,
+      minQuality = 0.25,
+      gravity = 0.05,
+      random = Math.random
+    } = options;
+    const raf = options.requestFrame || (cb => root.requestAnimationFrame(cb));
+    const caf = options.cancelFrame || (id => root.cancelAnimationFrame(id));
+
+    let ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    let dpr = 1;
+    let budget = Math.max(1, options.budget || 600);
+    let quality = 1;
+    let jankFrames = 0;
+    let smoothFrames = 0;
+    let dropped = 0;
+    let rafId = 0;
+    let lastTime = 0;
+
+    const pool = Array.from({ length: poolSize }, createParticle);
+    const free = pool.slice().reverse(); // stack of idle particles
+    const live = []; // active particles, swap-removed on death
+    const emitters = [];
+
+    const currentBudget = () => Math.max(1, Math.floor(budget * quality));
+
+    function spawn(opts, n) {
+      const room = Math.min(free.length, currentBudget() - live.length);
+      const count = Math.max(0, Math.min(n, room));
+      dropped += n - count;
+      const shape = SHAPES[opts.shape] || SHAPES.dots;
+      const colors = opts.colors && opts.colors.length ? opts.colors : [opts.color || '#10B981'];
+      const speed = opts.speed == null ? 3 : opts.speed;
+      const spread = opts.spread == null ? TAU : opts.spread;
+      const angle = opts.angle == null ? 0 : opts.angle;
+      const life = opts.life == null ? 60 : opts.life;
+      const trail = Math.max(0, Math.min(TRAIL_MAX, opts.trail | 0));
+      for (let i = 0; i < count; i++) {
+        const p = free.pop();
+        const a = angle + (random() - 0.5) * spread;
+        const v = speed * (0.3 + random() * 0.7) * Math.SQRT2;
+        p.active = true;
+        p.x = opts.x; p.y = opts.y;
+        p.vx = Math.cos(a) * v; p.vy = Math.sin(a) * v;
+        p.age = 0;
+        p.life = life + random() * life * 0.66;
+        p.size = (opts.size == null ? 2 : opts.size) + random() * 2;
+        p.rot = random() * TAU; p.spin = 0;
+        p.drag = 1;
+        p.gravity = opts.gravity == null ? gravity : opts.gravity;
+        p.color = colors[Math.floor(random() * colors.length)];
+        p.glyph = '';
+        p.seed = random();
+        p.shape = shape;
+        p.trailLen = trail; p.trailHead = 0; p.trailCount = 0;
+        if (shape.init) shape.init(p, opts, random);
+        live.push(p);
+      }
+      if (count) wake();
+      return count;
+    }
+
+    function retire(i) {
+      const p = live[i];
+      p.active = false;
+      free.push(p);
+      const last = live.pop();
+      if (i < live.length) live[i] = last;
+    }
+
+    /** Drop the particles closest to death until `max` are left (used when the budget shrinks). */
+    function trimTo(max) {
+      while (live.length > max) {
+        let oldest = 0;
+        for (let i = 1; i < live.length; i++) if (live[i].life - live[i].age < live[oldest].life - live[oldest].age) oldest = i;
+        retire(oldest);
+      }
+    }
+
+    function govern(delta) {
+      if (delta > STALL_MS) return;
+      if (delta > jankMs) {
+        smoothFrames = 0;
+        if (++jankFrames >= 3 && quality > minQuality) {
+          quality = Math.max(minQuality, quality * 0.7);
+          jankFrames = 0;
+          trimTo(currentBudget());
+        }
+      } else {
+        jankFrames = 0;
+        if (++smoothFrames >= 120 && quality < 1) {
+          quality = Math.min(1, quality + 0.1);
+          smoothFrames = 0;
+        }
+      }
+    }
+
+    function drawTrail(p, alpha) {
+      if (p.trailCount < 2) return;
+      ctx.globalAlpha = alpha * 0.35;
+      ctx.strokeStyle = p.color;
+      ctx.lineWidth = Math.max(1, p.size * 0.6);
+      ctx.lineCap = 'round';
+      ctx.beginPath();
+      for (let k = 0; k < p.trailCount; k++) {
+        const j = ((p.trailHead - 1 - k + TRAIL_MAX) % TRAIL_MAX) * 2; // newest first
+        if (k === 0) ctx.moveTo(p.trail[j], p.trail[j + 1]); else ctx.lineTo(p.trail[j], p.trail[j + 1]);
+      }
+      ctx.stroke();
+    }
+
+    function tick(time) {
+      const delta = lastTime ? time - lastTime : FRAME_MS;
+      lastTime = time;
+      govern(delta);
+      const step = Math.min(delta, 50) / FRAME_MS;
+      const seconds = Math.min(delta, 50) / 1000;
+
+      for (let e = emitters.length - 1; e >= 0; e--) {
+        const em = emitters[e];
+        em.elapsed += seconds;
+        em.acc += em.opts.rate * seconds;
+        const n = Math.floor(em.acc);
+        if (n > 0) { em.acc -= n; spawn(em.opts, n); }
+        if (em.stopped || (em.duration != null && em.elapsed >= em.duration)) emitters.splice(e, 1);
+      }
+
+      if (ctx) {
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      }
+      for (let i = live.length - 1; i >= 0; i--) {
+        const p = live[i];
+        if (p.trailLen) {
+          const j = p.trailHead * 2;
+          p.trail[j] = p.x; p.trail[j + 1] = p.y;
+          p.trailHead = (p.trailHead + 1) % TRAIL_MAX;
+          p.trailCount = Math.min(p.trailCount + 1, p.trailLen);
+        }
+        const drag = p.drag === 1 ? 1 : Math.pow(p.drag, step);
+        p.vx *= drag; p.vy *= drag;
+        p.vy += p.gravity * step;
+        p.x += p.vx * step; p.y += p.vy * step;
+        p.rot += p.spin * step;
+        p.age += step;
+        if (p.age >= p.life) { retire(i); continue; }
+        if (!ctx) continue;
+        const alpha = Math.max(0, 1 - p.age / p.life);
+        if (p.trailLen) drawTrail(p, alpha);
+        p.shape.draw(ctx, p, alpha);
+      }
+      if (ctx) ctx.globalAlpha = 1;
+
+      // rafId stays set while ticking, so spawns from inside the frame cannot start a second loop
+      if (live.length || emitters.length) rafId = raf(tick);
+      else { rafId = 0; lastTime = 0; }
+    }
+
+    function wake() {
+      if (!rafId) rafId = raf(tick);
+    }
+
+    const engine = {
+      burst(opts) {
+        if (!opts || typeof opts.x !== 'number' || typeof opts.y !== 'number') {
+          console.warn('[NicerParticles] burst: x and y are required');
+          return 0;
+        }
+        return spawn(opts, Math.max(0, Math.round(opts.count == null ? 28 : opts.count)));
+      },
+      emitter(opts) {
+        const rate = Number(opts && opts.rate);
+        if (!opts || typeof opts.x !== 'number' || typeof opts.y !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+          // A rate of 0 would never spawn yet keep the loop awake until stopped
+          console.warn('[NicerParticles] emitter: x, y and a positive rate are required');
+          return { move() {}, stop() {} };
+        }
+        const em = { opts: { ...opts, rate }, duration: opts.duration, elapsed: 0, acc: 0, stopped: false };
+        emitters.push(em);
+        wake();
+        return {
+          move(x, y) {
+            if (typeof x !== 'number' || typeof y !== 'number') return;
+            em.opts.x = x; em.opts.y = y;
+          },
+          stop() { em.stopped = true; }
+        };
+      },
+      resize(width, height, ratio = 1) {
+        dpr = ratio || 1;
+        if (canvas) {
+          canvas.width = Math.round(Math.max(0, width) * dpr);
+          canvas.height = Math.round(Math.max(0, height) * dpr);
+        }
+      },
+      setBudget(count) {
+        budget = Math.max(1, Math.floor(count) || 1);
+        trimTo(currentBudget());
+      },
+      stats() {
+        return { live: live.length, capacity: pool.length, emitters: emitters.length, budget: currentBudget(), quality: +quality.toFixed(2), dropped, running: !!rafId };
+      },
+      clear() {
+        while (live.length) retire(live.length - 1);
+        emitters.length = 0;
+        if (rafId) { caf(rafId); rafId = 0; }
+        lastTime = 0;
+        if (ctx) { ctx.setTransform(1, 0, 0, 1, 0, 0); ctx.clearRect(0, 0, canvas.width, canvas.height); }
+      },
+      destroy() {
+        engine.clear();
+        ctx = null;
+      }
+    };
+    return engine;
+  }
+
+  const NicerParticles = {
+    createEngine,
+    registerShape,
+    SHAPES,
+    version: '1.0.0'
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = NicerParticles;
+  else root.NicerParticles = NicerParticles;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,202 @@
+/*
+ * Nicer Referrals (ES6)
+ *
+ * Post-signup referral flow: every signup gets a unique referral code and a shareable link
+ * (?ref=<code>), a visit arriving with a code is recorded for the referrer, and a signup that came
+ * through a link credits the referrer — each credited referral moves them up `placesPerReferral`
+ * places in the waitlist queue. Visits alone never move anyone, so refreshing a link gains nothing.
+ *
+ * Backends share one small interface, all methods Promise-based:
+ *   register({ email, referredBy? }) → Standing   idempotent per email; credits referredBy once
+ *   status(code)                     → Standing
+ *   recordVisit(code)                → { visits }
+ * Standing: { code, position, referrals, visits, placesPerReferral, total }
+ *
+ *   mock  In-memory (optionally persisted to a Storage) for local development and tests.
+ *         position = max(1, join order + startPosition - referrals × placesPerReferral).
+ *   http  JSON over fetch: POST {baseUrl}/referrals, GET {baseUrl}/referrals/:code,
+ *         POST {baseUrl}/referrals/:code/visits. Non-2xx responses reject with the server's message.
+ *
+ * Public API (window.NicerReferrals in browsers, module.exports in Node):
+ * - backends.mock({ placesPerReferral?, startPosition?, latency?, storage?, key? })
+ * - backends.http({ baseUrl, fetch? })
+ * - recordLanding(backend, { location?, storage?, param? }): Promise<code | null> — records the visit for the
+ *     ?ref= code in the URL once per session.
+ * - referrerCode({ location?, param?, fallback? }): the code a signup credits — the one in the current URL,
+ *     else `fallback` (e.g. the session's first-touch ref) when that is a real code; null otherwise.
+ * - shareLink(code, baseUrl, param?): baseUrl with ?ref=<code> (replacing an existing one)
+ * - normalizeCode(value): upper-cased code or null when it cannot be one
+ * - CODE_ALPHABET, CODE_LENGTH, version
+ */
+
+/* eslint-disable */
+(function (root) {
+  'use strict';
+
+  // No 0/O or 1/I/L: codes get read out loud and typed
+  const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  const CODE_LENGTH = 6;
+
+  function normalizeCode(value) {
+    const code = String(value == null ? '' : value).trim().toUpperCase();
+    return code.length === CODE_LENGTH && Array.from(code).every(c => CODE_ALPHABET.indexOf(c) !== -1) ? code : null;
+  }
+
+  function randomCode() {
+    const bytes = new Uint8Array(CODE_LENGTH);
+    if (root.crypto && typeof root.crypto.getRandomValues === 'function') root.crypto.getRandomValues(bytes);
+    else for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+    return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  }
+
+  function shareLink(code, baseUrl, param = 'ref') {
+    const url = new URL(baseUrl, root.location ? root.location.href : undefined);
+    url.searchParams.set(param, code);
+    return url.toString();
+  }
+
+  /** In-memory backend; with `storage` the table is re-read per call, so tabs in development share it. */
+  function mock({ placesPerReferral = 5, startPosition = 1, latency = 150, storage = null, key = 'nicer-referrals-mock' } = {}) {
+    let memory = { members: [] };
+    const load = () => {
+      if (!storage) return memory;
+      try {
+        const saved = JSON.parse(storage.getItem(key) || 'null');
+        if (saved && Array.isArray(saved.members)) return saved;
+      } catch (e) { /* corrupt: start over */ }
+      return { members: [] };
+    };
+    const save = (table) => {
+      memory = table;
+      if (!storage) return;
+      try { storage.setItem(key, JSON.stringify(table)); } catch (e) { /* quota or blocked: memory only */ }
+    };
+    /** Run fn(table) after `latency`, like a round trip. */
+    const later = (fn) => new Promise((resolve, reject) => {
+      setTimeout(() => {
+        try { resolve(fn(load())); } catch (e) { reject(e); }
+      }, latency);
+    });
+    const find = (table, code) => table.members.find(m => m.code === code);
+    const standing = (table, member) => ({
+      code: member.code,
+      position: Math.max(1, table.members.indexOf(member) + startPosition - member.referrals * placesPerReferral),
+      referrals: member.referrals,
+      visits: member.visits,
+      placesPerReferral,
+      total: table.members.length
+    });
+
+    return {
+      name: 'mock',
+      register({ email, referredBy } = {}) {
+        return later((table) => {
+          const address = String(email || '').trim().toLowerCase();
+          if (!address) throw new Error('[NicerReferrals] register: email is required');
+          let member = table.members.find(m => m.email === address);
+          if (!member) {
+            let code = randomCode();
+            while (find(table, code)) code = randomCode();
+            const referrer = find(table, normalizeCode(referredBy));
+            member = { email: address, code, referrals: 0, visits: 0, referredBy: referrer ? referrer.code : null };
+            table.members.push(member);
+            if (referrer) referrer.referrals += 1;
+            save(table);
+          }
+          return standing(table, member);
+        });
+      },
+      status(code) {
+        return later((table) => {
+          const member = find(table, normalizeCode(code));
+          if (!member) throw new Error(`[NicerReferrals] Unknown referral code "${code}"`);
+          return standing(table, member);
+        });
+      },
+      recordVisit(code) {
+        return later((table) => {
+          const member = find(table, normalizeCode(code));
+          if (!member) return { visits: 0 };
+          member.visits += 1;
+          save(table);
+          return { visits: member.visits };
+        });
+      }
+    };
+  }
+
+  function http({ baseUrl, fetch: fetchImpl } = {}) {
+    if (!baseUrl) console.warn('[NicerReferrals] http: baseUrl is required.');
+    const base = String(baseUrl || '').replace(/\/+$/, '');
+    const call = (method, path, body) => {
+      const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch : null);
+      if (!doFetch) return Promise.reject(new Error('[NicerReferrals] fetch is not available'));
+      return doFetch(base + path, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+      }).then(res => res.json().catch(() => ({})).then(data => {
+        if (!res.ok) throw new Error(`Referrals ${method} ${path} failed (${res.status}): ${data.message || data.error || 'unknown error'}`);
+        return data;
+      }));
+    };
+    return {
+      name: 'http',
+      register({ email, referredBy } = {}) {
+        return call('POST', '/referrals', { email, referredBy: normalizeCode(referredBy) });
+      },
+      status(code) {
+        return call('GET', `/referrals/${encodeURIComponent(code)}`);
+      },
+      recordVisit(code) {
+        return call('POST', `/referrals/${encodeURIComponent(code)}/visits`, {});
+      }
+    };
+  }
+
+  /**
+   * ?ref= is shared with campaign attribution, whose first touch (say ref=producthunt) outlives later
+   * links in the session: the link being followed now wins, and a stored value only counts as a code.
+   */
+  function referrerCode({ location = root.location, param = 'ref', fallback = null } = {}) {
+    return normalizeCode(new URLSearchParams(location && location.search || '').get(param)) || normalizeCode(fallback);
+  }
+
+  /**
+   * Record a visit for the code in the current URL, once per browser session and code.
+   * Resolves with the normalised code, or null when the URL has none.
+   */
+  function recordLanding(backend, { location = root.location, storage, param = 'ref' } = {}) {
+    const code = referrerCode({ location, param });
+    if (!code || !backend) return Promise.resolve(code);
+    let session = storage;
+    if (session === undefined) {
+      try { session = root.sessionStorage || null; } catch (e) { session = null; }
+    }
+    const flag = `nicer-referral-visit:${code}`;
+    try {
+      if (session && session.getItem(flag)) return Promise.resolve(code);
+      if (session) session.setItem(flag, '1');
+    } catch (e) { /* blocked storage: count the visit anyway */ }
+    return Promise.resolve()
+      .then(() => backend.recordVisit(code))
+      .then(() => code, (e) => {
+        console.warn('[NicerReferrals] Could not record the referral visit', e);
+        return code;
+      });
+  }
+
+  const NicerReferrals = {
+    backends: { mock, http },
+    recordLanding,
+    referrerCode,
+    shareLink,
+    normalizeCode,
+    CODE_ALPHABET,
+    CODE_LENGTH,
+    version: '1.0.0'
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = NicerReferrals;
+  else root.NicerReferrals = NicerReferrals;
+})(typeof window !== 'undefined' ? window : globalThis);
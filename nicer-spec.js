@@ -0,0 +1,575 @@
+/*
+ * Nicer Dashboard Spec Generator (ES6)
+ *
+ * Turns a plain-language description ("Team Project Tracker, with progress charts, to-do lists, deadlines")
+ * into a structured dashboard spec: sections, widgets, database property schemas and a 12-column layout grid.
+ * The default path is a deterministic rule-based parser, so it works offline and gives the same output for
+ * the same input. An optional LLM adapter can refine the draft; its answer is normalized and validated,
+ * and any failure falls back to the rule-based draft.
+ *
+ * Public API (window.NicerSpec in browsers, module.exports in Node):
+ * - generate(description: string): DashboardSpec — synchronous rule-based generation.
+ * - createGenerator({ adapter?, timeoutMs? }): { generate(description): Promise<DashboardSpec>, generateSync(description) }
+ * - normalize(candidate, description?): DashboardSpec — coerce adapter output into a well-formed spec.
+ * - validate(spec): string[] — structural problems (empty when valid).
+ * - adapters.http({ url, headers?, fetch? }) / adapters.static(specOrFn): Built-in adapter factories.
+ * - TEMPLATES, WIDGET_TYPES, PROPERTY_TYPES, LLM_INSTRUCTIONS, version
+ *
+ * Adapter interface: { name?: string, complete({ description, draft, instructions }): Promise<Object|string> }
+ *
+ * DashboardSpec:
+ * {
+ *   version: 1, title, icon, template, description,
+ *   databases: [{ id, title, properties: [{ name, type, options?, format? }] }],
+ *   sections:  [{ id, title, widgets: string[] }],
+ *   widgets:   [{ id, type, title, section, source?, view?, metric?, text? }],
+ *   layout:    { columns: 12, rows: [{ cells: [{ widget, span }] }] },
+ *   meta:      { source: 'rules' | adapter name, matched: string[], templateMatched: boolean }
+ * }
+ */
+
+/* eslint-disable */
+(function (root) {
+  'use strict';
+
+  const SPEC_VERSION = 1;
+  const GRID_COLUMNS = 12;
+
+  /** Notion property types the exporter knows how to create. */
+  const PROPERTY_TYPES = ['title', 'rich_text', 'number', 'select', 'multi_select', 'status', 'date', 'checkbox', 'people', 'url', 'email'];
+
+  /**
+   * Widget catalogue. `view` widgets read from a database (`source`); `span` is the preferred grid width;
+   * `section` is where the widget lands by default.
+   */
+  const WIDGET_TYPES = {
+    'stat': { title: 'Key numbers', span: 4, section: 'overview', needsSource: true },
+    'progress-chart': { title: 'Progress', span: 8, section: 'overview', needsSource: true },
+    'callout': { title: 'Welcome', span: 12, section: 'overview', needsSource: false },
+    'todo-list': { title: 'To-do list', span: 6, section: 'workspace', needsSource: true },
+    'board': { title: 'Board', span: 12, section: 'workspace', needsSource: true },
+    'database': { title: 'All items', span: 12, section: 'workspace', needsSource: true },
+    'calendar': { title: 'Calendar', span: 6, section: 'schedule', needsSource: true },
+    'notes': { title: 'Notes', span: 6, section: 'notes', needsSource: false }
+  };
+
+  /** Keyword triggers for explicit widget requests (see keywordAt for how they match). */
+  const WIDGET_KEYWORDS = {
+    'progress-chart': ['progress', 'chart', 'graph', 'burndown', 'completion', 'percent'],
+    'todo-list': ['to-do', 'todo', 'to do', 'checklist', 'action item'],
+    'calendar': ['calendar', 'deadline', 'schedule', 'due date', 'timeline'],
+    'board': ['kanban', 'board', 'pipeline', 'stages'],
+    'database': ['database', 'table', 'directory', 'inventory', 'log'],
+    'stat': ['kpi', 'metric', 'stats', 'totals', 'numbers'],
+    'notes': ['notes', 'docs', 'wiki', 'journal'],
+    'callout': ['announcement', 'welcome', 'pinned']
+  };
+
+  const OPTION_COLORS = ['gray', 'blue', 'yellow', 'green', 'red', 'purple'];
+  const STATUS_OPTIONS = (names, colors = OPTION_COLORS) => names.map((name, i) => ({ name, color: colors[i % colors.length] }));
+
+  /** Record types a dashboard can be built around, with their base property schemas. */
+  const ENTITIES = {
+    tasks: {
+      title: 'Tasks',
+      keywords: ['task', 'to-do', 'todo', 'sprint', 'bug', 'issue', 'deliverable', 'project'],
+      properties: [
+        { name: 'Name', type: 'title' },
+        { name: 'Status', type: 'status', options: STATUS_OPTIONS(['Not started', 'In progress', 'Done'], ['gray', 'blue', 'green']) },
+        { name: 'Assignee', type: 'people' },
+        { name: 'Due', type: 'date' }
+      ]
+    },
+    deals: {
+      title: 'Deals',
+      keywords: ['deal', 'lead', 'client', 'customer', 'prospect', 'account', 'sales'],
+      properties: [
+        { name: 'Name', type: 'title' },
+        { name: 'Stage', type: 'select', options: STATUS_OPTIONS(['Lead', 'Qualified', 'Proposal', 'Won', 'Lost'], ['gray', 'blue', 'yellow', 'green', 'red']) },
+        { name: 'Value', type: 'number', format: 'dollar' },
+        { name: 'Owner', type: 'people' },
+        { name: 'Close date', type: 'date' },
+        { name: 'Company', type: 'rich_text' }
+      ]
+    },
+    metrics: {
+      title: 'Metrics',
+      keywords: ['metric', 'kpi', 'analytics', 'revenue', 'traffic', 'conversion', 'report'],
+      properties: [
+        { name: 'Metric', type: 'title' },
+        { name: 'Value', type: 'number', format: 'number' },
+        { name: 'Target', type: 'number', format: 'number' },
+        { name: 'Period', type: 'date' },
+        { name: 'Trend', type: 'select', options: STATUS_OPTIONS(['Up', 'Flat', 'Down'], ['green', 'gray', 'red']) }
+      ]
+    },
+    posts: {
+      title: 'Content',
+      keywords: ['content', 'post', 'blog', 'article', 'video', 'newsletter', 'social', 'editorial'],
+      properties: [
+        { name: 'Title', type: 'title' },
+        { name: 'Status', type: 'status', options: STATUS_OPTIONS(['Idea', 'Drafting', 'Review', 'Scheduled', 'Published'], ['gray', 'blue', 'yellow', 'purple', 'green']) },
+        { name: 'Channel', type: 'multi_select', options: STATUS_OPTIONS(['Blog', 'Newsletter', 'LinkedIn', 'YouTube']) },
+        { name: 'Publish date', type: 'date' },
+        { name: 'Author', type: 'people' }
+      ]
+    },
+    members: {
+      title: 'Team',
+      keywords: ['team', 'member', 'people', 'onboarding', 'staff', 'employee'],
+      properties: [
+        { name: 'Name', type: 'title' },
+        { name: 'Role', type: 'select', options: STATUS_OPTIONS(['Lead', 'Engineer', 'Designer', 'Marketing']) },
+        { name: 'Email', type: 'email' },
+        { name: 'Focus', type: 'rich_text' }
+      ]
+    }
+  };
+
+  /** Dashboard archetypes. `widgets` are used when the description names none explicitly. */
+  const TEMPLATES = {
+    'project-tracker': {
+      title: 'Project Tracker', icon: '📋', entity: 'tasks',
+      keywords: ['project', 'task', 'sprint', 'roadmap', 'milestone', 'tracker', 'deliverable', 'bug'],
+      widgets: ['progress-chart', 'todo-list', 'calendar', 'database'],
+      workspaceTitle: 'Work'
+    },
+    'sales-crm': {
+      title: 'Sales CRM', icon: '💼', entity: 'deals',
+      keywords: ['sales', 'crm', 'lead', 'deal', 'client', 'customer', 'pipeline', 'prospect'],
+      widgets: ['stat', 'board', 'calendar', 'database'],
+      workspaceTitle: 'Pipeline'
+    },
+    'analytics-board': {
+      title: 'Analytics Board', icon: '📊', entity: 'metrics',
+      keywords: ['analytics', 'metric', 'kpi', 'report', 'revenue', 'growth', 'traffic', 'conversion'],
+      widgets: ['stat', 'progress-chart', 'database'],
+      workspaceTitle: 'Data'
+    },
+    'content-calendar': {
+      title: 'Content Calendar', icon: '🗓️', entity: 'posts',
+      keywords: ['content', 'editorial', 'post', 'social', 'blog', 'newsletter', 'publish', 'campaign'],
+      widgets: ['board', 'calendar', 'database'],
+      workspaceTitle: 'Content'
+    },
+    'team-dashboard': {
+      title: 'Team Dashboard', icon: '👥', entity: 'members',
+      keywords: ['team', 'meeting', 'okr', 'onboarding', 'people', 'wiki', 'standup', 'member'],
+      widgets: ['callout', 'database', 'calendar', 'notes'],
+      workspaceTitle: 'People'
+    }
+  };
+
+  /** Words in the description that add properties to the primary database. */
+  const PROPERTY_MODIFIERS = [
+    { keywords: ['deadline', 'due'], property: { name: 'Due', type: 'date' } },
+    { keywords: ['priority', 'urgent'], property: { name: 'Priority', type: 'select', options: STATUS_OPTIONS(['High', 'Medium', 'Low'], ['red', 'yellow', 'gray']) } },
+    { keywords: ['budget', 'cost', 'price'], property: { name: 'Budget', type: 'number', format: 'dollar' } },
+    { keywords: ['tag', 'label', 'category', 'categories'], property: { name: 'Tags', type: 'multi_select', options: [] } },
+    { keywords: ['owner', 'assign', 'assigned', 'assignee', 'responsible'], property: { name: 'Owner', type: 'people' } },
+    { keywords: ['percent', 'percentage', '% complete'], property: { name: 'Progress', type: 'number', format: 'percent' } },
+    { keywords: ['link', 'url', 'website'], property: { name: 'URL', type: 'url' } },
+    { keywords: ['email'], property: { name: 'Email', type: 'email' } }
+  ];
+
+  const SECTION_ORDER = ['overview', 'workspace', 'schedule', 'notes'];
+
+  /** Instructions handed to LLM adapters alongside the rule-based draft. */
+  const LLM_INSTRUCTIONS = [
+    'You design Notion dashboards. Improve the draft spec for the user description.',
+    `Reply with JSON only, same shape as the draft. Widget types: ${Object.keys(WIDGET_TYPES).join(', ')}.`,
+    `Property types: ${PROPERTY_TYPES.join(', ')}. Every database needs exactly one "title" property.`,
+    'Widgets that read data must set "source" to a database id. Do not invent other fields.'
+  ].join('\n');
+
+  function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'item';
+  }
+
+  function titleCase(text) {
+    return String(text).replace(/\S+/g, w => (w.length > 3 || /^[A-Z]/.test(w) ? w.charAt(0).toUpperCase() + w.slice(1) : w));
+  }
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  const keywordPatterns = new Map();
+
+  /**
+   * Position of keyword `k` in `lower`, or -1. Keywords match whole words or their plural, so "chart" hits
+   * "charts" but "board" misses "dashboard" and "log" misses "blog".
+   */
+  function keywordAt(lower, k) {
+    let pattern = keywordPatterns.get(k);
+    if (!pattern) {
+      pattern = new RegExp(`(^|[^a-z0-9])${k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:e?s)?(?![a-z0-9])`);
+      keywordPatterns.set(k, pattern);
+    }
+    const m = pattern.exec(lower);
+    return m ? m.index + m[1].length : -1;
+  }
+
+  /** Position of the earliest keyword hit in `lower`, or -1. */
+  function firstHit(lower, keywords) {
+    return keywords.reduce((min, k) => {
+      const i = keywordAt(lower, k);
+      return i !== -1 && (min === -1 || i < min) ? i : min;
+    }, -1);
+  }
+
+  function countHits(lower, keywords) {
+    return keywords.filter(k => keywordAt(lower, k) !== -1).length;
+  }
+
+  /** Highest-scoring key of `table` by keyword hits; ties go to the earliest mention, then declaration order. */
+  function bestMatch(lower, table) {
+    let best = null;
+    Object.keys(table).forEach(key => {
+      const hits = countHits(lower, table[key].keywords);
+      if (!hits) return;
+      const at = firstHit(lower, table[key].keywords);
+      if (!best || hits > best.hits || (hits === best.hits && at < best.at)) best = { key, hits, at };
+    });
+    return best ? best.key : null;
+  }
+
+  /**
+   * Title from the leading phrase ("Team Project Tracker, with …") when it is short and names the
+   * dashboard; otherwise the template's title.
+   */
+  function deriveTitle(description, template) {
+    const lead = description.split(/,|\bwith\b|\bfor\b|\band\b|[.;:\n]/i)[0].trim();
+    const words = lead.split(/\s+/).filter(Boolean);
+    if (words.length >= 1 && words.length <= 5 && /[a-z]/i.test(lead)) {
+      const lower = lead.toLowerCase();
+      const named = /(tracker|dashboard|crm|board|calendar|planner|hub|portal|log)$/.test(lower);
+      if (named) return titleCase(lead.replace(/^(a|an|the|my|our)\s+/i, ''));
+    }
+    return template.title;
+  }
+
+  /** Properties of the primary database: entity base schema plus modifiers named in the text. */
+  function buildProperties(entityKey, lower, widgetTypes) {
+    const props = clone(ENTITIES[entityKey].properties);
+    const has = (name) => props.some(p => p.name === name);
+    const hasType = (type) => props.some(p => p.type === type);
+    PROPERTY_MODIFIERS.forEach(({ keywords, property }) => {
+      if (!countHits(lower, keywords)) return;
+      if (property.type === 'date' && hasType('date')) return; // reuse the existing date column
+      if (!has(property.name)) props.push(clone(property));
+    });
+    if (widgetTypes.includes('todo-list') && !hasType('checkbox')) props.push({ name: 'Done', type: 'checkbox' });
+    if (widgetTypes.includes('calendar') && !hasType('date')) props.push({ name: 'Date', type: 'date' });
+    return props;
+  }
+
+  /** View settings for database-backed widgets, chosen from the database's own columns. */
+  function viewFor(type, database) {
+    const propOfType = (...types) => {
+      const p = database.properties.find(prop => types.includes(prop.type));
+      return p ? p.name : null;
+    };
+    const view = (fields) => {
+      Object.keys(fields).forEach(k => { if (fields[k] == null) delete fields[k]; });
+      return fields;
+    };
+    switch (type) {
+      case 'todo-list': return view({ type: 'list', checkbox: propOfType('checkbox') });
+      case 'board': return view({ type: 'board', groupBy: propOfType('status', 'select') });
+      case 'calendar': return view({ type: 'calendar', dateProperty: propOfType('date') });
+      case 'database': return { type: 'table' };
+      default: return null;
+    }
+  }
+
+  function metricFor(type, database) {
+    const numeric = database.properties.find(p => p.type === 'number');
+    const grouped = database.properties.find(p => p.type === 'status' || p.type === 'select');
+    if (type === 'stat') return numeric ? { aggregate: 'sum', property: numeric.name } : { aggregate: 'count' };
+    if (type === 'progress-chart') {
+      const checkbox = database.properties.find(p => p.type === 'checkbox');
+      if (checkbox) return { aggregate: 'percent_checked', property: checkbox.name };
+      if (grouped) return { aggregate: 'group_count', property: grouped.name };
+      return { aggregate: 'count' };
+    }
+    return null;
+  }
+
+  /**
+   * Greedy 12-column packing in section order: widgets keep their preferred span and flow left to right;
+   * the last cell of each row stretches to fill it. Full tables go last so compact widgets can pair up.
+   */
+  function buildLayout(sections, widgets) {
+    const byId = new Map(widgets.map(w => [w.id, w]));
+    const ordered = [].concat(...sections.map(s => s.widgets)).filter(id => byId.has(id));
+    const tables = ordered.filter(id => byId.get(id).type === 'database');
+    const rows = [];
+    let row = [];
+    let used = 0;
+    const flush = () => {
+      if (!row.length) return;
+      row[row.length - 1].span += GRID_COLUMNS - used;
+      rows.push({ cells: row });
+      row = [];
+      used = 0;
+    };
+    ordered.filter(id => !tables.includes(id)).concat(tables).forEach(id => {
+      const span = Math.min(GRID_COLUMNS, WIDGET_TYPES[byId.get(id).type].span);
+      if (used + span > GRID_COLUMNS) flush();
+      row.push({ widget: id, span });
+      used += span;
+    });
+    flush();
+    return { columns: GRID_COLUMNS, rows };
+  }
+
+  function sectionTitle(sectionId, template, database) {
+    if (sectionId === 'overview') return 'Overview';
+    if (sectionId === 'workspace') return template.workspaceTitle || database.title;
+    if (sectionId === 'schedule') return 'Schedule';
+    return 'Notes';
+  }
+
+  /**
+   * Rule-based generation. Deterministic: same description, same spec.
+   * @param {string} description
+   * @returns {Object} DashboardSpec
+   */
+  function generate(description) {
+    const text = String(description || '').replace(/\s+/g, ' ').trim();
+    const lower = text.toLowerCase();
+    const matchedTemplate = bestMatch(lower, TEMPLATES);
+    const templateKey = matchedTemplate || 'project-tracker';
+    const template = TEMPLATES[templateKey];
+    const entityKey = bestMatch(lower, ENTITIES) || template.entity;
+
+    // Explicit widget requests in mention order; otherwise the template's defaults
+    const requested = Object.keys(WIDGET_KEYWORDS)
+      .map(type => ({ type, at: firstHit(lower, WIDGET_KEYWORDS[type]) }))
+      .filter(w => w.at !== -1)
+      .sort((a, b) => a.at - b.at)
+      .map(w => w.type);
+    const widgetTypes = (requested.length ? requested : template.widgets).slice();
+    // Always give the data somewhere to live as a full table
+    if (widgetTypes.some(type => WIDGET_TYPES[type].needsSource) && !widgetTypes.includes('database')) widgetTypes.push('database');
+
+    const database = {
+      id: `db-${slugify(ENTITIES[entityKey].title)}`,
+      title: ENTITIES[entityKey].title,
+      properties: buildProperties(entityKey, lower, widgetTypes)
+    };
+
+    const widgets = widgetTypes.map(type => {
+      const def = WIDGET_TYPES[type];
+      const widget = { id: `w-${type}`, type, title: def.title, section: def.section };
+      if (def.needsSource) {
+        widget.source = database.id;
+        const view = viewFor(type, database);
+        const metric = metricFor(type, database);
+        if (view) widget.view = view;
+        if (metric) widget.metric = metric;
+      }
+      if (type === 'callout') widget.text = `Welcome to your ${template.title.toLowerCase()}.`;
+      if (type === 'notes') widget.text = '';
+      if (type === 'todo-list') widget.title = `${database.title} to-do`;
+      if (type === 'database') widget.title = `All ${database.title.toLowerCase()}`;
+      return widget;
+    });
+
+    const sections = SECTION_ORDER
+      .map(id => ({ id, title: sectionTitle(id, template, database), widgets: widgets.filter(w => w.section === id).map(w => w.id) }))
+      .filter(s => s.widgets.length);
+
+    return {
+      version: SPEC_VERSION,
+      title: deriveTitle(text, template),
+      icon: template.icon,
+      template: templateKey,
+      description: text,
+      databases: [database],
+      sections,
+      widgets,
+      layout: buildLayout(sections, widgets),
+      meta: { source: 'rules', matched: requested, templateMatched: Boolean(matchedTemplate) }
+    };
+  }
+
+  /**
+   * Coerce an arbitrary candidate (adapter output) into spec shape: unknown widget/property types are
+   * dropped, ids are made unique, sections and layout are rebuilt when missing or inconsistent.
+   */
+  function normalizeSpec(candidate, description) {
+    const c = candidate && typeof candidate === 'object' ? candidate : {};
+    const taken = new Set();
+    const uniqueId = (base) => {
+      let id = slugify(base);
+      for (let n = 2; taken.has(id); n++) id = `${slugify(base)}-${n}`;
+      taken.add(id);
+      return id;
+    };
+
+    const databases = (Array.isArray(c.databases) ? c.databases : []).map(db => {
+      const properties = (Array.isArray(db && db.properties) ? db.properties : [])
+        .filter(p => p && typeof p.name === 'string' && PROPERTY_TYPES.includes(p.type))
+        .map(p => {
+          const out = { name: p.name, type: p.type };
+          if (Array.isArray(p.options)) out.options = p.options.map(o => (typeof o === 'string' ? { name: o } : { name: String(o.name), ...(o.color ? { color: o.color } : {}) }));
+          if (p.format) out.format = p.format;
+          return out;
+        });
+      const titles = properties.filter(p => p.type === 'title');
+      if (!titles.length) properties.unshift({ name: 'Name', type: 'title' });
+      else titles.slice(1).forEach(p => { p.type = 'rich_text'; }); // Notion allows one title column
+      return { id: uniqueId((db && db.id) || `db-${(db && db.title) || 'data'}`), title: String((db && db.title) || 'Data'), properties };
+    });
+    const dbIds = new Set(databases.map(d => d.id));
+
+    const widgets = (Array.isArray(c.widgets) ? c.widgets : [])
+      .filter(w => w && WIDGET_TYPES[w.type])
+      .map(w => {
+        const def = WIDGET_TYPES[w.type];
+        const out = { id: uniqueId(w.id || `w-${w.type}`), type: w.type, title: String(w.title || def.title), section: SECTION_ORDER.includes(w.section) ? w.section : def.section };
+        if (def.needsSource) {
+          const source = dbIds.has(w.source) ? w.source : (databases[0] && databases[0].id);
+          if (!source) return null;
+          out.source = source;
+          const db = databases.find(d => d.id === source);
+          out.view = w.view && typeof w.view === 'object' ? { ...w.view } : viewFor(w.type, db);
+          out.metric = w.metric && typeof w.metric === 'object' ? { ...w.metric } : metricFor(w.type, db);
+          if (!out.view) delete out.view;
+          if (!out.metric) delete out.metric;
+        }
+        if (typeof w.text === 'string') out.text = w.text;
+        return out;
+      })
+      .filter(Boolean);
+
+    const sections = SECTION_ORDER
+      .map(id => {
+        const given = Array.isArray(c.sections) ? c.sections.find(s => s && s.id === id) : null;
+        return { id, title: String((given && given.title) || sectionTitle(id, TEMPLATES['project-tracker'], databases[0] || { title: 'Data' })), widgets: widgets.filter(w => w.section === id).map(w => w.id) };
+      })
+      .filter(s => s.widgets.length);
+
+    const text = String(c.description || description || '');
+    return {
+      version: SPEC_VERSION,
+      title: String(c.title || 'Dashboard'),
+      icon: typeof c.icon === 'string' ? c.icon : '📋',
+      template: TEMPLATES[c.template] ? c.template : 'custom',
+      description: text,
+      databases,
+      sections,
+      widgets,
+      layout: buildLayout(sections, widgets),
+      meta: { ...(c.meta && typeof c.meta === 'object' ? c.meta : {}) }
+    };
+  }
+
+  /** Structural validation; returns a list of problems (empty when valid). */
+  function validateSpec(spec) {
+    const errors = [];
+    if (!spec || typeof spec !== 'object') return ['spec must be an object'];
+    if (!spec.title) errors.push('title is required');
+    const dbIds = new Set();
+    (spec.databases || []).forEach((db, i) => {
+      if (!db.id) errors.push(`databases[${i}].id is required`);
+      dbIds.add(db.id);
+      const props = db.properties || [];
+      if (props.filter(p => p.type === 'title').length !== 1) errors.push(`database "${db.id}" needs exactly one title property`);
+      props.forEach(p => { if (!PROPERTY_TYPES.includes(p.type)) errors.push(`database "${db.id}" property "${p.name}" has unknown type "${p.type}"`); });
+    });
+    const widgetIds = new Set();
+    (spec.widgets || []).forEach((w, i) => {
+      if (!WIDGET_TYPES[w.type]) errors.push(`widgets[${i}] has unknown type "${w.type}"`);
+      if (widgetIds.has(w.id)) errors.push(`duplicate widget id "${w.id}"`);
+      widgetIds.add(w.id);
+      if (WIDGET_TYPES[w.type] && WIDGET_TYPES[w.type].needsSource && !dbIds.has(w.source)) errors.push(`widget "${w.id}" source "${w.source}" is not a database`);
+    });
+    const layout = spec.layout;
+    if (!layout || !Array.isArray(layout.rows)) errors.push('layout.rows is required');
+    else {
+      layout.rows.forEach((row, r) => {
+        const total = (row.cells || []).reduce((sum, cell) => sum + (cell.span || 0), 0);
+        if (total !== (layout.columns || GRID_COLUMNS)) errors.push(`layout row ${r} spans ${total} columns`);
+        (row.cells || []).forEach(cell => { if (!widgetIds.has(cell.widget)) errors.push(`layout row ${r} references unknown widget "${cell.widget}"`); });
+      });
+    }
+    return errors;
+  }
+
+  function withTimeout(promise, ms) {
+    if (!ms) return promise;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`adapter timed out after ${ms}ms`)), ms);
+      Promise.resolve(promise).then(
+        value => { clearTimeout(timer); resolve(value); },
+        err => { clearTimeout(timer); reject(err); }
+      );
+    });
+  }
+
+  /**
+   * Generator with an optional LLM adapter. The rule-based draft is always computed first and is what
+   * you get back whenever the adapter is missing, slow, throws, or returns an invalid spec.
+   * @param {{ adapter?: { name?: string, complete: Function }, timeoutMs?: number }} [opts]
+   */
+  function createGenerator({ adapter = null, timeoutMs = 15000 } = {}) {
+    return {
+      generateSync: generate,
+      generate(description) {
+        const draft = generate(description);
+        if (!adapter || typeof adapter.complete !== 'function') return Promise.resolve(draft);
+        return withTimeout(Promise.resolve().then(() => adapter.complete({ description: draft.description, draft: clone(draft), instructions: LLM_INSTRUCTIONS })), timeoutMs)
+          .then(raw => {
+            const spec = normalizeSpec(typeof raw === 'string' ? JSON.parse(raw) : raw, draft.description);
+            const errors = validateSpec(spec);
+            if (errors.length) throw new Error(errors.join('; '));
+            spec.meta = { ...spec.meta, source: adapter.name || 'adapter' };
+            return spec;
+          })
+          .catch(e => ({ ...draft, meta: { ...draft.meta, fallbackReason: String((e && e.message) || e) } }));
+      }
+    };
+  }
+
+  /** Built-in adapters. */
+  const adapters = {
+    /** POST { instructions, description, draft } as JSON to `url`; the response body is the spec. */
+    http({ url, headers = {}, fetch: fetchImpl } = {}) {
+      const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch : null);
+      return {
+        name: 'http',
+        complete(payload) {
+          if (!url || !doFetch) return Promise.reject(new Error('http adapter needs a url and fetch'));
+          return doFetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(payload) })
+            .then(res => { if (!res.ok) throw new Error(`HTTP ${res.status}`); return res.json(); });
+        }
+      };
+    },
+    /** Canned answer (object, or function of the payload) — for tests and offline demos. */
+    static(specOrFn) {
+      return {
+        name: 'static',
+        complete(payload) { return Promise.resolve(typeof specOrFn === 'function' ? specOrFn(payload) : clone(specOrFn)); }
+      };
+    }
+  };
+
+  const NicerSpec = {
+    generate,
+    createGenerator,
+    normalize: normalizeSpec,
+    validate: validateSpec,
+    adapters,
+    TEMPLATES,
+    WIDGET_TYPES,
+    PROPERTY_TYPES,
+    LLM_INSTRUCTIONS,
+    version: '1.0.0'
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = NicerSpec;
+  else root.NicerSpec = NicerSpec;
+})(typeof window !== 'undefined' ? window : globalThis);
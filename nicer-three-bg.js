@@ -0,0 +1,410 @@
+/*
+ * Nicer Three.js Dashboard Background (ES6)
+ *
+ * The floating cards behind the cinematic stage. Cards are InstancedMesh instances (one mesh per texture
+ * variant, so dozens of cards cost four draw calls) wearing procedurally drawn mini dashboards — bar and
+ * line charts, checklists, boards and stat tiles — painted in the active theme. Cards react to the story:
+ * they drift by default, converge into a grid for the customize scene and fly into the Notion target for
+ * the notion scene. Brightness falls off with distance from the focal plane for a depth-of-field feel.
+ * Used by nicer-anim.js on the main thread and by nicer-fx-worker.js on an OffscreenCanvas.
+ *
+ * Public API (window.NicerThreeBackground in browsers and workers, module.exports in Node):
+ * - create(THREE, options): Background
+ *     options: { canvas?, width, height, dpr?, antialias?, count, visible?, colors, config?, sceneModes?,
+ *                requestFrame?, cancelFrame?, random?, onContextLost?(), onContextRestored?({ resume }) }
+ *     Throws when no WebGL context can be created — callers fall back to another backend.
+ *     colors:  { light, cards: string[], accent, text } ('#hex'); config: CONFIG.three from nicer-anim.js.
+ * - MODES: Built-in scene modes — 'drift', 'grid', 'notion'.
+ * - version
+ *
+ * Background: { renderer, camera, domElement, resize(width, height, dpr?), setCamera(x, y), setScene(name),
+ *               setVisible(count), setColors(colors, duration?), start(), stop(), isRunning(), isContextLost(),
+ *               render(), dispose() }
+ *
+ * Context loss: on 'webglcontextlost' the loop stops (and the default is prevented so the browser may
+ * restore the context); on 'webglcontextrestored' onContextRestored({ resume }) is called so the owner can
+ * rebuild from its own state — `resume` says whether the loop was running. Dispatching plain Events with
+ * those names on domElement simulates both without a GPU.
+ */
+
+/* eslint-disable */
+(function (root) {
+  'use strict';
+
+  const VARIANTS = ['chart', 'checklist', 'board', 'stats'];
+  const TEX_W = 256;
+  const TEX_H = 164; // matches the 1.4 × 0.9 card plane
+  const CARD_W = 1.4;
+  const CARD_H = 0.9;
+  const FOCUS_Z = 0; // focal plane for the depth fade
+  const FOCUS_RANGE = 4;
+  const NOTION_TARGET = { x: 2.6, y: 0.15, z: 1.5 }; // roughly behind #target-notion
+
+  /** Scene name → mode. Scenes not listed drift. */
+  const DEFAULT_SCENE_MODES = { customize: 'grid', notion: 'notion' };
+
+  function makeCanvas(width, height) {
+    if (typeof OffscreenCanvas === 'function') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /** Small deterministic PRNG so each variant draws the same mini dashboard every time. */
+  function seeded(seed) {
+    let s = seed >>> 0;
+    return () => {
+      s = (s + 0x6D2B79F5) >>> 0;
+      let t = Math.imul(s ^ (s >>> 15), 1 | s);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function roundRect(ctx, x, y, w, h, r) {
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+  }
+
+  /** Content painters, each given the area below the title bar. */
+  const PAINTERS = {
+    chart(ctx, c, rand, x, y, w, h) {
+      const bars = 7;
+      const gap = 6;
+      const bw = (w - gap * (bars - 1)) / bars;
+      ctx.fillStyle = c.accent;
+      const tops = [];
+      for (let i = 0; i < bars; i++) {
+        const bh = h * (0.25 + rand() * 0.7);
+        ctx.globalAlpha = 0.55 + (i / bars) * 0.45;
+        ctx.fillRect(x + i * (bw + gap), y + h - bh, bw, bh);
+        tops.push([x + i * (bw + gap) + bw / 2, y + h - bh - 6]);
+      }
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = c.text;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      tops.forEach(([px, py], i) => (i ? ctx.lineTo(px, py) : ctx.moveTo(px, py)));
+      ctx.stroke();
+    },
+    checklist(ctx, c, rand, x, y, w, h) {
+      const rows = 4;
+      const rh = h / rows;
+      for (let i = 0; i < rows; i++) {
+        const cy = y + i * rh + rh / 2;
+        const done = i < 2 || rand() > 0.6;
+        ctx.strokeStyle = c.accent;
+        ctx.lineWidth = 2;
+        roundRect(ctx, x, cy - 7, 14, 14, 3);
+        if (done) { ctx.fillStyle = c.accent; ctx.fill(); } else ctx.stroke();
+        ctx.fillStyle = c.text;
+        ctx.globalAlpha = done ? 0.45 : 0.85;
+        ctx.fillRect(x + 24, cy - 3, (w - 30) * (0.45 + rand() * 0.5), 6);
+        ctx.globalAlpha = 1;
+      }
+    },
+    board(ctx, c, rand, x, y, w, h) {
+      const cols = 3;
+      const gap = 8;
+      const cw = (w - gap * (cols - 1)) / cols;
+      for (let i = 0; i < cols; i++) {
+        const cx = x + i * (cw + gap);
+        ctx.fillStyle = c.text;
+        ctx.globalAlpha = 0.12;
+        roundRect(ctx, cx, y, cw, h, 6);
+        ctx.fill();
+        const items = 1 + Math.floor(rand() * 3);
+        for (let k = 0; k < items; k++) {
+          ctx.globalAlpha = k === 0 && i === 0 ? 0.9 : 0.35;
+          ctx.fillStyle = k === 0 && i === 0 ? c.accent : c.text;
+          roundRect(ctx, cx + 4, y + 6 + k * 24, cw - 8, 18, 4);
+          ctx.fill();
+        }
+      }
+      ctx.globalAlpha = 1;
+    },
+    stats(ctx, c, rand, x, y, w, h) {
+      const tiles = 2;
+      const gap = 10;
+      const tw = (w - gap) / tiles;
+      for (let i = 0; i < tiles; i++) {
+        const tx = x + i * (tw + gap);
+        ctx.fillStyle = c.text;
+        ctx.globalAlpha = 0.1;
+        roundRect(ctx, tx, y, tw, h, 8);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = i === 0 ? c.accent : c.text;
+        ctx.font = `bold ${Math.round(h * 0.38)}px Inter, system-ui, sans-serif`;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(Math.round(20 + rand() * 80)) + (i === 0 ? '%' : ''), tx + 10, y + h * 0.45);
+        ctx.globalAlpha = 0.5;
+        ctx.fillRect(tx + 10, y + h * 0.75, tw * 0.5, 5);
+        ctx.globalAlpha = 1;
+      }
+    }
+  };
+
+  /** Paint one mini dashboard: card body, title bar, variant content. */
+  function paintCard(ctx, variant, colors, index) {
+    const rand = seeded(index * 9973 + 17);
+    ctx.clearRect(0, 0, TEX_W, TEX_H);
+    ctx.fillStyle = colors.cards[index % colors.cards.length];
+    roundRect(ctx, 2, 2, TEX_W - 4, TEX_H - 4, 14);
+    ctx.fill();
+    ctx.fillStyle = colors.accent;
+    ctx.globalAlpha = 0.9;
+    roundRect(ctx, 14, 14, 18, 18, 4);
+    ctx.fill();
+    ctx.fillStyle = colors.text;
+    ctx.globalAlpha = 0.8;
+    ctx.fillRect(40, 19, 90, 8);
+    ctx.globalAlpha = 1;
+    PAINTERS[variant](ctx, colors, rand, 14, 44, TEX_W - 28, TEX_H - 58);
+  }
+
+  function create(THREE, options = {}) {
+    const {
+      canvas,
+      antialias = true,
+      config = {},
+      sceneModes = DEFAULT_SCENE_MODES,
+      random = Math.random
+    } = options;
+    const raf = options.requestFrame || (cb => root.requestAnimationFrame(cb));
+    const caf = options.cancelFrame || (id => root.cancelAnimationFrame(id));
+    const count = Math.max(1, options.count | 0);
+    let colors = options.colors;
+    let visible = Math.min(count, options.visible == null ? count : options.visible);
+
+    const renderer = new THREE.WebGLRenderer({ canvas, antialias, alpha: true });
+    renderer.setPixelRatio(options.dpr || 1);
+    renderer.setSize(options.width, options.height, !canvas || !!canvas.style); // OffscreenCanvas has no style
+
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(config.fov || 28, options.width / options.height, 0.1, 100);
+    camera.position.set(0, 0, 10);
+
+    const light = new THREE.PointLight(new THREE.Color(colors.light), config.pointLightIntensity || 1.2, config.pointLightDistance || 50);
+    light.position.set(2, 3, 6);
+    scene.add(light);
+    scene.add(new THREE.AmbientLight(0xffffff, config.ambientIntensity == null ? 0.25 : config.ambientIntensity));
+
+    // One texture + instanced mesh per variant; card i belongs to variant i % VARIANTS.length
+    const geometry = new THREE.PlaneGeometry(CARD_W, CARD_H, 1, 1);
+    const variants = VARIANTS.map((name, v) => {
+      const surface = makeCanvas(TEX_W, TEX_H);
+      paintCard(surface.getContext('2d'), name, colors, v);
+      const texture = new THREE.CanvasTexture(surface);
+      if (THREE.SRGBColorSpace) texture.colorSpace = THREE.SRGBColorSpace;
+      const material = new THREE.MeshStandardMaterial({
+        map: texture,
+        transparent: true,
+        opacity: config.cardOpacity == null ? 0.35 : config.cardOpacity,
+        roughness: config.cardRoughness == null ? 0.6 : config.cardRoughness,
+        metalness: config.cardMetalness == null ? 0.2 : config.cardMetalness,
+        depthWrite: false
+      });
+      const capacity = Math.ceil((count - v) / VARIANTS.length);
+      const mesh = new THREE.InstancedMesh(geometry, material, Math.max(1, capacity));
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      mesh.frustumCulled = false;
+      scene.add(mesh);
+      return { name, surface, texture, material, mesh, capacity };
+    });
+
+    // Per-card state in flat arrays: home, current, phase (no per-frame allocation)
+    const home = new Float32Array(count * 3);
+    const cur = new Float32Array(count * 5); // x, y, z, rotZ, scale
+    const phase = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      home[i * 3] = (random() - 0.5) * 8;
+      home[i * 3 + 1] = (random() - 0.5) * 5;
+      home[i * 3 + 2] = (random() - 0.5) * 4 - 0.5;
+      cur[i * 5] = home[i * 3]; cur[i * 5 + 1] = home[i * 3 + 1]; cur[i * 5 + 2] = home[i * 3 + 2];
+      cur[i * 5 + 3] = (random() - 0.5) * 0.3;
+      cur[i * 5 + 4] = 1;
+      phase[i] = random() * Math.PI * 2;
+    }
+
+    const dummy = new THREE.Object3D();
+    const shade = new THREE.Color();
+    let mode = 'drift';
+    let rafId = 0;
+    let lastTime = 0;
+    let blend = null; // light colour transition
+    let lost = false;
+    let resumeOnRestore = false;
+
+    const onLost = (e) => {
+      if (e && e.preventDefault) e.preventDefault(); // allow the browser to restore the context
+      lost = true;
+      resumeOnRestore = !!rafId;
+      if (rafId) { caf(rafId); rafId = 0; }
+      if (options.onContextLost) options.onContextLost();
+    };
+    const onRestored = () => {
+      lost = false;
+      if (options.onContextRestored) options.onContextRestored({ resume: resumeOnRestore });
+      else if (resumeOnRestore) rafId = raf(frame);
+    };
+    const surface = renderer.domElement;
+    if (surface && surface.addEventListener) {
+      surface.addEventListener('webglcontextlost', onLost, false);
+      surface.addEventListener('webglcontextrestored', onRestored, false);
+    }
+
+    /** Where card i wants to be in the current mode: [x, y, z, rotZ, scale], written into `target`. */
+    const target = [0, 0, 0, 0, 1];
+    function targetFor(i, t) {
+      if (mode === 'grid') {
+        const cols = Math.max(1, Math.ceil(Math.sqrt(visible * 1.6)));
+        const rows = Math.ceil(visible / cols);
+        const s = Math.min(0.9, 7 / (cols * CARD_W * 1.15));
+        target[0] = ((i % cols) - (cols - 1) / 2) * CARD_W * 1.15 * s;
+        target[1] = ((rows - 1) / 2 - Math.floor(i / cols)) * CARD_H * 1.2 * s;
+        target[2] = FOCUS_Z;
+        target[3] = 0;
+        target[4] = s;
+      } else if (mode === 'notion') {
+        const swirl = phase[i] + t * 1.5;
+        target[0] = NOTION_TARGET.x + Math.cos(swirl) * 0.25;
+        target[1] = NOTION_TARGET.y + Math.sin(swirl) * 0.18;
+        target[2] = NOTION_TARGET.z;
+        target[3] = swirl * 0.2;
+        target[4] = 0.18;
+      } else {
+        target[0] = home[i * 3] + Math.sin(t * 0.4 + phase[i]) * 0.2;
+        target[1] = home[i * 3 + 1] + Math.cos(t * 0.3 + phase[i]) * 0.15;
+        target[2] = home[i * 3 + 2];
+        target[3] = Math.sin(t * 0.2 + phase[i]) * 0.12;
+        target[4] = 1;
+      }
+    }
+
+    /** Ease every card toward its target and write instance matrices and depth shading. */
+    function update(t, dt) {
+      const perVariant = [0, 0, 0, 0];
+      for (let i = 0; i < visible; i++) {
+        targetFor(i, t);
+        // Staggered speeds make convergence and fly-outs read as a flock, not a snap
+        const k = 1 - Math.exp(-dt * (1.6 + (phase[i] / (Math.PI * 2)) * 1.4));
+        const c = i * 5;
+        for (let a = 0; a < 5; a++) cur[c + a] += (target[a] - cur[c + a]) * k;
+
+        dummy.position.set(cur[c], cur[c + 1], cur[c + 2]);
+        dummy.rotation.set(0, 0, cur[c + 3]);
+        dummy.scale.setScalar(cur[c + 4]);
+        dummy.updateMatrix();
+        const v = i % VARIANTS.length;
+        const slot = perVariant[v]++;
+        variants[v].mesh.setMatrixAt(slot, dummy.matrix);
+        // Depth fade: dim cards away from the focal plane (brightness only; one material per variant)
+        const falloff = Math.min(1, Math.abs(cur[c + 2] - FOCUS_Z) / FOCUS_RANGE);
+        variants[v].mesh.setColorAt(slot, shade.setScalar(1 - falloff * 0.7));
+      }
+      variants.forEach((vr, v) => {
+        vr.mesh.count = perVariant[v];
+        vr.mesh.instanceMatrix.needsUpdate = true;
+        if (vr.mesh.instanceColor) vr.mesh.instanceColor.needsUpdate = true;
+      });
+      if (blend) {
+        const k = blend.duration ? Math.min(1, (t * 1000 - blend.start) / (blend.duration * 1000)) : 1;
+        light.color.copy(blend.from).lerp(blend.to, k);
+        if (k >= 1) blend = null;
+      }
+    }
+
+    function frame(time) {
+      rafId = raf(frame);
+      const dt = lastTime ? Math.min(0.05, (time - lastTime) / 1000) : 1 / 60;
+      lastTime = time;
+      update(time / 1000, dt);
+      renderer.render(scene, camera);
+    }
+
+    /** One still frame at the current positions (used while the loop is stopped). */
+    function render() {
+      if (lost) return;
+      update(lastTime / 1000, 0);
+      renderer.render(scene, camera);
+    }
+
+    update(0, 0);
+    renderer.render(scene, camera);
+
+    return {
+      renderer,
+      camera,
+      domElement: renderer.domElement,
+      resize(width, height, dpr) {
+        if (dpr) renderer.setPixelRatio(dpr);
+        renderer.setSize(width, height, !canvas || !!canvas.style);
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        if (!rafId) render();
+      },
+      setCamera(x, y) {
+        camera.position.x = x;
+        camera.position.y = y;
+      },
+      setScene(name) {
+        mode = (name && sceneModes[name]) || 'drift';
+      },
+      setVisible(n) {
+        visible = Math.max(0, Math.min(count, n | 0));
+        if (!rafId) render();
+      },
+      setColors(next, duration = 0) {
+        colors = next;
+        variants.forEach((vr, v) => {
+          paintCard(vr.surface.getContext('2d'), vr.name, colors, v);
+          vr.texture.needsUpdate = true;
+        });
+        blend = { from: light.color.clone(), to: new THREE.Color(colors.light), start: lastTime, duration };
+        if (!rafId) { blend.duration = 0; render(); }
+      },
+      start() {
+        if (lost) { resumeOnRestore = true; return; }
+        if (!rafId) { lastTime = 0; rafId = raf(frame); }
+      },
+      stop() {
+        resumeOnRestore = false;
+        if (rafId) { caf(rafId); rafId = 0; }
+      },
+      isRunning() { return !!rafId; },
+      isContextLost() { return lost; },
+      render,
+      dispose() {
+        if (rafId) { caf(rafId); rafId = 0; }
+        if (surface && surface.removeEventListener) {
+          surface.removeEventListener('webglcontextlost', onLost, false);
+          surface.removeEventListener('webglcontextrestored', onRestored, false);
+        }
+        variants.forEach(vr => {
+          scene.remove(vr.mesh);
+          if (vr.mesh.dispose) vr.mesh.dispose();
+          vr.texture.dispose();
+          vr.material.dispose();
+        });
+        geometry.dispose();
+        renderer.dispose();
+      }
+    };
+  }
+
+  const NicerThreeBackground = {
+    create,
+    MODES: ['drift', 'grid', 'notion'],
+    version: '1.0.0'
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = NicerThreeBackground;
+  else root.NicerThreeBackground = NicerThreeBackground;
+})(typeof window !== 'undefined' ? window : globalThis);
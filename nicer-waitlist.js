@@ -0,0 +1,697 @@
+/*
+ * Nicer Waitlist (ES6)
+ *
+ * Native waitlist form: client-side validation, spam guards and a pluggable submission backend.
+ * Every submit ends in exactly one state — 'success', 'queued' or 'error' — so the page can drive its
+ * success panel (and the redirect countdown) from a single callback instead of guessing.
+ *
+ * Offline tolerance: with a submission queue, a signup made offline (or one that fails on the network
+ * or times out) is persisted — IndexedDB, else localStorage, else memory — keyed by email, so a
+ * repeat signup replaces the pending one. The form reports 'queued'; the queue retries with
+ * exponential backoff, flushes as soon as the browser is back online (and on the next visit), and the
+ * form moves on to 'success' once the queued signup is delivered, or to 'error' if the queue drops it
+ * after maxAttempts rejections.
+ *
+ * Markup contract (see #waitlist-form in index.html):
+ *   <form> with fields named email, role (select), teamSize (select), an optional honeypot input
+ *   (default name "website", hidden from people), [data-error-for="<field>"] message slots and a
+ *   [data-waitlist-status] element for form-level errors. The form gets data-state and aria-busy.
+ *   Role and team size are only asked for when the adapter can deliver them: otherwise their
+ *   [data-waitlist-field] wrapper is hidden and they are neither validated nor sent.
+ *   Named hidden inputs (e.g. the attribution fields from nicer-attribution.js) travel along as-is.
+ *
+ * Adapters receive normalised values { email, role, teamSize, ...hidden fields } and resolve (or
+ * reject with a WaitlistError) — { name, submit(values) → Promise<{ id? }>, accepts?(name) → boolean }
+ * (accepts: whether a value of that name reaches the target; omitted means every value does):
+ *   googleForms  POSTs to the form's formResponse endpoint; fields mapped to an entry.<id> are sent
+ *                as such, every other value (form and hidden fields) is collected into `extraField`
+ *                (warned about when there is none). Google does not send CORS headers, so the response is opaque: a
+ *                delivered request counts as success, a network failure as error.
+ *   webhook      POSTs JSON and requires a 2xx (429 maps to 'rate-limited').
+ *   mock         In-memory, for local development and tests; ?waitlist=mock on the page selects it.
+ *
+ * Public API (window.NicerWaitlist in browsers, module.exports in Node):
+ * - validate(values, { roles?, teamSizes?, messages?, fields? }): { ok, values, errors: { field: message } }
+ *     (fields: the FIELDS being collected, default all; email is always checked)
+ * - adapters.googleForms({ action, fields: { email, role, teamSize, [hidden field]: 'entry.<id>' }, extraField?, fetch? })
+ * - adapters.webhook({ url, headers?, fetch? })
+ * - adapters.mock({ latency?, fail? }): also exposes .submissions
+ * - createRateLimiter({ max?, windowMs?, storage?, key?, now? }): { check() → ms to wait (0 = allowed), hit(), clear() }
+ * - createQueueStore({ name?, indexedDB?, storage? }): { kind, all(), put(entry), remove(email) } (Promise-based)
+ * - createSubmissionQueue({ adapter, store?, backoff?: { base, factor, max }, maxAttempts?, timeoutMs?, now?, isOnline? }):
+ *     { enqueue(values), flush() → { sent, retrying, dropped, remaining }, size(), start(), stop(), on(type, handler) }
+ *     events: 'sent' ({ entry, result }), 'retry' ({ entry, error, delay }), 'dropped' ({ entry, error }), 'change'.
+ *     Network, timeout and rate-limit failures retry indefinitely; other rejections are dropped after maxAttempts.
+ * - mountWaitlistForm(form, { adapter, queue?, rateLimiter?, minFillMs?, timeoutMs?, honeypot?, messages?,
+ *     onStateChange?(state, detail), onSuccess?(detail), onQueued?(detail), onError?(error) }):
+ *     { submit(), getState(), reset(), destroy() }. submit() never rejects; it resolves { state, id?, error? }.
+ * - WaitlistError (code: 'validation' | 'rate-limited' | 'network' | 'timeout' | 'rejected'), FIELDS, MESSAGES, version
+ */
+
+/* eslint-disable */
+(function (root) {
+  'use strict';
+
+  const FIELDS = ['email', 'role', 'teamSize'];
+
+  const MESSAGES = {
+    email: 'Enter a valid email address.',
+    role: 'Choose the role that fits you best.',
+    teamSize: 'Choose your team size.',
+    'rate-limited': 'Too many attempts. Please try again in {minutes} min.',
+    network: 'We could not reach the waitlist. Check your connection and try again.',
+    timeout: 'The waitlist is taking too long to answer. Please try again.',
+    rejected: 'Something went wrong on our side. Please try again.'
+  };
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@.]{2,}$/;
+
+  class WaitlistError extends Error {
+    constructor(code, message, detail) {
+      super(message);
+      this.name = 'WaitlistError';
+      this.code = code;
+      if (detail) this.detail = detail;
+    }
+  }
+
+  const format = (text, vars = {}) => String(text).replace(/\{(\w+)\}/g, (m, key) => (key in vars ? vars[key] : m));
+
+  /**
+   * Trim and check the collected fields (`fields`, default all three). `roles` / `teamSizes` restrict
+   * the accepted values (the form passes its <select> options).
+   */
+  function validate(values = {}, { roles, teamSizes, messages = MESSAGES, fields = FIELDS } = {}) {
+    const text = (name) => String(values[name] == null ? '' : values[name]).trim();
+    const clean = { email: text('email').toLowerCase() };
+    if (fields.indexOf('role') !== -1) clean.role = text('role');
+    if (fields.indexOf('teamSize') !== -1) clean.teamSize = text('teamSize');
+    const errors = {};
+    if (clean.email.length > 254 || !EMAIL_PATTERN.test(clean.email)) errors.email = messages.email;
+    if ('role' in clean && (!clean.role || (roles && roles.indexOf(clean.role) === -1))) errors.role = messages.role;
+    if ('teamSize' in clean && (!clean.teamSize || (teamSizes && teamSizes.indexOf(clean.teamSize) === -1))) errors.teamSize = messages.teamSize;
+    return { ok: Object.keys(errors).length === 0, values: clean, errors };
+  }
+
+  function resolveFetch(fetchImpl) {
+    const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch : null);
+    if (!doFetch) throw new WaitlistError('network', '[NicerWaitlist] fetch is not available');
+    return doFetch;
+  }
+
+  const networkError = (e) => (e instanceof WaitlistError ? e : new WaitlistError('network', MESSAGES.network, { cause: String(e && e.message || e) }));
+
+  /** Run adapter.submit(values), rejecting with a 'timeout' WaitlistError after `ms`. */
+  function submitWithTimeout(adapter, values, ms, message = MESSAGES.timeout) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new WaitlistError('timeout', message)), ms);
+    });
+    const done = () => clearTimeout(timer);
+    return Promise.race([Promise.resolve().then(() => adapter.submit(values)), timeout])
+      .then(result => { done(); return result; }, (e) => { done(); throw e; });
+  }
+
+  const isBrowserOnline = () => !root.navigator || root.navigator.onLine !== false;
+  const RETRYABLE = ['network', 'timeout', 'rate-limited'];
+
+  /**
+   * Google Forms formResponse POST; `fields` maps our field names to the form's entry.<id> names.
+   * Values without a mapping (validated fields and hidden ones such as attribution) go to `extraField`
+   * (the entry.<id> of a paragraph question) as "name: value" lines; with neither, the adapter warns
+   * instead of dropping them silently.
+   */
+  function googleForms({ action, fields = {}, extraField = '', fetch: fetchImpl } = {}) {
+    if (!action) console.warn('[NicerWaitlist] googleForms: action (the form\'s formResponse URL) is required.');
+    const unmapped = FIELDS.filter(name => !fields[name]);
+    if (unmapped.length && !extraField) {
+      console.warn(`[NicerWaitlist] googleForms: no entry.<id> for ${unmapped.join(', ')} and no extraField; those answers will not be sent.`);
+    }
+    let warnedDropped = false;
+    return {
+      name: 'google-forms',
+      accepts(name) {
+        return !!fields[name] || !!extraField;
+      },
+      submit(values) {
+        const body = new URLSearchParams();
+        Object.keys(fields).forEach(name => {
+          if (fields[name] && values[name] != null) body.append(fields[name], values[name]);
+        });
+        const extra = Object.keys(values).filter(name => !fields[name] && values[name] != null && values[name] !== '');
+        if (extraField && extra.length) {
+          body.append(extraField, extra.map(name => `${name}: ${values[name]}`).join('\n'));
+        } else if (extra.length && !warnedDropped) {
+          warnedDropped = true;
+          console.warn(`[NicerWaitlist] googleForms: ${extra.join(', ')} have no entry.<id> and there is no extraField; they were not sent.`);
+        }
+        return Promise.resolve()
+          .then(() => resolveFetch(fetchImpl)(action, { method: 'POST', mode: 'no-cors', body }))
+          .then(() => ({ id: null }), (e) => { throw networkError(e); });
+      }
+    };
+  }
+
+  /** Generic JSON webhook (Zapier, Make, a serverless function, ...). */
+  function webhook({ url, headers = {}, fetch: fetchImpl } = {}) {
+    if (!url) console.warn('[NicerWaitlist] webhook: url is required.');
+    return {
+      name: 'webhook',
+      submit(values) {
+        return Promise.resolve()
+          .then(() => resolveFetch(fetchImpl)(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(values)
+          }))
+          .catch(e => { throw networkError(e); })
+          .then(res => res.json().catch(() => ({})).then(data => {
+            if (res.status === 429) throw new WaitlistError('rate-limited', format(MESSAGES['rate-limited'], { minutes: 1 }), { status: 429 });
+            if (!res.ok) throw new WaitlistError('rejected', MESSAGES.rejected, { status: res.status, message: data.message || data.error || null });
+            return { id: data.id == null ? null : data.id };
+          }));
+      }
+    };
+  }
+
+  /**
+   * In-memory backend. `fail` is true, an error code, or fn(values) returning one (falsy = accept).
+   * Repeat emails resolve with the original id.
+   */
+  function mock({ latency = 400, fail = false } = {}) {
+    const submissions = [];
+    return {
+      name: 'mock',
+      submissions,
+      submit(values) {
+        return new Promise((resolve, reject) => {
+          setTimeout(() => {
+            const code = typeof fail === 'function' ? fail(values) : fail;
+            if (code) {
+              const kind = typeof code === 'string' ? code : 'rejected';
+              reject(new WaitlistError(kind, format(MESSAGES[kind] || MESSAGES.rejected, { minutes: 1 })));
+              return;
+            }
+            const existing = submissions.find(s => s.email === values.email);
+            if (existing) { resolve({ id: existing.id }); return; }
+            const entry = { ...values, id: `mock-${submissions.length + 1}`, at: Date.now() };
+            submissions.push(entry);
+            resolve({ id: entry.id });
+          }, latency);
+        });
+      }
+    };
+  }
+
+  function defaultStorage() {
+    try {
+      return root.localStorage || null;
+    } catch (e) {
+      return null; // blocked storage (privacy modes, sandboxed iframes)
+    }
+  }
+
+  /** Sliding-window limit on submit attempts, persisted so a reload does not reset it. */
+  function createRateLimiter({ max = 3, windowMs = 10 * 60 * 1000, storage = defaultStorage(), key = 'nicer-waitlist-attempts', now = Date.now } = {}) {
+    let memory = [];
+    const read = () => {
+      if (!storage) return memory;
+      try {
+        const list = JSON.parse(storage.getItem(key) || '[]');
+        return Array.isArray(list) ? list.filter(Number.isFinite) : [];
+      } catch (e) {
+        return [];
+      }
+    };
+    const write = (list) => {
+      memory = list;
+      if (!storage) return;
+      try { storage.setItem(key, JSON.stringify(list)); } catch (e) { /* quota or blocked: keep the in-memory copy */ }
+    };
+    const recent = () => read().filter(t => now() - t < windowMs);
+    return {
+      check() {
+        const list = recent();
+        return list.length < max ? 0 : Math.max(0, list[0] + windowMs - now());
+      },
+      hit() { write(recent().concat(now())); },
+      clear() { write([]); }
+    };
+  }
+
+  function memoryStore() {
+    const entries = new Map();
+    return {
+      kind: 'memory',
+      all: () => Promise.resolve(Array.from(entries.values())),
+      put: (entry) => { entries.set(entry.email, entry); return Promise.resolve(entry); },
+      remove: (email) => { entries.delete(email); return Promise.resolve(); }
+    };
+  }
+
+  function storageStore(storage, key) {
+    const fallback = memoryStore();
+    let broken = false;
+    const read = () => {
+      try {
+        const map = JSON.parse(storage.getItem(key) || '{}');
+        return map && typeof map === 'object' ? map : {};
+      } catch (e) {
+        return {};
+      }
+    };
+    const update = (fn) => {
+      if (broken) return null;
+      const map = read();
+      fn(map);
+      try {
+        storage.setItem(key, JSON.stringify(map));
+        return map;
+      } catch (e) {
+        broken = true; // quota or blocked: keep going in memory for this page view
+        return null;
+      }
+    };
+    return {
+      kind: 'localStorage',
+      all: () => (broken ? fallback.all() : Promise.resolve(Object.values(read()))),
+      put: (entry) => (update(map => { map[entry.email] = entry; }) ? Promise.resolve(entry) : fallback.put(entry)),
+      remove: (email) => (update(map => { delete map[email]; }) ? Promise.resolve() : fallback.remove(email))
+    };
+  }
+
+  function idbStore(idb, name) {
+    let opening = null;
+    const open = () => opening || (opening = new Promise((resolve, reject) => {
+      const req = idb.open(name, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore('queue', { keyPath: 'email' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }));
+    const run = (mode, fn) => open().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction('queue', mode);
+      const req = fn(tx.objectStore('queue'));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    }));
+    return {
+      kind: 'indexeddb',
+      all: () => run('readonly', store => store.getAll()),
+      put: (entry) => run('readwrite', store => store.put(entry)).then(() => entry),
+      remove: (email) => run('readwrite', store => store.delete(email)).then(() => undefined)
+    };
+  }
+
+  /**
+   * Persistent home for queued signups, keyed by email. IndexedDB when it opens (it does not in some
+   * private modes), otherwise localStorage, otherwise memory.
+   */
+  function createQueueStore({ name = 'nicer-waitlist', indexedDB = root.indexedDB, storage = defaultStorage() } = {}) {
+    const fallback = storage ? storageStore(storage, `${name}-queue`) : memoryStore();
+    if (!indexedDB) return fallback;
+    const idb = idbStore(indexedDB, name);
+    let active = null;
+    const pick = () => (active ? Promise.resolve(active)
+      : idb.all().then(() => (active = idb), () => (active = fallback)));
+    return {
+      get kind() { return active ? active.kind : 'pending'; },
+      all: () => pick().then(store => store.all()),
+      put: (entry) => pick().then(store => store.put(entry)),
+      remove: (email) => pick().then(store => store.remove(email))
+    };
+  }
+
+  /** Deliver queued signups through `adapter`, retrying with backoff while the browser is online. */
+  function createSubmissionQueue(options = {}) {
+    const {
+      adapter,
+      store = createQueueStore(),
+      maxAttempts = 5,
+      timeoutMs = 15000,
+      now = Date.now,
+      isOnline = isBrowserOnline
+    } = options;
+    const { base = 2000, factor = 2, max = 5 * 60 * 1000 } = options.backoff || {};
+    if (!adapter || typeof adapter.submit !== 'function') {
+      console.warn('[NicerWaitlist] createSubmissionQueue: an adapter with submit(values) is required.');
+      return null;
+    }
+
+    const handlers = { sent: [], retry: [], dropped: [], change: [] };
+    let timer = null;
+    let flushing = null;
+    let started = false;
+
+    const emit = (type, payload) => handlers[type].slice().forEach(fn => {
+      try {
+        fn(payload);
+      } catch (e) {
+        console.warn(`[NicerWaitlist] ${type} handler failed:`, e);
+      }
+    });
+    const delayFor = (attempts) => Math.min(max, base * Math.pow(factor, attempts - 1));
+
+    function schedule() {
+      clearTimeout(timer);
+      timer = null;
+      if (!started || !isOnline()) return Promise.resolve();
+      return store.all().then(list => {
+        if (!list.length || !started) return;
+        const next = Math.min(...list.map(e => e.nextAt));
+        timer = setTimeout(() => { timer = null; flush(); }, Math.max(0, next - now()));
+      });
+    }
+
+    function send(entry) {
+      return submitWithTimeout(adapter, entry.values, timeoutMs).then(
+        (result) => store.remove(entry.email).then(() => {
+          emit('sent', { entry, result });
+          return 'sent';
+        }),
+        (e) => {
+          const error = e instanceof WaitlistError ? e : networkError(e);
+          const attempts = entry.attempts + 1;
+          if (RETRYABLE.indexOf(error.code) === -1 && attempts >= maxAttempts) {
+            return store.remove(entry.email).then(() => {
+              emit('dropped', { entry, error });
+              return 'dropped';
+            });
+          }
+          const delay = delayFor(attempts);
+          const next = { ...entry, attempts, nextAt: now() + delay, lastError: error.code };
+          return store.put(next).then(() => {
+            emit('retry', { entry: next, error, delay });
+            return 'retrying';
+          });
+        }
+      );
+    }
+
+    /** Send every entry that is due, oldest first, one at a time. */
+    function flush() {
+      if (flushing) return flushing;
+      const stats = { sent: 0, retrying: 0, dropped: 0, remaining: 0 };
+      if (!isOnline()) return store.all().then(list => ({ ...stats, remaining: list.length }));
+      flushing = store.all()
+        .then(list => list.filter(e => e.nextAt <= now()).sort((a, b) => a.queuedAt - b.queuedAt)
+          .reduce((chain, entry) => chain.then(() => (isOnline() ? send(entry).then(outcome => { stats[outcome]++; }) : null)), Promise.resolve()))
+        .then(() => store.all())
+        .then(list => {
+          stats.remaining = list.length;
+          return stats;
+        })
+        .catch((e) => {
+          console.warn('[NicerWaitlist] queue flush failed:', e);
+          return stats;
+        })
+        .finally(() => {
+          flushing = null;
+          emit('change');
+          schedule();
+        });
+      return flushing;
+    }
+
+    /** Queue a signup (replacing a pending one for the same email) and try to send it when possible. */
+    function enqueue(values) {
+      return store.all()
+        .then(list => {
+          const existing = list.find(e => e.email === values.email);
+          return store.put({ email: values.email, values: { ...values }, queuedAt: existing ? existing.queuedAt : now(), attempts: 0, nextAt: now() });
+        })
+        .then(entry => {
+          emit('change');
+          schedule();
+          return entry;
+        });
+    }
+
+    const onOnline = () => { flush(); };
+    const onOffline = () => { clearTimeout(timer); timer = null; };
+
+    return {
+      enqueue,
+      flush,
+      size() { return store.all().then(list => list.length); },
+      /** Listen for connectivity and flush what earlier visits left behind. */
+      start() {
+        if (started) return flush();
+        started = true;
+        if (root.addEventListener) {
+          root.addEventListener('online', onOnline);
+          root.addEventListener('offline', onOffline);
+        }
+        return flush();
+      },
+      stop() {
+        started = false;
+        clearTimeout(timer);
+        timer = null;
+        if (root.removeEventListener) {
+          root.removeEventListener('online', onOnline);
+          root.removeEventListener('offline', onOffline);
+        }
+      },
+      on(type, handler) {
+        if (!handlers[type] || typeof handler !== 'function') return () => {};
+        handlers[type].push(handler);
+        return () => {
+          const i = handlers[type].indexOf(handler);
+          if (i !== -1) handlers[type].splice(i, 1);
+        };
+      }
+    };
+  }
+
+  /** Wire a <form> to an adapter. Returns a controller, or null without a form or adapter. */
+  function mountWaitlistForm(form, options = {}) {
+    const {
+      adapter,
+      queue = null,
+      rateLimiter = createRateLimiter(),
+      minFillMs = 1500,
+      timeoutMs = 15000,
+      honeypot = 'website',
+      now = Date.now,
+      isOnline = isBrowserOnline,
+      onStateChange,
+      onSuccess,
+      onQueued,
+      onError
+    } = options;
+    const messages = { ...MESSAGES, ...(options.messages || {}) };
+    if (!form) {
+      console.warn('[NicerWaitlist] mountWaitlistForm: form not found.');
+      return null;
+    }
+    if (!adapter || typeof adapter.submit !== 'function') {
+      console.warn('[NicerWaitlist] mountWaitlistForm: an adapter with submit(values) is required.');
+      return null;
+    }
+
+    const mountedAt = now();
+    const field = (name) => form.elements.namedItem(name);
+    const statusEl = form.querySelector('[data-waitlist-status]');
+    // Asking for an answer the adapter would drop only to lose it is worse than not asking
+    const collected = FIELDS.filter(name => name === 'email' || typeof adapter.accepts !== 'function' || adapter.accepts(name));
+    const skipped = FIELDS.filter(name => collected.indexOf(name) === -1 && field(name));
+    skipped.forEach(name => {
+      const input = field(name);
+      const wrapper = input.closest('[data-waitlist-field]');
+      input.disabled = true;
+      if (wrapper) wrapper.hidden = true;
+    });
+    let state = 'idle';
+    let pending = null;
+    let queuedEmail = null;
+
+    function setState(next, detail = {}) {
+      state = next;
+      form.setAttribute('data-state', next);
+      form.setAttribute('aria-busy', String(next === 'submitting'));
+      form.querySelectorAll('[type="submit"]').forEach(btn => { btn.disabled = next === 'submitting' || next === 'success' || next === 'queued'; });
+      if (onStateChange) onStateChange(next, detail);
+    }
+
+    function showStatus(text) {
+      if (!statusEl) return;
+      statusEl.textContent = text || '';
+      statusEl.hidden = !text;
+    }
+
+    function showErrors(errors) {
+      FIELDS.forEach(name => {
+        const input = field(name);
+        const slot = form.querySelector(`[data-error-for="${name}"]`);
+        const message = errors[name] || '';
+        if (slot) {
+          slot.textContent = message;
+          slot.hidden = !message;
+        }
+        if (!input) return;
+        if (message) input.setAttribute('aria-invalid', 'true');
+        else input.removeAttribute('aria-invalid');
+        if (slot && slot.id) input.setAttribute('aria-describedby', slot.id);
+      });
+    }
+
+    const optionValues = (name) => {
+      const input = field(name);
+      return input && input.options ? Array.from(input.options).map(o => o.value).filter(Boolean) : undefined;
+    };
+
+    function fail(error) {
+      showStatus(error.code === 'validation' ? '' : error.message); // field errors sit next to their fields
+      setState('error', { error });
+      if (onError) onError(error);
+      return { state: 'error', error };
+    }
+
+    function succeed(detail) {
+      showStatus('');
+      setState('success', detail);
+      if (onSuccess) onSuccess(detail);
+      return { state: 'success', ...detail };
+    }
+
+    /** Hand the signup to the queue; falls back to `error` if even that fails. */
+    function defer(values, error) {
+      return queue.enqueue(values).then(
+        (entry) => {
+          queuedEmail = entry.email;
+          showStatus('');
+          const detail = { values, reason: error ? error.code : 'offline' };
+          setState('queued', detail);
+          if (onQueued) onQueued(detail);
+          return { state: 'queued', ...detail };
+        },
+        () => fail(error || new WaitlistError('network', messages.network))
+      );
+    }
+
+    // A queued signup that gets delivered later completes this form; one the queue gives up on fails it
+    const offSent = queue ? queue.on('sent', ({ entry, result }) => {
+      if (state !== 'queued' || entry.email !== queuedEmail) return;
+      queuedEmail = null;
+      succeed({ id: result && result.id != null ? result.id : null, values: entry.values, adapter: adapter.name, queued: true });
+    }) : null;
+    const offDropped = queue ? queue.on('dropped', ({ entry, error }) => {
+      if (state !== 'queued' || entry.email !== queuedEmail) return;
+      queuedEmail = null;
+      if (messages[error.code] && error.code !== 'rate-limited') error.message = messages[error.code];
+      fail(error);
+    }) : null;
+
+    function submit() {
+      if (pending) return pending;
+      if (state === 'success' || state === 'queued') return Promise.resolve({ state });
+
+      const values = {};
+      collected.forEach(name => { values[name] = field(name) ? field(name).value : ''; });
+      const result = validate(values, { roles: optionValues('role'), teamSizes: optionValues('teamSize'), messages, fields: collected });
+      const hidden = {};
+      form.querySelectorAll('input[type="hidden"][name]').forEach(input => {
+        if (FIELDS.indexOf(input.name) === -1 && input.name !== honeypot) hidden[input.name] = input.value;
+      });
+      result.values = { ...hidden, ...result.values };
+      showErrors(result.errors);
+      if (!result.ok) {
+        const first = field(FIELDS.find(name => result.errors[name]));
+        if (first && first.focus) first.focus();
+        return Promise.resolve(fail(new WaitlistError('validation', Object.values(result.errors)[0], { errors: result.errors })));
+      }
+
+      // Bots fill the hidden field or submit instantly: report success without sending anything
+      const trap = field(honeypot);
+      if ((trap && trap.value) || now() - mountedAt < minFillMs) return Promise.resolve(succeed({ id: null, suppressed: true, values: result.values }));
+
+      // Offline: nothing to wait for, queue straight away
+      if (queue && !isOnline()) {
+        pending = defer(result.values, null).then((outcome) => { pending = null; return outcome; });
+        return pending;
+      }
+
+      const wait = rateLimiter ? rateLimiter.check() : 0;
+      if (wait > 0) return Promise.resolve(fail(new WaitlistError('rate-limited', format(messages['rate-limited'], { minutes: Math.ceil(wait / 60000) }), { retryIn: wait })));
+      if (rateLimiter) rateLimiter.hit();
+
+      showStatus('');
+      setState('submitting', { values: result.values });
+      pending = submitWithTimeout(adapter, result.values, timeoutMs, messages.timeout)
+        .then(
+          (res) => succeed({ id: res && res.id != null ? res.id : null, values: result.values, adapter: adapter.name }),
+          (e) => {
+            const error = e instanceof WaitlistError ? e : networkError(e);
+            if (messages[error.code] && error.code !== 'rate-limited') error.message = messages[error.code];
+            if (queue && (error.code === 'network' || error.code === 'timeout')) return defer(result.values, error);
+            return fail(error);
+          }
+        )
+        .then((outcome) => {
+          pending = null;
+          return outcome;
+        });
+      return pending;
+    }
+
+    const onSubmit = (event) => {
+      event.preventDefault();
+      submit();
+    };
+    // Clear a field's error as soon as it is edited
+    const onInput = (event) => {
+      const name = event.target && event.target.name;
+      if (FIELDS.indexOf(name) === -1 || event.target.getAttribute('aria-invalid') !== 'true') return;
+      event.target.removeAttribute('aria-invalid');
+      const slot = form.querySelector(`[data-error-for="${name}"]`);
+      if (slot) { slot.textContent = ''; slot.hidden = true; }
+    };
+
+    form.noValidate = true;
+    form.addEventListener('submit', onSubmit);
+    form.addEventListener('input', onInput);
+    form.addEventListener('change', onInput);
+    setState('idle');
+
+    return {
+      submit,
+      getState() { return state; },
+      reset() {
+        if (pending) return;
+        form.reset();
+        showErrors({});
+        showStatus('');
+        setState('idle');
+      },
+      destroy() {
+        if (offSent) offSent();
+        if (offDropped) offDropped();
+        skipped.forEach(name => {
+          const wrapper = field(name).closest('[data-waitlist-field]');
+          field(name).disabled = false;
+          if (wrapper) wrapper.hidden = false;
+        });
+        form.removeEventListener('submit', onSubmit);
+        form.removeEventListener('input', onInput);
+        form.removeEventListener('change', onInput);
+      }
+    };
+  }
+
+  const NicerWaitlist = {
+    validate,
+    adapters: { googleForms, webhook, mock },
+    createRateLimiter,
+    createQueueStore,
+    createSubmissionQueue,
+    mountWaitlistForm,
+    WaitlistError,
+    FIELDS,
+    MESSAGES,
+    version: '1.1.0'
+  };
+
+  if (typeof module === 'object' && module.exports) module.exports = NicerWaitlist;
+  else root.NicerWaitlist = NicerWaitlist;
+})(typeof window !== 'undefined' ? window : globalThis);
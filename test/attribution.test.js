@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NicerAttribution = require('../nicer-attribution');
+const { loadCinematic } = require('./helpers/env');
+
+const LANDING = {
+  href: 'https://nicer.app/pricing?utm_source=newsletter&utm_campaign=launch&ref=ada42',
+  origin: 'https://nicer.app',
+  pathname: '/pricing',
+  search: '?utm_source=newsletter&utm_campaign=launch&ref=ada42'
+};
+
+/** A minimal Storage stand-in shared between "page views". */
+function memoryStorage() {
+  const map = new Map();
+  return { getItem: (k) => (map.has(k) ? map.get(k) : null), setItem: (k, v) => map.set(k, String(v)) };
+}
+
+test('parseTouch keeps utm_*, ref and the landing path, and only external referrers', () => {
+  assert.deepEqual(NicerAttribution.parseTouch({
+    search: '?utm_source=%20x%0A&utm_medium=email&gclid=1&ref=' + 'r'.repeat(300),
+    pathname: '/',
+    referrer: 'https://news.example/item?id=7&token=secret',
+    origin: 'https://nicer.app'
+  }), { utm_source: 'x', utm_medium: 'email', ref: 'r'.repeat(200), landing_path: '/', referrer: 'https://news.example/item' });
+
+  assert.equal(NicerAttribution.parseTouch({ referrer: 'https://nicer.app/terms', origin: 'https://nicer.app' }).referrer, undefined);
+});
+
+test('the first touch of a session wins and is forwarded on the redirect URL', () => {
+  const storage = memoryStorage();
+  NicerAttribution.createAttribution({ storage, location: LANDING, referrer: '' });
+  const later = NicerAttribution.createAttribution({
+    storage,
+    location: { href: 'https://nicer.app/?utm_source=ads', origin: 'https://nicer.app', pathname: '/', search: '?utm_source=ads' },
+    referrer: 'https://nicer.app/pricing'
+  });
+
+  assert.equal(later.fields().utm_source, 'newsletter');
+  assert.equal(later.fields().landing_path, '/pricing');
+  assert.equal(
+    later.decorateUrl('https://nicer.app/app?utm_campaign=keep'),
+    'https://nicer.app/app?utm_campaign=keep&utm_source=newsletter&ref=ada42'
+  );
+});
+
+test('demo engagement is recorded through the cinematic event sink', async (t) => {
+  const env = loadCinematic({ scripts: ['nicer-attribution.js'] });
+  t.after(env.close);
+  const api = await env.start();
+  const attribution = env.window.NicerAttribution.createAttribution({ storage: null, location: LANDING, referrer: '' });
+  assert.equal(attribution.fields().demo_watched, 'no');
+
+  const stop = attribution.trackDemo(api);
+  stop();
+  api.play();
+  assert.equal(attribution.fields().demo_watched, 'no', 'a removed sink records nothing');
+  api.pause();
+
+  const changes = [];
+  attribution.on('change', (data) => changes.push(data.demo.watched));
+  attribution.trackDemo(api);
+  api.play();
+  assert.equal(attribution.fields().demo_watched, 'yes');
+  assert.equal(changes[0], true);
+});
+
+test('engagement tracks the furthest scene and completion, and never shrinks', () => {
+  let sink = null;
+  const cinematic = { addSink: (s) => { sink = s; return () => { sink = null; }; }, getSceneOrder: () => ['hero', 'describe', 'customize', 'share'] };
+  const attribution = NicerAttribution.createAttribution({ storage: null, location: LANDING, referrer: '' });
+  attribution.trackDemo(cinematic);
+
+  sink.handle({ type: 'scene:start', scene: 'customize', index: 2, totalElapsed: 9.6 });
+  sink.handle({ type: 'scene:start', scene: 'hero', index: 0, totalElapsed: 0.2 }); // replay from the top
+  const { demo_furthest_scene, demo_progress, demo_seconds, demo_completed } = attribution.fields();
+  assert.deepEqual([demo_furthest_scene, demo_progress, demo_seconds, demo_completed], ['customize', '75', '10', 'no']);
+
+  sink.handle({ type: 'scene:complete', scene: 'share', index: 3, totalElapsed: 14 });
+  assert.equal(attribution.fields().demo_completed, 'yes');
+  assert.equal(attribution.fields().demo_progress, '100');
+});
+
+test('bound hidden fields travel with the waitlist submission', async (t) => {
+  const env = loadCinematic({ scripts: ['nicer-attribution.js', 'nicer-waitlist.js'] });
+  t.after(env.close);
+  await env.start();
+  const { NicerAttribution: attributionLib, NicerWaitlist } = env.window;
+  const form = env.document.getElementById('waitlist-form');
+  const attribution = attributionLib.createAttribution({ storage: null, location: LANDING, referrer: '' });
+  attribution.bindForm(form);
+  attribution.trackDemo(env.api);
+  env.api.play(); // engagement after binding updates the inputs too
+
+  const adapter = NicerWaitlist.adapters.mock({ latency: 0 });
+  const controller = NicerWaitlist.mountWaitlistForm(form, { adapter, minFillMs: 0, rateLimiter: null });
+  form.elements.namedItem('email').value = 'ada@example.com';
+  form.elements.namedItem('role').value = 'design';
+  form.elements.namedItem('teamSize').value = '1';
+  await controller.submit();
+
+  const [submission] = adapter.submissions;
+  assert.equal(submission.email, 'ada@example.com');
+  assert.equal(submission.utm_source, 'newsletter');
+  assert.equal(submission.ref, 'ada42');
+  assert.equal(submission.demo_watched, 'yes');
+  assert.equal(submission.website, undefined, 'the honeypot is never forwarded');
+});
+
+test('attribution fields without their own entry id reach Google Forms through the extra field', async (t) => {
+  const env = loadCinematic({ scripts: ['nicer-attribution.js', 'nicer-waitlist.js'] });
+  t.after(env.close);
+  await env.start();
+  const { NicerAttribution: attributionLib, NicerWaitlist } = env.window;
+  const form = env.document.getElementById('waitlist-form');
+  attributionLib.createAttribution({ storage: null, location: LANDING, referrer: '' }).bindForm(form);
+
+  const bodies = [];
+  const fetch = (url, init) => { bodies.push(String(init.body)); return Promise.resolve({ ok: false, status: 0 }); };
+  const adapter = NicerWaitlist.adapters.googleForms({
+    action: '/formResponse', fields: { email: 'emailAddress', role: 'entry.1', teamSize: 'entry.2', utm_source: 'entry.3' }, extraField: 'entry.9', fetch
+  });
+  assert.ok(attributionLib.FIELDS.every(name => adapter.accepts(name)));
+  t.mock.method(console, 'warn', () => {}); // the shipped config also has no entry.<id> for role and team size
+  const shipped = NicerWaitlist.adapters.googleForms({ action: '/formResponse', fields: { email: 'emailAddress' }, fetch });
+  assert.ok(attributionLib.FIELDS.every(name => !shipped.accepts(name)), 'without extraField the page warns on load');
+  const controller = NicerWaitlist.mountWaitlistForm(form, { adapter, minFillMs: 0, rateLimiter: null });
+  form.elements.namedItem('email').value = 'ada@example.com';
+  form.elements.namedItem('role').value = 'design';
+  form.elements.namedItem('teamSize').value = '1';
+  await controller.submit();
+
+  const body = new URLSearchParams(bodies[0]);
+  assert.equal(body.get('entry.3'), 'newsletter');
+  const extra = body.get('entry.9').split('\n');
+  assert.ok(extra.includes('utm_campaign: launch'));
+  assert.ok(extra.includes('ref: ada42'));
+  assert.ok(extra.includes('demo_watched: no'));
+  assert.ok(!extra.some(line => /^(email|role|teamSize|utm_source):/.test(line)), 'mapped fields are not repeated');
+});
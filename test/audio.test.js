@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+/** Records state changes; every promise it hands out rejects, like resume() without a user gesture. */
+function installAudio(window) {
+  const contexts = [];
+  window.AudioContext = class {
+    constructor() {
+      this.state = 'suspended';
+      this.currentTime = 0;
+      this.destination = {};
+      this.calls = [];
+      contexts.push(this);
+    }
+    createGain() {
+      return { gain: { value: 1, setTargetAtTime(value) { this.value = value; } }, connect() {} };
+    }
+    resume() { return this.change('resume', 'running'); }
+    suspend() { return this.change('suspend', 'suspended'); }
+    close() { return this.change('close', 'closed'); }
+    change(call, state) {
+      this.calls.push(call);
+      this.state = state;
+      return Promise.reject(new Error(`${call} refused`));
+    }
+  };
+  return contexts;
+}
+
+/** Start the page with the fake context and a recording 'scene' cue. */
+async function loadAudio(t, opts) {
+  const env = loadCinematic(opts);
+  t.after(env.close);
+  const contexts = installAudio(env.window);
+  const api = await env.start();
+  env.setHidden(false); // jsdom reports a hidden document by default
+  const played = [];
+  api.registerCue('scene', (ctx, out, when, { index }) => played.push(index));
+  return { env, api, contexts, played };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('cues are muted by default and play once unmuted', async (t) => {
+  const { api, contexts, played } = await loadAudio(t);
+  assert.equal(api.isMuted(), true);
+  api.playCue('scene', { index: 1 });
+  assert.deepEqual(played, []);
+  assert.equal(contexts.length, 0, 'no context before the first audible cue');
+
+  api.setMuted(false);
+  assert.equal(api.isMuted(), false);
+  api.playCue('scene', { index: 2 });
+  assert.deepEqual(played, [2]);
+  assert.deepEqual(contexts[0].calls, ['resume']);
+
+  api.setVolume(3);
+  assert.equal(api.getVolume(), 1);
+  api.setVolume(NaN);
+  assert.equal(api.getVolume(), 1);
+  await settle(); // the refused resume() must not surface as an unhandled rejection
+});
+
+test('a hidden tab silences cues without changing the mute preference', async (t) => {
+  const { env, api, contexts, played } = await loadAudio(t);
+  api.setMuted(false);
+  api.playCue('scene', { index: 0 });
+
+  env.setHidden(true);
+  assert.equal(api.isMuted(), false);
+  assert.equal(contexts[0].state, 'suspended');
+  api.playCue('scene', { index: 1 });
+  assert.deepEqual(played, [0]);
+
+  api.setMuted(!api.isMuted()); // a mute toggle keeps working while hidden
+  assert.equal(api.isMuted(), true);
+  api.setMuted(!api.isMuted());
+  assert.equal(api.isMuted(), false);
+
+  env.setHidden(false);
+  assert.equal(contexts[0].state, 'running');
+  api.destroy();
+  assert.deepEqual(contexts[0].calls, ['resume', 'suspend', 'resume', 'close']);
+  await settle();
+});
+
+test('reduced motion keeps cues silent while reporting the preference as is', async (t) => {
+  const { api, contexts, played } = await loadAudio(t, { reducedMotion: true });
+  api.setMuted(false);
+  assert.equal(api.isMuted(), false);
+  api.playCue('scene', { index: 0 });
+  assert.deepEqual(played, []);
+  assert.equal(contexts.length, 0);
+});
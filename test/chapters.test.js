@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+/** The page with its master timeline (the live timeline carrying a label per scene). */
+async function loadChapters(t) {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const order = api.getSceneOrder();
+  const master = Array.from(env.gsap.live).find(tl => tl.labels && order.every(name => name in tl.labels));
+  assert.ok(master, 'a master timeline with scene labels');
+  return { env, api, order, master };
+}
+
+test('goToScene plays from the scene label and reports unknown names', async (t) => {
+  const { env, api, order, master } = await loadChapters(t);
+  const plays = env.record('play');
+
+  assert.equal(api.goToScene(order[2]), true);
+  assert.equal(master.time(), master.labels[order[2]]);
+  assert.equal(api.getCurrentScene(), order[2]);
+  assert.equal(api.isActive(), true);
+  assert.deepEqual(plays.map(e => e.reason), ['chapter']);
+
+  api.goToScene(order[1]);
+  assert.equal(plays.length, 1, 'jumping while playing is not a new play');
+
+  env.warnings.length = 0;
+  assert.equal(api.goToScene('nope'), false);
+  assert.match(env.warnings[0], /unknown scene "nope"/);
+  assert.equal(api.getCurrentScene(), order[1]);
+  assert.deepEqual(env.errors, []);
+});
+
+test('next and prev wrap around; prev restarts a scene that is well under way', async (t) => {
+  const { api, order, master } = await loadChapters(t);
+  const last = order[order.length - 1];
+
+  api.goToScene(last);
+  api.next();
+  assert.equal(api.getCurrentScene(), order[0]);
+  api.prev();
+  assert.equal(api.getCurrentScene(), last);
+  api.next();
+  api.next();
+  assert.equal(api.getCurrentScene(), order[1]);
+
+  master.time(master.labels[order[1]] + 1.5); // past CONFIG.chapters.prevRestartThreshold
+  api.prev();
+  assert.equal(api.getCurrentScene(), order[1]);
+  assert.equal(master.time(), master.labels[order[1]]);
+  api.prev();
+  assert.equal(api.getCurrentScene(), order[0]);
+});
+
+test('seek clamps to the loop and keeps the play state', async (t) => {
+  const { api, order, master } = await loadChapters(t);
+
+  api.seek(0.5);
+  assert.equal(master.progress(), 0.5);
+  assert.equal(api.isActive(), false);
+  api.seek(2);
+  assert.equal(master.progress(), 1);
+  assert.equal(api.getCurrentScene(), order[order.length - 1]);
+  api.seek(-1);
+  assert.equal(master.progress(), 0);
+  api.seek(NaN);
+  api.seek('0.3');
+  assert.equal(master.progress(), 0);
+});
+
+test('the chapter nav has a dot per scene, follows the playhead and drives it', async (t) => {
+  const { env, api, order, master } = await loadChapters(t);
+  const stage = env.document.getElementById('cinematic-stage');
+
+  api.showChapters();
+  const nav = stage.nextElementSibling;
+  assert.equal(nav.className, 'nicer-chapters');
+  assert.equal(nav.getAttribute('aria-label'), 'Demo chapters');
+  const dots = Array.from(nav.querySelectorAll('button[data-scene]'));
+  assert.equal(dots.map(d => d.dataset.scene).join(), order.join());
+
+  dots[3].click();
+  assert.equal(api.getCurrentScene(), order[3]);
+  assert.deepEqual(dots.filter(d => d.getAttribute('aria-current') === 'step'), [dots[3]]);
+
+  const scrubber = nav.querySelector('input[type="range"]');
+  assert.equal(scrubber.value, String(Math.round(master.progress() * 1000)));
+  scrubber.value = '0';
+  scrubber.dispatchEvent(new env.window.Event('input'));
+  assert.equal(master.progress(), 0);
+  assert.deepEqual(dots.filter(d => d.getAttribute('aria-current') === 'step'), [dots[0]]);
+
+  api.showChapters(false);
+  assert.equal(env.document.querySelector('.nicer-chapters'), null);
+  api.showChapters(true);
+  api.showChapters(true);
+  assert.equal(env.document.querySelectorAll('.nicer-chapters').length, 1);
+  api.destroy();
+  assert.equal(env.document.querySelector('.nicer-chapters'), null);
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+const later = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a lost WebGL context pauses the background and a restore rebuilds it', async (t) => {
+  const env = loadCinematic({ three: true, webgl: true });
+  t.after(env.close);
+  const api = await env.start();
+  const changes = env.record('backend:change');
+  const root = env.document.getElementById('three-root');
+  assert.equal(api.getRenderBackend().three, 'webgl');
+  assert.equal(env.three.renderers.length, 1);
+
+  assert.equal(api.simulateContextLoss(0), true);
+  assert.equal(api.getRenderBackend().contextLost, true);
+  assert.deepEqual(changes.map(c => [c.backend, c.contextLost]), [['webgl', true]]);
+
+  await later();
+  assert.deepEqual(changes.map(c => [c.backend, c.contextLost]), [['webgl', true], ['webgl', false]]);
+  assert.equal(env.three.renderers.length, 2, 'a fresh renderer after the restore');
+  assert.equal(env.three.renderers[0].disposed, true);
+  assert.equal(root.querySelectorAll('canvas').length, 1);
+  assert.equal(api.getRenderBackend().contextLost, false);
+});
+
+test('without WebGL the background falls back to DOM cards that destroy() removes', async (t) => {
+  const env = loadCinematic({ three: true, webgl: false });
+  t.after(env.close);
+  const api = await env.start();
+  const root = env.document.getElementById('three-root');
+
+  assert.equal(api.getRenderBackend().three, 'css');
+  assert.equal(env.three.renderers.length, 0);
+  assert.ok(root.querySelector('.nicer-css-bg').children.length > 0);
+  env.warnings.length = 0;
+  assert.equal(api.simulateContextLoss(0), false);
+  assert.match(env.warnings[0], /no WebGL background active/);
+
+  api.play();
+  api.destroy();
+  assert.equal(root.querySelector('.nicer-css-bg'), null);
+  assert.equal(api.getRenderBackend().three, 'none');
+  assert.equal(env.listeners.since(env.baseline).length, 0);
+  assert.equal(env.frames.pending(), 0);
+});
+
+test('rebuilding the background does not add resize listeners', async (t) => {
+  const env = loadCinematic({ three: true, webgl: true });
+  t.after(env.close);
+  const api = await env.start();
+  const resizeListeners = () => env.listeners.active().filter(l => l.target === env.window && l.type === 'resize').length;
+  const before = resizeListeners();
+
+  for (let i = 0; i < 3; i++) {
+    api.simulateContextLoss(0);
+    await later();
+  }
+  api.setQuality('low'); // antialias off: another rebuild
+  api.setQuality('high');
+  env.frames.flush(2);
+
+  assert.ok(env.three.renderers.length > 4, 'the background was rebuilt');
+  assert.equal(resizeListeners(), before);
+  env.window.dispatchEvent(new env.window.Event('resize'));
+  assert.deepEqual(env.errors, []);
+});
@@ -0,0 +1,190 @@
+/*
+ * Headless environment for nicer-anim.js: the real index.html markup in jsdom (scripts stripped), the
+ * recording GSAP/ScrollTrigger/THREE fakes, and instrumentation for leak checks:
+ *   frames     manual requestAnimationFrame queue — flush(n) runs n frames, pending() counts open ids
+ *   listeners  every addEventListener/removeEventListener on window, document and attached elements;
+ *              env.baseline holds the page's own listeners from before initialize()
+ *   observers  fake IntersectionObserver/ResizeObserver instances (trigger entries, check disconnect)
+ *   warnings   console.warn output of the page
+ *
+ * const env = loadCinematic({ scrollTrigger: false }); await env.start(); env.api.play(); ... env.close();
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { createFakeGsap, createFakeScrollTrigger } = require('./fake-gsap');
+const { createFakeThree } = require('./fake-three');
+
+const ROOT = path.join(__dirname, '..', '..');
+const MARKUP = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(/<script[\s\S]*?<\/script>/g, '');
+const sources = new Map();
+
+function source(file) {
+  if (!sources.has(file)) sources.set(file, fs.readFileSync(path.join(ROOT, file), 'utf8'));
+  return sources.get(file);
+}
+
+function installFrames(window) {
+  let nextId = 1;
+  let now = 0;
+  const queue = new Map();
+  window.requestAnimationFrame = (cb) => { const id = nextId++; queue.set(id, cb); return id; };
+  window.cancelAnimationFrame = (id) => { queue.delete(id); };
+  return {
+    pending() { return queue.size; },
+    flush(count = 1) {
+      for (let i = 0; i < count; i++) {
+        now += 16;
+        const due = Array.from(queue.entries());
+        queue.clear();
+        due.forEach(([, cb]) => cb(now));
+      }
+    }
+  };
+}
+
+function trackListeners(window) {
+  const active = [];
+  const proto = window.EventTarget.prototype;
+  const add = proto.addEventListener;
+  const remove = proto.removeEventListener;
+  const capture = (opts) => (typeof opts === 'boolean' ? opts : !!(opts && opts.capture));
+  const find = (target, type, handler, opts) => active.findIndex(l =>
+    l.target === target && l.type === type && l.handler === handler && l.capture === capture(opts));
+  proto.addEventListener = function (type, handler, opts) {
+    if (handler && find(this, type, handler, opts) === -1) active.push({ target: this, type, handler, capture: capture(opts) });
+    return add.call(this, type, handler, opts);
+  };
+  proto.removeEventListener = function (type, handler, opts) {
+    const i = find(this, type, handler, opts);
+    if (i !== -1) active.splice(i, 1);
+    return remove.call(this, type, handler, opts);
+  };
+  // Listeners on elements that left the document are collected with them, so they do not count
+  const live = () => active.filter(l => !(l.target instanceof window.Node) || l.target === window.document || l.target.isConnected);
+  return {
+    active() { return live(); },
+    count() { return live().length; },
+    /** Live listeners added since `snapshot` (an earlier active()) and still attached. */
+    since(snapshot) { return live().filter(l => !snapshot.includes(l)); },
+    types(list = live()) { return list.map(l => l.type).sort(); }
+  };
+}
+
+function installObservers(window) {
+  const instances = [];
+  const make = (kind) => class {
+    constructor(callback, options) {
+      this.kind = kind;
+      this.callback = callback;
+      this.options = options;
+      this.targets = [];
+      this.disconnected = false;
+      instances.push(this);
+    }
+    observe(target) { this.targets.push(target); }
+    unobserve(target) { this.targets = this.targets.filter(t => t !== target); }
+    disconnect() { this.disconnected = true; this.targets = []; }
+    /** Deliver entries to the callback, filling `target` with the first observed element. */
+    trigger(entries) {
+      this.callback(entries.map(e => ({ target: this.targets[0], ...e })), this);
+    }
+  };
+  window.IntersectionObserver = make('IntersectionObserver');
+  window.ResizeObserver = make('ResizeObserver');
+  return {
+    all() { return instances.slice(); },
+    ofKind(kind) { return instances.filter(o => o.kind === kind); },
+    connected() { return instances.filter(o => !o.disconnected); }
+  };
+}
+
+/** Any canvas context is a sink that swallows calls; WebGL only resolves when `webgl` is on. */
+function stubCanvas(window, webgl) {
+  const sink = () => new Proxy({}, {
+    get: (t, k) => (k in t ? t[k] : () => {}),
+    set: (t, k, v) => { t[k] = v; return true; }
+  });
+  window.HTMLCanvasElement.prototype.getContext = function (type) {
+    if (/webgl/.test(type) && !webgl) return null;
+    return sink();
+  };
+  if (webgl) window.WebGLRenderingContext = function WebGLRenderingContext() {};
+}
+
+/**
+ * @param {object} [opts]
+ * @param {boolean} [opts.gsap=true]          Provide the GSAP fake.
+ * @param {boolean} [opts.scrollTrigger=true] Provide the ScrollTrigger fake (otherwise IntersectionObserver is used).
+ * @param {boolean} [opts.three=false]        Provide the THREE fake (and load nicer-three-bg.js).
+ * @param {boolean} [opts.webgl=false]        Report WebGL support.
+ * @param {boolean} [opts.reducedMotion=false]
+ * @param {string[]} [opts.scripts]           Extra repo scripts evaluated before nicer-anim.js.
+ */
+function loadCinematic(opts = {}) {
+  const { gsap = true, scrollTrigger = true, three = false, webgl = false, reducedMotion = false } = opts;
+  const scripts = (opts.scripts || []).slice();
+  const warnings = [];
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('warn', (...args) => warnings.push(args.map(String).join(' ')));
+  virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+  virtualConsole.on('jsdomError', (err) => errors.push(String(err && err.detail || err)));
+
+  const dom = new JSDOM(MARKUP, { runScripts: 'outside-only', url: 'https://nicer.test/', virtualConsole });
+  const { window } = dom;
+  const frames = installFrames(window);
+  const listeners = trackListeners(window);
+  const observers = installObservers(window);
+  stubCanvas(window, webgl);
+  window.matchMedia = (query) => ({
+    matches: reducedMotion && /reduce/.test(query),
+    media: query,
+    addListener() {}, removeListener() {}, addEventListener() {}, removeEventListener() {}
+  });
+
+  const env = { window, document: window.document, frames, listeners, observers, warnings, errors };
+  if (gsap) {
+    env.gsap = createFakeGsap();
+    window.gsap = env.gsap;
+  }
+  if (scrollTrigger) {
+    env.ScrollTrigger = createFakeScrollTrigger();
+    window.ScrollTrigger = env.ScrollTrigger;
+  }
+  if (three) {
+    env.three = createFakeThree(window);
+    window.THREE = env.three.THREE;
+    if (!scripts.includes('nicer-three-bg.js')) scripts.push('nicer-three-bg.js');
+  }
+  scripts.forEach(file => window.eval(source(file)));
+  window.eval(source('nicer-anim.js'));
+
+  Object.defineProperty(env, 'api', { get: () => window.NicerCinematic });
+  /** Wait for the page to load, then run the deferred initialize() and the frame after it (initThree). */
+  env.start = async () => {
+    while (window.document.readyState !== 'complete') await new Promise(resolve => setTimeout(resolve, 0));
+    env.baseline = listeners.active();
+    frames.flush(2);
+    return env.api;
+  };
+  /** Flip document.hidden and fire visibilitychange. */
+  env.setHidden = (hidden) => {
+    Object.defineProperty(window.document, 'hidden', { configurable: true, get: () => hidden });
+    Object.defineProperty(window.document, 'visibilityState', { configurable: true, get: () => (hidden ? 'hidden' : 'visible') });
+    window.document.dispatchEvent(new window.Event('visibilitychange'));
+  };
+  /** Collect events of the given types from the public event bus. */
+  env.record = (...types) => {
+    const seen = [];
+    types.forEach(type => env.api.on(type, (e) => seen.push(e)));
+    return seen;
+  };
+  env.close = () => window.close();
+  return env;
+}
+
+module.exports = { loadCinematic };
@@ -0,0 +1,194 @@
+/*
+ * Recording stand-ins for GSAP and ScrollTrigger.
+ *
+ * Nothing is tweened: tweens and timelines only keep the state nicer-anim.js reads back (paused, time,
+ * labels, durations, time scale) and every top-level call is appended to `calls` as { method, args }.
+ * Timelines place children on a simple clock (duration defaults to 0.5s; numeric, label, '<', '>',
+ * '+=n' and 'label+=n' positions) so label lookups behave like the real thing.
+ */
+
+'use strict';
+
+function createFakeGsap() {
+  const calls = [];
+  const live = new Set(); // top-level tweens, timelines and delayed calls that were not killed
+
+  class Tween {
+    constructor(kind, targets, vars = {}) {
+      this.kind = kind;
+      this.targets = targets;
+      this.vars = vars;
+      this.killed = false;
+      this._paused = !!vars.paused;
+      this._time = 0;
+      this._timeScale = 1;
+      this._duration = kind === 'set' ? 0 : (vars.duration == null ? 0.5 : vars.duration);
+    }
+
+    /** A playhead position: seconds, or (on timelines) a label / position string. */
+    _at(position) { return position; }
+    play(from) { if (from != null) this._time = this._at(from); this._paused = false; return this; }
+    pause(at) { if (at != null) this._time = this._at(at); this._paused = true; return this; }
+    resume() { this._paused = false; return this; }
+    restart() { this._time = 0; this._paused = false; return this; }
+    reverse() { return this; }
+    seek(time) { this._time = this._at(time); return this; }
+    paused(value) {
+      if (value === undefined) return this._paused;
+      this._paused = !!value;
+      return this;
+    }
+    time(value) {
+      if (value === undefined) return this._time;
+      this._time = value;
+      return this;
+    }
+    totalTime(value) { return this.time(value); }
+    progress(value) {
+      const d = this.duration();
+      if (value === undefined) return d ? this._time / d : 0;
+      this._time = value * d;
+      return this;
+    }
+    duration() { return this._duration; }
+    totalDuration() { return this.duration(); }
+    timeScale(value) {
+      if (value === undefined) return this._timeScale;
+      this._timeScale = value;
+      return this;
+    }
+    iteration() { return 1; }
+    isActive() { return !this._paused && !this.killed; }
+    eventCallback() { return this; }
+    invalidate() { return this; }
+    kill() { this.killed = true; live.delete(this); return this; }
+  }
+
+  class Timeline extends Tween {
+    constructor(vars = {}) {
+      super('timeline', null, vars);
+      this.labels = {};
+      this.children = [];
+      this._end = 0;
+      this._lastStart = 0;
+    }
+
+    duration() { return this._end; }
+
+    _at(position) { return typeof position === 'string' ? this._resolve(position) : position; }
+
+    /** Resolve a GSAP position parameter against this timeline's clock. */
+    _resolve(position) {
+      if (position == null) return this._end;
+      if (typeof position === 'number') return position;
+      let base = this._end;
+      let rest = String(position);
+      if (rest[0] === '<' || rest[0] === '>') {
+        base = rest[0] === '<' ? this._lastStart : this._end;
+        rest = rest.slice(1);
+        if (rest && !/^[+-]=/.test(rest)) return base + parseFloat(rest);
+      } else {
+        const m = /^(.*?)([+-]=-?[\d.]+)?$/.exec(rest);
+        if (m[1]) base = m[1] in this.labels ? this.labels[m[1]] : this._end;
+        rest = m[2] || '';
+      }
+      if (rest) base += (rest[0] === '-' ? -1 : 1) * parseFloat(rest.slice(2));
+      return Math.max(0, base);
+    }
+
+    _insert(child, position) {
+      const start = this._resolve(position);
+      live.delete(child); // owned by this timeline now
+      this.children.push({ start, child });
+      this._lastStart = start;
+      this._end = Math.max(this._end, start + child.totalDuration());
+      return this;
+    }
+
+    to(targets, vars, position) { return this._insert(new Tween('to', targets, vars), position); }
+    from(targets, vars, position) { return this._insert(new Tween('from', targets, vars), position); }
+    fromTo(targets, fromVars, toVars, position) { return this._insert(new Tween('fromTo', targets, toVars), position); }
+    set(targets, vars, position) { return this._insert(new Tween('set', targets, vars), position); }
+    call(fn, params, position) { return this._insert(new Tween('call', fn, { duration: 0 }), position); }
+    addLabel(name, position) {
+      this.labels[name] = this._resolve(position);
+      return this;
+    }
+    add(child, position) {
+      if (typeof child === 'string') return this.addLabel(child, position);
+      if (typeof child === 'function') return this.call(child, null, position);
+      if (Array.isArray(child)) { child.forEach(c => this.add(c, position)); return this; }
+      return this._insert(child, position);
+    }
+    getChildren() { return this.children.map(c => c.child); }
+    clear() {
+      this.children = [];
+      this.labels = {};
+      this._end = 0;
+      this._lastStart = 0;
+      return this;
+    }
+    kill() {
+      this.children.forEach(c => c.child.kill());
+      return super.kill();
+    }
+  }
+
+  const matches = (tween, targets) => {
+    if (targets === '*') return true;
+    const list = [].concat(tween.targets);
+    return [].concat(targets).some(t => list.includes(t));
+  };
+
+  const record = (method, args) => calls.push({ method, args: Array.from(args) });
+  const track = (tween) => { live.add(tween); return tween; };
+
+  const gsap = {
+    calls,
+    live,
+    Tween,
+    Timeline,
+    timeline(vars) { record('timeline', arguments); return track(new Timeline(vars)); },
+    to(targets, vars) { record('to', arguments); return track(new Tween('to', targets, vars)); },
+    from(targets, vars) { record('from', arguments); return track(new Tween('from', targets, vars)); },
+    fromTo(targets, fromVars, toVars) { record('fromTo', arguments); return track(new Tween('fromTo', targets, toVars)); },
+    set(targets, vars) { record('set', arguments); return new Tween('set', targets, vars); },
+    delayedCall(delay, fn, params) {
+      record('delayedCall', arguments);
+      const dc = track(new Tween('delayedCall', fn, { duration: delay }));
+      dc.fire = () => fn.apply(null, params || []);
+      return dc;
+    },
+    killTweensOf(targets) {
+      record('killTweensOf', arguments);
+      Array.from(live).forEach(t => { if (t.kind !== 'timeline' && matches(t, targets)) t.kill(); });
+    },
+    registerPlugin() { record('registerPlugin', arguments); },
+    getProperty() { return 0; },
+    utils: {
+      random(min, max) { return Array.isArray(min) ? min[0] : (min + max) / 2; },
+      toArray(value) { return [].concat(value); }
+    },
+    /** Calls made with one method name, e.g. gsap.callsOf('delayedCall'). */
+    callsOf(method) { return calls.filter(c => c.method === method); }
+  };
+  return gsap;
+}
+
+function createFakeScrollTrigger() {
+  const triggers = [];
+  let refreshes = 0;
+  return {
+    triggers,
+    get refreshes() { return refreshes; },
+    create(vars) {
+      const trigger = { vars, killed: false, kill() { this.killed = true; } };
+      triggers.push(trigger);
+      return trigger;
+    },
+    getAll() { return triggers.filter(t => !t.killed); },
+    refresh() { refreshes += 1; }
+  };
+}
+
+module.exports = { createFakeGsap, createFakeScrollTrigger };
@@ -0,0 +1,64 @@
+/*
+ * A recording stand-in for three.js: no GPU, no math. Every `new THREE.X(...)` is logged to
+ * `constructed` and returns a permissive recorder (any property is another recorder, any call returns
+ * its owner so chains like color.copy(a).lerp(b, k) work). WebGLRenderer is real enough for
+ * nicer-three-bg.js: it owns a jsdom <canvas> (so context-loss events can be dispatched on it) and
+ * counts renders and disposals.
+ */
+
+'use strict';
+
+function recorder(name) {
+  const props = Object.create(null);
+  const proxy = new Proxy(function () {}, {
+    get(target, key) {
+      if (key === Symbol.toPrimitive) return () => 0;
+      if (typeof key === 'symbol') return undefined;
+      if (!(key in props)) props[key] = recorder(`${name}.${key}`);
+      return props[key];
+    },
+    set(target, key, value) { props[key] = value; return true; },
+    has(target, key) { return key in props; },
+    apply(target, thisArg) { return thisArg || proxy; }
+  });
+  return proxy;
+}
+
+function createFakeThree(window) {
+  const constructed = [];
+  const renderers = [];
+
+  class WebGLRenderer {
+    constructor(options = {}) {
+      this.options = options;
+      this.domElement = options.canvas || window.document.createElement('canvas');
+      this.renders = 0;
+      this.disposed = false;
+      renderers.push(this);
+    }
+    setPixelRatio() {}
+    setSize() {}
+    render() { this.renders += 1; }
+    dispose() { this.disposed = true; }
+    getContext() { return { getExtension: () => null }; }
+  }
+
+  const classes = Object.create(null);
+  const THREE = new Proxy({ WebGLRenderer }, {
+    get(target, key) {
+      if (key in target) return target[key];
+      if (typeof key === 'symbol') return undefined;
+      if (!classes[key]) {
+        classes[key] = function (...args) {
+          constructed.push({ type: key, args });
+          return recorder(key);
+        };
+      }
+      return classes[key];
+    }
+  });
+
+  return { THREE, constructed, renderers };
+}
+
+module.exports = { createFakeThree };
@@ -0,0 +1,137 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+/** The stage markup as authored (read before the page instance stamps data-theme and friends on it). */
+function stageMarkup(env) {
+  return env.document.getElementById('cinematic-stage').outerHTML;
+}
+
+/** A second copy of the stage, as an embed would have it. */
+function embed(env, markup) {
+  const host = env.document.createElement('div');
+  host.innerHTML = markup;
+  env.document.body.appendChild(host);
+  return host;
+}
+
+/** Every element a recorded tween (or timeline child) targets. */
+function targetsOf(tweens) {
+  return tweens.flatMap(tw => [].concat(tw.targets || [], tw.children ? targetsOf(tw.getChildren()) : []))
+    .flatMap(t => (t && typeof t.length === 'number' && typeof t !== 'string' ? Array.from(t) : [t]))
+    .filter(t => t && t.nodeType === 1);
+}
+
+test('create() mounts an isolated instance whose selectors and theme stay inside its root', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const markup = stageMarkup(env);
+  const page = await env.start();
+  const host = embed(env, markup);
+  const before = new Set(env.gsap.live);
+
+  const demo = page.create(host, { config: { theme: { name: 'midnight' } } });
+
+  assert.notEqual(demo, page);
+  assert.equal(demo.getTheme(), 'midnight');
+  assert.equal(page.getTheme(), 'emerald');
+  assert.equal(host.style.getPropertyValue('--nicer-accent'), 'rgba(99,102,241,1)');
+  assert.equal(env.document.documentElement.style.getPropertyValue('--nicer-accent'), 'rgba(16,185,129,1)');
+  const created = Array.from(env.gsap.live).filter(tw => !before.has(tw));
+  const targets = targetsOf(created);
+  assert.ok(targets.length > 0);
+  assert.ok(targets.every(el => host.contains(el)), 'string targets resolve inside the root');
+});
+
+test('the page instance never reaches into a root mounted with create()', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const markup = stageMarkup(env);
+  const page = await env.start();
+  const host = embed(env, markup);
+  page.create(host);
+  const before = new Set(env.gsap.live);
+
+  page.play();
+  page.setTheme('midnight');
+
+  const targets = targetsOf(Array.from(env.gsap.live).filter(tw => !before.has(tw)));
+  assert.ok(targets.length > 0);
+  assert.equal(targets.filter(el => host.contains(el)).length, 0, 'no page tween targets embed markup');
+  assert.equal(host.hasAttribute('data-nicer-root'), true);
+});
+
+test('destroying one instance leaves the page instance and page-owned animations alone', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const markup = stageMarkup(env);
+  const page = await env.start();
+  const host = embed(env, markup);
+  const demo = page.create(host);
+  const pageTween = env.gsap.to(env.document.body, { opacity: 1, duration: 10 });
+  const pageTrigger = env.ScrollTrigger.create({ trigger: env.document.body });
+  page.play();
+  demo.play();
+
+  demo.destroy();
+
+  assert.equal(demo.isActive(), false);
+  assert.equal(page.isActive(), true);
+  assert.equal(pageTween.killed, false);
+  assert.equal(pageTrigger.killed, false);
+  assert.equal(env.ScrollTrigger.getAll().length, 2, 'page instance trigger + page-owned trigger');
+  assert.equal(env.observers.connected().length, 1, "only the page instance's ResizeObserver remains");
+});
+
+test('<nicer-cinematic> mounts from a template, maps attributes and tears down only when removed', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const { document } = env;
+  const template = document.createElement('template');
+  template.id = 'demo-template';
+  template.innerHTML = stageMarkup(env);
+  await env.start();
+  document.body.appendChild(template);
+
+  const el = document.createElement('nicer-cinematic');
+  el.setAttribute('template', 'demo-template');
+  el.setAttribute('theme', 'pastel');
+  el.setAttribute('locale', 'de');
+  document.body.appendChild(el);
+
+  const demo = el.cinematic;
+  assert.ok(demo);
+  assert.equal(demo.getTheme(), 'pastel');
+  assert.equal(demo.getLocale(), 'de');
+  assert.equal(env.api.getLocale(), 'en');
+
+  document.body.prepend(el); // a move reconnects in the same task
+  await Promise.resolve();
+  assert.equal(el.cinematic, demo);
+
+  const triggers = env.ScrollTrigger.getAll().length;
+  el.remove();
+  await Promise.resolve();
+  assert.equal(el.cinematic, null);
+  assert.equal(env.ScrollTrigger.getAll().length, triggers - 1);
+});
+
+test('evaluating the script again (the ES module entry) reuses the page instance', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const listeners = env.listeners.active().length;
+
+  env.window.eval(fs.readFileSync(path.join(__dirname, '..', 'nicer-anim.js'), 'utf8'));
+  await new Promise(resolve => setTimeout(resolve, 0)); // past a deferred initialize, if one were queued
+  env.frames.flush(2);
+
+  assert.equal(env.window.NicerCinematic, api);
+  assert.equal(env.ScrollTrigger.getAll().length, 1);
+  assert.equal(env.listeners.active().length, listeners);
+  assert.deepEqual(env.errors, []);
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+test('stage shortcuts toggle, reset and stop the demo and announce it', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const stage = env.document.getElementById('cinematic-stage');
+  const region = env.document.getElementById('story-aria');
+  /** Fire a keydown on the stage; returns whether the page default was prevented. */
+  const press = (key) => {
+    const event = new env.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    stage.dispatchEvent(event);
+    env.frames.flush(1); // announcements are written on the next frame
+    return event.defaultPrevented;
+  };
+
+  assert.equal(press(' '), true, 'Space does not scroll the page');
+  assert.equal(api.isActive(), true);
+  assert.equal(region.textContent, 'Playing');
+
+  assert.equal(press('k'), true);
+  assert.equal(api.isActive(), false);
+  assert.equal(region.textContent, 'Paused');
+
+  press('K');
+  assert.equal(api.isActive(), true);
+
+  assert.equal(press('Home'), true);
+  assert.equal(region.textContent, 'Demo reset to the beginning');
+
+  api.play();
+  assert.equal(press('Escape'), true);
+  assert.equal(api.isActive(), false);
+  assert.equal(region.textContent, 'Demo stopped');
+  assert.equal(press('Escape'), false, 'Esc while paused is left to the page');
+  assert.deepEqual(env.errors, []);
+});
+
+test('shortcuts are ignored while typing in a field', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const input = env.document.createElement('input');
+  env.document.getElementById('cinematic-stage').appendChild(input);
+
+  const event = new env.window.KeyboardEvent('keydown', { key: ' ', bubbles: true, cancelable: true });
+  input.dispatchEvent(event);
+  assert.equal(event.defaultPrevented, false);
+  assert.equal(api.isActive(), false);
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+/** Card order and spans in one comparable string. */
+const shape = (layout) => layout.cards.map(c => `${c.id}:${c.colSpan}x${c.rowSpan}@${c.row},${c.col}`).join(' ');
+
+test('getLayout is a serializable grid layout that setLayout restores', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+
+  const layout = api.getLayout();
+  assert.equal(JSON.stringify(JSON.parse(JSON.stringify(layout))), JSON.stringify(layout));
+  assert.equal(layout.version, 1);
+  assert.equal([layout.grid.columns, layout.grid.rows].join(), '12,4');
+  assert.equal(shape(layout), 'custom-card-1:5x2@0,0 custom-card-2:7x2@0,5 custom-card-3:12x2@2,0');
+
+  const saved = { ...layout, density: 0.2, palette: 'midnight', cards: [layout.cards[2], layout.cards[0], layout.cards[1]] };
+  assert.equal(shape(api.setLayout(saved)), 'custom-card-3:12x2@0,0 custom-card-1:5x2@2,0 custom-card-2:7x2@2,5');
+  assert.equal(api.getLayout().density, 0.2);
+  assert.equal(api.getTheme(), 'midnight');
+
+  assert.equal(shape(api.setLayout(null)), shape(layout));
+  assert.deepEqual(env.errors, []);
+});
+
+test('setLayout refuses a layout it cannot use and keeps the current one', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const current = JSON.stringify(api.setLayout({ ...api.getLayout(), density: 0.5 }));
+  env.warnings.length = 0;
+
+  [
+    'cards',
+    [],
+    { cards: 'x' },
+    { cards: [{ id: 'custom-card-9', colSpan: 4, rowSpan: 2 }] },
+    { cards: [{ id: 'custom-card-1', colSpan: 'wide', rowSpan: 2 }] },
+    { density: 'tight' },
+    { palette: 'neon' }
+  ].forEach(layout => {
+    assert.equal(JSON.stringify(api.setLayout(layout)), current, JSON.stringify(layout));
+  });
+  assert.equal(env.warnings.length, 7);
+  assert.match(env.warnings[2], /Invalid layout.*cards must be an array/);
+  assert.equal(JSON.stringify(api.getLayout()), current);
+});
+
+/** Open the layout editor and collect 'layout:change' events. */
+async function loadEditor(t) {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  assert.equal(api.editLayout(), true);
+  const changes = env.record('layout:change');
+  const card = (n) => env.document.getElementById(`custom-card-${n}`);
+  const pointer = (el, type, x, y) => el.dispatchEvent(new env.window.MouseEvent(type, { bubbles: true, button: 0, clientX: x, clientY: y }));
+  const key = (el, k, shiftKey = false) => el.dispatchEvent(new env.window.KeyboardEvent('keydown', { key: k, shiftKey, bubbles: true }));
+  return { env, api, changes, card, pointer, key };
+}
+
+test('dragging a card reorders the layout, the corner handle resizes it', async (t) => {
+  const { env, api, changes, card, pointer } = await loadEditor(t);
+
+  // Grab card 3 by its corner and drop it at the top left: it takes the first slot
+  pointer(card(3), 'pointerdown', 565, 350);
+  pointer(card(3), 'pointermove', 300, 150);
+  pointer(card(3), 'pointerup', 300, 150);
+  assert.equal(shape(api.getLayout()), 'custom-card-3:12x2@0,0 custom-card-1:5x2@2,0 custom-card-2:7x2@2,5');
+  assert.ok(changes.length >= 1);
+
+  // 28 user units per column and 51.5 per row at the default density, 6 for the gutter
+  const handle = env.document.querySelector('[data-resize-for="custom-card-1"]');
+  pointer(handle, 'pointerdown', 0, 0);
+  pointer(handle, 'pointermove', 565 + 4 * 28 - 6, 250 + 51.5 - 6);
+  pointer(handle, 'pointerup', 0, 0);
+  assert.equal(shape(api.getLayout()), 'custom-card-3:12x2@0,0 custom-card-1:4x1@2,0 custom-card-2:7x2@2,4');
+  assert.deepEqual(env.errors, []);
+});
+
+test('arrows move the focused card, Shift+arrows resize it and Escape finishes', async (t) => {
+  const { env, api, changes, card, key } = await loadEditor(t);
+
+  key(card(2), 'ArrowLeft');
+  assert.equal(shape(api.getLayout()), 'custom-card-2:7x2@0,0 custom-card-1:5x2@0,7 custom-card-3:12x2@2,0');
+  key(card(2), 'ArrowLeft'); // already first
+  key(card(2), 'ArrowLeft', true);
+  assert.equal(shape(api.getLayout()), 'custom-card-2:6x2@0,0 custom-card-1:5x2@0,6 custom-card-3:12x2@2,0');
+
+  const before = changes.length;
+  key(card(3), 'ArrowDown', true); // three rows only fit by shrinking another card: refused
+  assert.equal(changes.length, before);
+  assert.equal(shape(api.getLayout()), 'custom-card-2:6x2@0,0 custom-card-1:5x2@0,6 custom-card-3:12x2@2,0');
+
+  key(card(1), 'Escape');
+  assert.equal(env.document.querySelector('[data-resize-for]'), null);
+  assert.equal(card(1).hasAttribute('tabindex'), false);
+  assert.equal(shape(api.getLayout()), 'custom-card-2:6x2@0,0 custom-card-1:5x2@0,6 custom-card-3:12x2@2,0', 'the edit is kept');
+  assert.deepEqual(env.errors, []);
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+test('initialize wires listeners, observers and a paused master timeline without a frame loop', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+
+  assert.equal(typeof api.play, 'function');
+  assert.ok(env.listeners.since(env.baseline).length > 0);
+  env.frames.flush(2);
+  assert.equal(env.frames.pending(), 0, 'nothing asks for frames while idle');
+  assert.equal(env.observers.ofKind('ResizeObserver').length, 1);
+  assert.equal(env.ScrollTrigger.getAll().length, 1);
+  assert.equal(api.isActive(), false, 'no autoplay');
+  assert.deepEqual(env.gsap.callsOf('registerPlugin').map(c => c.args[0]), [env.ScrollTrigger]);
+  assert.deepEqual(env.errors, []);
+});
+
+test('the perf monitor only samples frames while the demo plays on screen', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const [trigger] = env.ScrollTrigger.getAll();
+  const samples = () => api.getPerfStats().samples;
+
+  env.frames.flush(5);
+  assert.equal(samples(), 0, 'page frames before the first play do not count');
+
+  api.play();
+  env.frames.flush(5);
+  const played = samples();
+  assert.ok(played > 0);
+
+  api.pause();
+  env.frames.flush(5);
+  assert.equal(samples(), played);
+  assert.equal(env.frames.pending(), 0);
+
+  api.play();
+  trigger.vars.onLeave();
+  const left = samples();
+  env.frames.flush(5);
+  assert.equal(samples(), left, 'scrolled out of view');
+  trigger.vars.onEnterBack();
+  env.frames.flush(5);
+  assert.ok(samples() > left);
+});
+
+test('teardown releases every listener, cleanup, observer, trigger and animation frame', async (t) => {
+  const env = loadCinematic({ three: true, webgl: true });
+  t.after(env.close);
+  const api = await env.start();
+  api.play();
+  env.frames.flush(3);
+
+  api.destroy();
+
+  assert.deepEqual(env.listeners.types(env.listeners.since(env.baseline)), []);
+  assert.equal(env.frames.pending(), 0);
+  assert.deepEqual(env.observers.connected(), []);
+  assert.deepEqual(env.ScrollTrigger.getAll(), []);
+  assert.ok(env.three.renderers.every(r => r.disposed));
+  assert.equal(env.document.querySelectorAll('#three-root canvas').length, 0);
+  assert.equal(api.isActive(), false);
+});
+
+test('rebuild after teardown does not accumulate listeners or frames', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const listeners = env.listeners.since(env.baseline).length;
+  const frames = env.frames.pending();
+
+  for (let i = 0; i < 3; i++) {
+    api.rebuild();
+    env.frames.flush(2);
+    assert.equal(env.listeners.since(env.baseline).length, listeners, `listeners after rebuild #${i + 1}`);
+    assert.equal(env.frames.pending(), frames, `frames after rebuild #${i + 1}`);
+    assert.equal(env.observers.connected().length, 1);
+  }
+  api.destroy();
+  assert.equal(env.listeners.since(env.baseline).length, 0);
+});
+
+test('destroy before the deferred background frame builds nothing', async (t) => {
+  const env = loadCinematic({ three: true, webgl: true });
+  t.after(env.close);
+  const api = await env.start();
+  api.destroy();
+  const renderers = env.three.renderers.length;
+
+  api.rebuild();
+  api.destroy();
+  assert.equal(env.frames.pending(), 0);
+  env.frames.flush(2);
+
+  assert.equal(env.three.renderers.length, renderers);
+  assert.equal(env.document.querySelectorAll('#three-root canvas').length, 0);
+  assert.equal(api.getRenderBackend().three, 'none');
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+test('prompt keywords match whole words, German compounds and plurals', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const widgets = (text) => api.analyzePrompt(text).widgets.join(' ');
+
+  assert.equal(widgets('Weekly status update for the team'), '', '"stat" and "date" do not fire inside other words');
+  assert.equal(widgets('Track stats and due dates'), 'chart calendar');
+  assert.equal(widgets('Projektkalender mit Aufgabenliste'), 'calendar todo');
+  assert.equal(widgets('a to-do list and meeting notes'), 'todo database notes');
+  assert.equal(api.analyzePrompt('Updates for our customers').typeOrder[0], 1);
+});
+
+test('the live prompt form follows the locale', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const form = env.document.getElementById('live-prompt-form');
+  const input = env.document.getElementById('live-prompt');
+  const label = form.querySelector('label');
+  const submit = form.querySelector('button');
+  assert.equal(label.textContent, 'Describe your dashboard');
+  const longest = 'a'.repeat(Number(input.getAttribute('maxlength')));
+  assert.equal(api.analyzePrompt(longest).text, longest, 'whatever fits the field reaches the describe box whole');
+  assert.notEqual(api.analyzePrompt(longest + 'a').text, longest + 'a');
+
+  api.setLocale('de');
+  assert.equal(label.textContent, 'Beschreibe dein Dashboard');
+  assert.match(input.getAttribute('placeholder'), /^Probier es aus/);
+  assert.equal(submit.textContent, 'Ausprobieren');
+
+  api.setLocale('ar');
+  assert.equal(form.getAttribute('dir'), 'rtl');
+  assert.equal(form.getAttribute('lang'), 'ar');
+  assert.equal(submit.textContent, 'جرّبها');
+  assert.deepEqual(env.errors, []);
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+const ROOT = path.join(__dirname, '..');
+const tick = () => new Promise(resolve => setTimeout(resolve, 50));
+
+/** The page with the manager set up the way index.html does it, serving the legal pages from disk. */
+async function loadPage(t, { hash = '' } = {}) {
+  const env = loadCinematic({ scripts: ['nicer-modal.js'] });
+  t.after(env.close);
+  await env.start();
+  if (hash) env.window.history.replaceState(null, '', hash);
+  const fetched = [];
+  const fetch = (url) => {
+    fetched.push(url);
+    const file = path.join(ROOT, url);
+    const ok = fs.existsSync(file);
+    return Promise.resolve({ ok, status: ok ? 200 : 404, text: () => Promise.resolve(ok ? fs.readFileSync(file, 'utf8') : '') });
+  };
+  const modals = env.window.NicerModal.createModalManager({ fetch });
+  modals.register('privacy', { url: 'privacy.html', title: 'Privacy Policy' });
+  modals.register('terms', { url: 'terms.html', title: 'Terms of Use' });
+  modals.start();
+  const layer = (id) => env.document.querySelector(`[data-modal-layer="${id}"]`);
+  const key = (name, init = {}) => env.document.activeElement.dispatchEvent(new env.window.KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...init }));
+  return { env, modals, fetched, layer, key, doc: env.document };
+}
+
+test('a footer link opens the legal page in a labelled dialog and inerts the rest of the page', async (t) => {
+  const { env, modals, fetched, layer, doc } = await loadPage(t);
+  const link = doc.querySelector('footer a[data-modal="privacy"]');
+  link.focus();
+  link.click();
+  await tick();
+
+  const dialog = layer('privacy').querySelector('[role="dialog"]');
+  assert.equal(dialog.getAttribute('aria-modal'), 'true');
+  assert.equal(doc.getElementById(dialog.getAttribute('aria-labelledby')).textContent, 'Privacy Policy');
+  assert.ok(dialog.textContent.includes('Information We Collect'));
+  assert.equal(dialog.querySelector('script'), null);
+  assert.equal(fetched.join(), 'privacy.html');
+  assert.ok(dialog.contains(doc.activeElement), 'focus moves into the dialog');
+  assert.equal(env.window.location.hash, '#privacy');
+  assert.equal(doc.documentElement.style.overflow, 'hidden');
+  assert.ok(Array.from(doc.body.children).every(el => el === layer('privacy') || el.hasAttribute('inert')));
+  assert.equal(modals.getStack().join(), 'privacy');
+});
+
+test('Tab wraps inside the dialog; Esc closes it through history and returns focus', async (t) => {
+  const { env, modals, layer, key, doc } = await loadPage(t);
+  const link = doc.querySelector('footer a[data-modal="terms"]');
+  link.focus();
+  await modals.open('terms', { trigger: link });
+  const close = layer('terms').querySelector('[data-modal-close]');
+
+  key('Tab', { shiftKey: true });
+  assert.equal(doc.activeElement, close, 'Shift+Tab from the dialog lands on its last control');
+  key('Tab');
+  assert.equal(doc.activeElement, close, 'Tab from the only control stays inside');
+  doc.getElementById('waitlist-form').querySelector('input').focus();
+  assert.ok(layer('terms').contains(doc.activeElement), 'focus that escapes is pulled back');
+
+  key('Escape');
+  await tick();
+  assert.equal(modals.getStack().join(), '');
+  assert.equal(env.window.location.hash, '');
+  assert.equal(doc.activeElement, link);
+  assert.equal(doc.querySelectorAll('body > [inert]').length, 0);
+  assert.equal(doc.documentElement.style.overflow, '');
+
+  await modals.open('terms');
+  assert.equal(layer('terms').querySelectorAll('h1').length, 1, 'content is loaded once and reused');
+});
+
+test('stacked dialogs close one at a time, restoring the one underneath', async (t) => {
+  const { env, modals, layer, key, doc } = await loadPage(t);
+  await modals.open('privacy');
+  const opener = layer('privacy').querySelector('[data-modal-close]');
+  opener.focus();
+  await modals.open('terms');
+
+  assert.ok(layer('privacy').hasAttribute('inert'), 'the lower dialog is background too');
+  assert.ok(Number(layer('terms').style.zIndex) > Number(layer('privacy').style.zIndex));
+
+  key('Escape');
+  await tick();
+  assert.equal(modals.getStack().join(), 'privacy');
+  assert.equal(env.window.location.hash, '#privacy');
+  assert.equal(layer('privacy').hasAttribute('inert'), false);
+  assert.equal(doc.activeElement, opener);
+  assert.ok(doc.querySelector('footer').closest('[inert]'), 'the page stays inert under the remaining dialog');
+});
+
+test('Back closes the dialog, Forward reopens it, and a #hash on load opens it', async (t) => {
+  const { env, modals } = await loadPage(t);
+  await modals.open('privacy');
+  env.window.history.back();
+  await tick();
+  assert.equal(modals.getStack().join(), '');
+  env.window.history.forward();
+  await tick();
+  assert.equal(modals.getStack().join(), 'privacy');
+
+  const other = await loadPage(t, { hash: '#terms' });
+  await tick();
+  assert.equal(other.modals.getStack().join(), 'terms');
+  other.key('Escape');
+  assert.equal(other.modals.getStack().join(), '');
+  assert.equal(other.env.window.location.hash, '', 'a dialog opened from the URL clears the hash on close');
+});
+
+test('a page that fails to load offers the standalone link instead', async (t) => {
+  const { modals, layer, doc } = await loadPage(t);
+  modals.register('missing', { url: 'missing.html', title: 'Missing' });
+  await modals.open('missing');
+  const link = layer('missing').querySelector('a[data-modal-bypass]');
+  assert.equal(link.getAttribute('href'), 'missing.html');
+  assert.equal(doc.activeElement.closest('[data-modal-layer]'), layer('missing'));
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+test('without GSAP the page demo is disabled but the hero scene stays visible', async (t) => {
+  const env = loadCinematic({ gsap: false, scrollTrigger: false, three: true, webgl: true });
+  t.after(env.close);
+  await env.start();
+
+  assert.equal(env.api.play, undefined, 'no page instance without GSAP');
+  assert.equal(typeof env.api.create, 'function');
+  assert.ok(env.warnings.some(w => w.includes('GSAP not found')));
+  assert.equal(env.document.getElementById('scene-hero').style.opacity, '1');
+  assert.deepEqual(env.listeners.since(env.baseline), []);
+  assert.equal(env.frames.pending(), 0);
+  assert.equal(env.three.renderers.length, 0);
+  assert.deepEqual(env.observers.all(), []);
+  assert.deepEqual(env.errors, []);
+});
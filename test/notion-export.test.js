@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NicerSpec = require('../nicer-spec');
+const NicerNotionExport = require('../nicer-notion-export');
+const { createMockNotionServer, ROOT_PAGE_ID } = require('../tools/mock-notion-server');
+
+const SPEC = NicerSpec.generate('Team Project Tracker, with progress charts, to-do lists, deadlines');
+
+/** The mock on an ephemeral port; closed when the test ends. */
+async function startMock(t, opts) {
+  const mock = createMockNotionServer(opts);
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => mock.server.close(resolve)));
+  mock.baseUrl = `http://127.0.0.1:${mock.server.address().port}`;
+  return mock;
+}
+
+/** Child objects of a page or block in the mock store. */
+const childrenOf = (store, id) => store.children.get(id).map(childId => store.objects.get(childId));
+
+test('the exporter builds the page, its databases and the layout blocks in the mock workspace', async (t) => {
+  const { store, requests, baseUrl } = await startMock(t, { token: 'secret' });
+  const result = await NicerNotionExport.importToNotion(SPEC, { token: 'secret', parentPageId: ROOT_PAGE_ID, baseUrl });
+
+  assert.equal(result.requests, requests.length);
+  assert.equal(result.url, `https://www.notion.so/${result.pageId}`);
+  const page = store.objects.get(result.pageId);
+  assert.equal(page.parent.page_id, ROOT_PAGE_ID);
+  assert.equal(page.properties.title.title[0].text.content, 'Team Project Tracker');
+
+  const databaseId = result.databases['db-tasks'];
+  const database = store.objects.get(databaseId);
+  assert.equal(database.parent.page_id, result.pageId);
+  assert.deepEqual(Object.keys(database.properties), SPEC.databases[0].properties.map(p => p.name));
+
+  const blocks = childrenOf(store, result.pageId);
+  assert.deepEqual(blocks.slice(0, 4).map(b => b.type || b.object), ['callout', 'heading_3', 'database', 'divider']);
+  const headings = blocks.filter(b => b.type === 'heading_2').map(b => b.heading_2.rich_text[0].text.content);
+  assert.deepEqual(headings, ['Overview', 'Work'], 'a heading wherever a layout row starts a new section');
+  assert.ok(blocks.some(b => b.type === 'column_list'), 'the two-widget row becomes columns');
+
+  const links = Array.from(store.objects.values()).filter(o => o.type === 'link_to_page');
+  assert.ok(links.length > 0);
+  assert.ok(links.every(b => b.link_to_page.database_id === databaseId), 'linked views point at the created database');
+  const todos = Array.from(store.objects.values()).filter(o => o.type === 'to_do');
+  assert.equal(todos.length, 3);
+});
+
+test('placeholders are only filled in where the plan refers to created ids, never in spec text', async (t) => {
+  const { store, requests, baseUrl } = await startMock(t, { token: 'secret' });
+  const spec = JSON.parse(JSON.stringify(SPEC));
+  spec.title = 'Sprint {{page}}';
+  spec.description = 'Tracked in {{db-tasks}}';
+  spec.widgets[0].title = '{{db-tasks}} overview';
+  const result = await NicerNotionExport.importToNotion(spec, { token: 'secret', parentPageId: ROOT_PAGE_ID, baseUrl });
+
+  const page = store.objects.get(result.pageId);
+  assert.equal(page.properties.title.title[0].text.content, 'Sprint {{page}}');
+  assert.equal(childrenOf(store, result.pageId)[0].callout.rich_text[0].text.content, 'Tracked in {{db-tasks}}');
+  const sent = JSON.stringify(requests.map(r => r.body));
+  assert.ok(sent.includes('{{db-tasks}} overview'));
+  assert.ok(!sent.includes(result.databases['db-tasks'] + ' overview'));
+  assert.ok(requests.every(r => !r.url.includes('{{')), 'paths are resolved');
+  assert.equal(store.objects.get(result.databases['db-tasks']).parent.page_id, result.pageId);
+});
+
+test('API errors reject with the status and message and stop the export', async (t) => {
+  const mock = await startMock(t, { token: 'secret' });
+  const run = (opts = {}) => NicerNotionExport.importToNotion(SPEC, { token: 'secret', parentPageId: ROOT_PAGE_ID, baseUrl: mock.baseUrl, ...opts });
+
+  await assert.rejects(run({ token: 'wrong' }), /POST \/v1\/pages failed \(401\): API token is invalid/);
+  await assert.rejects(run({ parentPageId: 'missing-page' }), /failed \(404\): Could not find page with ID: missing-page/);
+
+  mock.requests.length = 0;
+  mock.failNext(); // Notion's rate limit on the very first request
+  const pages = store => Array.from(store.objects.values()).filter(o => o.object === 'page').length;
+  const before = pages(mock.store);
+  await assert.rejects(run(), /POST \/v1\/pages failed \(429\): You have been rate limited/);
+  assert.equal(mock.requests.length, 1, 'nothing is sent after the failure');
+  assert.equal(pages(mock.store), before);
+
+  mock.failNext({ status: 400, message: 'body.children[0] is invalid' });
+  await assert.rejects(run(), /failed \(400\): body.children\[0\] is invalid/);
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NicerParticles = require('../nicer-particles');
+
+/** A headless engine (no canvas) driven by hand, plus a 'probe' shape that records what it spawns. */
+function headless(options = {}) {
+  const queue = [];
+  let time = 0;
+  const engine = NicerParticles.createEngine({
+    random: () => 0.5,
+    ...options,
+    requestFrame: (cb) => queue.push(cb),
+    cancelFrame: () => { queue.length = 0; }
+  });
+  /** Run up to `n` frames, 1/60 s apart; stops early once the loop sleeps. */
+  const frames = (n) => {
+    for (let i = 0; i < n && queue.length; i++) {
+      time += 1000 / 60;
+      queue.shift()(time);
+    }
+  };
+  return { engine, frames, pending: () => queue.length };
+}
+
+const spawned = [];
+NicerParticles.registerShape('probe', {
+  init(p, opts) { spawned.push({ p, origin: opts.origin }); },
+  draw() {}
+});
+
+test('bursts share one pool: particles are recycled, never allocated, and the loop sleeps when idle', () => {
+  const { engine, frames, pending } = headless({ poolSize: 30 });
+  spawned.length = 0;
+
+  assert.equal(engine.burst({ x: 0, y: 0, count: 20, life: 2, shape: 'probe' }), 20);
+  assert.equal(engine.stats().running, true);
+  frames(10);
+  assert.deepEqual([engine.stats().live, engine.stats().running, pending()], [0, false, 0]);
+
+  engine.burst({ x: 0, y: 0, count: 30, life: 2, shape: 'probe' });
+  assert.equal(new Set(spawned.map(s => s.p)).size, 30, 'the second burst reuses the first one\'s particles');
+  assert.equal(engine.stats().capacity, 30);
+  assert.equal(engine.burst({ x: 0, y: 0, count: 5 }), 0, 'an empty pool drops the overflow');
+  assert.equal(engine.stats().dropped, 5);
+});
+
+test('the budget caps live particles and shrinking it trims the ones closest to death', () => {
+  const { engine } = headless({ budget: 10 });
+  spawned.length = 0;
+
+  engine.burst({ x: 0, y: 0, count: 4, life: 10, shape: 'probe', origin: 'short' });
+  engine.burst({ x: 0, y: 0, count: 20, life: 100, shape: 'probe', origin: 'long' });
+  assert.equal(engine.stats().live, 10);
+  assert.equal(engine.stats().dropped, 14);
+
+  engine.setBudget(6);
+  assert.equal(engine.stats().live, 6);
+  assert.deepEqual(spawned.filter(s => s.p.active).map(s => s.origin), ['long', 'long', 'long', 'long', 'long', 'long']);
+});
+
+test('concurrent bursts keep their own particles and positions', () => {
+  const { engine, frames } = headless();
+  spawned.length = 0;
+
+  engine.burst({ x: 100, y: 100, count: 12, shape: 'probe', origin: 'a' });
+  engine.burst({ x: 900, y: 500, count: 12, shape: 'probe', origin: 'b' });
+  frames(1);
+  engine.burst({ x: 400, y: 50, count: 12, shape: 'probe', origin: 'c' });
+  frames(2);
+
+  assert.equal(new Set(spawned.map(s => s.p)).size, 36);
+  const near = { a: [100, 100], b: [900, 500], c: [400, 50] };
+  spawned.forEach(({ p, origin }) => {
+    assert.ok(Math.hypot(p.x - near[origin][0], p.y - near[origin][1]) < 20, `${origin} particle at ${p.x},${p.y}`);
+  });
+});
+
+test('emitters need a position and a positive rate, and stop cleanly', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const { engine, frames, pending } = headless();
+
+  [{ rate: 30 }, { x: 0, y: '5', rate: 30 }, { x: 0, y: 0 }, { x: 0, y: 0, rate: 0 }, { x: 0, y: 0, rate: Infinity }].forEach(opts => {
+    const handle = engine.emitter(opts);
+    handle.move(1, 1);
+    handle.stop();
+  });
+  assert.equal(warn.mock.callCount(), 5);
+  assert.deepEqual([engine.stats().emitters, engine.stats().running, pending()], [0, false, 0]);
+
+  const em = engine.emitter({ x: 10, y: 10, rate: 60, life: 2 });
+  frames(3);
+  assert.equal(engine.stats().emitters, 1);
+  assert.ok(engine.stats().live > 0);
+  em.move(undefined, 5); // ignored
+  em.stop();
+  frames(10);
+  assert.deepEqual([engine.stats().emitters, engine.stats().live, engine.stats().running], [0, 0, false]);
+
+  engine.emitter({ x: 0, y: 0, rate: 60, duration: 0.05, life: 2 });
+  frames(20);
+  assert.deepEqual([engine.stats().emitters, engine.stats().running], [0, false], 'a timed emitter ends by itself');
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NicerReferrals = require('../nicer-referrals');
+
+/** A minimal Storage stand-in (sessionStorage / localStorage). */
+function memoryStorage() {
+  const map = new Map();
+  return { getItem: (k) => (map.has(k) ? map.get(k) : null), setItem: (k, v) => map.set(k, String(v)) };
+}
+
+test('the mock backend hands out one well-formed code per email', async () => {
+  const backend = NicerReferrals.backends.mock({ latency: 0, startPosition: 100 });
+  const ada = await backend.register({ email: 'ada@example.com' });
+  const again = await backend.register({ email: ' ADA@example.com ' });
+  const bob = await backend.register({ email: 'bob@example.com' });
+
+  assert.equal(NicerReferrals.normalizeCode(ada.code), ada.code);
+  assert.equal(again.code, ada.code);
+  assert.notEqual(bob.code, ada.code);
+  assert.deepEqual([ada.position, bob.position, bob.total], [100, 101, 2]);
+});
+
+test('a signup through a referral link moves the referrer up; visits and bad codes do not', async () => {
+  const storage = memoryStorage();
+  const backend = NicerReferrals.backends.mock({ latency: 0, startPosition: 50, placesPerReferral: 5, storage });
+  await backend.register({ email: 'early@example.com' });
+  const ada = await backend.register({ email: 'ada@example.com' });
+  assert.equal(ada.position, 51);
+
+  await backend.recordVisit(ada.code.toLowerCase());
+  await backend.register({ email: 'friend@example.com', referredBy: ada.code.toLowerCase() });
+  await backend.register({ email: 'friend@example.com', referredBy: ada.code }); // repeat signup: no double credit
+  await backend.register({ email: 'stranger@example.com', referredBy: 'NOPE' });
+
+  // A second instance on the same storage (another tab) sees the same table
+  const standing = await NicerReferrals.backends.mock({ latency: 0, startPosition: 50, placesPerReferral: 5, storage }).status(ada.code);
+  assert.deepEqual(
+    { position: standing.position, referrals: standing.referrals, visits: standing.visits, placesPerReferral: standing.placesPerReferral },
+    { position: 46, referrals: 1, visits: 1, placesPerReferral: 5 }
+  );
+  await assert.rejects(backend.status('ZZZZZZ'), /Unknown referral code/);
+});
+
+test('recordLanding counts a visit once per session and code', async () => {
+  const visits = [];
+  const backend = { recordVisit: (code) => { visits.push(code); return Promise.resolve({ visits: visits.length }); } };
+  const session = memoryStorage();
+  const landing = (search) => NicerReferrals.recordLanding(backend, { location: { search }, storage: session });
+
+  assert.equal(await landing('?ref=abc234'), 'ABC234');
+  assert.equal(await landing('?ref=ABC234&utm_source=x'), 'ABC234');
+  assert.equal(await landing('?ref=not-a-code'), null);
+  assert.equal(await landing(''), null);
+  assert.deepEqual(visits, ['ABC234']);
+});
+
+test('a referral link followed now wins over a campaign ref from the first touch', () => {
+  const code = (search, fallback) => NicerReferrals.referrerCode({ location: { search }, fallback });
+
+  assert.equal(code('?ref=abc234', 'producthunt'), 'ABC234');
+  assert.equal(code('?ref=producthunt', 'abc234'), 'ABC234', 'a stored code still counts when the URL has a campaign tag');
+  assert.equal(code('', 'producthunt'), null, 'a campaign tag is never a referrer');
+  assert.equal(code('?utm_source=x'), null);
+});
+
+test('the http backend speaks JSON and surfaces server errors; share links carry the code', async () => {
+  const calls = [];
+  const fetch = (url, init) => {
+    calls.push([init.method, url, init.body]);
+    const ok = !url.endsWith('/missing');
+    return Promise.resolve({ ok, status: ok ? 200 : 404, json: () => Promise.resolve(ok ? { code: 'ABC234', position: 7 } : { message: 'no such code' }) });
+  };
+  const backend = NicerReferrals.backends.http({ baseUrl: 'https://api.nicer.test/v1/', fetch });
+
+  assert.equal((await backend.register({ email: 'ada@example.com', referredBy: 'xyz789' })).position, 7);
+  await backend.recordVisit('ABC234');
+  await assert.rejects(backend.status('missing'), /failed \(404\): no such code/);
+  assert.deepEqual(calls, [
+    ['POST', 'https://api.nicer.test/v1/referrals', '{"email":"ada@example.com","referredBy":"XYZ789"}'],
+    ['POST', 'https://api.nicer.test/v1/referrals/ABC234/visits', '{}'],
+    ['GET', 'https://api.nicer.test/v1/referrals/missing', undefined]
+  ]);
+
+  assert.equal(NicerReferrals.shareLink('ABC234', 'https://nicer.app/?ref=OLD111&utm_source=x'), 'https://nicer.app/?ref=ABC234&utm_source=x');
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NicerSpec = require('../nicer-spec');
+
+const DESCRIBE_PROMPT = 'Team Project Tracker, with progress charts, to-do lists, deadlines';
+
+test('the describe-scene prompt becomes a valid, deterministic project tracker spec', () => {
+  const spec = NicerSpec.generate(DESCRIBE_PROMPT);
+
+  assert.deepEqual(NicerSpec.validate(spec), []);
+  assert.equal(spec.title, 'Team Project Tracker');
+  assert.equal(spec.template, 'project-tracker');
+  assert.deepEqual(spec.widgets.map(w => w.type), ['progress-chart', 'todo-list', 'calendar', 'database']);
+  assert.deepEqual(spec.meta, { source: 'rules', matched: ['progress-chart', 'todo-list', 'calendar'], templateMatched: true });
+  assert.deepEqual(spec.databases[0].properties.map(p => `${p.name}:${p.type}`), ['Name:title', 'Status:status', 'Assignee:people', 'Due:date', 'Done:checkbox']);
+  assert.deepEqual(spec.layout.rows.map(row => row.cells.map(c => `${c.widget}/${c.span}`).join(' ')), [
+    'w-progress-chart/12', 'w-todo-list/6 w-calendar/6', 'w-database/12'
+  ]);
+  assert.deepEqual(spec.widgets.find(w => w.type === 'calendar').view, { type: 'calendar', dateProperty: 'Due' });
+  assert.deepEqual(NicerSpec.generate(`  ${DESCRIBE_PROMPT.replace(/ /g, '   ')} `), spec, 'whitespace does not change the result');
+});
+
+test('descriptions pick the template, entity and extra properties they mention', () => {
+  const crm = NicerSpec.generate('Sales pipeline for our clients with a kanban board, budget and priority');
+  assert.equal(crm.template, 'sales-crm');
+  assert.equal(crm.databases[0].title, 'Deals');
+  assert.ok(crm.widgets.some(w => w.type === 'board' && w.view.groupBy === 'Stage'));
+  const props = crm.databases[0].properties.map(p => p.name);
+  assert.ok(props.includes('Budget') && props.includes('Priority'));
+  assert.deepEqual(NicerSpec.validate(crm), []);
+});
+
+test('keywords match whole words and plurals, not fragments of other words', () => {
+  const plain = NicerSpec.generate('Marketing dashboard with a blog');
+  assert.equal(plain.template, 'content-calendar');
+  assert.deepEqual(plain.meta.matched, [], '"board" in "dashboard" and "log" in "blog" do not add widgets');
+
+  const kanban = NicerSpec.generate('Kanban boards and weekly stats');
+  assert.deepEqual(kanban.meta.matched, ['board', 'stat']);
+  const props = NicerSpec.generate('Tasks with assignees and % complete').databases[0].properties.map(p => p.name);
+  assert.ok(props.includes('Owner') && props.includes('Progress'));
+});
+
+test('empty or unmatched answers fall back to the project tracker defaults', () => {
+  ['', null, undefined, '   ', 'zzz qqq'].forEach(input => {
+    const spec = NicerSpec.generate(input);
+    assert.deepEqual(NicerSpec.validate(spec), [], `valid for ${JSON.stringify(input)}`);
+    assert.equal(spec.title, 'Project Tracker');
+    assert.equal(spec.meta.templateMatched, false);
+    assert.deepEqual(spec.meta.matched, []);
+    assert.deepEqual(spec.widgets.map(w => w.type), ['progress-chart', 'todo-list', 'calendar', 'database']);
+  });
+});
+
+test('normalize repairs unknown sections, widget and property types, duplicate ids and missing titles', () => {
+  const spec = NicerSpec.normalize({
+    title: 'Mine',
+    databases: [{ id: 'db', title: 'Stuff', properties: [{ name: 'Size', type: 'number' }, { name: 'Blob', type: 'hologram' }] }],
+    sections: [{ id: 'sidebar', title: 'Sidebar', widgets: ['a'] }, { id: 'overview', title: 'At a glance', widgets: [] }],
+    widgets: [
+      { id: 'a', type: 'stat', section: 'sidebar', source: 'nope' },
+      { id: 'a', type: 'notes' },
+      { id: 'c', type: 'sparkline' }
+    ]
+  });
+
+  assert.deepEqual(NicerSpec.validate(spec), []);
+  assert.deepEqual(spec.databases[0].properties.map(p => `${p.name}:${p.type}`), ['Name:title', 'Size:number']);
+  assert.deepEqual(spec.widgets.map(w => `${w.id}:${w.type}:${w.section}`), ['a:stat:overview', 'a-2:notes:notes']);
+  assert.equal(spec.widgets[0].source, 'db', 'an unknown source falls back to the first database');
+  assert.deepEqual(spec.sections.map(s => `${s.id}:${s.title}`), ['overview:At a glance', 'notes:Notes']);
+  assert.equal(spec.template, 'custom');
+});
+
+test('validate reports structural problems', () => {
+  assert.deepEqual(NicerSpec.validate(null), ['spec must be an object']);
+  const errors = NicerSpec.validate({
+    databases: [{ id: 'db', properties: [] }],
+    widgets: [{ id: 'w', type: 'board', source: 'other' }, { id: 'w', type: 'mystery' }],
+    layout: { columns: 12, rows: [{ cells: [{ widget: 'w', span: 6 }, { widget: 'ghost', span: 4 }] }] }
+  });
+  assert.deepEqual(errors, [
+    'title is required',
+    'database "db" needs exactly one title property',
+    'widget "w" source "other" is not a database',
+    'widgets[1] has unknown type "mystery"',
+    'duplicate widget id "w"',
+    'layout row 0 spans 10 columns',
+    'layout row 0 references unknown widget "ghost"'
+  ]);
+});
+
+test('createGenerator uses a valid adapter answer and falls back to the rules otherwise', async () => {
+  const draft = NicerSpec.generate(DESCRIBE_PROMPT);
+  const seen = [];
+  const refined = NicerSpec.createGenerator({
+    adapter: { name: 'llm', complete: (input) => { seen.push(input); return JSON.stringify({ ...input.draft, title: 'Sprint HQ' }); } }
+  });
+  const spec = await refined.generate(DESCRIBE_PROMPT);
+  assert.equal(spec.title, 'Sprint HQ');
+  assert.equal(spec.meta.source, 'llm');
+  assert.equal(seen[0].description, DESCRIBE_PROMPT);
+  assert.equal(seen[0].instructions, NicerSpec.LLM_INSTRUCTIONS);
+
+  const broken = NicerSpec.createGenerator({ adapter: { complete: () => Promise.reject(new Error('quota')) } });
+  const fallback = await broken.generate(DESCRIBE_PROMPT);
+  assert.equal(fallback.title, draft.title);
+  assert.equal(fallback.meta.source, 'rules');
+  assert.equal(fallback.meta.fallbackReason, 'quota');
+
+  const slow = NicerSpec.createGenerator({ adapter: { complete: () => new Promise(() => {}) }, timeoutMs: 5 });
+  assert.match((await slow.generate(DESCRIBE_PROMPT)).meta.fallbackReason, /timed out after 5ms/);
+
+  const chatty = NicerSpec.createGenerator({ adapter: { complete: () => 'Sure! Here is your dashboard:' } });
+  const prose = await chatty.generate(DESCRIBE_PROMPT);
+  assert.equal(prose.meta.source, 'rules');
+  assert.ok(prose.meta.fallbackReason, 'a reply that is not JSON keeps the draft');
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+test('a story replaces the cut; invalid ones are rejected and keep the current one', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const story = api.getStory();
+  const order = api.getSceneOrder().join();
+  env.warnings.length = 0;
+
+  assert.equal(await api.loadStory({ scenes: [] }), false);
+  assert.match(env.warnings[0], /Invalid story/);
+  assert.equal(api.getSceneOrder().join(), order, 'an empty story does not empty the cut');
+
+  const rejected = (scenes) => api.loadStory({ scenes }).then(ok => {
+    assert.equal(ok, false);
+    assert.equal(api.getSceneOrder().join(), order);
+  });
+  await rejected([{ name: 'ghost', steps: [] }]); // no #scene-ghost on the stage
+  await rejected([{ name: 'hero', group: '#nowhere', steps: [] }]);
+  await rejected([{ name: 'hero', group: '[[', steps: [] }]);
+  await rejected([{ name: 'hero', steps: [] }, { name: 'hero', steps: [] }]);
+
+  const cut = { scenes: story.scenes.slice(0, 2).concat({ name: 'outro', group: '#scene-hero', steps: [] }) };
+  assert.equal(await api.loadStory(cut), true);
+  assert.equal(api.getSceneOrder().join(), [story.scenes[0].name, story.scenes[1].name, 'outro'].join());
+  assert.deepEqual(env.errors, []);
+});
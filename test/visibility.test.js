@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCinematic } = require('./helpers/env');
+
+test('scrolling out of view pauses a playing demo and scrolling back resumes it', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const events = env.record('visibility-pause', 'play');
+  const [trigger] = env.ScrollTrigger.getAll();
+  assert.equal(trigger.vars.trigger, env.document.getElementById('cinematic-stage'));
+
+  api.play();
+  trigger.vars.onLeave();
+  assert.equal(api.isActive(), false);
+  trigger.vars.onEnterBack();
+  assert.equal(api.isActive(), true);
+
+  assert.deepEqual(events.map(e => [e.type, e.reason]), [
+    ['play', undefined],
+    ['visibility-pause', 'scroll'],
+    ['play', 'scroll']
+  ]);
+});
+
+test('a demo that was not playing stays paused when it comes back into view', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const events = env.record('visibility-pause', 'play');
+  const [trigger] = env.ScrollTrigger.getAll();
+
+  trigger.vars.onLeave();
+  trigger.vars.onEnterBack();
+
+  assert.equal(api.isActive(), false);
+  assert.deepEqual(events, []);
+});
+
+test('hiding the tab pauses the demo and its ambient loops; showing it resumes', async (t) => {
+  const env = loadCinematic();
+  t.after(env.close);
+  const api = await env.start();
+  const events = env.record('visibility-pause', 'play');
+  api.play();
+  const ambient = env.gsap.callsOf('delayedCall').length;
+  assert.ok(ambient > 0, 'ambient bursts are scheduled while playing');
+
+  env.setHidden(true);
+  assert.equal(api.isActive(), false);
+  assert.ok(Array.from(env.gsap.live).every(tw => tw.kind !== 'delayedCall'), 'ambient bursts cancelled');
+
+  env.setHidden(false);
+  assert.equal(api.isActive(), true);
+  assert.ok(env.gsap.callsOf('delayedCall').length > ambient, 'ambient bursts rescheduled');
+  assert.deepEqual(events.slice(1).map(e => [e.type, e.reason]), [['visibility-pause', 'hidden'], ['play', 'visible']]);
+});
+
+test('without ScrollTrigger an IntersectionObserver drives the pause and is disconnected on teardown', async (t) => {
+  const env = loadCinematic({ scrollTrigger: false });
+  t.after(env.close);
+  const api = await env.start();
+  const [io] = env.observers.ofKind('IntersectionObserver');
+  assert.deepEqual(io.targets, [env.document.getElementById('cinematic-stage')]);
+
+  api.play();
+  io.trigger([{ isIntersecting: false }]);
+  assert.equal(api.isActive(), false);
+  io.trigger([{ isIntersecting: true }]);
+  assert.equal(api.isActive(), true);
+
+  api.destroy();
+  assert.equal(io.disconnected, true);
+});
@@ -0,0 +1,322 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const NicerWaitlist = require('../nicer-waitlist');
+
+const ROOT = path.join(__dirname, '..');
+const MARKUP = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(/<script[\s\S]*?<\/script>/g, '');
+
+/** The real #waitlist-form with nicer-waitlist.js evaluated in the page; the clock starts well past minFillMs. */
+function loadForm() {
+  const dom = new JSDOM(MARKUP, { runScripts: 'outside-only', url: 'https://nicer.test/' });
+  const { window } = dom;
+  window.eval(fs.readFileSync(path.join(ROOT, 'nicer-waitlist.js'), 'utf8'));
+  const form = window.document.getElementById('waitlist-form');
+  let clock = 0;
+  const fill = (values) => Object.entries(values).forEach(([name, value]) => { form.elements.namedItem(name).value = value; });
+  const mount = (options) => window.NicerWaitlist.mountWaitlistForm(form, {
+    now: () => clock,
+    rateLimiter: window.NicerWaitlist.createRateLimiter({ storage: null, now: () => clock }),
+    ...options
+  });
+  return {
+    window, form, fill, mount,
+    api: window.NicerWaitlist,
+    tick(ms = 2000) { clock += ms; },
+    close: () => window.close()
+  };
+}
+
+const VALID = { email: '  Ada@Example.COM ', role: 'engineering', teamSize: '2-10' };
+
+test('validate() normalises values and reports each invalid field', () => {
+  const ok = NicerWaitlist.validate(VALID, { roles: ['engineering'], teamSizes: ['2-10'] });
+  assert.deepEqual(ok, { ok: true, values: { email: 'ada@example.com', role: 'engineering', teamSize: '2-10' }, errors: {} });
+
+  const bad = NicerWaitlist.validate({ email: 'ada@example', role: 'ceo', teamSize: '' }, { roles: ['engineering'] });
+  assert.equal(bad.ok, false);
+  assert.deepEqual(Object.keys(bad.errors), ['email', 'role', 'teamSize']);
+});
+
+test('an invalid submit flags the fields, focuses the first one and never reaches the adapter', async (t) => {
+  const env = loadForm();
+  t.after(env.close);
+  const adapter = env.api.adapters.mock({ latency: 0 });
+  const controller = env.mount({ adapter });
+  env.tick();
+  env.fill({ email: 'nope', role: 'engineering', teamSize: '' });
+
+  const outcome = await controller.submit();
+
+  assert.equal(outcome.state, 'error');
+  assert.equal(outcome.error.code, 'validation');
+  assert.equal(env.form.getAttribute('data-state'), 'error');
+  assert.equal(env.form.elements.namedItem('email').getAttribute('aria-invalid'), 'true');
+  assert.equal(env.form.elements.namedItem('role').hasAttribute('aria-invalid'), false);
+  assert.equal(env.form.elements.namedItem('teamSize').getAttribute('aria-describedby'), 'waitlist-team-size-error');
+  assert.equal(env.window.document.activeElement, env.form.elements.namedItem('email'));
+  assert.equal(adapter.submissions.length, 0);
+
+  env.form.elements.namedItem('email').dispatchEvent(new env.window.Event('input', { bubbles: true }));
+  assert.equal(env.form.elements.namedItem('email').hasAttribute('aria-invalid'), false);
+  assert.equal(env.form.querySelector('[data-error-for="email"]').hidden, true);
+});
+
+test('a valid submit goes idle → submitting → success exactly once', async (t) => {
+  const env = loadForm();
+  t.after(env.close);
+  const adapter = env.api.adapters.mock({ latency: 0 });
+  const states = [];
+  const successes = [];
+  const controller = env.mount({ adapter, onStateChange: (state) => states.push(state), onSuccess: (detail) => successes.push(detail) });
+  env.tick();
+  env.fill(VALID);
+
+  env.form.dispatchEvent(new env.window.Event('submit', { cancelable: true }));
+  const outcome = await controller.submit(); // joins the in-flight submit
+
+  assert.deepEqual(states, ['idle', 'submitting', 'success']);
+  assert.equal(outcome.id, 'mock-1');
+  assert.equal(successes.length, 1);
+  assert.equal(adapter.submissions.map(s => s.email).join(), 'ada@example.com');
+  assert.equal(env.form.querySelector('[type="submit"]').disabled, true);
+  assert.equal((await controller.submit()).state, 'success', 'no second submission after success');
+  assert.equal(adapter.submissions.length, 1);
+});
+
+test('bots that fill the honeypot or submit instantly get a silent success', async (t) => {
+  const env = loadForm();
+  t.after(env.close);
+  const adapter = env.api.adapters.mock({ latency: 0 });
+
+  const instant = env.mount({ adapter });
+  env.fill(VALID);
+  assert.equal((await instant.submit()).suppressed, true);
+  instant.destroy();
+
+  const trapped = env.mount({ adapter });
+  env.tick();
+  env.fill({ ...VALID, website: 'https://spam.example' });
+  assert.equal((await trapped.submit()).suppressed, true);
+  assert.equal(adapter.submissions.length, 0);
+});
+
+test('backend failures and the rate limit end in an error state with a status message', async (t) => {
+  const env = loadForm();
+  t.after(env.close);
+  let down = true;
+  const adapter = env.api.adapters.mock({ latency: 0, fail: () => (down ? 'network' : false) });
+  const controller = env.mount({ adapter, rateLimiter: env.api.createRateLimiter({ max: 2, storage: null, now: () => 0 }) });
+  env.tick();
+  env.fill(VALID);
+  const status = env.form.querySelector('[data-waitlist-status]');
+
+  const failed = await controller.submit();
+  assert.equal(failed.error.code, 'network');
+  assert.equal(status.hidden, false);
+  assert.match(status.textContent, /connection/);
+  assert.equal(env.form.querySelector('[type="submit"]').disabled, false, 'the visitor can retry');
+
+  await controller.submit();
+  down = false;
+  const limited = await controller.submit();
+  assert.equal(limited.error.code, 'rate-limited');
+  assert.match(status.textContent, /10 min/);
+  assert.equal(adapter.submissions.length, 0);
+});
+
+test('googleForms posts mapped entry fields; webhook maps HTTP failures to error codes', async () => {
+  const requests = [];
+  const fetch = (url, init) => { requests.push({ url, init }); return Promise.resolve({ ok: false, status: 0, json: () => Promise.reject(new Error('opaque')) }); };
+  const google = NicerWaitlist.adapters.googleForms({ action: 'https://forms.test/formResponse', fields: { email: 'emailAddress', role: 'entry.1', teamSize: 'entry.2' }, fetch });
+  assert.deepEqual(await google.submit({ email: 'a@b.co', role: 'design', teamSize: '1' }), { id: null });
+  assert.equal(requests[0].init.mode, 'no-cors');
+  assert.equal(String(requests[0].init.body), 'emailAddress=a%40b.co&entry.1=design&entry.2=1');
+
+  const respond = (status) => () => Promise.resolve({ ok: status < 300, status, json: () => Promise.resolve({ id: 'w1' }) });
+  assert.deepEqual(await NicerWaitlist.adapters.webhook({ url: '/hook', fetch: respond(201) }).submit({}), { id: 'w1' });
+  await assert.rejects(NicerWaitlist.adapters.webhook({ url: '/hook', fetch: respond(429) }).submit({}), { code: 'rate-limited' });
+  await assert.rejects(NicerWaitlist.adapters.webhook({ url: '/hook', fetch: respond(500) }).submit({}), { code: 'rejected' });
+  await assert.rejects(NicerWaitlist.adapters.webhook({ url: '/hook', fetch: () => Promise.reject(new TypeError('offline')) }).submit({}), { code: 'network' });
+});
+
+test('googleForms sends unmapped form fields through extraField and warns when it has nowhere to put them', async (t) => {
+  const bodies = [];
+  const fetch = (url, init) => { bodies.push(String(init.body)); return Promise.resolve({ ok: false, status: 0 }); };
+  const warn = t.mock.method(console, 'warn', () => {});
+  const fields = { email: 'emailAddress', role: '', teamSize: '' };
+  const values = { email: 'a@b.co', role: 'design', teamSize: '2-10' };
+
+  await NicerWaitlist.adapters.googleForms({ action: '/form', fields, extraField: 'entry.9', fetch }).submit(values);
+  assert.equal(warn.mock.callCount(), 0);
+  assert.equal(new URLSearchParams(bodies[0]).get('entry.9'), 'role: design\nteamSize: 2-10');
+
+  NicerWaitlist.adapters.googleForms({ action: '/form', fields, fetch });
+  assert.match(warn.mock.calls[0].arguments[0], /no entry\.<id> for role, teamSize/);
+});
+
+test('the form only asks for the answers its adapter can deliver', async (t) => {
+  const env = loadForm();
+  t.after(env.close);
+  const warn = t.mock.method(console, 'warn', () => {});
+  const bodies = [];
+  const fetch = (url, init) => { bodies.push(String(init.body)); return Promise.resolve({ ok: false, status: 0 }); };
+  const wrapper = (name) => env.form.elements.namedItem(name).closest('[data-waitlist-field]');
+  // The shipped index.html config: no entry.<id> for role and team size and no extraField
+  const adapter = env.api.adapters.googleForms({ action: '/form', fields: { email: 'emailAddress', role: '', teamSize: '' }, extraField: '', fetch });
+  assert.equal(warn.mock.callCount(), 1);
+  const controller = env.mount({ adapter });
+  env.tick();
+
+  assert.equal(wrapper('role').hidden, true);
+  assert.equal(wrapper('teamSize').hidden, true);
+  assert.equal(wrapper('email').hidden, false);
+  env.fill({ email: 'ada@example.com' });
+  const outcome = await controller.submit();
+  assert.equal(outcome.state, 'success');
+  assert.deepEqual(Object.keys(outcome.values), ['email']);
+  assert.equal(bodies[0], 'emailAddress=ada%40example.com');
+  assert.equal(warn.mock.callCount(), 1, 'nothing was dropped on submit');
+
+  controller.destroy();
+  assert.equal(wrapper('role').hidden, false);
+  assert.equal(env.form.elements.namedItem('role').disabled, false);
+
+  const carried = env.mount({ adapter: env.api.adapters.googleForms({ action: '/form', fields: { email: 'emailAddress' }, extraField: 'entry.9', fetch }) });
+  t.after(carried.destroy);
+  assert.equal(wrapper('role').hidden, false, 'an extraField carries them, so they are asked for');
+  assert.equal((await carried.submit()).error.code, 'validation');
+});
+
+test('the submission queue de-duplicates by email, survives a reload and flushes when back online', async (t) => {
+  const env = loadForm();
+  t.after(env.close);
+  let online = false;
+  const adapter = env.api.adapters.mock({ latency: 0 });
+  const store = () => env.api.createQueueStore({ storage: env.window.localStorage });
+  const first = env.api.createSubmissionQueue({ adapter, store: store(), isOnline: () => online });
+  first.start();
+  await first.enqueue({ email: 'ada@example.com', role: 'design', teamSize: '1' });
+  await first.enqueue({ email: 'ada@example.com', role: 'engineering', teamSize: '1' });
+  await first.enqueue({ email: 'bob@example.com', role: 'design', teamSize: '1' });
+  first.stop();
+  assert.equal(await first.size(), 2);
+  assert.equal(adapter.submissions.length, 0, 'nothing is sent while offline');
+
+  // Next visit: a fresh queue on the same storage picks the entries up once the browser is online
+  const second = env.api.createSubmissionQueue({ adapter, store: store(), isOnline: () => online });
+  const sent = [];
+  second.on('sent', ({ entry }) => sent.push(entry.email));
+  second.start();
+  t.after(second.stop);
+  online = true;
+  env.window.dispatchEvent(new env.window.Event('online'));
+  await second.flush();
+
+  assert.equal(sent.join(), 'ada@example.com,bob@example.com');
+  assert.equal(adapter.submissions[0].role, 'engineering', 'the latest values for an email win');
+  assert.equal(await second.size(), 0);
+  assert.equal(env.window.localStorage.getItem('nicer-waitlist-queue'), '{}');
+});
+
+test('failed deliveries back off exponentially; rejections are dropped after maxAttempts', async () => {
+  let clock = 0;
+  const failures = { 'net@example.com': 'network', 'bad@example.com': 'rejected' };
+  const adapter = NicerWaitlist.adapters.mock({ latency: 0, fail: (values) => failures[values.email] });
+  const queue = NicerWaitlist.createSubmissionQueue({
+    adapter, store: NicerWaitlist.createQueueStore({ indexedDB: null, storage: null }),
+    backoff: { base: 1000, factor: 2, max: 3000 }, maxAttempts: 2, now: () => clock, isOnline: () => true
+  });
+  const delays = [];
+  const dropped = [];
+  queue.on('retry', ({ entry, delay }) => delays.push(`${entry.email}:${delay}`));
+  queue.on('dropped', ({ entry, error }) => dropped.push(`${entry.email}:${error.code}`));
+  await queue.enqueue({ email: 'net@example.com' });
+  await queue.enqueue({ email: 'bad@example.com' });
+
+  for (let i = 0; i < 4; i++) {
+    await queue.flush();
+    clock += 4000;
+  }
+
+  assert.deepEqual(delays, ['net@example.com:1000', 'bad@example.com:1000', 'net@example.com:2000', 'net@example.com:3000', 'net@example.com:3000']);
+  assert.deepEqual(dropped, ['bad@example.com:rejected']);
+  assert.equal(await queue.size(), 1, 'network failures keep retrying');
+});
+
+test('an offline signup is queued, then completes the form once delivered', async (t) => {
+  const env = loadForm();
+  t.after(env.close);
+  let online = false;
+  const adapter = env.api.adapters.mock({ latency: 0 });
+  const queue = env.api.createSubmissionQueue({ adapter, store: env.api.createQueueStore({ storage: null }), isOnline: () => online });
+  queue.start();
+  t.after(queue.stop);
+  const states = [];
+  const controller = env.mount({ adapter, queue, isOnline: () => online, onStateChange: (state, detail) => states.push(`${state}${detail.queued ? ':delivered' : ''}`) });
+  env.tick();
+  env.fill(VALID);
+
+  const outcome = await controller.submit();
+  assert.equal(outcome.state, 'queued');
+  assert.equal(outcome.reason, 'offline');
+  assert.equal(env.form.querySelector('[type="submit"]').disabled, true);
+  assert.equal(env.form.querySelector('[data-waitlist-status]').hidden, true);
+
+  online = true;
+  await queue.flush();
+  assert.deepEqual(states, ['idle', 'queued', 'success:delivered']);
+  assert.equal(adapter.submissions.length, 1);
+});
+
+test('a queued signup the server rejects is dropped and fails the form', async (t) => {
+  const env = loadForm();
+  t.after(env.close);
+  let online = false;
+  const adapter = env.api.adapters.mock({ latency: 0, fail: () => 'rejected' });
+  const queue = env.api.createSubmissionQueue({ adapter, store: env.api.createQueueStore({ storage: null }), isOnline: () => online, maxAttempts: 1 });
+  queue.start();
+  t.after(queue.stop);
+  const states = [];
+  const dropped = [];
+  queue.on('dropped', ({ entry }) => dropped.push(entry.email));
+  const controller = env.mount({ adapter, queue, isOnline: () => online, onStateChange: state => states.push(state) });
+  env.tick();
+  env.fill(VALID);
+
+  assert.equal((await controller.submit()).state, 'queued');
+  online = true;
+  await queue.flush();
+
+  assert.deepEqual(dropped, ['ada@example.com']);
+  assert.deepEqual(states, ['idle', 'queued', 'error']);
+  assert.equal(controller.getState(), 'error');
+  assert.equal(env.form.querySelector('[type="submit"]').disabled, false, 'the visitor can try again');
+  assert.equal(env.form.querySelector('[data-waitlist-status]').textContent, env.api.MESSAGES.rejected);
+  assert.equal(await queue.size(), 0);
+});
+
+test('a network failure while online falls back to the queue instead of an error', async (t) => {
+  const env = loadForm();
+  t.after(env.close);
+  let down = true;
+  const adapter = env.api.adapters.mock({ latency: 0, fail: () => (down ? 'network' : false) });
+  const queue = env.api.createSubmissionQueue({ adapter, store: env.api.createQueueStore({ storage: null }), isOnline: () => true, backoff: { base: 5 } });
+  queue.start();
+  t.after(queue.stop);
+  const controller = env.mount({ adapter, queue, isOnline: () => true });
+  env.tick();
+  env.fill(VALID);
+
+  const outcome = await controller.submit();
+  assert.equal(outcome.state, 'queued');
+  assert.equal(outcome.reason, 'network');
+
+  down = false;
+  await new Promise(resolve => setTimeout(resolve, 50)); // the scheduled retry
+  assert.equal(controller.getState(), 'success');
+});
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/*
+ * Mock Notion API server for exercising nicer-notion-export.js without a real workspace.
+ *
+ * Implements the subset the exporter uses, with Notion's validation rules and error shape:
+ *   POST  /v1/pages                 create a page (optional children)
+ *   POST  /v1/databases             create a database under a page
+ *   PATCH /v1/blocks/:id/children   append children
+ *   GET   /v1/blocks/:id/children   list children (for assertions)
+ *   GET   /v1/pages/:id, GET /v1/databases/:id
+ * Enforced: Bearer token, Notion-Version header, ≤100 children per array, ≤1000 blocks per payload,
+ * ≤2 levels of nesting, ≤2000 characters per rich text, known block/property types, exactly one title
+ * property, existing parents, and link_to_page targets that exist. CORS is open for browser demos.
+ *
+ * Usage:  node tools/mock-notion-server.js [port]      (default 8787; root page id "root-page")
+ * Module: const { createMockNotionServer } = require('./tools/mock-notion-server');
+ *         const { server, store, failNext } = createMockNotionServer(); server.listen(0);
+ *         failNext({ status?: 429, code?, message? }) makes the next API request fail (429 adds Retry-After).
+ */
+
+'use strict';
+
+const http = require('http');
+
+const ROOT_PAGE_ID = 'root-page';
+
+const BLOCK_TYPES = new Set([
+  'paragraph', 'heading_1', 'heading_2', 'heading_3', 'callout', 'toggle', 'to_do', 'bulleted_list_item',
+  'numbered_list_item', 'quote', 'divider', 'column_list', 'column', 'link_to_page', 'table_of_contents'
+]);
+const TEXT_BLOCKS = new Set(['paragraph', 'heading_1', 'heading_2', 'heading_3', 'callout', 'toggle', 'to_do', 'bulleted_list_item', 'numbered_list_item', 'quote']);
+const PROPERTY_TYPES = new Set(['title', 'rich_text', 'number', 'select', 'multi_select', 'date', 'checkbox', 'people', 'url', 'email', 'files', 'formula', 'relation']);
+
+class NotionError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const invalid = (message) => new NotionError(400, 'validation_error', message);
+
+function createStore() {
+  let seq = 0;
+  const objects = new Map();
+  const children = new Map();
+  objects.set(ROOT_PAGE_ID, { object: 'page', id: ROOT_PAGE_ID, parent: { type: 'workspace', workspace: true } });
+  children.set(ROOT_PAGE_ID, []);
+  return {
+    objects,
+    children,
+    nextId(prefix) {
+      seq += 1;
+      return `${prefix}-${String(seq).padStart(6, '0')}`;
+    },
+    reset() {
+      seq = 0;
+      objects.clear();
+      children.clear();
+      objects.set(ROOT_PAGE_ID, { object: 'page', id: ROOT_PAGE_ID, parent: { type: 'workspace', workspace: true } });
+      children.set(ROOT_PAGE_ID, []);
+    }
+  };
+}
+
+function validateRichText(list, where) {
+  if (!Array.isArray(list)) throw invalid(`${where}.rich_text should be an array`);
+  list.forEach((item, i) => {
+    if (!item || item.type !== 'text' || !item.text || typeof item.text.content !== 'string') {
+      throw invalid(`${where}.rich_text[${i}] should be a text object`);
+    }
+    if (item.text.content.length > 2000) throw invalid(`${where}.rich_text[${i}].text.content.length should be ≤ 2000`);
+  });
+}
+
+function validateChildren(list, where, depth, counter) {
+  if (!Array.isArray(list)) throw invalid(`${where} should be an array`);
+  if (list.length > 100) throw invalid(`${where}.length should be ≤ 100, instead was ${list.length}`);
+  if (depth > 2) throw invalid(`${where} exceeds the maximum nesting depth of 2`);
+  list.forEach((b, i) => validateBlock(b, `${where}[${i}]`, depth, counter));
+}
+
+function validateBlock(b, where, depth, counter) {
+  counter.count += 1;
+  if (counter.count > 1000) throw invalid('request payload should contain ≤ 1000 blocks');
+  if (!b || typeof b !== 'object' || !BLOCK_TYPES.has(b.type)) throw invalid(`${where}.type is not a supported block type`);
+  const value = b[b.type];
+  if (!value || typeof value !== 'object') throw invalid(`${where}.${b.type} should be defined`);
+  if (TEXT_BLOCKS.has(b.type)) validateRichText(value.rich_text, `${where}.${b.type}`);
+  if (b.type === 'to_do' && typeof value.checked !== 'undefined' && typeof value.checked !== 'boolean') {
+    throw invalid(`${where}.to_do.checked should be a boolean`);
+  }
+  if (b.type === 'link_to_page') {
+    const target = value.type === 'database_id' ? value.database_id : value.page_id;
+    if (!target) throw invalid(`${where}.link_to_page needs a page_id or database_id`);
+    counter.links.push({ where, target, kind: value.type === 'database_id' ? 'database' : 'page' });
+  }
+  if (b.type === 'column_list') {
+    if (!Array.isArray(value.children) || value.children.length < 2) throw invalid(`${where}.column_list needs at least 2 columns`);
+    value.children.forEach((c, i) => {
+      if (!c || c.type !== 'column') throw invalid(`${where}.column_list.children[${i}] should be a column`);
+    });
+  }
+  if (b.type === 'column' && (!Array.isArray(value.children) || !value.children.length)) {
+    throw invalid(`${where}.column needs at least one child`);
+  }
+  if (value.children) validateChildren(value.children, `${where}.${b.type}.children`, depth + 1, counter);
+}
+
+function validateBlocks(list, where, store) {
+  const counter = { count: 0, links: [] };
+  validateChildren(list, where, 0, counter); // top-level blocks are depth 0; children 1, grandchildren 2
+  counter.links.forEach(link => {
+    const target = store.objects.get(link.target);
+    if (!target || target.object !== link.kind) throw invalid(`${link.where}.link_to_page target ${link.target} does not exist`);
+  });
+}
+
+/** Store blocks recursively; returns the stored block objects. */
+function insertBlocks(store, parentId, list) {
+  return list.map(b => {
+    const id = store.nextId('block');
+    const value = { ...b[b.type] };
+    const nested = value.children;
+    delete value.children;
+    const stored = { object: 'block', id, type: b.type, [b.type]: value, parent: { type: 'block_id', block_id: parentId }, has_children: Boolean(nested && nested.length) };
+    store.objects.set(id, stored);
+    store.children.set(id, []);
+    store.children.get(parentId).push(id);
+    if (nested) insertBlocks(store, id, nested);
+    return stored;
+  });
+}
+
+function requireParentPage(store, parent) {
+  const id = parent && parent.page_id;
+  const page = id && store.objects.get(id);
+  if (!page || page.object !== 'page') throw new NotionError(404, 'object_not_found', `Could not find page with ID: ${id}.`);
+  return id;
+}
+
+function createPage(store, body) {
+  const parentId = requireParentPage(store, body.parent);
+  const title = body.properties && body.properties.title && body.properties.title.title;
+  validateRichText(title, 'body.properties.title.title');
+  if (body.children) validateBlocks(body.children, 'body.children', store);
+  const id = store.nextId('page');
+  const page = { object: 'page', id, url: `https://www.notion.so/${id}`, parent: { type: 'page_id', page_id: parentId }, icon: body.icon || null, properties: body.properties };
+  store.objects.set(id, page);
+  store.children.set(id, []);
+  store.children.get(parentId).push(id);
+  if (body.children) insertBlocks(store, id, body.children);
+  return page;
+}
+
+function createDatabase(store, body) {
+  const parentId = requireParentPage(store, body.parent);
+  validateRichText(body.title || [], 'body.title');
+  const props = body.properties;
+  if (!props || typeof props !== 'object') throw invalid('body.properties should be defined');
+  let titles = 0;
+  Object.keys(props).forEach(name => {
+    const config = props[name];
+    const type = config && Object.keys(config).find(k => PROPERTY_TYPES.has(k));
+    if (!type) throw invalid(`body.properties.${name} should define a supported property type`);
+    if (type === 'title') titles += 1;
+    if ((type === 'select' || type === 'multi_select') && config[type].options) {
+      const names = config[type].options.map(o => o.name);
+      if (names.some(n => typeof n !== 'string' || n.includes(','))) throw invalid(`body.properties.${name} option names must be strings without commas`);
+      if (new Set(names).size !== names.length) throw invalid(`body.properties.${name} option names must be unique`);
+    }
+  });
+  if (titles !== 1) throw invalid('body.properties should contain exactly one title property');
+  const id = store.nextId('database');
+  const database = { object: 'database', id, url: `https://www.notion.so/${id}`, parent: { type: 'page_id', page_id: parentId }, title: body.title || [], is_inline: Boolean(body.is_inline), properties: props };
+  store.objects.set(id, database);
+  store.children.get(parentId).push(id);
+  return database;
+}
+
+function appendChildren(store, blockId, body) {
+  const parent = store.objects.get(blockId);
+  if (!parent || !store.children.has(blockId)) throw new NotionError(404, 'object_not_found', `Could not find block with ID: ${blockId}.`);
+  validateBlocks(body.children, 'body.children', store);
+  return { object: 'list', results: insertBlocks(store, blockId, body.children), has_more: false, next_cursor: null };
+}
+
+function listChildren(store, blockId) {
+  if (!store.children.has(blockId)) throw new NotionError(404, 'object_not_found', `Could not find block with ID: ${blockId}.`);
+  const results = store.children.get(blockId).map(id => {
+    const obj = store.objects.get(id);
+    if (obj.object === 'page') return { object: 'block', id, type: 'child_page', child_page: { title: obj.properties.title.title.map(t => t.text.content).join('') } };
+    if (obj.object === 'database') return { object: 'block', id, type: 'child_database', child_database: { title: obj.title.map(t => t.text.content).join('') } };
+    return obj;
+  });
+  return { object: 'list', results, has_more: false, next_cursor: null };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      if (!data) return resolve({});
+      try { resolve(JSON.parse(data)); } catch (e) { reject(new NotionError(400, 'invalid_json', 'Error parsing JSON body.')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @param {{ token?: string }} [opts] When token is set, only that bearer token is accepted.
+ * @returns {{ server: http.Server, store: Object, requests: Object[], failNext: Function }}
+ */
+function createMockNotionServer({ token = null } = {}) {
+  const store = createStore();
+  const requests = [];
+  const failures = [];
+
+  const server = http.createServer((req, res) => {
+    const send = (status, payload, headers = {}) => {
+      res.writeHead(status, {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Notion-Version, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS'
+      });
+      res.end(payload === undefined ? '' : JSON.stringify(payload));
+    };
+    if (req.method === 'OPTIONS') return send(204);
+
+    readBody(req)
+      .then(body => {
+        const auth = req.headers.authorization || '';
+        if (!/^Bearer \S+/.test(auth) || (token && auth !== `Bearer ${token}`)) throw new NotionError(401, 'unauthorized', 'API token is invalid.');
+        if (!req.headers['notion-version']) throw new NotionError(400, 'missing_version', 'Notion-Version header failed validation.');
+        requests.push({ method: req.method, url: req.url, body });
+        if (failures.length) throw failures.shift();
+
+        const url = req.url.split('?')[0];
+        let m;
+        if (req.method === 'POST' && url === '/v1/pages') return send(200, createPage(store, body));
+        if (req.method === 'POST' && url === '/v1/databases') return send(200, createDatabase(store, body));
+        if ((m = url.match(/^\/v1\/blocks\/([^/]+)\/children$/))) {
+          if (req.method === 'PATCH') return send(200, appendChildren(store, decodeURIComponent(m[1]), body));
+          if (req.method === 'GET') return send(200, listChildren(store, decodeURIComponent(m[1])));
+        }
+        if (req.method === 'GET' && (m = url.match(/^\/v1\/(pages|databases)\/([^/]+)$/))) {
+          const obj = store.objects.get(decodeURIComponent(m[2]));
+          if (!obj || `${obj.object}s` !== m[1]) throw new NotionError(404, 'object_not_found', `Could not find ${m[1].slice(0, -1)} with ID: ${m[2]}.`);
+          return send(200, obj);
+        }
+        throw new NotionError(400, 'invalid_request_url', 'Invalid request URL.');
+      })
+      .catch(err => {
+        const status = err instanceof NotionError ? err.status : 500;
+        send(status, { object: 'error', status, code: err.code || 'internal_server_error', message: err.message }, status === 429 ? { 'Retry-After': '1' } : {});
+      });
+  });
+
+  /** Fail the next authenticated request with the given status (default: Notion's rate limit). */
+  function failNext({ status = 429, code = status === 429 ? 'rate_limited' : 'validation_error', message = status === 429 ? 'You have been rate limited. Please try again in a few minutes.' : 'Simulated failure.' } = {}) {
+    failures.push(new NotionError(status, code, message));
+  }
+
+  return { server, store, requests, failNext };
+}
+
+module.exports = { createMockNotionServer, ROOT_PAGE_ID, NotionError };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8787;
+  const { server } = createMockNotionServer();
+  server.listen(port, () => {
+    console.log(`Mock Notion API on http://localhost:${port} (parent page id "${ROOT_PAGE_ID}")`);
+  });
+}